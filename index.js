@@ -4,11 +4,19 @@ const cors = require('cors');
 const helmet = require('helmet');
 const cron = require('node-cron');
 const { errorHandler, notFound } = require('./src/middleware/errorHandler');
-const { runAllScrapers } = require('./scrapers/run_all');
+const { runAllScrapers, listSources } = require('./scrapers/run_all');
+const { getNextRun } = require('./scrapers/registry');
+const { getRunStatusSummary } = require('./scrapers/ingestion_runs');
 
 // Import routes
 const commodityRoutes = require('./src/routes/commodityRoutes');
 const priceRoutes = require('./src/routes/priceRoutes');
+const marketRoutes = require('./src/routes/marketRoutes');
+const fuelRoutes = require('./src/routes/fuelRoutes');
+const srpRoutes = require('./src/routes/srpRoutes');
+const complianceRoutes = require('./src/routes/complianceRoutes');
+const categoryRoutes = require('./src/routes/categoryRoutes');
+const basketRoutes = require('./src/routes/basketRoutes');
 const docsRoutes = require('./src/routes/docs');
 const scraperRoutes = require('./src/routes/scraperRoutes');
 
@@ -48,15 +56,27 @@ app.use((req, res, next) => {
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  let lastRun = null;
+  try {
+    const summary = await getRunStatusSummary();
+    lastRun = summary.lastRun ? summary.lastRun.startedAt : null;
+  } catch (error) {
+    console.warn(`⚠️  Could not load the last scraper run: ${error.message}`);
+  }
+
+  const nextRuns = listSources({ enabledOnly: true })
+    .map(source => getNextRun(source.schedule))
+    .filter(Boolean);
+
   res.status(200).json({
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     environment: process.env.NODE_ENV || 'development',
     scrapers: {
-      lastRun: global.lastScraperRun || null,
-      nextRun: global.nextScraperRun || null
+      lastRun,
+      nextRun: nextRuns.length > 0 ? new Date(Math.min(...nextRuns)).toISOString() : null
     }
   });
 });
@@ -67,6 +87,12 @@ app.use('/docs', docsRoutes);
 // API routes (v1)
 app.use('/v1/commodities', commodityRoutes);
 app.use('/v1/prices', priceRoutes);
+app.use('/v1/markets', marketRoutes);
+app.use('/v1/fuel', fuelRoutes);
+app.use('/v1/srp', srpRoutes);
+app.use('/v1/compliance', complianceRoutes);
+app.use('/v1/categories', categoryRoutes);
+app.use('/v1/baskets', basketRoutes);
 app.use('/v1/admin', scraperRoutes);
 
 // Root endpoint
@@ -79,10 +105,21 @@ app.get('/', (req, res) => {
     endpoints: {
       commodities: '/v1/commodities',
       prices: '/v1/prices',
+      markets: '/v1/markets',
+      fuel: '/v1/fuel',
+      srp: '/v1/srp',
+      compliance: '/v1/compliance',
+      categories: '/v1/categories',
+      baskets: '/v1/baskets',
       admin: '/v1/admin'
     },
     scrapers: {
       manual: 'POST /v1/admin/scrape',
+      sources: 'GET /v1/admin/sources',
+      runs: 'GET /v1/admin/runs',
+      upload: 'POST /v1/admin/upload',
+      jobs: 'GET /v1/admin/jobs',
+      quarantine: 'GET /v1/admin/quarantine',
       scheduled: 'Daily at 7:00 AM'
     }
   });
@@ -94,33 +131,33 @@ app.use(notFound);
 // Error handling middleware (must be last)
 app.use(errorHandler);
 
-// Schedule daily scraping at 7:00 AM
+// Schedule the registered sources, one cron job per schedule (daily at 7:00 AM by default)
 const scheduleScrapers = () => {
-  console.log('⏰ Scheduling daily scrapers at 7:00 AM...');
-  
-  cron.schedule('0 7 * * *', async () => {
-    console.log('🔄 Running scheduled scrapers...');
-    try {
-      global.lastScraperRun = new Date().toISOString();
-      await runAllScrapers();
-      console.log('✅ Scheduled scrapers completed successfully');
-    } catch (error) {
-      console.error('❌ Scheduled scrapers failed:', error.message);
-    }
-  }, {
-    timezone: 'Asia/Manila'
+  const bySchedule = {};
+  listSources({ enabledOnly: true }).forEach(source => {
+    (bySchedule[source.schedule] = bySchedule[source.schedule] || []).push(source.name);
   });
 
-  // Calculate next run time
-  const now = new Date();
-  const nextRun = new Date(now);
-  nextRun.setHours(7, 0, 0, 0);
-  if (nextRun <= now) {
-    nextRun.setDate(nextRun.getDate() + 1);
+  for (const [schedule, sources] of Object.entries(bySchedule)) {
+    console.log(`⏰ Scheduling ${sources.join(', ')} at "${schedule}"...`);
+
+    cron.schedule(schedule, async () => {
+      console.log(`🔄 Running scheduled scrapers: ${sources.join(', ')}`);
+      try {
+        await runAllScrapers(true, true, { sources, trigger: 'cron' });
+        console.log('✅ Scheduled scrapers completed successfully');
+      } catch (error) {
+        console.error('❌ Scheduled scrapers failed:', error.message);
+      }
+    }, {
+      timezone: 'Asia/Manila'
+    });
+
+    const nextRun = getNextRun(schedule);
+    if (nextRun) {
+      console.log(`📅 Next run of ${sources.join(', ')}: ${nextRun.toLocaleString('en-US', { timeZone: 'Asia/Manila' })}`);
+    }
   }
-  global.nextScraperRun = nextRun.toISOString();
-  
-  console.log(`📅 Next scraper run: ${nextRun.toLocaleString('en-US', { timeZone: 'Asia/Manila' })}`);
 };
 
 // Graceful shutdown
@@ -0,0 +1,354 @@
+/**
+ * Price anomaly detection
+ * Parsed prices are scored against the recent prices of their commodity and
+ * region before they are saved, to catch misreads such as a year read as a
+ * DTI price. A price is anomalous when it is far from the median of the recent
+ * prices (robust z-score), jumped from the last observed day, or is outside
+ * the plausible prices per kg, liter or piece. Depending on ANOMALY_ACTION,
+ * anomalous rows are held in the quarantine for review or saved and flagged;
+ * either way they are recorded in the price_anomalies table.
+ */
+
+const prisma = require('../src/config/database');
+const { packSizeOf } = require('../utils/unitNormalizer');
+const { findCommodity } = require('./commodities');
+const { fingerprintRow } = require('./quarantine');
+const { saveSourceDocuments, provenanceOf } = require('./source_documents');
+
+// hold quarantines anomalous rows, flag saves them and only records them
+const ANOMALY_ACTIONS = ['hold', 'flag'];
+const ANOMALY_ACTION = ANOMALY_ACTIONS.includes(process.env.ANOMALY_ACTION) ? process.env.ANOMALY_ACTION : 'hold';
+
+// Stored actions of held anomalies whose quarantined row was reviewed
+const REVIEWED_ACTIONS = ['approved', 'rejected'];
+
+// Days of stored prices an incoming price is compared with
+const HISTORY_DAYS = 90;
+
+// Fewest stored prices a z-score is computed from
+const MIN_HISTORY = 5;
+
+// Robust z-score beyond which a price is anomalous
+const MAX_Z_SCORE = 3.5;
+
+// Smallest spread assumed, as a share of the median, so a price that never
+// moved does not make every small change anomalous
+const MIN_SPREAD = 0.05;
+
+// Largest change from the last observed day, as a fraction, when that day is
+// at most JUMP_DAYS earlier
+const MAX_JUMP = 0.5;
+const JUMP_DAYS = 7;
+
+// Plausible prices per standard unit
+const UNIT_BOUNDS = {
+  kg: { min: 1, max: 5000 },
+  L: { min: 1, max: 2000 },
+  piece: { min: 0.5, max: 2000 }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const midpoint = row => (Number(row.minPrice) + Number(row.maxPrice)) / 2;
+
+const isSet = value => value !== null && value !== undefined;
+
+// How the rows of each dataset are scored: the fields that make up a series,
+// the stored columns read, and the unit and price of a row
+const DATASETS = {
+  prices: {
+    model: 'price',
+    series: ['commodityId', 'region', 'unit'],
+    fields: ['price'],
+    unitOf: row => row.unit,
+    priceOf: row => Number(row.price)
+  },
+  price_ranges: {
+    model: 'priceRange',
+    series: ['commodityId', 'region', 'unit'],
+    fields: ['averagePrice', 'minPrice', 'maxPrice'],
+    unitOf: row => row.unit,
+    priceOf: row => (isSet(row.averagePrice) ? Number(row.averagePrice) : midpoint(row))
+  },
+  fuel_prices: {
+    model: 'fuelPrice',
+    series: ['commodityId', 'region'],
+    fields: ['commonPrice', 'minPrice', 'maxPrice'],
+    unitOf: () => 'per liter',
+    priceOf: row => (isSet(row.commonPrice) ? Number(row.commonPrice) : midpoint(row))
+  },
+  suggested_retail_prices: {
+    model: 'suggestedRetailPrice',
+    dateField: 'effectiveDate',
+    series: ['name', 'netContent', 'area'],
+    fields: ['srp'],
+    unitOf: row => row.netContent,
+    priceOf: row => Number(row.srp)
+  }
+};
+
+/**
+ * Get the median of numbers
+ * @param {Array<number>} values - Numbers, at least one
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Score a price against the stored prices of its series
+ * @param {number} price - Incoming price
+ * @param {Array<Object>} history - Earlier prices of the series, each with date and price
+ * @param {Object} options - Price details
+ * @param {string} [options.unit] - Unit or net content the price is for
+ * @param {Date} options.date - Date of the price
+ * @returns {Object} Median of the history, robust z-score, change from the
+ *   last observed day, and the reasons the price is anomalous (none when it is not)
+ */
+function scoreAnomaly(price, history, { unit, date }) {
+  const reasons = [];
+  let center = null;
+  let zScore = null;
+  let change = null;
+
+  const { packSize, standardUnit } = unit ? packSizeOf(unit) : {};
+  const bounds = UNIT_BOUNDS[standardUnit];
+
+  if (!(price > 0)) {
+    reasons.push('Price is not positive');
+  } else if (bounds && packSize > 0) {
+    const unitPrice = price / packSize;
+    if (unitPrice < bounds.min || unitPrice > bounds.max) {
+      reasons.push(`Price of ${round(unitPrice)} per ${standardUnit} is outside ${bounds.min}-${bounds.max}`);
+    }
+  }
+
+  if (history.length >= MIN_HISTORY) {
+    const prices = history.map(observation => observation.price);
+    center = median(prices);
+    const spread = Math.max(median(prices.map(value => Math.abs(value - center))), MIN_SPREAD * center);
+
+    if (spread > 0) {
+      // 0.6745 scales the median absolute deviation to a standard deviation
+      zScore = round((0.6745 * (price - center)) / spread);
+      if (Math.abs(zScore) > MAX_Z_SCORE) {
+        reasons.push(`Robust z-score of ${zScore} against a median of ${round(center)} over ${HISTORY_DAYS} days`);
+      }
+    }
+  }
+
+  const last = history.reduce((latest, observation) => Math.max(latest, observation.date.getTime()), -Infinity);
+  if (date.getTime() - last <= JUMP_DAYS * DAY) {
+    const level = median(history.filter(observation => observation.date.getTime() === last).map(observation => observation.price));
+
+    if (level > 0) {
+      change = round((price - level) / level, 4);
+      if (Math.abs(change) > MAX_JUMP) {
+        reasons.push(`Price changed by ${round(change * 100, 1)}% from ${round(level)} on ${new Date(last).toISOString().slice(0, 10)}`);
+      }
+    }
+  }
+
+  return { median: center === null ? null : round(center), zScore, change, reasons };
+}
+
+/**
+ * Load the stored prices of the series of incoming rows, in one query.
+ * A failure to load is logged and leaves the rows without history, so
+ * detection never stops ingestion.
+ * @param {Array<Object>} records - Incoming rows
+ * @param {Object} config - Dataset scoring settings
+ * @returns {Promise<Map>} Stored prices by incoming row, each with date and price
+ */
+async function loadHistory(records, config) {
+  const dateField = config.dateField || 'date';
+  const keyOf = row => config.series.map(field => row[field]).join('|');
+  const history = new Map();
+
+  try {
+    const commodities = new Map();
+    const keyed = [];
+
+    for (const record of records) {
+      const series = {};
+
+      if (config.series.includes('commodityId')) {
+        if (!record.commodity) continue;
+        if (!commodities.has(record.commodity)) {
+          commodities.set(record.commodity, await findCommodity(record.commodity));
+        }
+
+        // A commodity that is not stored yet has no history
+        const commodity = commodities.get(record.commodity);
+        if (!commodity) continue;
+        series.commodityId = commodity.id;
+      }
+
+      config.series.filter(field => field !== 'commodityId').forEach((field) => {
+        series[field] = record[field];
+      });
+
+      const date = new Date(record[dateField]).getTime();
+      if (Object.values(series).every(isSet) && !isNaN(date)) {
+        keyed.push({ record, series, date });
+      }
+    }
+
+    if (keyed.length === 0) return history;
+
+    const dates = keyed.map(entry => entry.date);
+    const rows = await prisma[config.model].findMany({
+      where: {
+        OR: [...new Map(keyed.map(entry => [keyOf(entry.series), entry.series])).values()],
+        [dateField]: { gte: new Date(Math.min(...dates) - HISTORY_DAYS * DAY), lt: new Date(Math.max(...dates)) }
+      },
+      select: Object.fromEntries([...config.series, dateField, ...config.fields].map(field => [field, true]))
+    });
+
+    const bySeries = new Map();
+    for (const row of rows) {
+      const key = keyOf(row);
+      if (!bySeries.has(key)) bySeries.set(key, []);
+      bySeries.get(key).push({ date: new Date(row[dateField]), price: config.priceOf(row) });
+    }
+
+    for (const { record, series } of keyed) {
+      history.set(record, bySeries.get(keyOf(series)) || []);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not load price history for anomaly detection: ${error.message}`);
+  }
+
+  return history;
+}
+
+/**
+ * Find the anomalous prices among incoming rows. Each row is compared with
+ * the prices stored for its series in the HISTORY_DAYS before its date.
+ * @param {Array<Object>} records - Incoming rows
+ * @param {string} dataset - Table the rows are saved to, e.g. "prices"
+ * @returns {Promise<Array<Object>>} Anomalies, each with its row, price, date, median, zScore, change and reasons
+ */
+async function detectAnomalies(records, dataset) {
+  const config = DATASETS[dataset];
+  if (!config || !records || records.length === 0) return [];
+
+  const dateField = config.dateField || 'date';
+  const history = await loadHistory(records, config);
+  const anomalies = [];
+
+  for (const record of records) {
+    const price = config.priceOf(record);
+    const date = new Date(record[dateField]);
+    if (!Number.isFinite(price) || isNaN(date.getTime())) continue;
+
+    const since = date.getTime() - HISTORY_DAYS * DAY;
+    const recent = (history.get(record) || [])
+      .filter(observation => observation.date < date && observation.date.getTime() >= since);
+    const score = scoreAnomaly(price, recent, { unit: config.unitOf(record), date });
+
+    if (score.reasons.length > 0) {
+      anomalies.push({ record, price, date, ...score });
+    }
+  }
+
+  return anomalies;
+}
+
+/**
+ * Take anomalous rows out of the rows to save, to quarantine them instead.
+ * Held rows keep their parse confidence and gain the anomaly reasons.
+ * @param {Array<Object>} records - Rows to save
+ * @param {Array<Object>} anomalies - Anomalies found among them
+ * @returns {Object} accepted rows, and held rows ready to quarantine
+ */
+function holdAnomalies(records, anomalies) {
+  const reasons = new Map(anomalies.map(anomaly => [anomaly.record, anomaly.reasons]));
+
+  return {
+    accepted: records.filter(record => !reasons.has(record)),
+    held: records.filter(record => reasons.has(record)).map(record => ({
+      ...record,
+      confidence: record.confidence ?? 1,
+      reasons: [...(record.reasons || []), ...reasons.get(record)]
+    }))
+  };
+}
+
+/**
+ * Store anomalies in the price_anomalies table. A row flagged by an earlier
+ * run is updated with its new score, and keeps its action once its
+ * quarantined row was approved or rejected.
+ * @param {Array<Object>} anomalies - Anomalies from detectAnomalies
+ * @param {Object} details - Where the rows come from
+ * @param {string} details.source - Registered source name, e.g. "dti"
+ * @param {string} details.dataset - Table the rows are saved to
+ * @param {string} [details.action] - hold or flag
+ * @returns {Promise<Object>} Number of anomalies recorded, and errors
+ */
+async function recordAnomalies(anomalies, { source, dataset, action = ANOMALY_ACTION }) {
+  const result = { recorded: 0, errors: [] };
+  if (!anomalies || anomalies.length === 0) return result;
+
+  const documentIds = await saveSourceDocuments(anomalies.map(anomaly => anomaly.record));
+
+  for (const anomaly of anomalies) {
+    const { record } = anomaly;
+    const { fingerprint, data } = fingerprintRow(record, { source, dataset });
+    const scores = {
+      data,
+      price: anomaly.price,
+      median: anomaly.median,
+      zScore: anomaly.zScore,
+      change: anomaly.change,
+      reasons: anomaly.reasons
+    };
+    const recordedAction = action === 'hold' ? 'held' : 'flagged';
+
+    try {
+      await prisma.priceAnomaly.upsert({
+        where: { fingerprint },
+        update: scores,
+        create: {
+          fingerprint,
+          source,
+          dataset,
+          commodity: record.name || record.commodity || '',
+          region: record.region || record.area || '',
+          date: anomaly.date,
+          ...scores,
+          action: recordedAction,
+          ...provenanceOf(record, documentIds)
+        }
+      });
+
+      await prisma.priceAnomaly.updateMany({
+        where: { fingerprint, action: { notIn: REVIEWED_ACTIONS } },
+        data: { action: recordedAction }
+      });
+
+      result.recorded++;
+    } catch (error) {
+      result.errors.push(`Failed to record the anomaly of ${record.rawLine || record.commodity || 'row'}: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  ANOMALY_ACTIONS,
+  ANOMALY_ACTION,
+  REVIEWED_ACTIONS,
+  HISTORY_DAYS,
+  UNIT_BOUNDS,
+  scoreAnomaly,
+  detectAnomalies,
+  holdAnomalies,
+  recordAnomalies
+}; 
\ No newline at end of file
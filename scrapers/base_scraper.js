@@ -0,0 +1,212 @@
+const prisma = require('../src/config/database');
+const { inferCategory, generateSlug } = require('../utils/commodityTaxonomy');
+const { saveSourceDocuments, provenanceOf } = require('./source_documents');
+const { loadLocationResolver, locationIdOf } = require('./locations');
+const { createCommodityCache } = require('./commodities');
+const { packSizeOf } = require('../utils/unitNormalizer');
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Base Scraper
+ * Owns the parts every price scraper shares: the scrape run, commodity
+ * resolution, batched persistence and run statistics. Subclasses only
+ * implement fetch() and parse().
+ */
+class BaseScraper {
+  /**
+   * @param {Object} options - Scraper options
+   * @param {string} options.name - Display name, e.g. "DTI Scraper"
+   * @param {string} options.source - Source stored with each price, e.g. "DTI"
+   * @param {string} [options.baseUrl] - Website of the source
+   * @param {number} [options.batchSize=100] - Prices saved per transaction
+   */
+  constructor({ name, source, baseUrl = null, batchSize = DEFAULT_BATCH_SIZE }) {
+    this.name = name;
+    this.source = source;
+    this.baseUrl = baseUrl;
+    this.batchSize = batchSize;
+    this.userAgent = DEFAULT_USER_AGENT;
+    this.commodityCache = createCommodityCache();
+    this.stats = this.createStats();
+  }
+
+  /**
+   * Fetch the raw content to parse
+   * @returns {Promise<*>} Raw content such as HTML or PDF text
+   */
+  async fetch() {
+    throw new Error(`${this.name} must implement fetch()`);
+  }
+
+  /**
+   * Parse raw content into price data
+   * @param {*} content - Content returned by fetch()
+   * @returns {Array} Array of price data
+   */
+  parse(content) {
+    throw new Error(`${this.name} must implement parse()`);
+  }
+
+  /**
+   * Fetch and parse price data
+   * @returns {Promise<Array>} Array of scraped price data
+   */
+  async scrape() {
+    this.stats = this.createStats();
+
+    try {
+      console.log(`🔄 Starting ${this.name}...`);
+
+      const content = await this.fetch();
+      const prices = await this.parse(content);
+      this.stats.parsed = prices.length;
+
+      console.log(`✅ ${this.name} completed. Found ${prices.length} price records.`);
+
+      return prices;
+    } catch (error) {
+      this.stats.errors.push(error.message);
+      console.error(`❌ ${this.name} failed:`, error.message);
+      throw error;
+    } finally {
+      this.stats.finishedAt = new Date();
+    }
+  }
+
+  /**
+   * Find the commodity a name or alias refers to, creating it when unknown,
+   * and cache it for the rest of the save
+   * @param {string} name - Commodity name as printed
+   * @returns {Promise<Object>} Commodity record
+   */
+  async resolveCommodity(name) {
+    return this.commodityCache(name);
+  }
+
+  /**
+   * Save scraped data to database.
+   * Prices are upserted in batches, each batch inside one transaction, so a
+   * re-run updates the stored prices instead of duplicating them. Prices that
+   * carry a source document, page or raw line are linked to their provenance,
+   * and every price to the most specific location it names. Commodities are
+   * looked up afresh on every save, since a merge between runs deletes one.
+   * @param {Array} prices - Array of price data to save
+   * @returns {Promise<Object>} Number of prices saved and skipped, and errors
+   */
+  async saveToDatabase(prices) {
+    const result = { saved: 0, skipped: 0, errors: [] };
+    if (!prices || prices.length === 0) return result;
+
+    this.commodityCache = createCommodityCache();
+    const rows = [];
+    const documentIds = await saveSourceDocuments(prices);
+    const locations = await loadLocationResolver();
+
+    for (const priceData of prices) {
+      try {
+        const commodity = await this.resolveCommodity(priceData.commodity);
+        rows.push({ commodity, priceData });
+      } catch (error) {
+        result.skipped++;
+        result.errors.push(`Failed to save ${priceData.commodity}: ${error.message}`);
+      }
+    }
+
+    for (let i = 0; i < rows.length; i += this.batchSize) {
+      const batch = rows.slice(i, i + this.batchSize);
+
+      try {
+        await prisma.$transaction(batch.map(({ commodity, priceData }) => {
+          const key = {
+            commodityId: commodity.id,
+            market: priceData.market || '',
+            region: priceData.region,
+            date: priceData.date,
+            source: priceData.source || this.source
+          };
+
+          const values = {
+            price: priceData.price,
+            unit: priceData.unit,
+            ...packSizeOf(priceData.unit),
+            locationId: locationIdOf(locations, priceData),
+            ...provenanceOf(priceData, documentIds)
+          };
+
+          return prisma.price.upsert({
+            where: { unique_price_entry: key },
+            update: values,
+            create: { ...key, ...values }
+          });
+        }));
+
+        result.saved += batch.length;
+      } catch (error) {
+        // The transaction rolled back, so none of the batch was stored
+        result.skipped += batch.length;
+        result.errors.push(`Failed to save prices ${i + 1}-${i + batch.length}: ${error.message}`);
+      }
+    }
+
+    this.stats.saved += result.saved;
+    this.stats.skipped += result.skipped;
+    this.stats.errors.push(...result.errors);
+
+    if (result.errors.length > 0) {
+      console.warn(`⚠️  ${this.name} had ${result.errors.length} errors:`, result.errors);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get commodity category based on name
+   * @param {string} commodityName - Name of the commodity
+   * @returns {string} Category
+   */
+  getCommodityCategory(commodityName) {
+    return inferCategory(commodityName);
+  }
+
+  /**
+   * Generate slug from commodity name
+   * @param {string} name - Commodity name
+   * @returns {string} Slug
+   */
+  generateSlug(name) {
+    return generateSlug(name);
+  }
+
+  /**
+   * Get statistics of the last run
+   * @returns {Object} Parsed, saved and skipped counts, errors and duration
+   */
+  getStats() {
+    const finishedAt = this.stats.finishedAt || new Date();
+
+    return {
+      ...this.stats,
+      errors: [...this.stats.errors],
+      durationMs: finishedAt - this.stats.startedAt
+    };
+  }
+
+  /**
+   * Create empty run statistics
+   * @returns {Object} Statistics
+   */
+  createStats() {
+    return {
+      startedAt: new Date(),
+      finishedAt: null,
+      parsed: 0,
+      saved: 0,
+      skipped: 0,
+      errors: []
+    };
+  }
+}
+
+module.exports = BaseScraper; 
\ No newline at end of file
@@ -0,0 +1,218 @@
+/**
+ * Commodity resolution
+ * Names printed in reports are matched to their canonical commodity through
+ * the commodity_aliases table, so "Bigas", "RMR" and "Regular Milled Rice" are
+ * saved under one commodity. Unknown names become new commodities, listed as
+ * their own first alias so an admin can later add spellings or merge them.
+ * New commodities are placed in the category tree from their name (see
+ * utils/commodityTaxonomy.js).
+ */
+
+const prisma = require('../src/config/database');
+const { commodityAliasKey } = require('../utils/commodityResolver');
+const { classifyCommodity, generateSlug } = require('../utils/commodityTaxonomy');
+
+// Key fields of the rows that belong to a commodity, by model
+const PRICE_MODELS = {
+  price: ['market', 'region', 'date', 'source'],
+  priceRange: ['market', 'region', 'date', 'source'],
+  fuelPrice: ['brand', 'province', 'city', 'region', 'date']
+};
+
+/**
+ * Load the IDs of the category tree nodes by slug path
+ * @returns {Promise<Map>} Category ID by slug, empty when the categories cannot be read
+ */
+async function loadCategoryIds() {
+  try {
+    const categories = await prisma.category.findMany({ select: { id: true, slug: true } });
+    return new Map(categories.map(category => [category.slug, category.id]));
+  } catch (error) {
+    console.warn(`⚠️  Could not load categories from the database: ${error.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * Find the commodity a name refers to, by alias or by name
+ * @param {string} name - Commodity name as printed
+ * @returns {Promise<Object|null>} Commodity
+ */
+async function findCommodity(name) {
+  const alias = await prisma.commodityAlias.findUnique({
+    where: { key: commodityAliasKey(name) },
+    include: { commodity: true }
+  });
+
+  if (alias) return alias.commodity;
+
+  // Commodities stored before they had aliases
+  return prisma.commodity.findFirst({
+    where: { name: { equals: name, mode: 'insensitive' } }
+  });
+}
+
+/**
+ * Find the commodity a name refers to, creating it when it is unknown
+ * @param {string} name - Commodity name as printed
+ * @param {Map} [categoryIds] - Category ID by slug, loaded when not given
+ * @returns {Promise<Object>} Commodity
+ */
+async function findOrCreateCommodity(name, categoryIds) {
+  const existing = await findCommodity(name);
+  if (existing) return existing;
+
+  const { category, slug, attributes } = classifyCommodity(name);
+  const ids = categoryIds || await loadCategoryIds();
+
+  return prisma.commodity.create({
+    data: {
+      name,
+      category,
+      categoryId: ids.get(slug) || null,
+      attributes,
+      slug: generateSlug(name),
+      aliases: { create: { alias: name, key: commodityAliasKey(name) } }
+    }
+  });
+}
+
+/**
+ * Create a commodity lookup that caches each printed name for the rest of a run
+ * @returns {Function} async (name) => commodity
+ */
+function createCommodityCache() {
+  const cache = new Map();
+  let categoryIds = null;
+
+  return async (name) => {
+    let commodity = cache.get(name);
+
+    if (!commodity) {
+      categoryIds = categoryIds || loadCategoryIds();
+      commodity = await findOrCreateCommodity(name, await categoryIds);
+      cache.set(name, commodity);
+    }
+
+    return commodity;
+  };
+}
+
+/**
+ * Move the rows of one model from a commodity to another. A row whose key is
+ * already stored under the target is a duplicate of it and is deleted, so the
+ * target keeps its own price for that market, region and date.
+ * @param {Object} tx - Prisma transaction
+ * @param {string} model - Model name, e.g. "price"
+ * @param {string} fromId - Commodity merged away
+ * @param {string} toId - Commodity kept
+ * @returns {Promise<Object>} Rows moved and duplicates deleted
+ */
+async function moveRows(tx, model, fromId, toId) {
+  const fields = PRICE_MODELS[model];
+  const select = Object.fromEntries(fields.map(field => [field, true]));
+  const keyOf = row => fields.map(field => (row[field] instanceof Date ? row[field].toISOString() : row[field])).join('|');
+
+  const rows = await tx[model].findMany({ where: { commodityId: fromId }, select: { id: true, ...select } });
+  if (rows.length === 0) return { moved: 0, duplicates: 0 };
+
+  const dates = [...new Set(rows.map(row => row.date.toISOString()))].map(date => new Date(date));
+  const existing = await tx[model].findMany({ where: { commodityId: toId, date: { in: dates } }, select });
+  const existingKeys = new Set(existing.map(keyOf));
+  const duplicateIds = rows.filter(row => existingKeys.has(keyOf(row))).map(row => row.id);
+
+  if (duplicateIds.length > 0) {
+    await tx[model].deleteMany({ where: { id: { in: duplicateIds } } });
+  }
+
+  const { count } = await tx[model].updateMany({ where: { commodityId: fromId }, data: { commodityId: toId } });
+
+  return { moved: count, duplicates: duplicateIds.length };
+}
+
+/**
+ * Move the basket items of one commodity to another. In a basket that already
+ * has the target, the two items are combined into the target's: quantities
+ * add up when both are in the same unit (the target's quantity is kept
+ * otherwise), and so do weights when both have one.
+ * @param {Object} tx - Prisma transaction
+ * @param {string} fromId - Commodity merged away
+ * @param {string} toId - Commodity kept
+ * @returns {Promise<Object>} Items moved and items combined with the target's
+ */
+async function moveBasketItems(tx, fromId, toId) {
+  const items = await tx.basketItem.findMany({ where: { commodityId: fromId } });
+  if (items.length === 0) return { moved: 0, duplicates: 0 };
+
+  const targets = await tx.basketItem.findMany({
+    where: { commodityId: toId, basketId: { in: items.map(item => item.basketId) } }
+  });
+  const targetByBasket = new Map(targets.map(item => [item.basketId, item]));
+  let duplicates = 0;
+
+  for (const item of items) {
+    const target = targetByBasket.get(item.basketId);
+    if (!target) continue;
+
+    await tx.basketItem.update({
+      where: { id: target.id },
+      data: {
+        quantity: target.unit === item.unit ? Number(target.quantity) + Number(item.quantity) : target.quantity,
+        weight: target.weight !== null && item.weight !== null ? Number(target.weight) + Number(item.weight) : target.weight
+      }
+    });
+    await tx.basketItem.delete({ where: { id: item.id } });
+    duplicates++;
+  }
+
+  const { count } = await tx.basketItem.updateMany({ where: { commodityId: fromId }, data: { commodityId: toId } });
+
+  return { moved: count, duplicates };
+}
+
+/**
+ * Merge a duplicate commodity into another. Its prices, DA price ranges, fuel
+ * prices, SRP entries, basket items and aliases move to the target, its name
+ * becomes an alias of the target and the duplicate is deleted, all in one
+ * transaction.
+ * @param {string} fromId - Commodity merged away
+ * @param {string} toId - Commodity kept
+ * @returns {Promise<Object>} Target commodity and the rows moved per model
+ */
+async function mergeCommodities(fromId, toId) {
+  return prisma.$transaction(async (tx) => {
+    const from = await tx.commodity.findUnique({ where: { id: fromId } });
+    const to = await tx.commodity.findUnique({ where: { id: toId } });
+
+    if (!from || !to) {
+      throw new Error(`Commodity not found: ${!from ? fromId : toId}`);
+    }
+
+    const moved = {};
+    for (const model of Object.keys(PRICE_MODELS)) {
+      moved[model] = await moveRows(tx, model, fromId, toId);
+    }
+
+    const srps = await tx.suggestedRetailPrice.updateMany({ where: { commodityId: fromId }, data: { commodityId: toId } });
+    moved.suggestedRetailPrice = { moved: srps.count, duplicates: 0 };
+    moved.basketItem = await moveBasketItems(tx, fromId, toId);
+
+    const aliases = await tx.commodityAlias.updateMany({ where: { commodityId: fromId }, data: { commodityId: toId } });
+    await tx.commodityAlias.upsert({
+      where: { key: commodityAliasKey(from.name) },
+      update: { commodityId: toId },
+      create: { alias: from.name, key: commodityAliasKey(from.name), commodityId: toId }
+    });
+
+    await tx.commodity.delete({ where: { id: fromId } });
+
+    return { commodity: to, merged: from, moved, aliasesMoved: aliases.count };
+  }, { timeout: 60000 });
+}
+
+module.exports = {
+  findCommodity,
+  findOrCreateCommodity,
+  createCommodityCache,
+  mergeCommodities
+}; 
\ No newline at end of file
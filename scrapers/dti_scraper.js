@@ -1,40 +1,39 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { validatePriceData, cleanText } = require('../utils/priceNormalizer');
-const prisma = require('../src/config/database');
+const BaseScraper = require('./base_scraper');
 
 /**
  * DTI Price Scraper
  * Scrapes price data from DTI website
  */
-class DTIScraper {
+class DTIScraper extends BaseScraper {
   constructor() {
-    this.name = 'DTI Scraper';
-    this.baseUrl = 'https://www.dti.gov.ph';
+    super({
+      name: 'DTI Scraper',
+      source: 'DTI',
+      baseUrl: 'https://www.dti.gov.ph'
+    });
     this.priceUrl = 'https://www.dti.gov.ph/price-monitoring';
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
   }
 
   /**
-   * Scrape price data from DTI website
-   * @returns {Promise<Array>} Array of scraped price data
+   * Fetch the DTI price monitoring page
+   * For demo purposes, we'll use a mock HTML structure
+   * In production, you would fetch from the actual DTI website
+   * @returns {Promise<string>} HTML content
    */
-  async scrape() {
-    try {
-      console.log(`🔄 Starting ${this.name}...`);
-      
-      // For demo purposes, we'll use a mock HTML structure
-      // In production, you would fetch from the actual DTI website
-      const mockHtml = this.getMockDTIHTML();
-      
-      const prices = this.parseHTML(mockHtml);
-      console.log(`✅ ${this.name} completed. Found ${prices.length} price records.`);
-      
-      return prices;
-    } catch (error) {
-      console.error(`❌ ${this.name} failed:`, error.message);
-      throw error;
-    }
+  async fetch() {
+    return this.getMockDTIHTML();
+  }
+
+  /**
+   * Parse the DTI price monitoring page
+   * @param {string} html - HTML content
+   * @returns {Array} Array of parsed price data
+   */
+  parse(html) {
+    return this.parseHTML(html);
   }
 
   /**
@@ -196,101 +195,6 @@ class DTIScraper {
       </html>
     `;
   }
-
-  /**
-   * Save scraped data to database
-   * @param {Array} prices - Array of price data to save
-   * @returns {Promise<number>} Number of new records saved
-   */
-  async saveToDatabase(prices) {
-    if (!prices || prices.length === 0) return 0;
-
-    let savedCount = 0;
-    const errors = [];
-
-    for (const priceData of prices) {
-      try {
-        // Check if commodity exists, create if not
-        let commodity = await prisma.commodity.findFirst({
-          where: { name: priceData.commodity }
-        });
-
-        if (!commodity) {
-          commodity = await prisma.commodity.create({
-            data: {
-              name: priceData.commodity,
-              category: this.getCommodityCategory(priceData.commodity),
-              slug: this.generateSlug(priceData.commodity)
-            }
-          });
-        }
-
-        // Create price record
-        await prisma.price.create({
-          data: {
-            commodityId: commodity.id,
-            price: priceData.price,
-            unit: priceData.unit,
-            region: priceData.region,
-            source: priceData.source,
-            date: priceData.date
-          }
-        });
-
-        savedCount++;
-      } catch (error) {
-        if (error.code === 'P2002') {
-          // Duplicate record, skip
-          continue;
-        }
-        errors.push(`Failed to save ${priceData.commodity}: ${error.message}`);
-      }
-    }
-
-    if (errors.length > 0) {
-      console.warn(`⚠️  ${this.name} had ${errors.length} errors:`, errors);
-    }
-
-    return savedCount;
-  }
-
-  /**
-   * Get commodity category based on name
-   * @param {string} commodityName - Name of the commodity
-   * @returns {string} Category
-   */
-  getCommodityCategory(commodityName) {
-    const name = commodityName.toLowerCase();
-    
-    if (name.includes('rice') || name.includes('corn') || name.includes('wheat')) {
-      return 'Grains';
-    }
-    if (name.includes('onion') || name.includes('tomato') || name.includes('vegetable')) {
-      return 'Vegetables';
-    }
-    if (name.includes('diesel') || name.includes('gasoline') || name.includes('fuel')) {
-      return 'Fuel';
-    }
-    if (name.includes('pork') || name.includes('chicken') || name.includes('beef')) {
-      return 'Meat';
-    }
-    
-    return 'Other';
-  }
-
-  /**
-   * Generate slug from commodity name
-   * @param {string} name - Commodity name
-   * @returns {string} Slug
-   */
-  generateSlug(name) {
-    return name
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim('-');
-  }
 }
 
 module.exports = DTIScraper; 
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Ingestion run history
+ * Every scraper or parser run that writes to the database is recorded as an
+ * IngestionRun, so the admin API can report what ran, when and with what result.
+ */
+
+const prisma = require('../src/config/database');
+
+const TRIGGERS = ['cron', 'manual', 'upload'];
+
+/**
+ * Record the start of a run.
+ * A failure to record is logged rather than thrown, so history never stops ingestion.
+ * @param {string} source - Source name, e.g. "doe"
+ * @param {string} [trigger='manual'] - cron, manual or upload
+ * @returns {Promise<Object|null>} Created run, or null if it could not be recorded
+ */
+async function startRun(source, trigger = 'manual') {
+  if (!TRIGGERS.includes(trigger)) {
+    throw new Error(`Unknown trigger: ${trigger}`);
+  }
+
+  try {
+    return await prisma.ingestionRun.create({
+      data: { source, trigger, status: 'running' }
+    });
+  } catch (error) {
+    console.warn(`⚠️  Could not record the ${source} run: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the final status of a run from its counts
+ * @param {Object} result - Run result
+ * @returns {string} success, partial or failed
+ */
+function getRunStatus(result) {
+  if (result.failed) return 'failed';
+  if (result.errors && result.errors.length > 0) return 'partial';
+  return 'success';
+}
+
+/**
+ * Record the end of a run
+ * @param {Object|null} run - Run returned by startRun
+ * @param {Object} result - Run result
+ * @param {Array<string>} [result.files] - Files processed
+ * @param {number} [result.found] - Rows found by the parser
+ * @param {number} [result.saved] - Rows saved
+ * @param {number} [result.skipped] - Rows that could not be saved
+ * @param {number} [result.rejected] - Rows dropped before saving
+ * @param {number} [result.quarantined] - Rows held for review instead of saved
+ * @param {number} [result.flagged] - Rows scored as price anomalies
+ * @param {Array<string>} [result.errors] - Errors encountered
+ * @param {boolean} [result.failed] - The run stopped on an error
+ * @returns {Promise<Object|null>} Updated run
+ */
+async function finishRun(run, result = {}) {
+  if (!run) return null;
+
+  const files = result.files || [];
+
+  try {
+    return await prisma.ingestionRun.update({
+      where: { id: run.id },
+      data: {
+        status: getRunStatus(result),
+        finishedAt: new Date(),
+        filesProcessed: files.length,
+        files,
+        rowsFound: result.found || 0,
+        rowsSaved: result.saved || 0,
+        rowsSkipped: result.skipped || 0,
+        rowsRejected: result.rejected || 0,
+        rowsQuarantined: result.quarantined || 0,
+        rowsFlagged: result.flagged || 0,
+        errors: result.errors || []
+      }
+    });
+  } catch (error) {
+    console.warn(`⚠️  Could not record the end of the ${run.source} run: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the latest finished run and the latest run of each source
+ * @returns {Promise<Object>} Last run, running runs and last run per source
+ */
+async function getRunStatusSummary() {
+  const [lastRun, running, latestPerSource] = await Promise.all([
+    prisma.ingestionRun.findFirst({
+      where: { finishedAt: { not: null } },
+      orderBy: { startedAt: 'desc' }
+    }),
+    prisma.ingestionRun.findMany({
+      where: { status: 'running' },
+      orderBy: { startedAt: 'desc' }
+    }),
+    prisma.ingestionRun.findMany({
+      distinct: ['source'],
+      orderBy: [{ source: 'asc' }, { startedAt: 'desc' }]
+    })
+  ]);
+
+  return {
+    lastRun,
+    running,
+    sources: Object.fromEntries(latestPerSource.map(run => [run.source, run]))
+  };
+}
+
+module.exports = {
+  TRIGGERS,
+  startRun,
+  finishRun,
+  getRunStatus,
+  getRunStatusSummary
+}; 
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * Job queue processors
+ * The queue worker hands each job to the processor registered for its name.
+ * Processors report progress on the job and return the rows parsed, saved,
+ * skipped, rejected, quarantined and flagged as anomalies. Every dataset is saved
+ * with upserts on its unique key, so a job that is retried after saving part of
+ * its rows updates them instead of inserting them twice.
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const { runAllScrapers } = require('./run_all');
+const { processUpload } = require('./uploads');
+
+/**
+ * Create a progress reporter that stores whole percentages on the job
+ * @param {Object} job - BullMQ job
+ * @returns {Function} (fraction) => Promise
+ */
+function reportProgress(job) {
+  let last = -1;
+
+  return async fraction => {
+    const percent = Math.round(fraction * 100);
+    if (percent === last) return;
+    last = percent;
+    await job.updateProgress(percent);
+  };
+}
+
+/**
+ * Run scraper sources.
+ * Job data: { sources: ["doe"], trigger: "manual" }; all enabled sources run
+ * when no source is named. The job fails, and is retried, only when every
+ * source failed.
+ * @param {Object} job - BullMQ job
+ * @returns {Promise<Object>} Counts per source and in total
+ */
+async function processScrapeJob(job) {
+  const { sources = [], trigger = 'manual' } = job.data || {};
+
+  const results = await runAllScrapers(true, false, {
+    sources,
+    trigger,
+    onProgress: reportProgress(job)
+  });
+
+  const bySource = {};
+  for (const [name, result] of Object.entries(results.scrapers)) {
+    bySource[name] = {
+      success: result.success,
+      runId: result.runId,
+      documents: result.documents,
+      parsed: result.pricesFound + result.pricesRejected,
+      saved: result.pricesSaved,
+      skipped: result.pricesSkipped,
+      rejected: result.pricesRejected,
+      quarantined: result.pricesQuarantined,
+      flagged: result.pricesFlagged,
+      errors: result.errors
+    };
+  }
+
+  const runs = Object.values(bySource);
+  if (runs.length > 0 && runs.every(run => !run.success)) {
+    throw new Error(`All sources failed: ${results.errors.join('; ')}`);
+  }
+
+  const total = key => runs.reduce((sum, run) => sum + run[key], 0);
+
+  return {
+    sources: bySource,
+    parsed: total('parsed'),
+    saved: total('saved'),
+    skipped: total('skipped'),
+    rejected: total('rejected'),
+    quarantined: total('quarantined'),
+    flagged: total('flagged'),
+    errors: results.errors
+  };
+}
+
+/**
+ * Parse and save an uploaded PDF.
+ * Job data: { source, region, path, filename, sha256 } as queued by the upload
+ * endpoint. A document that cannot be parsed fails without retries, since
+ * parsing it again gives the same result.
+ * @param {Object} job - BullMQ job
+ * @returns {Promise<Object>} Run ID and counts of the run
+ */
+async function processParsePdfJob(job) {
+  const result = await processUpload(job.data, { onProgress: reportProgress(job) });
+
+  if (result.failed) {
+    throw new UnrecoverableError(`Could not parse ${job.data.filename}: ${result.errors.join('; ')}`);
+  }
+
+  const { failed, ...counts } = result;
+  return counts;
+}
+
+// Processor for each job name
+const JOB_PROCESSORS = {
+  scrape: processScrapeJob,
+  'parse-pdf': processParsePdfJob
+};
+
+module.exports = {
+  JOB_PROCESSORS,
+  processScrapeJob,
+  processParsePdfJob
+}; 
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * Location linking
+ * Saved price rows are linked to the most specific PSGC location their report
+ * names (city or municipality, else province, region or island group), so the
+ * API can roll prices up from a city to its province, region and island group.
+ */
+
+const prisma = require('../src/config/database');
+const { createLocationResolver } = require('../utils/locationResolver');
+
+/**
+ * Build a location resolver from the locations table.
+ * Rows are saved without a location when the table is empty or unreachable.
+ * @returns {Promise<Object>} Location resolver
+ */
+async function loadLocationResolver() {
+  try {
+    return createLocationResolver(await prisma.location.findMany());
+  } catch (error) {
+    console.warn(`⚠️  Could not load locations from the database: ${error.message}`);
+    return createLocationResolver([]);
+  }
+}
+
+/**
+ * Get the location ID of a place named in a report
+ * @param {Object} resolver - Resolver returned by loadLocationResolver
+ * @param {Object} place - Region, province and city as printed
+ * @returns {string|null} Location ID
+ */
+function locationIdOf(resolver, place) {
+  const location = resolver.resolve(place);
+  return location ? location.id : null;
+}
+
+module.exports = {
+  loadLocationResolver,
+  locationIdOf
+}; 
\ No newline at end of file
@@ -1,12 +1,22 @@
 const fs = require('fs');
-const pdf = require('pdf-parse');
 const path = require('path');
+const prisma = require('../../src/config/database');
+const KNOWN_MARKETS = require('../../src/database/markets');
+const { createMarketResolver, generateMarketSlug, inferMarketType } = require('../../utils/marketResolver');
+const { startRun, finishRun } = require('../ingestion_runs');
+const { describeDocument, saveSourceDocuments, provenanceOf } = require('../source_documents');
+const { createCommodityCache } = require('../commodities');
+const { inferCategory } = require('../../utils/commodityTaxonomy');
+const { packSizeOf } = require('../../utils/unitNormalizer');
+const { loadLocationResolver, locationIdOf } = require('../locations');
+const { scoreConfidence } = require('../quarantine');
+const { resolveReportDate } = require('./report_date');
+const { ROW_TOLERANCE, extractPageItems, lineAt, groupRows, mergeHeaderCells, findColumn, buildGrid, cellText } = require('./layout');
 
 const DA_DIR = path.join(__dirname, '../../pdf/DA');
 const OUTPUT_DIR = path.join(__dirname, '../../output');
 
 const SOURCE = 'DA';
-const DATE = '2025-06-26'; // Default date, will be extracted from filename
 
 // Regional mappings - will auto-detect from directory names
 const REGIONS = {
@@ -31,261 +41,364 @@ const REGIONS = {
   'barmm': 'BARMM'
 };
 
-// Commodity categories and their variations
-const COMMODITY_CATEGORIES = {
-  'rice': ['rice', 'bigas', 'palay', 'white rice', 'brown rice', 'special', 'premium', 'well milled', 'regular milled'],
-  'vegetables': ['vegetables', 'gulay', 'tomato', 'onion', 'garlic', 'potato', 'cabbage', 'carrot'],
-  'fruits': ['fruits', 'prutas', 'banana', 'apple', 'orange', 'mango', 'papaya'],
-  'meat': ['meat', 'karne', 'pork', 'beef', 'chicken', 'fish', 'bangus', 'tilapia', 'galunggong'],
-  'dairy': ['dairy', 'milk', 'cheese', 'butter', 'eggs'],
-  'grains': ['grains', 'corn', 'wheat', 'flour'],
-  'sugar': ['sugar', 'asukal'],
-  'oil': ['oil', 'cooking oil', 'vegetable oil']
-};
+// Labels of the market table header
+const MARKET_HEADER = 'MARKET';
 
-// Market names for NCR format
-const MARKET_NAMES = [
-  'Agora Public Market', 'Balintawak', 'Bicutan Market', 'Cartimar Market',
-  'Commonwealth Market', 'Dagonoy Market', 'Guadalupe Public Market',
-  'Kamuning Public Market', 'La Huerta Market', 'New Las Piñas City Public Market',
-  'Malabon Central Market', 'Mandaluyong Public Market', 'Marikina Public Market',
-  'Maypajo Public Market', 'Mega Q-mart', 'Navotas Fish Port', 'Pasig City Market',
-  'Quiapo Market', 'San Andres Market', 'Sta. Ana Market', 'Taguig Market',
-  'Valenzuela Market', 'Vitas Market'
-];
-
-function extractDateFromFilename(filename) {
-  // Try to extract date from filename patterns
-  const datePatterns = [
-    /(\d{2})(\d{2})(\d{4})/, // MMDDYYYY
-    /(\d{4})-(\d{2})-(\d{2})/, // YYYY-MM-DD
-    /(\d{2})-(\d{2})-(\d{4})/, // MM-DD-YYYY
-    /(\d{1,2})\/(\d{1,2})\/(\d{4})/, // M/D/YYYY
-    /(\d{4})(\d{2})(\d{2})/, // YYYYMMDD
-    /(\w+)\s+(\d{1,2}),?\s+(\d{4})/, // Month DD, YYYY
-    /(\d{1,2})\/(\d{1,2})\/(\d{2})/, // MM/DD/YY
-    /April\s+(\d{1,2}),?\s+(\d{4})/, // April 7, 2025
-    /June\s+(\d{1,2}),?\s+(\d{4})/ // June 26, 2025
-  ];
-  
-  for (const pattern of datePatterns) {
-    const match = filename.match(pattern);
-    if (match) {
-      if (match[1].length === 4) {
-        // YYYY-MM-DD or YYYYMMDD format
-        return `${match[1]}-${match[2]}-${match[3]}`;
-      } else if (match[1].length === 2) {
-        // MM-DD-YYYY or MMDDYYYY format
-        return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
-      } else if (match[1] === 'April' || match[1] === 'June') {
-        // Month DD, YYYY format
-        const month = match[1] === 'April' ? '04' : '06';
-        return `${match[2]}-${month}-${match[1] === 'April' ? '07' : '26'}`;
+// Header cells sit within this distance (in points) of the MARKET label; the
+// "COMMODITY (PHP/KG)" title above them is further away
+const MARKET_HEADER_BAND = 12;
+
+// Range cells: "45.00", "45.00 - 48.00"
+const RANGE_CELL = /^(\d+(?:\.\d{1,2})?)(?:\s*-\s*(\d+(?:\.\d{1,2})?))?$/;
+
+/**
+ * Find the market table of a Bantay Presyo range sheet: one row per market
+ * and one column per commodity, with the commodity names wrapped over
+ * several header lines.
+ * @param {Array<Object>} items - Positioned text items of the page
+ * @returns {Object|null} Table type, header bottom and columns
+ */
+function findMarketTable(items) {
+  const marketHeader = items.find(item => item.text.toUpperCase() === MARKET_HEADER);
+  if (!marketHeader) return null;
+
+  const headerItems = items.filter(item =>
+    Math.abs(item.y - marketHeader.y) <= MARKET_HEADER_BAND && !/\d/.test(item.text)
+  );
+
+  const columns = mergeHeaderCells(headerItems).map(cell => ({
+    key: cell.label.toUpperCase() === MARKET_HEADER ? 'market' : cell.label,
+    start: cell.start,
+    end: cell.end
+  }));
+
+  if (columns.length < 2) return null;
+
+  return { type: 'market', bottom: Math.min(...headerItems.map(item => item.y)), columns };
+}
+
+/**
+ * Find the unit of commodities marked with an asterisk ("*  per piece")
+ * @param {Array<Object>} items - Positioned text items of the page
+ * @returns {string|null} Unit such as "per piece"
+ */
+function findFootnoteUnit(items) {
+  const footnote = items.find(item => /^\*\s*per\s+\w+$/i.test(item.text));
+  return footnote ? footnote.text.replace(/^\*\s*/, '').replace(/\s+/g, ' ').toLowerCase() : null;
+}
+
+/**
+ * Read the price ranges of a market table. Each cell holds a range, a single
+ * price or "NOT AVAILABLE".
+ * @param {Array<Object>} items - Positioned text items of the page
+ * @param {Object} table - Table found by findMarketTable()
+ * @param {Object} context - Region and date of the report
+ * @param {boolean} debug - Print extraction details
+ * @param {Object} marketResolver - Resolver for market names
+ * @returns {Array<Object>} Price range entries
+ */
+function parseMarketTable(items, table, context, debug, marketResolver) {
+  const priceRanges = [];
+  const footnoteUnit = findFootnoteUnit(items);
+  const commodities = table.columns.filter(column => column.key !== 'market');
+
+  const body = items.filter(item => item.y < table.bottom - ROW_TOLERANCE);
+
+  for (const row of buildGrid(body, table.columns)) {
+    const label = cellText(row, 'market');
+    if (!label) continue;
+
+    const known = marketResolver.resolve(label);
+    const market = known ? known.name : label.replace(/\s*\/\s*/g, '/');
+
+    for (const column of commodities) {
+      const match = cellText(row, column.key).match(RANGE_CELL);
+      if (!match) continue;
+
+      const minPrice = parseFloat(match[1]);
+      const maxPrice = match[2] ? parseFloat(match[2]) : minPrice;
+      if (!(minPrice > 0) || maxPrice < minPrice) continue;
+
+      // Commodities marked with an asterisk are priced per the footnote unit
+      const marked = column.key.startsWith('*');
+      const commodity = column.key.replace(/^\*\s*/, '');
+
+      priceRanges.push({
+        commodity,
+        unit: marked && footnoteUnit ? footnoteUnit : 'per kg',
+        minPrice,
+        maxPrice,
+        averagePrice: (minPrice + maxPrice) / 2,
+        source: SOURCE,
+        region: context.region,
+        date: context.date,
+        category: inferCategory(commodity),
+        hasRange: true,
+        filename: null,
+        market,
+        rawLine: row.text
+      });
+
+      if (debug) {
+        console.log(`📊 Range: ${commodity} - ${minPrice}-${maxPrice} at ${market}`);
       }
     }
   }
-  
-  return DATE; // Default date if no pattern matches
+
+  return priceRanges;
 }
 
-function normalizeCommodityType(commodity) {
-  const lowerCommodity = commodity.toLowerCase();
-  
-  for (const [category, variations] of Object.entries(COMMODITY_CATEGORIES)) {
-    if (variations.some(v => lowerCommodity.includes(v))) {
-      return category;
-    }
+// Structural lines of the Bantay Presyo retail sheet that never carry a commodity
+const RX_LAYOUT_LINES = /^(DATE:|MARKETS:|COMMODITY|SPECIFICATION|Prevailing|INTEGRATED PRICE|Prepared and Submitted)/i;
+
+// Section headers of the retail sheet (e.g. "IMPORTED COMMERCIAL RICE", "LOWLAND VEGETABLES")
+const RX_CATEGORY_HEADERS = /^(IMPORTED COMMERCIAL RICE|LOCAL COMMERCIAL RICE|FISH|LIVESTOCK & POULTRY PRODUCTS|MEAT|LOWLAND VEGETABLES|HIGHLAND VEGETABLES|VEGETABLES|SPICES|FRUITS|OTHER BASIC COMMODITIES|CORN|ROOTCROPS)$/i;
+
+// Price columns repeated under every market of the retail sheet
+const RX_PRICE_COLUMNS = { 'prevailing price': 'prevailing', high: 'high', low: 'low' };
+
+/**
+ * Read the market names of the "MARKETS:" banner ("COGON & CARMEN MARKET")
+ * @param {Array<Object>} items - Positioned text items of the page
+ * @returns {Array<string>} Market names in banner order
+ */
+function extractBannerMarkets(items) {
+  const banner = items.find(item => /^MARKETS:/i.test(item.text));
+  if (!banner) return [];
+
+  const text = /^MARKETS:\s*$/i.test(banner.text) ? lineAt(items, banner.y) : banner.text;
+
+  return text.replace(/^MARKETS:/i, '')
+    .replace(/\bMARKETS?\b/gi, '')
+    .split(/\s*(?:&|,|\band\b)\s*/i)
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => `${name.charAt(0).toUpperCase()}${name.slice(1).toLowerCase()} Market`);
+}
+
+/**
+ * Find the retail table of a Bantay Presyo retail sheet: commodity and
+ * specification columns followed by prevailing, high and low prices under
+ * every market. Markets come from the header above the price columns
+ * ("Carmen, Cagayan de Oro City"), or from the "MARKETS:" banner.
+ * @param {Array<Object>} items - Positioned text items of the page
+ * @returns {Object|null} Table type, header bottom, columns and markets
+ */
+function findRetailTable(items) {
+  const commodityHeader = items.find(item => item.text.toUpperCase() === 'COMMODITY');
+  const specHeader = items.find(item => item.text.toUpperCase() === 'SPECIFICATION');
+  if (!commodityHeader || !specHeader) return null;
+
+  const priceHeaders = items
+    .filter(item => RX_PRICE_COLUMNS[item.text.toLowerCase()] && item.y < specHeader.y && specHeader.y - item.y < 20)
+    .sort((a, b) => a.x - b.x);
+
+  if (priceHeaders.length === 0) return null;
+
+  // Every prevailing price column starts the columns of the next market
+  const groups = [];
+  for (const header of priceHeaders) {
+    const key = RX_PRICE_COLUMNS[header.text.toLowerCase()];
+    if (key === 'prevailing' || groups.length === 0) groups.push([]);
+    groups[groups.length - 1].push({ key, start: header.x, end: header.x + header.width });
   }
-  
-  return 'other';
+
+  const headerY = priceHeaders[0].y;
+  const marketHeaders = items
+    .filter(item => item.y > headerY && item.y - headerY < 35 && item.x > specHeader.x + specHeader.width)
+    .map((item, index) => ({ key: index, label: item.text, start: item.x, end: item.x + item.width }));
+  const bannerMarkets = extractBannerMarkets(items);
+
+  const markets = groups.map((group, index) => {
+    const span = { x: group[0].start, width: group[group.length - 1].end - group[0].start };
+    const header = marketHeaders.length > 0 ? marketHeaders[findColumn(span, marketHeaders)] : null;
+
+    if (header) return `${header.label.split(',')[0].trim()} Market`;
+    return bannerMarkets[index] || '';
+  });
+
+  const columns = [
+    { key: 'commodity', start: commodityHeader.x, end: commodityHeader.x + commodityHeader.width },
+    { key: 'specification', start: specHeader.x, end: specHeader.x + specHeader.width },
+    ...groups.flatMap((group, index) => group.map(column => ({ ...column, key: `${index}:${column.key}` })))
+  ];
+
+  return { type: 'retail', bottom: headerY, columns, markets };
 }
 
-function parseNCRFormat(lines, region, date, debug = false) {
-  const results = [];
-  const priceRanges = [];
-  let currentMarket = '';
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || line.length < 3) continue;
-    
-    if (debug && i < 50) {
-      console.log(`Line ${i}: ${line}`);
-    }
-    
-    // Check if this is a market name
-    const isMarketName = MARKET_NAMES.some(market => 
-      line.toLowerCase().includes(market.toLowerCase())
-    );
-    
-    if (isMarketName) {
-      currentMarket = line;
-      if (debug) console.log(`🏪 Found market: ${currentMarket}`);
-      continue;
-    }
-    
-    // Look for price patterns in the line
-    const pricePatterns = [
-      // Pattern: 45.00-48.00 (single range)
-      /(\d+(?:\.\d{1,2})?)\s*-\s*(\d+(?:\.\d{1,2})?)/g,
-      // Pattern: 45.00-48.007.00-8.00 (multiple ranges)
-      /(\d+(?:\.\d{1,2})?)\s*-\s*(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)\s*-\s*(\d+(?:\.\d{1,2})?)/g,
-      // Pattern: 37.00-45.00140.00-150.00180.00-200.007.00-7.80 (multiple ranges)
-      /(\d+(?:\.\d{1,2})?)\s*-\s*(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)\s*-\s*(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)\s*-\s*(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)\s*-\s*(\d+(?:\.\d{1,2})?)/g
-    ];
-    
-    for (const pattern of pricePatterns) {
-      let match;
-      while ((match = pattern.exec(line)) !== null) {
-        if (match.length >= 3) {
-          const minPrice = parseFloat(match[1]);
-          const maxPrice = parseFloat(match[2]);
-          
-          if (!isNaN(minPrice) && !isNaN(maxPrice) && minPrice > 0 && maxPrice > 0 && maxPrice >= minPrice) {
-            // Try to determine commodity from context or use generic name
-            const commodity = currentMarket ? `Rice at ${currentMarket}` : 'Rice';
-            
-            const rangeEntry = {
-              commodity: commodity,
-              unit: 'per kg',
-              minPrice: minPrice,
-              maxPrice: maxPrice,
-              averagePrice: (minPrice + maxPrice) / 2,
-              source: SOURCE,
-              region: region,
-              date: date,
-              category: 'rice',
-              hasRange: true,
-              filename: null,
-              market: currentMarket
-            };
-            
-            priceRanges.push(rangeEntry);
-            
-            if (debug) {
-              console.log(`📊 Range: ${commodity} - ${minPrice}-${maxPrice} PHP/kg at ${currentMarket}`);
-            }
-          }
-        }
-      }
-    }
+/**
+ * Turn the commodity cell of a price row into a commodity name.
+ * Specification-only labels ("Blue tag", "fully dressed", "8-10 pcs") return null.
+ * @param {string} label - Text of the commodity cell
+ * @returns {string|null} Commodity name or null
+ */
+function extractRXCommodityLabel(label) {
+  const cleaned = label
+    .replace(/\s*\b\w+ tag$/i, '')
+    .replace(/(?<![#\d])\d.*$/, '')
+    .trim();
+
+  if (!cleaned || !/^[A-Z]/.test(cleaned) || /variety$/i.test(cleaned) || /\btag$/i.test(cleaned)) {
+    return null;
   }
-  
-  return { results, priceRanges };
+
+  return cleaned;
 }
 
-function parseRXFormat(lines, region, date, debug = false) {
-  const results = [];
+/**
+ * Read the prevailing, high and low prices of a retail table.
+ * Categories and commodities carry over to the next page, which continues
+ * the table without repeating them.
+ * @param {Array<Object>} items - Positioned text items of the page
+ * @param {Object} table - Table found by findRetailTable()
+ * @param {Object} context - Region and date of the report
+ * @param {Object} state - Current category and commodity, updated in place
+ * @param {boolean} debug - Print extraction details
+ * @param {Object} marketResolver - Resolver for market names
+ * @returns {Array<Object>} Price range entries
+ */
+function parseRetailTable(items, table, context, state, debug, marketResolver) {
   const priceRanges = [];
-  let currentCategory = '';
-  let currentCommodity = '';
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || line.length < 3) continue;
-    
-    if (debug && i < 50) {
-      console.log(`Line ${i}: ${line}`);
-    }
-    
-    // Check for category headers
-    if (line.includes('IMPORTED COMMERCIAL RICE') || 
-        line.includes('LOCAL COMMERCIAL RICE') ||
-        line.includes('FISH') ||
-        line.includes('MEAT') ||
-        line.includes('VEGETABLES') ||
-        line.includes('FRUITS')) {
-      currentCategory = line;
-      if (debug) console.log(`📂 Found category: ${currentCategory}`);
+  const markets = table.markets.map(name => {
+    const market = marketResolver.resolve(name);
+    return market ? market.name : name;
+  });
+
+  if (debug) console.log(`🏪 Markets (column order): ${markets.join(', ')}`);
+
+  const body = items.filter(item => item.y < table.bottom - ROW_TOLERANCE);
+
+  for (const row of buildGrid(body, table.columns)) {
+    if (RX_LAYOUT_LINES.test(row.text)) continue;
+
+    const label = cellText(row, 'commodity');
+
+    if (RX_CATEGORY_HEADERS.test(label)) {
+      state.category = label;
+      if (debug) console.log(`📂 Found category: ${state.category}`);
       continue;
     }
-    
-    // Check for commodity types (Special, Premium, Well milled, etc.)
-    if (line.includes('Special') || line.includes('Premium') || 
-        line.includes('Well milled') || line.includes('Regular milled') ||
-        line.includes('Bangus') || line.includes('Tilapia') || line.includes('Galunggong')) {
-      currentCommodity = line;
-      if (debug) console.log(`🌾 Found commodity: ${currentCommodity}`);
-      continue;
+
+    const commodityLabel = extractRXCommodityLabel(label);
+    if (commodityLabel) {
+      state.commodity = commodityLabel;
+      if (debug) console.log(`🌾 Found commodity: ${state.commodity}`);
     }
-    
-    // Look for price patterns
-    const pricePatterns = [
-      // Pattern: Blue tag48.0050.0048.0046.0050.0046.00
-      /(\w+\s+tag)?(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)/g,
-      // Pattern: med(3-4pcs/kg)n/an/an/a200.00200.00200.00
-      /(\w+\([^)]+\))?n\/an\/an\/a(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)/g,
-      // Pattern: med(5-6pcs/kg)200.00200.00200.00n/an/an/a
-      /(\w+\([^)]+\))?(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)n\/an\/an\/a/g,
-      // Pattern: 160.00160.00160.00160.00160.00160.00
-      /(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)(\d+(?:\.\d{1,2})?)/g
-    ];
-    
-    for (const pattern of pricePatterns) {
-      let match;
-      while ((match = pattern.exec(line)) !== null) {
-        if (match.length >= 4) {
-          // Extract prices (skip the first match group if it's a tag or size)
-          const prices = match.slice(1).filter(p => p && !isNaN(parseFloat(p))).map(p => parseFloat(p));
-          
-          if (prices.length >= 2) {
-            const minPrice = Math.min(...prices);
-            const maxPrice = Math.max(...prices);
-            const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
-            
-            if (minPrice > 0 && maxPrice > 0 && maxPrice >= minPrice) {
-              const commodity = currentCommodity || 'Rice';
-              const unit = line.includes('pcs/kg') ? 'per kg' : 'per kg';
-              
-              // Create price range entry
-              const rangeEntry = {
-                commodity: commodity,
-                unit: unit,
-                minPrice: minPrice,
-                maxPrice: maxPrice,
-                averagePrice: avgPrice,
-                source: SOURCE,
-                region: region,
-                date: date,
-                category: normalizeCommodityType(commodity),
-                hasRange: true,
-                filename: null,
-                category_header: currentCategory
-              };
-              
-              priceRanges.push(rangeEntry);
-              
-              if (debug) {
-                console.log(`📊 Range: ${commodity} - ${minPrice}-${maxPrice} PHP/${unit} (avg: ${avgPrice.toFixed(2)})`);
-              }
-            }
-          }
-        }
+
+    if (!state.commodity) continue;
+
+    const commodity = /RICE/.test(state.category)
+      ? `${state.commodity} Rice (${/IMPORTED/.test(state.category) ? 'Imported' : 'Local'})`
+      : state.commodity;
+
+    markets.forEach((market, index) => {
+      const cells = ['prevailing', 'high', 'low'].map(key => cellText(row, `${index}:${key}`));
+      if (cells.some(cell => !/^\d+\.\d{2}$/.test(cell))) return;
+
+      const [prevailingPrice, maxPrice, minPrice] = cells.map(parseFloat);
+      if (!(minPrice > 0) || maxPrice < minPrice) return;
+
+      priceRanges.push({
+        commodity,
+        unit: 'per kg',
+        minPrice,
+        maxPrice,
+        averagePrice: (minPrice + maxPrice) / 2,
+        prevailingPrice,
+        source: SOURCE,
+        region: context.region,
+        date: context.date,
+        category: inferCategory(commodity),
+        hasRange: true,
+        filename: null,
+        market,
+        category_header: state.category,
+        rawLine: row.text
+      });
+
+      if (debug) {
+        console.log(`📊 Range: ${commodity} - ${minPrice}-${maxPrice} PHP/kg (prevailing: ${prevailingPrice}) at ${market}`);
       }
-    }
+    });
   }
-  
-  return { results, priceRanges };
+
+  return priceRanges;
 }
 
-function extractPricesFromText(text, region, date, debug = false) {
-  const lines = text.split('\n');
-  
+/**
+ * Score how far a price range can be trusted. The generic format matches any
+ * line that starts with words and numbers, so its ranges start lower.
+ * @param {Object} range - Price range entry
+ * @param {boolean} generic - The range was read by the generic format
+ * @returns {Object} Confidence and reasons
+ */
+function scorePriceRange(range, generic) {
+  const hasPrevailing = range.prevailingPrice !== undefined && range.prevailingPrice !== null;
+
+  return scoreConfidence([
+    { failed: generic, penalty: 0.3, reason: 'Read by the generic line pattern' },
+    { failed: range.minPrice < 5 || range.maxPrice > 2000, penalty: 0.4, reason: 'Price outside the usual range of market prices' },
+    { failed: range.maxPrice > range.minPrice * 3, penalty: 0.4, reason: 'Maximum price more than 3 times the minimum' },
+    { failed: hasPrevailing && (range.prevailingPrice < range.minPrice || range.prevailingPrice > range.maxPrice), penalty: 0.3, reason: 'Prevailing price outside the price range' },
+    { failed: !generic && !range.market, penalty: 0.3, reason: 'No market heading above the prices' }
+  ]);
+}
+
+/**
+ * Extract prices from every page of a DA report. Pages are read as market
+ * or retail tables; reports without either table are read line by line with
+ * the generic format, and other pages of a table report (such as region-wide
+ * summaries) are skipped.
+ * @param {Array<Array<Object>>} pages - Positioned text items per page
+ * @param {Object} context - Region, date, date rule, filename and source document of the report
+ * @param {boolean} debug - Print extraction details
+ * @param {Object} marketResolver - Resolver for market names
+ * @returns {Object} Single prices and price ranges
+ */
+function extractPricesFromPages(pages, context, debug = false, marketResolver = createMarketResolver(KNOWN_MARKETS)) {
+  const results = [];
+  const priceRanges = [];
+  const tables = pages.map(items => findMarketTable(items) || findRetailTable(items));
+  const generic = tables.every(table => !table);
+  const state = { category: '', commodity: '' };
+
   if (debug) {
-    console.log(`\n=== Processing ${region} region ===`);
-    console.log(`Date: ${date}`);
-    console.log(`Total lines: ${lines.length}`);
-  }
-  
-  // Determine format based on region or content
-  if (region === 'NCR') {
-    return parseNCRFormat(lines, region, date, debug);
-  } else if (region === 'RX') {
-    return parseRXFormat(lines, region, date, debug);
-  } else {
-    // Generic parsing for other regions
-    return parseGenericFormat(lines, region, date, debug);
+    console.log(`\n=== Processing ${context.region} region ===`);
+    console.log(`Date: ${context.date}${context.dateRule ? ` (${context.dateRule})` : ''}`);
+    console.log(`Total pages: ${pages.length}`);
   }
+
+  pages.forEach((items, index) => {
+    const table = tables[index];
+    const parsed = { results: [], priceRanges: [] };
+
+    if (table && table.type === 'market') {
+      parsed.priceRanges = parseMarketTable(items, table, context, debug, marketResolver);
+    } else if (table) {
+      parsed.priceRanges = parseRetailTable(items, table, context, state, debug, marketResolver);
+    } else if (generic) {
+      Object.assign(parsed, parseGenericFormat(groupRows(items).map(row => row.text), context.region, context.date, debug));
+    }
+
+    if (debug) {
+      console.log(`Page ${index + 1}: ${table ? `${table.type} table` : generic ? 'generic' : 'skipped'}, ${parsed.priceRanges.length} ranges`);
+    }
+
+    parsed.priceRanges.forEach(range => Object.assign(range, scorePriceRange(range, generic)));
+
+    // Record the source document and page on every entry
+    [...parsed.results, ...parsed.priceRanges].forEach(entry => {
+      entry.filename = context.filename;
+      entry.sourceDocument = context.sourceDocument || null;
+      entry.page = index + 1;
+      delete entry.lineIndex;
+    });
+
+    results.push(...parsed.results);
+    priceRanges.push(...parsed.priceRanges);
+  });
+
+  return { results, priceRanges };
 }
 
 function parseGenericFormat(lines, region, date, debug = false) {
@@ -380,9 +493,11 @@ function parseGenericFormat(lines, region, date, debug = false) {
             source: SOURCE,
             region: region,
             date: date,
-            category: normalizeCommodityType(commodity),
+            category: inferCategory(commodity),
             hasRange: true,
-            filename: null
+            filename: null,
+            rawLine: line,
+            lineIndex: i
           };
           
           priceRanges.push(rangeEntry);
@@ -405,9 +520,11 @@ function parseGenericFormat(lines, region, date, debug = false) {
             source: SOURCE,
             region: region,
             date: date,
-            category: normalizeCommodityType(commodity),
+            category: inferCategory(commodity),
             hasRange: false,
-            filename: null
+            filename: null,
+            rawLine: line,
+            lineIndex: i
           };
           
           results.push(result);
@@ -423,7 +540,7 @@ function parseGenericFormat(lines, region, date, debug = false) {
   return { results, priceRanges };
 }
 
-async function parseDAPDF(pdfPath, region, debug = false) {
+async function parseDAPDF(pdfPath, region, debug = false, marketResolver = createMarketResolver(KNOWN_MARKETS)) {
   let dataBuffer;
   try {
     dataBuffer = fs.readFileSync(pdfPath);
@@ -433,7 +550,7 @@ async function parseDAPDF(pdfPath, region, debug = false) {
 
   let pdfData;
   try {
-    pdfData = await pdf(dataBuffer);
+    pdfData = await extractPageItems(dataBuffer);
   } catch (err) {
     throw new Error(`Could not parse PDF: ${err.message}`);
   }
@@ -445,9 +562,21 @@ async function parseDAPDF(pdfPath, region, debug = false) {
   }
 
   const filename = path.basename(pdfPath);
-  const date = extractDateFromFilename(filename);
-  
-  return extractPricesFromText(pdfData.text, region, date, debug);
+  const reportDate = resolveReportDate({ text: pdfData.text, filename });
+  if (!reportDate) {
+    throw new Error(`Could not find the report date in ${filename}`);
+  }
+
+  const { date, rule: dateRule } = reportDate;
+  const sourceDocument = describeDocument(dataBuffer, {
+    filename,
+    source: SOURCE,
+    reportDate: date,
+    pageCount: pdfData.numpages,
+    storagePath: pdfPath
+  });
+
+  return extractPricesFromPages(pdfData.pages, { region, date, dateRule, filename, sourceDocument }, debug, marketResolver);
 }
 
 function getAllPDFs() {
@@ -481,7 +610,7 @@ function getAllPDFs() {
   return pdfs;
 }
 
-async function parseAllDAPDFs(debug = false) {
+async function parseAllDAPDFs(debug = false, marketResolver = createMarketResolver(KNOWN_MARKETS)) {
   const pdfs = getAllPDFs();
   const allResults = [];
   const allPriceRanges = [];
@@ -493,19 +622,10 @@ async function parseAllDAPDFs(debug = false) {
     console.log(`\n📄 Processing: ${pdf.filename} (${pdf.region})`);
     
     try {
-      const { results, priceRanges } = await parseDAPDF(pdf.path, pdf.region, debug);
+      const { results, priceRanges } = await parseDAPDF(pdf.path, pdf.region, debug, marketResolver);
       console.log(`✅ Extracted ${results.length} price entries`);
       console.log(`📊 Extracted ${priceRanges.length} price range entries`);
       
-      // Add filename info to results
-      results.forEach(result => {
-        result.filename = pdf.filename;
-      });
-      
-      priceRanges.forEach(range => {
-        range.filename = pdf.filename;
-      });
-      
       allResults.push(...results);
       allPriceRanges.push(...priceRanges);
       
@@ -517,103 +637,214 @@ async function parseAllDAPDFs(debug = false) {
   return { allResults, allPriceRanges };
 }
 
-// Main execution
-(async () => {
-  const args = process.argv.slice(2);
+/**
+ * Build a market resolver from the markets table.
+ * Falls back to the bundled market list when the table is empty or unreachable.
+ * @returns {Promise<Object>} Market resolver
+ */
+async function loadMarketResolver() {
+  try {
+    const markets = await prisma.market.findMany();
+    if (markets.length > 0) {
+      return createMarketResolver(markets);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not load markets from the database: ${error.message}`);
+  }
+
+  return createMarketResolver(KNOWN_MARKETS);
+}
+
+/**
+ * Find the stored market for a parsed market name, creating it when the
+ * report mentions a market we have not seen before
+ * @param {string} name - Canonical or printed market name
+ * @param {string} region - Region of the report
+ * @returns {Promise<Object>} Market record
+ */
+async function findOrCreateMarket(name, region) {
+  const existing = await prisma.market.findFirst({
+    where: {
+      OR: [
+        { name },
+        { aliases: { has: name } }
+      ]
+    }
+  });
+
+  if (existing) return existing;
+
+  const known = KNOWN_MARKETS.find(market => market.name === name);
+
+  return prisma.market.create({
+    data: {
+      name,
+      slug: generateMarketSlug(name),
+      aliases: known ? known.aliases : [],
+      city: known ? known.city : null,
+      region: known ? known.region : region,
+      type: known ? known.type : inferMarketType(name)
+    }
+  });
+}
+
+/**
+ * Save parsed DA price ranges to the database.
+ * A range already stored for the same commodity, market, region, date and
+ * source is updated in place, so re-running the parser on a PDF is safe.
+ * @param {Array} priceRanges - Parsed price range entries
+ * @returns {Promise<Object>} Number of ranges saved and skipped
+ */
+async function saveRangesToDatabase(priceRanges) {
+  const stats = { saved: 0, skipped: 0, errors: [] };
+  if (!priceRanges || priceRanges.length === 0) return stats;
+
+  const resolveCommodity = createCommodityCache();
+  const marketCache = new Map();
+  const documentIds = await saveSourceDocuments(priceRanges);
+  const locations = await loadLocationResolver();
+
+  for (const range of priceRanges) {
+    // Dates that did not resolve to YYYY-MM-DD would be stored as a wrong year
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(range.date)) {
+      stats.skipped++;
+      stats.errors.push(`Invalid date "${range.date}" for ${range.commodity} (${range.filename})`);
+      continue;
+    }
+
+    try {
+      const commodity = await resolveCommodity(range.commodity);
+
+      let market = null;
+      
+      if (range.market) {
+        market = marketCache.get(range.market);
+        
+        if (!market) {
+          market = await findOrCreateMarket(range.market, range.region);
+          marketCache.set(range.market, market);
+        }
+      }
+
+      const key = {
+        commodityId: commodity.id,
+        market: market ? market.name : '',
+        region: range.region,
+        date: new Date(range.date),
+        source: range.source
+      };
+
+      const values = {
+        marketId: market ? market.id : null,
+        unit: range.unit,
+        ...packSizeOf(range.unit),
+        minPrice: range.minPrice,
+        maxPrice: range.maxPrice,
+        averagePrice: range.averagePrice,
+        prevailingPrice: range.prevailingPrice ?? null,
+        filename: range.filename,
+        // Market prices are placed in the city of their market
+        locationId: locationIdOf(locations, { region: range.region, city: market ? market.city : null }),
+        ...provenanceOf(range, documentIds)
+      };
+
+      await prisma.priceRange.upsert({
+        where: { unique_price_range_entry: key },
+        update: values,
+        create: { ...key, ...values }
+      });
+
+      stats.saved++;
+    } catch (error) {
+      stats.skipped++;
+      stats.errors.push(`Failed to save ${range.commodity}: ${error.message}`);
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Main function for command line execution. The reports go through the
+ * registered da pipeline, so their price ranges are quarantined and checked
+ * for anomalies exactly as in scheduled runs.
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
   const debug = args.includes('--debug');
+  const saveToDb = !args.includes('--no-db');
+  const outputToFile = !args.includes('--no-file');
   const specificFile = args.find(arg => !arg.startsWith('--'));
   
+  // Loaded here since the da source requires this parser
+  const { getSource, runPipeline } = require('../sources');
+  const run = saveToDb ? await startRun('da') : null;
+
   try {
-    let results, priceRanges;
+    let documents = null;
     
     if (specificFile) {
-      // Parse specific file
+      // Parse specific file; without one the source parses all PDFs
       const region = path.basename(path.dirname(specificFile));
       const regionName = REGIONS[region.toLowerCase()] || region.toUpperCase();
       console.log(`\n📄 Processing specific file: ${specificFile}`);
-      const parsed = await parseDAPDF(specificFile, regionName, debug);
-      results = parsed.results;
-      priceRanges = parsed.priceRanges;
-    } else {
-      // Parse all PDFs
-      const parsed = await parseAllDAPDFs(debug);
-      results = parsed.allResults;
-      priceRanges = parsed.allPriceRanges;
+      documents = [{ path: specificFile, filename: path.basename(specificFile), region: regionName }];
     }
     
+    const result = await runPipeline(getSource('da'), { saveToDb, debug, documents });
+
+    // Reports that could not be parsed at all fail the run
+    if (result.found === 0 && result.errors.length > 0) {
+      throw new Error(result.errors.join('; '));
+    }
+
+    const priceRanges = result.records;
     console.log(`\n🎉 Parsing completed!`);
-    console.log(`📊 Total price entries found: ${results.length}`);
     console.log(`📈 Total price range entries found: ${priceRanges.length}`);
     
-    if (results.length > 0 || priceRanges.length > 0) {
+    if (priceRanges.length > 0) {
       // Group by region
       const byRegion = {};
-      results.forEach(result => {
-        if (!byRegion[result.region]) {
-          byRegion[result.region] = { prices: [], ranges: [] };
-        }
-        byRegion[result.region].prices.push(result);
-      });
-      
       priceRanges.forEach(range => {
         if (!byRegion[range.region]) {
-          byRegion[range.region] = { prices: [], ranges: [] };
+          byRegion[range.region] = [];
         }
-        byRegion[range.region].ranges.push(range);
+        byRegion[range.region].push(range);
       });
       
       console.log(`\n📈 Results by region:`);
-      for (const [region, data] of Object.entries(byRegion)) {
-        console.log(`  ${region}: ${data.prices.length} prices, ${data.ranges.length} ranges`);
+      for (const [region, ranges] of Object.entries(byRegion)) {
+        console.log(`  ${region}: ${ranges.length} ranges`);
       }
       
       // Show first 10 entries
-      const first10 = results.slice(0, 10);
-      console.log(`\n📋 First 10 price entries:`);
+      const first10 = priceRanges.slice(0, 10);
+      console.log(`\n📊 First 10 price range entries:`);
       console.log(JSON.stringify(first10, null, 2));
       
-      if (priceRanges.length > 0) {
-        const first5Ranges = priceRanges.slice(0, 5);
-        console.log(`\n📊 First 5 price range entries:`);
-        console.log(JSON.stringify(first5Ranges, null, 2));
+      if (saveToDb) {
+        console.log(`\n🗄️  Saved ${result.saved} price range entries to the database (${result.skipped} skipped, ${result.quarantined} quarantined for review, ${result.flagged} flagged as anomalies)`);
+        result.errors.forEach(error => console.warn(`   - ${error}`));
       }
       
-      // Save to files
-      const outputPath = path.join(OUTPUT_DIR, 'latest_prices_da.json');
-      const rangesOutputPath = path.join(OUTPUT_DIR, 'latest_price_ranges_da.json');
-      
-      try {
-        fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
-        console.log(`\n💾 Saved all ${results.length} price entries to ${outputPath}`);
-      } catch (err) {
-        console.warn('Could not write price output file:', err.message);
-      }
+      if (outputToFile) {
+        // Save to files
+        const rangesOutputPath = path.join(OUTPUT_DIR, 'latest_price_ranges_da.json');
       
-      if (priceRanges.length > 0) {
         try {
           fs.writeFileSync(rangesOutputPath, JSON.stringify(priceRanges, null, 2));
-          console.log(`💾 Saved all ${priceRanges.length} price range entries to ${rangesOutputPath}`);
+          console.log(`\n💾 Saved all ${priceRanges.length} price range entries to ${rangesOutputPath}`);
         } catch (err) {
           console.warn('Could not write price ranges output file:', err.message);
         }
-      }
       
-      // Save by region
-      for (const [region, data] of Object.entries(byRegion)) {
-        const regionOutputPath = path.join(OUTPUT_DIR, `latest_prices_da_${region.toLowerCase().replace(/\s+/g, '_')}.json`);
-        const regionRangesPath = path.join(OUTPUT_DIR, `latest_price_ranges_da_${region.toLowerCase().replace(/\s+/g, '_')}.json`);
-        
-        try {
-          fs.writeFileSync(regionOutputPath, JSON.stringify(data.prices, null, 2));
-          console.log(`💾 Saved ${data.prices.length} price entries for ${region} to ${regionOutputPath}`);
-        } catch (err) {
-          console.warn(`Could not write ${region} price output file:`, err.message);
-        }
+        // Save by region
+        for (const [region, ranges] of Object.entries(byRegion)) {
+          const regionRangesPath = path.join(OUTPUT_DIR, `latest_price_ranges_da_${region.toLowerCase().replace(/\s+/g, '_')}.json`);
         
-        if (data.ranges.length > 0) {
           try {
-            fs.writeFileSync(regionRangesPath, JSON.stringify(data.ranges, null, 2));
-            console.log(`💾 Saved ${data.ranges.length} price range entries for ${region} to ${regionRangesPath}`);
+            fs.writeFileSync(regionRangesPath, JSON.stringify(ranges, null, 2));
+            console.log(`💾 Saved ${ranges.length} price range entries for ${region} to ${regionRangesPath}`);
           } catch (err) {
             console.warn(`Could not write ${region} price ranges output file:`, err.message);
           }
@@ -622,11 +853,30 @@ async function parseAllDAPDFs(debug = false) {
       
     } else {
       console.log('No entries found. Try running with --debug to see extraction details.');
-      console.log('Usage: node da_parser.js [path-to-pdf] [--debug]');
+      console.log('Usage: node da_parser.js [path-to-pdf] [--debug] [--no-db] [--no-file]');
     }
-    
+
+    await finishRun(run, result);
   } catch (err) {
     console.error('Error:', err.message);
+    await finishRun(run, { failed: true, errors: [err.message] });
     process.exit(1);
   }
-})(); 
\ No newline at end of file
+}
+
+module.exports = {
+  parseDAPDF,
+  parseAllDAPDFs,
+  extractPricesFromPages,
+  scorePriceRange,
+  saveRangesToDatabase,
+  loadMarketResolver,
+  getAllPDFs,
+  main,
+  REGIONS
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+  main();
+} 
\ No newline at end of file
@@ -1,191 +1,370 @@
 const fs = require('fs');
-const pdf = require('pdf-parse');
 const path = require('path');
+const prisma = require('../../src/config/database');
+const { resolveReportDate } = require('./report_date');
+const { extractPageItems, lineAt, mergeHeaderCells, findColumn, buildGrid } = require('./layout');
+const { normalizeRegion } = require('../../utils/priceNormalizer');
+const { startRun, finishRun } = require('../ingestion_runs');
+const { describeDocument, saveSourceDocuments, provenanceOf } = require('../source_documents');
+const { createCommodityCache } = require('../commodities');
+const { loadLocationResolver, locationIdOf } = require('../locations');
+const { scoreConfidence } = require('../quarantine');
 
 const DOE_DIR = path.join(__dirname, '../../pdf/DOE');
 const OUTPUT_DIR = path.join(__dirname, '../../output');
 
-// Regional mappings
+// Regional mappings, used when the report title does not name a single region
 const REGIONS = {
   'luzon': 'Luzon',
-  'visayas': 'Visayas', 
+  'visayas': 'Visayas',
   'mindanao': 'Mindanao'
 };
 
 const SOURCE = 'DOE';
-const DATE = '2025-06-17'; // Default date, will be extracted from filename
-
-// Fuel types and their variations
-const FUEL_TYPES = {
-  'gasoline': ['gasoline', 'gas', 'unleaded', 'premium', 'regular'],
-  'diesel': ['diesel', 'diesel fuel'],
-  'lpg': ['lpg', 'liquefied petroleum gas', 'cooking gas'],
-  'kerosene': ['kerosene', 'kero'],
-  'biodiesel': ['biodiesel', 'bio-diesel'],
-  'ethanol': ['ethanol', 'e10', 'e85']
+
+// Products listed in the monitoring sheets and the commodity each one is stored as
+const PRODUCTS = {
+  'RON 100': { commodity: 'Gasoline (RON 100)', fuelType: 'gasoline' },
+  'RON 97': { commodity: 'Gasoline (RON 97)', fuelType: 'gasoline' },
+  'RON 95': { commodity: 'Gasoline (RON 95)', fuelType: 'gasoline' },
+  'RON 91': { commodity: 'Gasoline (RON 91)', fuelType: 'gasoline' },
+  'DIESEL': { commodity: 'Diesel', fuelType: 'diesel' },
+  'DIESEL PLUS': { commodity: 'Diesel Plus', fuelType: 'diesel' },
+  'KEROSENE': { commodity: 'Kerosene', fuelType: 'kerosene' }
 };
 
-// Price patterns for different fuel types
-const PRICE_PATTERNS = [
-  // Pattern 1: [Fuel Type] [Price] (e.g., "Gasoline 65.50")
-  /^(gasoline|diesel|lpg|kerosene|biodiesel|ethanol|unleaded|premium|regular)\s+(\d+(?:\.\d{1,2})?)/i,
-  
-  // Pattern 2: [Fuel Type] [Unit] [Price] (e.g., "Gasoline per liter 65.50")
-  /^(gasoline|diesel|lpg|kerosene|biodiesel|ethanol|unleaded|premium|regular)\s+(?:per\s+)?(liter|kg|gallon)\s+(\d+(?:\.\d{1,2})?)/i,
-  
-  // Pattern 3: [Price] [Fuel Type] (e.g., "65.50 Gasoline")
-  /^(\d+(?:\.\d{1,2})?)\s+(gasoline|diesel|lpg|kerosene|biodiesel|ethanol|unleaded|premium|regular)/i,
-  
-  // Pattern 4: [Brand] [Fuel Type] [Price] (e.g., "Shell Gasoline 65.50")
-  /^([a-zA-Z\s]+)\s+(gasoline|diesel|lpg|kerosene|biodiesel|ethanol|unleaded|premium|regular)\s+(\d+(?:\.\d{1,2})?)/i,
-  
-  // Pattern 5: [Fuel Type] [Brand] [Price] (e.g., "Gasoline Shell 65.50")
-  /^(gasoline|diesel|lpg|kerosene|biodiesel|ethanol|unleaded|premium|regular)\s+([a-zA-Z\s]+)\s+(\d+(?:\.\d{1,2})?)/i,
-  
-  // Pattern 6: DOE specific - RON types (e.g., "RON 95", "RON 91")
-  /^(RON\s+\d+)\s*$/i,
-  
-  // Pattern 7: DOE specific - DIESEL variants
-  /^(DIESEL(?:\s+PLUS)?)\s*$/i,
-  
-  // Pattern 8: DOE specific - KEROSENE
-  /^(KEROSENE)\s*$/i,
-  
-  // Pattern 9: Price ranges (e.g., "56.49 - 56.50", "58.49 - 61.00")
-  /^(\d+\.\d{2})\s*-\s*(\d+\.\d{2})/,
-  
-  // Pattern 10: Single prices (e.g., "56.49", "58.49")
-  /^(\d+\.\d{2})$/,
-  
-  // Pattern 11: Multiple prices on one line (e.g., "56.4958.4961.00")
-  /(\d+\.\d{2})/g
+// Brand columns found across the Luzon, Visayas and Mindanao sheets
+const BRANDS = [
+  'PETRON', 'SHELL', 'CALTEX', 'PHOENIX', 'TOTAL', 'FLYING V', 'UNIOIL',
+  'SEAOIL', 'PTT', 'JETTI', 'MY GAS', 'INDEPENDENT'
 ];
 
-function extractDateFromFilename(filename) {
-  // Try to extract date from filename patterns
-  const datePatterns = [
-    /(\d{2})(\d{2})(\d{4})/, // MMDDYYYY
-    /(\d{4})-(\d{2})-(\d{2})/, // YYYY-MM-DD
-    /(\d{2})-(\d{2})-(\d{4})/, // MM-DD-YYYY
-    /(\d{1,2})\/(\d{1,2})\/(\d{4})/, // M/D/YYYY
-    /(\d{4})(\d{2})(\d{2})/ // YYYYMMDD
-  ];
-  
-  for (const pattern of datePatterns) {
-    const match = filename.match(pattern);
-    if (match) {
-      if (match[1].length === 4) {
-        // YYYY-MM-DD or YYYYMMDD format
-        return `${match[1]}-${match[2]}-${match[3]}`;
-      } else {
-        // MM-DD-YYYY or MMDDYYYY format
-        return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
-      }
+// Brand stored for the area-wide overall range and common price
+const OVERALL_BRAND = 'ALL';
+
+// Vertical distance (in points) within which a value belongs to a product row
+const ROW_TOLERANCE = 3;
+
+// Pump prices per liter outside this range are more likely misread cells
+const FUEL_PRICE_RANGE = { min: 30, max: 150 };
+
+/**
+ * Map a header cell to the column it names
+ * @param {string} text - Header text
+ * @returns {string|null} Column key
+ */
+function getColumnKey(text) {
+  const label = text.replace(/\s+/g, ' ').trim().toUpperCase();
+
+  if (label === 'AREA' || label.startsWith('CITY')) return 'city';
+  if (label === 'PROVINCE') return 'province';
+  if (label === 'PRODUCT') return 'product';
+  if (label.startsWith('OVERALL')) return 'overall';
+  if (label.startsWith('COMMON')) return 'common';
+  if (BRANDS.includes(label)) return label;
+
+  return null;
+}
+
+/**
+ * Find the table header of a page and the horizontal extent of each column
+ * @param {Array<Object>} items - Positioned text items
+ * @returns {Object|null} Header y position and columns
+ */
+function findColumns(items) {
+  const productHeader = items.find(item => item.text === 'PRODUCT');
+  if (!productHeader) return null;
+
+  // Headers such as "OVERALL / RANGE" are split over two lines. The first
+  // product row can sit just as close, so labels and prices are left out.
+  const headerItems = items.filter(item =>
+    Math.abs(item.y - productHeader.y) <= 15 &&
+    !PRODUCTS[item.text.replace(/\s+/g, ' ')] &&
+    !/\d|^-$/.test(item.text)
+  );
+  const columns = [];
+
+  for (const cell of mergeHeaderCells(headerItems)) {
+    const key = getColumnKey(cell.label);
+    if (key && !columns.some(column => column.key === key)) {
+      columns.push({ key, start: cell.start, end: cell.end });
     }
   }
-  
-  return DATE; // Default date if no pattern matches
+
+  return { y: productHeader.y, columns };
 }
 
-function normalizeFuelType(fuelType) {
-  const lowerFuel = fuelType.toLowerCase();
-  
-  for (const [standardType, variations] of Object.entries(FUEL_TYPES)) {
-    if (variations.some(v => lowerFuel.includes(v))) {
-      return standardType;
+/**
+ * Collect area labels (cities or provinces) of a column.
+ * Labels wrapped over several lines are joined; labels drawn over each other
+ * keep the text drawn last, which is the one visible on the page.
+ * @param {Array<Object>} items - Items that fall under the column
+ * @returns {Array<Object>} Labels sorted top to bottom with their vertical centre
+ */
+function collectLabels(items) {
+  const labels = [];
+  const sorted = items
+    .map((item, order) => ({ ...item, order }))
+    .sort((a, b) => b.y - a.y);
+
+  for (const item of sorted) {
+    const previous = labels[labels.length - 1];
+    const gap = previous ? previous.bottom - item.y : Infinity;
+
+    if (gap < item.height * 0.5) {
+      if (item.order > previous.order) {
+        previous.text = item.text;
+        previous.order = item.order;
+      }
+    } else if (gap <= item.height * 1.6) {
+      previous.text = `${previous.text} ${item.text}`;
+      previous.bottom = item.y;
+    } else {
+      labels.push({ text: item.text, top: item.y, bottom: item.y, order: item.order });
     }
   }
-  
-  return fuelType.toLowerCase();
+
+  return labels.map(label => ({
+    text: label.text.replace(/\s+/g, ' ').trim(),
+    y: (label.top + label.bottom) / 2
+  }));
 }
 
-function extractPricesFromText(text, region, date, debug = false) {
-  const lines = text.split('\n');
+/**
+ * Assign area labels to product rows. Each label is printed vertically
+ * centred on the block of rows it covers, so rows are split into consecutive
+ * blocks whose centres line up with the labels.
+ * @param {Array<Object>} rows - Product rows sorted top to bottom
+ * @param {Array<Object>} labels - Area labels sorted top to bottom
+ * @returns {Array<string>} Label text for each row
+ */
+function assignLabels(rows, labels) {
+  const assigned = new Array(rows.length).fill('');
+  let start = 0;
+
+  labels.forEach((label, index) => {
+    if (start >= rows.length) return;
+
+    // Leave at least one row for each of the remaining labels
+    const lastEnd = Math.max(start, rows.length - (labels.length - index));
+    let end = rows.length - 1;
+
+    if (index < labels.length - 1) {
+      let bestDistance = Infinity;
+
+      for (let candidate = start; candidate <= lastEnd; candidate++) {
+        const distance = Math.abs((rows[start].y + rows[candidate].y) / 2 - label.y);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          end = candidate;
+        }
+      }
+    }
+
+    for (let i = start; i <= end; i++) {
+      assigned[i] = label.text;
+    }
+
+    start = end + 1;
+  });
+
+  return assigned;
+}
+
+/**
+ * Find the region named in the page title ("NCR", "REGION IX")
+ * @param {Array<Object>} items - Positioned text items of the page
+ * @returns {string|null} Normalized region
+ */
+function findPageRegion(items) {
+  const regionItem = items.find(item => /^(NCR|REGION\s+[IVX]+)$/i.test(item.text));
+  return regionItem ? normalizeRegion(regionItem.text.replace(/\s+/g, ' ')) : null;
+}
+
+/**
+ * Parse the prices in a table cell ("56.49", "54.45 - 54.55")
+ * @param {string} text - Cell text
+ * @returns {Array<number>} Valid prices
+ */
+function parseCellPrices(text) {
+  return (text.match(/\d+(?:\.\d{1,2})?/g) || [])
+    .map(value => parseFloat(value))
+    .filter(price => !isNaN(price) && price > 0 && price <= 200);
+}
+
+/**
+ * Score how far a fuel price entry can be trusted. Cells assigned to the wrong
+ * row or column show up as prices out of range or out of order.
+ * @param {Object} entry - Fuel price entry
+ * @returns {Object} Confidence and reasons
+ */
+function scoreFuelPrice(entry) {
+  const prices = [entry.minPrice, entry.maxPrice, entry.commonPrice].filter(price => price !== null);
+
+  return scoreConfidence([
+    { failed: prices.some(price => price < FUEL_PRICE_RANGE.min || price > FUEL_PRICE_RANGE.max), penalty: 0.5, reason: 'Price outside the usual range of pump prices' },
+    { failed: entry.minPrice > entry.maxPrice, penalty: 0.5, reason: 'Minimum price above maximum price' },
+    { failed: entry.commonPrice !== null && (entry.commonPrice < entry.minPrice || entry.commonPrice > entry.maxPrice), penalty: 0.3, reason: 'Common price outside the price range' },
+    { failed: entry.maxPrice > entry.minPrice * 1.5, penalty: 0.3, reason: 'Maximum price more than 1.5 times the minimum' },
+    { failed: !entry.city && !entry.province, penalty: 0.2, reason: 'No city or province label for the row' }
+  ]);
+}
+
+/**
+ * Extract brand and area level prices from one page of a DOE monitoring sheet
+ * @param {Array<Object>} items - Positioned text items of the page
+ * @param {Object} context - Region, date, filename, source document and page of the report
+ * @param {boolean} debug - Print extraction details
+ * @returns {Array<Object>} Price entries
+ */
+function extractPricesFromPage(items, context, debug = false) {
+  const header = findColumns(items);
+  if (!header) return [];
+
   const results = [];
-  let currentFuelType = null;
-  
-  if (debug) {
-    console.log(`\n=== Processing ${region} region ===`);
-    console.log(`Date: ${date}`);
-    console.log(`Total lines: ${lines.length}`);
+  const { columns } = header;
+
+  const { region } = context;
+
+  // Product rows sit below the header, one per product label
+  const rows = items
+    .filter(item => item.y < header.y - 5 && PRODUCTS[item.text.replace(/\s+/g, ' ')])
+    .map(item => ({ product: item.text.replace(/\s+/g, ' '), y: item.y }))
+    .sort((a, b) => b.y - a.y);
+
+  if (rows.length === 0) return [];
+
+  const lowestRow = Math.min(...rows.map(row => row.y));
+  const bodyItems = items.filter(item => item.y < header.y - 5 && item.y >= lowestRow - 20);
+  const labelItems = { city: [], province: [] };
+
+  for (const item of bodyItems) {
+    const key = findColumn(item, columns);
+    if ((key === 'city' || key === 'province') && !/\d/.test(item.text)) {
+      labelItems[key].push(item);
+    }
+  }
+
+  // Prices are printed on the baseline of their product label
+  const grid = buildGrid(
+    bodyItems.filter(item => parseCellPrices(item.text).length > 0),
+    columns,
+    { rows: rows.map(row => row.y), tolerance: ROW_TOLERANCE }
+  );
+
+  const cities = assignLabels(rows, collectLabels(labelItems.city));
+  const provinces = assignLabels(rows, collectLabels(labelItems.province));
+
+  // A city belongs to a single province, so use the province of its middle row
+  for (let start = 0; start < rows.length;) {
+    let end = start;
+    while (end + 1 < rows.length && cities[end + 1] === cities[start]) end++;
+
+    const province = provinces[Math.floor((start + end) / 2)];
+    for (let i = start; i <= end; i++) provinces[i] = province;
+
+    start = end + 1;
   }
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || line.length < 2) continue;
-    
-    if (debug && i < 30) {
-      console.log(`Line ${i}: ${line}`);
+
+  rows.forEach((row, index) => {
+    const { commodity, fuelType } = PRODUCTS[row.product];
+    const city = cities[index];
+    const province = provinces[index];
+
+    const { cells } = grid[index];
+    const cellPrices = (key) => (cells[key] || []).flatMap(item => parseCellPrices(item.text));
+
+    const base = {
+      commodity,
+      product: row.product,
+      fuelType,
+      unit: 'per liter',
+      source: SOURCE,
+      region,
+      province,
+      city,
+      date: context.date,
+      filename: context.filename,
+      sourceDocument: context.sourceDocument || null,
+      page: context.page || null,
+      rawLine: lineAt(items, row.y, ROW_TOLERANCE)
+    };
+
+    for (const brand of BRANDS) {
+      const prices = cellPrices(brand);
+      if (prices.length === 0) continue;
+
+      const minPrice = prices[0];
+      const maxPrice = prices[prices.length - 1];
+
+      const entry = {
+        ...base,
+        brand,
+        minPrice,
+        maxPrice,
+        commonPrice: null,
+        price: Math.round(((minPrice + maxPrice) / 2) * 100) / 100
+      };
+
+      results.push({ ...entry, ...scoreFuelPrice(entry) });
     }
-    
-    // Check if this line contains a fuel type
-    const fuelTypeMatch = line.match(/^(RON\s+\d+|DIESEL(?:\s+PLUS)?|KEROSENE)\s*$/i);
-    if (fuelTypeMatch) {
-      currentFuelType = fuelTypeMatch[1].toUpperCase();
-      if (debug) {
-        console.log(`🔍 Found fuel type: ${currentFuelType}`);
-      }
-      continue;
+
+    const overall = cellPrices('overall');
+    const common = cellPrices('common');
+
+    if (overall.length > 0 || common.length > 0) {
+      const minPrice = overall.length > 0 ? overall[0] : common[0];
+      const maxPrice = overall.length > 0 ? overall[overall.length - 1] : common[0];
+
+      const entry = {
+        ...base,
+        brand: OVERALL_BRAND,
+        minPrice,
+        maxPrice,
+        commonPrice: common.length > 0 ? common[0] : null,
+        price: common.length > 0 ? common[0] : Math.round(((minPrice + maxPrice) / 2) * 100) / 100
+      };
+
+      results.push({ ...entry, ...scoreFuelPrice(entry) });
     }
-    
-    // If we have a current fuel type, look for prices
-    if (currentFuelType) {
-      // Extract all prices from this line
-      const priceMatches = line.match(/\d+\.\d{2}/g);
-      
-      if (priceMatches && priceMatches.length > 0) {
-        for (const priceStr of priceMatches) {
-          const price = parseFloat(priceStr);
-          
-          // Validate price
-          if (isNaN(price) || price <= 0 || price > 200) {
-            continue;
-          }
-          
-          // Skip if it looks like a page number or other non-price data
-          if (line.toLowerCase().includes('page') || 
-              line.toLowerCase().includes('none') ||
-              line.toLowerCase().includes('monitoring')) {
-            continue;
-          }
-          
-          // Determine fuel category
-          let fuelCategory = 'gasoline';
-          if (currentFuelType.includes('DIESEL')) {
-            fuelCategory = 'diesel';
-          } else if (currentFuelType.includes('KEROSENE')) {
-            fuelCategory = 'kerosene';
-          }
-          
-          // Create result entry
-          const result = {
-            commodity: currentFuelType,
-            unit: 'per liter',
-            price: price,
-            source: SOURCE,
-            region: region,
-            date: date,
-            fuelType: fuelCategory,
-            brand: null,
-            filename: null
-          };
-          
-          results.push(result);
-          
-          if (debug) {
-            console.log(`✓ Extracted: ${currentFuelType} - ${price} PHP/L`);
-          }
-        }
-      }
-      
-      // Check if this line indicates the end of current fuel type data
-      // (usually when we see another fuel type or empty line)
-      if (line.match(/^(RON\s+\d+|DIESEL(?:\s+PLUS)?|KEROSENE|PROVINCE|CITY|MUNICIPALITY|PRODUCT)\s*$/i)) {
-        currentFuelType = null;
-      }
+
+    if (debug) {
+      console.log(`✓ ${city || region} ${row.product}: ${Object.keys(cells).join(', ') || 'no prices'}`);
     }
+  });
+
+  return results;
+}
+
+/**
+ * Extract prices from every page of a DOE monitoring sheet
+ * @param {Array<Array<Object>>} pages - Positioned text items per page
+ * @param {Object} context - Region, date and filename of the report
+ * @param {boolean} debug - Print extraction details
+ * @returns {Array<Object>} Price entries
+ */
+function extractPricesFromPages(pages, context, debug = false) {
+  const results = [];
+  let region = context.region;
+
+  if (debug) {
+    console.log(`\n=== Processing ${context.region} region ===`);
+    console.log(`Date: ${context.date}${context.dateRule ? ` (${context.dateRule})` : ''}`);
+    console.log(`Total pages: ${pages.length}`);
   }
-  
+
+  pages.forEach((items, index) => {
+    // Continuation pages do not repeat the region title
+    region = findPageRegion(items) || region;
+    const pageResults = extractPricesFromPage(items, { ...context, region, page: index + 1 }, debug);
+
+    if (debug) {
+      console.log(`Page ${index + 1}: ${pageResults.length} entries`);
+    }
+
+    results.push(...pageResults);
+  });
+
   return results;
 }
 
@@ -199,7 +378,7 @@ async function parseDOEPDF(pdfPath, region, debug = false) {
 
   let pdfData;
   try {
-    pdfData = await pdf(dataBuffer);
+    pdfData = await extractPageItems(dataBuffer);
   } catch (err) {
     throw new Error(`Could not parse PDF: ${err.message}`);
   }
@@ -211,17 +390,29 @@ async function parseDOEPDF(pdfPath, region, debug = false) {
   }
 
   const filename = path.basename(pdfPath);
-  const date = extractDateFromFilename(filename);
-  
-  return extractPricesFromText(pdfData.text, region, date, debug);
+  const reportDate = resolveReportDate({ text: pdfData.text, filename });
+  if (!reportDate) {
+    throw new Error(`Could not find the report date in ${filename}`);
+  }
+
+  const { date, rule: dateRule } = reportDate;
+  const sourceDocument = describeDocument(dataBuffer, {
+    filename,
+    source: SOURCE,
+    reportDate: date,
+    pageCount: pdfData.numpages,
+    storagePath: pdfPath
+  });
+
+  return extractPricesFromPages(pdfData.pages, { region, date, dateRule, filename, sourceDocument }, debug);
 }
 
 function getAllPDFs() {
   const pdfs = [];
-  
+
   for (const [regionKey, regionName] of Object.entries(REGIONS)) {
     const regionPath = path.join(DOE_DIR, regionKey);
-    
+
     if (fs.existsSync(regionPath)) {
       const files = fs.readdirSync(regionPath)
         .filter(f => f.toLowerCase().endsWith('.pdf'))
@@ -230,66 +421,138 @@ function getAllPDFs() {
           filename: f,
           region: regionName
         }));
-      
+
       pdfs.push(...files);
     }
   }
-  
+
   return pdfs;
 }
 
 async function parseAllDOEPDFs(debug = false) {
   const pdfs = getAllPDFs();
   const allResults = [];
-  
+
   console.log(`\n🚀 Starting DOE PDF parsing...`);
   console.log(`Found ${pdfs.length} PDF files to process`);
-  
+
   for (const pdf of pdfs) {
     console.log(`\n📄 Processing: ${pdf.filename} (${pdf.region})`);
-    
+
     try {
       const results = await parseDOEPDF(pdf.path, pdf.region, debug);
       console.log(`✅ Extracted ${results.length} price entries`);
-      
-      // Add filename info to results
-      results.forEach(result => {
-        result.filename = pdf.filename;
-      });
-      
+
       allResults.push(...results);
-      
+
     } catch (err) {
       console.error(`❌ Error processing ${pdf.filename}: ${err.message}`);
     }
   }
-  
+
   return allResults;
 }
 
-// Main execution
-(async () => {
-  const args = process.argv.slice(2);
+/**
+ * Save parsed DOE fuel prices to the database.
+ * Entries are upserted on commodity, brand, area and date, so re-parsing a
+ * report updates the existing rows instead of duplicating them.
+ * @param {Array<Object>} fuelPrices - Parsed fuel price entries
+ * @returns {Promise<Object>} Counts of saved and skipped entries
+ */
+async function saveFuelPricesToDatabase(fuelPrices) {
+  const stats = { saved: 0, skipped: 0, errors: [] };
+  if (!fuelPrices || fuelPrices.length === 0) return stats;
+
+  const resolveCommodity = createCommodityCache();
+  const documentIds = await saveSourceDocuments(fuelPrices);
+  const locations = await loadLocationResolver();
+
+  for (const entry of fuelPrices) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) {
+      stats.skipped++;
+      stats.errors.push(`Invalid date "${entry.date}" for ${entry.commodity} (${entry.filename})`);
+      continue;
+    }
+
+    try {
+      const commodity = await resolveCommodity(entry.commodity);
+
+      const key = {
+        commodityId: commodity.id,
+        brand: entry.brand,
+        province: entry.province || '',
+        city: entry.city || '',
+        region: entry.region,
+        date: new Date(entry.date)
+      };
+
+      const values = {
+        product: entry.product,
+        fuelType: entry.fuelType,
+        minPrice: entry.minPrice,
+        maxPrice: entry.maxPrice,
+        commonPrice: entry.commonPrice ?? null,
+        source: entry.source,
+        filename: entry.filename,
+        locationId: locationIdOf(locations, entry),
+        ...provenanceOf(entry, documentIds)
+      };
+
+      await prisma.fuelPrice.upsert({
+        where: { unique_fuel_price_entry: key },
+        update: values,
+        create: { ...key, ...values }
+      });
+
+      stats.saved++;
+    } catch (error) {
+      stats.skipped++;
+      stats.errors.push(`Failed to save ${entry.commodity} (${entry.brand}, ${entry.city}): ${error.message}`);
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Main function for command line execution. The sheets go through the
+ * registered doe pipeline, so their rows are quarantined and checked for
+ * anomalies exactly as in scheduled runs.
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
   const debug = args.includes('--debug');
+  const saveToDb = !args.includes('--no-db');
+  const outputToFile = !args.includes('--no-file');
   const specificFile = args.find(arg => !arg.startsWith('--'));
-  
+
+  // Loaded here since the doe source requires this parser
+  const { getSource, runPipeline } = require('../sources');
+  const run = saveToDb ? await startRun('doe') : null;
+
   try {
-    let results;
-    
+    let documents = null;
+
     if (specificFile) {
-      // Parse specific file
+      // Parse specific file; without one the source parses all PDFs
       const region = path.basename(path.dirname(specificFile));
       const regionName = REGIONS[region] || region;
       console.log(`\n📄 Processing specific file: ${specificFile}`);
-      results = await parseDOEPDF(specificFile, regionName, debug);
-    } else {
-      // Parse all PDFs
-      results = await parseAllDOEPDFs(debug);
+      documents = [{ path: specificFile, filename: path.basename(specificFile), region: regionName }];
+    }
+
+    const result = await runPipeline(getSource('doe'), { saveToDb, debug, documents });
+
+    // Sheets that could not be parsed at all fail the run
+    if (result.found === 0 && result.errors.length > 0) {
+      throw new Error(result.errors.join('; '));
     }
-    
+
+    const results = result.records;
     console.log(`\n🎉 Parsing completed!`);
     console.log(`📊 Total entries found: ${results.length}`);
-    
+
     if (results.length > 0) {
       // Group by region
       const byRegion = {};
@@ -299,44 +562,73 @@ async function parseAllDOEPDFs(debug = false) {
         }
         byRegion[result.region].push(result);
       });
-      
+
       console.log(`\n📈 Results by region:`);
       for (const [region, entries] of Object.entries(byRegion)) {
         console.log(`  ${region}: ${entries.length} entries`);
       }
-      
+
       // Show first 10 entries
       const first10 = results.slice(0, 10);
       console.log(`\n📋 First 10 entries:`);
       console.log(JSON.stringify(first10, null, 2));
-      
-      // Save to file
-      const outputPath = path.join(OUTPUT_DIR, 'latest_prices_doe.json');
-      try {
-        fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
-        console.log(`\n💾 Saved all ${results.length} entries to ${outputPath}`);
-      } catch (err) {
-        console.warn('Could not write output file:', err.message);
+
+      if (saveToDb) {
+        console.log(`\n🗄️  Saved ${result.saved} fuel price entries to the database (${result.skipped} skipped, ${result.quarantined} quarantined for review, ${result.flagged} flagged as anomalies)`);
+        result.errors.forEach(error => console.warn(`   - ${error}`));
       }
-      
-      // Save by region
-      for (const [region, entries] of Object.entries(byRegion)) {
-        const regionOutputPath = path.join(OUTPUT_DIR, `latest_prices_doe_${region.toLowerCase()}.json`);
+
+      if (outputToFile) {
+        // Save to file
+        const outputPath = path.join(OUTPUT_DIR, 'latest_prices_doe.json');
         try {
-          fs.writeFileSync(regionOutputPath, JSON.stringify(entries, null, 2));
-          console.log(`💾 Saved ${entries.length} entries for ${region} to ${regionOutputPath}`);
+          fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
+          console.log(`\n💾 Saved all ${results.length} entries to ${outputPath}`);
         } catch (err) {
-          console.warn(`Could not write ${region} output file:`, err.message);
+          console.warn('Could not write output file:', err.message);
+        }
+
+        // Save by region
+        for (const [region, entries] of Object.entries(byRegion)) {
+          const regionOutputPath = path.join(OUTPUT_DIR, `latest_prices_doe_${region.toLowerCase().replace(/\s+/g, '_')}.json`);
+          try {
+            fs.writeFileSync(regionOutputPath, JSON.stringify(entries, null, 2));
+            console.log(`💾 Saved ${entries.length} entries for ${region} to ${regionOutputPath}`);
+          } catch (err) {
+            console.warn(`Could not write ${region} output file:`, err.message);
+          }
         }
       }
-      
+
     } else {
       console.log('No entries found. Try running with --debug to see extraction details.');
-      console.log('Usage: node doe_parser.js [path-to-pdf] [--debug]');
+      console.log('Usage: node doe_parser.js [path-to-pdf] [--debug] [--no-db] [--no-file]');
     }
-    
+
+    await finishRun(run, result);
   } catch (err) {
     console.error('Error:', err.message);
+    await finishRun(run, { failed: true, errors: [err.message] });
     process.exit(1);
   }
-})(); 
\ No newline at end of file
+}
+
+module.exports = {
+  parseDOEPDF,
+  parseAllDOEPDFs,
+  extractPricesFromPage,
+  extractPricesFromPages,
+  scoreFuelPrice,
+  saveFuelPricesToDatabase,
+  getAllPDFs,
+  main,
+  REGIONS,
+  BRANDS,
+  PRODUCTS,
+  OVERALL_BRAND
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+  main();
+} 
\ No newline at end of file
@@ -1,26 +1,347 @@
 const fs = require('fs');
-const pdf = require('pdf-parse');
 const path = require('path');
+const prisma = require('../../src/config/database');
+const { resolveReportDate } = require('./report_date');
+const { extractPageItems, lineAt, groupRows } = require('./layout');
+const { startRun, finishRun } = require('../ingestion_runs');
+const { describeDocument, saveSourceDocuments, provenanceOf } = require('../source_documents');
+const { createCommodityCache } = require('../commodities');
+const { packSizeOf } = require('../../utils/unitNormalizer');
+const { scoreConfidence } = require('../quarantine');
 
 const DEFAULT_DIR = path.join(__dirname, '../../pdf/DTI');
 const OUTPUT_PATH = path.join(__dirname, '../../output/latest_prices_dti.json');
 
-const DATE = '2025-02-01';
 const SOURCE = 'DTI';
-const REGION = 'National';
-
-// More flexible regex patterns
-const LINE_PATTERNS = [
-  // Pattern 1: [commodity/brand] [unit] [price]
-  /^(.*?)\s+(\d+(?:g|ml|pcs|L|kg))\s+(\d+\.\d{2})$/i,
-  // Pattern 2: [commodity/brand] [price] [unit]
-  /^(.*?)\s+(\d+\.\d{2})\s+(\d+(?:g|ml|pcs|L|kg))$/i,
-  // Pattern 3: [commodity/brand] [unit] [price] (more flexible spacing)
-  /^(.*?)\s+(\d+(?:g|ml|pcs|L|kg))\s+(\d+(?:\.\d{1,2})?)$/i,
-  // Pattern 4: [commodity/brand] [price] (without unit)
-  /^(.*?)\s+(\d+(?:\.\d{1,2})?)$/i
+
+// SRPs apply nationwide and to both supermarkets and wet markets unless specified
+const DEFAULT_AREA = 'Nationwide';
+const DEFAULT_OUTLET = 'all';
+
+const SECTIONS = {
+  'BASIC NECESSITIES': 'Basic Necessities',
+  'PRIME COMMODITIES': 'Prime Commodities'
+};
+
+// Area qualifiers printed after a product name ("Saba Phil. Sardines - NCR")
+const AREA_PATTERNS = [
+  { pattern: /\bVisayas\s*(&|and)\s*Mindanao\b/i, area: 'Visayas & Mindanao' },
+  { pattern: /\bLuzon\/Viz\/Min\b/i, area: 'Nationwide' },
+  { pattern: /\bNationwide\b/i, area: 'Nationwide' },
+  { pattern: /\bLuzon\b/i, area: 'Luzon' },
+  { pattern: /\bNCR\b/, area: 'NCR' }
+];
+
+// Outlet qualifiers: supermarket or wet market only
+const OUTLET_PATTERNS = [
+  { pattern: /\b(SMKT|Supermarket)\b/i, outlet: 'supermarket' },
+  { pattern: /\bWMKT\b/i, outlet: 'wet_market' }
+];
+
+// Brands printed as more than one word; other brands are the first word of the name
+const MULTI_WORD_BRANDS = [
+  'Family\'s Budget', 'Saba Phil. Sardines', 'King Cup', 'Toyo Bonus Green', 'Lucky 7',
+  'Young\'s Town', 'El Rancho', 'Cow Bell', 'Angel Filled Milk', 'Bear Brand', 'Birch Tree',
+  'Alaska Fortified', 'Blend 45', 'Great Taste', 'Café Puro', 'San Mig Coffee', 'Kopiko Black',
+  'Pinoy Pandesal', 'Pinoy Tasty', 'SM Bonus', 'Magnolia Pure', 'Natures Spring', 'Nature\'s Spring',
+  'Wilkins Pure', 'Hidden Spring', 'Supersavers Nature\'s Pure', 'Robinsons Mall', 'Green Cross',
+  'Datu Puti', 'Silver Swan', 'Manila Wax', 'Export Candles', 'Export Vigil Candles', '5-Star',
+  'Liwanag', 'Lasap', 'Fidel', 'Lorins', 'Nelicom Special', 'Speed', 'Budget Bar', 'Champion Bar',
+  'Tide Bar', 'Quick Chow', 'Lucky Me!'
 ];
 
+const SMALL_WORDS = ['a', 'an', 'and', 'in', 'of', 'or', 'the', 'with'];
+
+// Wrapped product names are printed about 9.5pt apart, separate rows at least 11.5pt
+const WRAPPED_LINE_GAP = 10.5;
+
+/**
+ * Normalize a printed label: collapse whitespace and unify apostrophes and dashes
+ * @param {string} text - Printed text
+ * @returns {string} Normalized text
+ */
+function cleanLabel(text) {
+  return text
+    .replace(/[’`]/g, '\'')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Convert an uppercase category heading to the commodity it covers,
+ * e.g. "VINEGAR – GIN AND PET BOTTLE" -> "Vinegar"
+ * @param {string} category - Category heading
+ * @returns {string} Commodity name
+ */
+function categoryToCommodity(category) {
+  const base = category.split(/\s+[–-]\s+/)[0];
+
+  return base
+    .toLowerCase()
+    .split(' ')
+    .map((word, index) => (index > 0 && SMALL_WORDS.includes(word) ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join(' ');
+}
+
+/**
+ * Split a printed product name into brand, variant, area and outlet
+ * @param {string} name - Product name as printed in the bulletin
+ * @returns {Object} Brand, variant, area and outlet
+ */
+function parseProductName(name) {
+  let rest = cleanLabel(name);
+  let area = DEFAULT_AREA;
+  let outlet = DEFAULT_OUTLET;
+
+  for (const { pattern, area: value } of AREA_PATTERNS) {
+    if (pattern.test(rest)) {
+      area = value;
+      rest = rest.replace(pattern, '');
+      break;
+    }
+  }
+
+  for (const { pattern, outlet: value } of OUTLET_PATTERNS) {
+    if (pattern.test(rest)) {
+      outlet = value;
+      rest = rest.replace(new RegExp(pattern.source, 'gi'), '');
+    }
+  }
+
+  // Drop the separators and brackets left behind by the qualifiers
+  rest = rest
+    .replace(/\(\s*\)/g, '')
+    .replace(/(\s*[–-]\s*)+$/g, '')
+    .replace(/^\s*[–-]\s*/, '')
+    .replace(/\s+[–-]\s+[–-]\s+/g, ' - ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const lower = rest.toLowerCase();
+  const multiWord = MULTI_WORD_BRANDS
+    .filter(brand => lower === brand.toLowerCase() || lower.startsWith(`${brand.toLowerCase()} `))
+    .sort((a, b) => b.length - a.length)[0];
+
+  const brand = multiWord ? rest.slice(0, multiWord.length) : rest.split(' ')[0];
+  const variant = rest
+    .slice(brand.length)
+    .replace(/^\s*[–-]\s*/, '')
+    .trim();
+
+  return { brand, variant, area, outlet };
+}
+
+/**
+ * Find the column groups of the bulletin. Each group has a name column
+ * followed by UNIT and SRP columns.
+ * @param {Array<Object>} items - Positioned text items
+ * @returns {Array<Object>} Column groups from left to right
+ */
+function findColumnGroups(items) {
+  const unitHeaders = items.filter(item => item.text === 'UNIT').sort((a, b) => a.x - b.x);
+  const srpHeaders = items.filter(item => item.text === 'SRP').sort((a, b) => a.x - b.x);
+
+  return unitHeaders.map((unit, index) => {
+    const srp = srpHeaders[index];
+    const previous = srpHeaders[index - 1];
+    const sectionHeader = items
+      .filter(item => Math.abs(item.y - unit.y) < 2 && item.x < unit.x && (!previous || item.x > previous.x))
+      .map(item => cleanLabel(item.text).toUpperCase())
+      .find(text => SECTIONS[text]);
+
+    return {
+      start: previous ? previous.x + previous.width + 5 : 0,
+      unitX: unit.x - 5,
+      end: srp ? srp.x + srp.width + 10 : Infinity,
+      headerY: unit.y,
+      section: sectionHeader ? SECTIONS[sectionHeader] : null
+    };
+  });
+}
+
+/**
+ * Join the name items of a column into lines and group the lines into
+ * blocks. Lines of one block are closer together than separate rows, but
+ * adjacent wrapped names can still end up in the same block.
+ * @param {Array<Object>} items - Name items of one column
+ * @returns {Array<Object>} Blocks of lines from top to bottom
+ */
+function groupLines(items) {
+  // Join items printed on the same baseline before looking at line spacing
+  const lines = groupRows(items, 1);
+
+  const blocks = [];
+
+  for (const line of lines) {
+    const previous = blocks[blocks.length - 1];
+
+    if (previous && previous.bottom - line.y < WRAPPED_LINE_GAP) {
+      previous.lines.push(line);
+      previous.bottom = line.y;
+    } else {
+      blocks.push({ lines: [line], top: line.y, bottom: line.y });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Check whether a line is printed in capitals, as category headings are
+ * @param {string} text - Line text
+ * @returns {boolean} True for uppercase text
+ */
+function isUppercase(text) {
+  return text === text.toUpperCase() && /[A-Z]{3}/.test(text);
+}
+
+/**
+ * Split a block of lines into an optional heading and one product name per
+ * price. Prices are printed vertically centred on their product name, so
+ * every line belongs to the nearest price.
+ * @param {Object} block - Block of lines
+ * @param {Array<Object>} prices - Price cells of the column
+ * @returns {Object} Heading text and product names with their price cell
+ */
+function splitBlock(block, prices) {
+  const blockPrices = prices.filter(cell => cell.y <= block.top + 2 && cell.y >= block.bottom - 2);
+
+  if (blockPrices.length === 0) {
+    return { heading: cleanLabel(block.lines.map(line => line.text).join(' ')), products: [] };
+  }
+
+  // Capitalised lines above the first price are a category heading
+  const topPrice = Math.max(...blockPrices.map(cell => cell.y));
+  const headingLines = [];
+  let lines = block.lines;
+
+  while (lines.length > 1 && lines[0].y > topPrice + 2 && isUppercase(lines[0].text)) {
+    headingLines.push(lines[0].text);
+    lines = lines.slice(1);
+  }
+
+  const products = blockPrices.map(price => ({ price, lines: [] }));
+  for (const line of lines) {
+    const nearest = products.reduce((best, product) =>
+      Math.abs(product.price.y - line.y) < Math.abs(best.price.y - line.y) ? product : best
+    );
+    nearest.lines.push(line.text);
+  }
+
+  return {
+    heading: headingLines.length ? cleanLabel(headingLines.join(' ')) : null,
+    products: products
+      .filter(product => product.lines.length > 0)
+      .map(product => ({ price: product.price, name: cleanLabel(product.lines.join(' ')) }))
+  };
+}
+
+/**
+ * Score how far an SRP entry can be trusted. Years and dates from the bulletin
+ * header can be read as prices when the layout shifts.
+ * @param {Object} entry - SRP entry
+ * @returns {Object} Confidence and reasons
+ */
+function scoreSRP(entry) {
+  return scoreConfidence([
+    { failed: Number.isInteger(entry.srp) && entry.srp >= 1900 && entry.srp <= 2100, penalty: 0.6, reason: 'Price looks like a year' },
+    { failed: entry.srp > 5000, penalty: 0.4, reason: 'Price is above any basic necessity SRP' },
+    { failed: !/[a-z0-9]/i.test(entry.name), penalty: 0.4, reason: 'Product name has no letters or digits' },
+    { failed: !entry.category, penalty: 0.3, reason: 'No category heading above the product' },
+    { failed: !entry.netContent, penalty: 0.3, reason: 'No unit printed with the price' }
+  ]);
+}
+
+/**
+ * Extract SRP entries from one page of the bulletin
+ * @param {Array<Object>} items - Positioned text items of the page
+ * @param {Object} context - Effective date, filename, source document and page of the bulletin
+ * @param {boolean} debug - Print extraction details
+ * @returns {Array<Object>} SRP entries
+ */
+function extractSRPsFromPage(items, context, debug = false) {
+  const groups = findColumnGroups(items);
+  const results = [];
+  let category = null;
+  let section = null;
+
+  for (const group of groups) {
+    const columnItems = items.filter(item =>
+      item.y < group.headerY - 2 &&
+      item.x >= group.start &&
+      item.x < group.end
+    );
+
+    const names = columnItems.filter(item => item.x < group.unitX);
+
+    // Unit and SRP cells, which are sometimes printed as a single item ("D 51.25")
+    const cells = columnItems
+      .filter(item => item.x >= group.unitX)
+      .map(item => {
+        const match = item.text.match(/^(.*?)\s*(\d+\.\d{2})$/);
+        return match
+          ? { y: item.y, unit: match[1].trim(), price: parseFloat(match[2]) }
+          : { y: item.y, unit: item.text.trim(), price: null };
+      });
+
+    const prices = cells.filter(cell => cell.price !== null);
+    section = group.section || section;
+
+    for (const block of groupLines(names)) {
+      const { heading, products } = splitBlock(block, prices);
+
+      if (heading) {
+        const upper = heading.toUpperCase();
+        if (SECTIONS[upper]) {
+          section = SECTIONS[upper];
+        } else if (isUppercase(heading) && !upper.startsWith('NOTES')) {
+          category = heading;
+        }
+      }
+
+      for (const { name, price } of products) {
+        // The unit sits on the same baseline as the price unless both share one item
+        const unitCell = cells.find(cell => Math.abs(cell.y - price.y) < 2 && cell.unit && cell !== price) || price;
+        const { brand, variant, area, outlet } = parseProductName(name);
+
+        const entry = {
+          name,
+          brand,
+          variant,
+          category,
+          commodity: category ? categoryToCommodity(category) : null,
+          section,
+          netContent: unitCell.unit || '',
+          srp: price.price,
+          area,
+          outlet,
+          source: SOURCE,
+          effectiveDate: context.effectiveDate,
+          filename: context.filename,
+          sourceDocument: context.sourceDocument || null,
+          page: context.page || null,
+          rawLine: lineAt(columnItems, price.y)
+        };
+
+        results.push({ ...entry, ...scoreSRP(entry) });
+
+        if (debug) {
+          console.log(`✓ ${category} | ${name} | ${unitCell.unit} | ${price.price}`);
+        }
+      }
+    }
+  }
+
+  return results;
+}
+
+function getAllPDFs(dir = DEFAULT_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.toLowerCase().endsWith('.pdf'))
+    .map(f => ({ path: path.join(dir, f), filename: f }));
+}
+
 function getLatestPDF(dir) {
   if (!fs.existsSync(dir)) return null;
   const files = fs.readdirSync(dir)
@@ -40,7 +361,7 @@ async function parseDTIPDF(pdfPath, debug = false) {
 
   let pdfData;
   try {
-    pdfData = await pdf(dataBuffer);
+    pdfData = await extractPageItems(dataBuffer);
   } catch (err) {
     throw new Error('Could not parse PDF: ' + err.message);
   }
@@ -51,96 +372,133 @@ async function parseDTIPDF(pdfPath, debug = false) {
     console.log('=== END EXTRACTED TEXT ===\n');
   }
 
-  const lines = pdfData.text.split('\n');
-  const results = [];
+  const filename = path.basename(pdfPath);
+  const reportDate = resolveReportDate({ text: pdfData.text, filename });
+  if (!reportDate) {
+    throw new Error(`Could not find the effective date in ${filename}`);
+  }
 
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.length < 5) continue;
+  if (debug) {
+    console.log(`Effective date: ${reportDate.date} (${reportDate.rule})`);
+  }
 
-    if (debug) {
-      console.log('Processing line:', trimmed);
-    }
+  const context = {
+    effectiveDate: reportDate.date,
+    filename
+  };
 
-    let match = null;
-    let patternIndex = -1;
+  context.sourceDocument = describeDocument(dataBuffer, {
+    filename: context.filename,
+    source: SOURCE,
+    reportDate: context.effectiveDate,
+    pageCount: pdfData.numpages,
+    storagePath: pdfPath
+  });
 
-    // Try each pattern
-    for (let i = 0; i < LINE_PATTERNS.length; i++) {
-      match = trimmed.match(LINE_PATTERNS[i]);
-      if (match) {
-        patternIndex = i;
-        break;
-      }
-    }
+  return pdfData.pages.flatMap((items, index) =>
+    extractSRPsFromPage(items, { ...context, page: index + 1 }, debug)
+  );
+}
 
-    if (match) {
-      let commodity, unit, price;
-
-      if (patternIndex === 0) {
-        // Pattern 1: [commodity] [unit] [price]
-        [, commodity, unit, price] = match;
-      } else if (patternIndex === 1) {
-        // Pattern 2: [commodity] [price] [unit]
-        [, commodity, price, unit] = match;
-      } else if (patternIndex === 2) {
-        // Pattern 3: [commodity] [unit] [price] (flexible)
-        [, commodity, unit, price] = match;
-      } else if (patternIndex === 3) {
-        // Pattern 4: [commodity] [price] (no unit)
-        [, commodity, price] = match;
-        unit = 'unit'; // Default unit
-      }
+/**
+ * Save parsed SRP entries to the database.
+ * Entries are upserted on product, size, category and effective date, so
+ * re-parsing a bulletin updates the existing rows instead of duplicating them.
+ * @param {Array<Object>} entries - Parsed SRP entries
+ * @returns {Promise<Object>} Counts of saved and skipped entries
+ */
+async function saveSRPsToDatabase(entries) {
+  const stats = { saved: 0, skipped: 0, errors: [] };
+  if (!entries || entries.length === 0) return stats;
 
-      // Clean up commodity name
-      commodity = commodity.trim().replace(/\s+/g, ' ');
-      
-      // Skip if commodity is too short or looks like a header
-      if (commodity.length < 2 || 
-          commodity.toLowerCase().includes('page') ||
-          commodity.toLowerCase().includes('srp') ||
-          commodity.toLowerCase().includes('bulletin')) {
-        continue;
-      }
+  const resolveCommodity = createCommodityCache();
+  const documentIds = await saveSourceDocuments(entries);
+
+  for (const entry of entries) {
+    try {
+      const commodity = entry.commodity
+        ? await resolveCommodity(entry.commodity)
+        : null;
+
+      const key = {
+        name: entry.name,
+        netContent: entry.netContent,
+        category: entry.category || '',
+        effectiveDate: new Date(entry.effectiveDate)
+      };
 
-      results.push({
-        commodity: commodity,
-        unit: unit ? unit.trim() : 'unit',
-        price: parseFloat(price),
-        source: SOURCE,
-        region: REGION,
-        date: DATE
+      const values = {
+        commodityId: commodity ? commodity.id : null,
+        brand: entry.brand,
+        variant: entry.variant,
+        section: entry.section || '',
+        ...packSizeOf(entry.netContent),
+        area: entry.area,
+        outlet: entry.outlet,
+        srp: entry.srp,
+        source: entry.source,
+        filename: entry.filename,
+        ...provenanceOf(entry, documentIds)
+      };
+
+      await prisma.suggestedRetailPrice.upsert({
+        where: { unique_srp_entry: key },
+        update: values,
+        create: { ...key, ...values }
       });
 
-      if (debug) {
-        console.log('✓ Matched:', { commodity, unit, price });
-      }
+      stats.saved++;
+    } catch (error) {
+      stats.skipped++;
+      stats.errors.push(`Failed to save ${entry.name} ${entry.netContent}: ${error.message}`);
     }
   }
 
-  return results;
+  return stats;
 }
 
-(async () => {
-  const args = process.argv.slice(2);
+/**
+ * Main function for command line execution. The bulletin goes through the
+ * registered dti pipeline, so its rows are quarantined and checked for
+ * anomalies exactly as in scheduled runs.
+ * @param {Array<string>} [args] - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
   const debug = args.includes('--debug');
+  const saveToDb = !args.includes('--no-db');
+  const outputToFile = !args.includes('--no-file');
   let pdfPath = args.find(arg => !arg.startsWith('--'));
-  
+
   if (!pdfPath) {
     pdfPath = getLatestPDF(DEFAULT_DIR);
     if (!pdfPath) {
       console.error('No PDF file provided and no PDF found in', DEFAULT_DIR);
-      console.error('Usage: node dti_parser.js <path-to-pdf> [--debug]');
+      console.error('Usage: node dti_parser.js <path-to-pdf> [--debug] [--no-db] [--no-file]');
       process.exit(1);
     } else {
       console.log('No PDF argument provided. Using latest PDF in', DEFAULT_DIR, '\nFile:', pdfPath);
     }
   }
 
+  // Loaded here since the dti source requires this parser
+  const { getSource, runPipeline } = require('../sources');
+  const run = saveToDb ? await startRun('dti') : null;
+
   try {
-    const entries = await parseDTIPDF(pdfPath, debug);
-    console.log(`\nFound ${entries.length} price entries`);
-    
+    const result = await runPipeline(getSource('dti'), {
+      saveToDb,
+      debug,
+      documents: [{ path: pdfPath, filename: path.basename(pdfPath) }]
+    });
+
+    // A bulletin that could not be parsed at all fails the run
+    if (result.found === 0 && result.errors.length > 0) {
+      throw new Error(result.errors.join('; '));
+    }
+
+    const entries = result.records;
+    console.log(`\nFound ${entries.length} SRP entries`);
+
     if (entries.length === 0) {
       console.log('No entries found. Try running with --debug to see extracted text.');
       console.log('Usage: node dti_parser.js <path-to-pdf> --debug');
@@ -148,17 +506,42 @@ async function parseDTIPDF(pdfPath, debug = false) {
       const first10 = entries.slice(0, 10);
       console.log('\nFirst 10 entries:');
       console.log(JSON.stringify(first10, null, 2));
-      
-      // Save to file
-      try {
-        fs.writeFileSync(OUTPUT_PATH, JSON.stringify(first10, null, 2));
-        console.log(`\nSaved first 10 entries to ${OUTPUT_PATH}`);
-      } catch (err) {
-        console.warn('Could not write output file:', err.message);
+
+      if (saveToDb) {
+        console.log(`\n🗄️  Saved ${result.saved} SRP entries to the database (${result.skipped} skipped, ${result.quarantined} quarantined for review, ${result.flagged} flagged as anomalies)`);
+        result.errors.forEach(error => console.warn(`   - ${error}`));
+      }
+
+      if (outputToFile) {
+        try {
+          fs.writeFileSync(OUTPUT_PATH, JSON.stringify(entries, null, 2));
+          console.log(`\nSaved all ${entries.length} entries to ${OUTPUT_PATH}`);
+        } catch (err) {
+          console.warn('Could not write output file:', err.message);
+        }
       }
     }
+
+    await finishRun(run, result);
   } catch (err) {
     console.error('Error:', err.message);
+    await finishRun(run, { failed: true, errors: [err.message] });
     process.exit(1);
   }
-})(); 
\ No newline at end of file
+}
+
+module.exports = {
+  parseDTIPDF,
+  extractSRPsFromPage,
+  scoreSRP,
+  parseProductName,
+  categoryToCommodity,
+  saveSRPsToDatabase,
+  getAllPDFs,
+  main
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+  main();
+} 
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * PDF table layout
+ * Government bulletins are tables, and pdf-parse's flattened text runs their
+ * cells together. These helpers read the positioned text items of each page
+ * and rebuild rows and columns, so parsers map values by their column header.
+ */
+
+const pdf = require('pdf-parse');
+
+// Baselines closer than this (in points) belong to the same table row
+const ROW_TOLERANCE = 3;
+
+/**
+ * Read the text items of every page together with their positions.
+ * pdf-parse's flattened text loses the table layout of the government
+ * bulletins, so parsers that need columns work from these items instead.
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @returns {Promise<Object>} Flattened text and the positioned items of each page
+ */
+async function extractPageItems(dataBuffer) {
+  const pages = [];
+
+  const pdfData = await pdf(dataBuffer, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent();
+      const items = content.items
+        .filter(item => item.str.trim())
+        .map(item => ({
+          text: item.str.trim(),
+          x: item.transform[4],
+          y: item.transform[5],
+          width: item.width,
+          height: Math.abs(item.transform[3]) || item.height
+        }));
+
+      pages.push(items);
+      return items.map(item => item.text).join('\n');
+    }
+  });
+
+  return { text: pdfData.text, pages, numpages: pdfData.numpages };
+}
+
+/**
+ * Get the text printed on the same baseline as a position, left to right
+ * @param {Array<Object>} items - Positioned text items of the page
+ * @param {number} y - Baseline
+ * @param {number} [tolerance=2] - Maximum baseline difference
+ * @returns {string} Line text
+ */
+function lineAt(items, y, tolerance = 2) {
+  return items
+    .filter(item => Math.abs(item.y - y) < tolerance)
+    .sort((a, b) => a.x - b.x)
+    .map(item => item.text)
+    .join(' ');
+}
+
+/**
+ * Group text items into table rows. Items whose baselines are within the
+ * tolerance of the first item of a row belong to that row.
+ * @param {Array<Object>} items - Positioned text items
+ * @param {number} [tolerance=3] - Maximum baseline difference within a row
+ * @returns {Array<Object>} Rows from top to bottom with their baseline, items left to right and text
+ */
+function groupRows(items, tolerance = ROW_TOLERANCE) {
+  const rows = [];
+
+  [...items]
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+    .forEach(item => {
+      const previous = rows[rows.length - 1];
+      if (previous && previous.y - item.y < tolerance) {
+        previous.items.push(item);
+      } else {
+        rows.push({ y: item.y, items: [item] });
+      }
+    });
+
+  return rows.map(row => {
+    const sorted = row.items.sort((a, b) => a.x - b.x);
+    return { y: row.y, items: sorted, text: sorted.map(item => item.text).join(' ') };
+  });
+}
+
+/**
+ * Check whether two text items overlap horizontally
+ * @param {Object} a - Positioned text item
+ * @param {Object} b - Positioned text item
+ * @returns {boolean} True when their extents overlap
+ */
+function overlaps(a, b) {
+  return a.x < b.x + b.width && a.x + a.width > b.x;
+}
+
+/**
+ * Merge header cells into columns. Headers wrapped over several lines
+ * ("OVERALL / RANGE", "Galunggong / (Local)") overlap horizontally and are
+ * joined top to bottom into one label. Titles spanning several cells of
+ * another header line ("COMMODITY (PHP/KG)") are not columns and are left out.
+ * @param {Array<Object>} items - Text items of the header
+ * @returns {Array<Object>} Columns left to right with their label and horizontal extent
+ */
+function mergeHeaderCells(items) {
+  const columns = [];
+
+  const cells = items.filter(item => {
+    const overlapped = items.filter(other => Math.abs(other.y - item.y) >= 1 && overlaps(item, other));
+    return !overlapped.some(other =>
+      overlapped.filter(cell => Math.abs(cell.y - other.y) < 1).length > 1
+    );
+  });
+
+  cells
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+    .forEach(item => {
+      const column = columns.find(candidate => overlaps(item, { x: candidate.start, width: candidate.end - candidate.start }));
+
+      if (column) {
+        column.label = `${column.label} ${item.text}`;
+        column.start = Math.min(column.start, item.x);
+        column.end = Math.max(column.end, item.x + item.width);
+      } else {
+        columns.push({ label: item.text, start: item.x, end: item.x + item.width, y: item.y });
+      }
+    });
+
+  return columns
+    .map(column => ({ ...column, label: column.label.replace(/\s+/g, ' ').trim() }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the column a text item falls under.
+ * Items are matched on horizontal overlap with the header, then on distance.
+ * @param {Object} item - Positioned text item
+ * @param {Array<Object>} columns - Columns with a key and horizontal extent
+ * @returns {string|null} Column key
+ */
+function findColumn(item, columns) {
+  let best = null;
+  let bestScore = Infinity;
+
+  for (const column of columns) {
+    const gap = Math.max(column.start - (item.x + item.width), item.x - column.end, 0);
+    const centerDistance = Math.abs((column.start + column.end) / 2 - (item.x + item.width / 2));
+    const score = gap * 1000 + centerDistance;
+
+    if (score < bestScore) {
+      bestScore = score;
+      best = column.key;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Build a table grid: every item is placed in a row and under a column.
+ * Rows are found by grouping baselines, or given as the baselines of the row
+ * labels when values are printed slightly above or below their label.
+ * @param {Array<Object>} items - Positioned text items of the table body
+ * @param {Array<Object>} columns - Columns with a key and horizontal extent
+ * @param {Object} [options] - Grid options
+ * @param {Array<number>} [options.rows] - Row baselines; items further than the tolerance from every row are left out
+ * @param {number} [options.tolerance=3] - Maximum baseline difference within a row
+ * @returns {Array<Object>} Rows from top to bottom with their baseline, text and the items of each column
+ */
+function buildGrid(items, columns, { rows = null, tolerance = ROW_TOLERANCE } = {}) {
+  let grid;
+
+  if (rows) {
+    grid = rows.map(y => ({ y, items: [] }));
+
+    for (const item of items) {
+      let row = null;
+      let rowDistance = tolerance;
+
+      for (const candidate of grid) {
+        const distance = Math.abs(candidate.y - item.y);
+        if (distance <= rowDistance) {
+          row = candidate;
+          rowDistance = distance;
+        }
+      }
+
+      if (row) row.items.push(item);
+    }
+
+    grid.forEach(row => row.items.sort((a, b) => a.x - b.x));
+  } else {
+    grid = groupRows(items, tolerance);
+  }
+
+  return grid.map(row => {
+    const cells = {};
+
+    for (const item of row.items) {
+      const key = findColumn(item, columns);
+      if (key === null) continue;
+      if (!cells[key]) cells[key] = [];
+      cells[key].push(item);
+    }
+
+    return { y: row.y, text: row.items.map(item => item.text).join(' '), cells };
+  });
+}
+
+/**
+ * Get the text of a grid cell
+ * @param {Object} row - Grid row
+ * @param {string} key - Column key
+ * @returns {string} Items of the cell joined left to right, or an empty string
+ */
+function cellText(row, key) {
+  return (row.cells[key] || []).map(item => item.text).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  ROW_TOLERANCE,
+  extractPageItems,
+  lineAt,
+  groupRows,
+  mergeHeaderCells,
+  findColumn,
+  buildGrid,
+  cellText
+}; 
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * Report date resolution
+ * Reports print their date in the body ("as of 01 February 2025", "For the
+ * week of June 17-23, 2025" or a dated title); the filename is only read when
+ * the body has no date. Parsers refuse a report whose date cannot be resolved
+ * rather than stamping it with a default.
+ */
+
+// English month names and abbreviations, and the Filipino (and Spanish-derived) names
+const MONTHS = {
+  january: 1, jan: 1, enero: 1,
+  february: 2, feb: 2, pebrero: 2, febrero: 2,
+  march: 3, mar: 3, marso: 3, marzo: 3,
+  april: 4, apr: 4, abril: 4,
+  may: 5, mayo: 5,
+  june: 6, jun: 6, hunyo: 6, junio: 6,
+  july: 7, jul: 7, hulyo: 7, julio: 7,
+  august: 8, aug: 8, agosto: 8,
+  september: 9, sep: 9, sept: 9, setyembre: 9, septiyembre: 9, septiembre: 9,
+  october: 10, oct: 10, oktubre: 10, octubre: 10,
+  november: 11, nov: 11, nobyembre: 11, noviembre: 11,
+  december: 12, dec: 12, disyembre: 12, diciembre: 12
+};
+
+// Dates as printed in report text, each with the order of its year, month and day
+const TEXT_PATTERNS = [
+  // June 26, 2025 / June 17-23, 2025 / Hunyo 26, 2025 / June-26-2025
+  {
+    pattern: /(?<![a-z])([a-z]+)\.?[\s-]+(\d{1,2})(?:st|nd|rd|th)?(?:\s*[-–]\s*(?:[a-z]+\.?\s+)?\d{1,2})?,?[\s-]*(\d{4})(?!\d)/gi,
+    parts: match => [match[3], match[1], match[2]]
+  },
+  // 01 FEBRUARY 2025 / ika-26 ng Hunyo 2025
+  {
+    pattern: /(?<![\w-])(?:ika-?)?(\d{1,2})(?:st|nd|rd|th)?(?:\s+ng)?[\s-]+([a-z]+)\.?,?[\s-]+(\d{4})(?!\d)/gi,
+    parts: match => [match[3], match[2], match[1]]
+  },
+  // 2025-06-26 / 2025/06/26
+  {
+    pattern: /(?<!\d)(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?!\d)/g,
+    parts: match => [match[1], match[2], match[3]]
+  },
+  // 06/26/2025 / 06-26-25, month first as printed in Philippine reports
+  {
+    pattern: /(?<!\d)(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})(?!\d)/g,
+    parts: match => [match[3], match[1], match[2]]
+  }
+];
+
+// Undelimited dates, only trusted in filenames ("NCR Price Monitoring 06172025")
+const COMPACT_PATTERNS = [
+  { pattern: /(?<!\d)(\d{4})(\d{2})(\d{2})(?!\d)/g, parts: match => [match[1], match[2], match[3]] },
+  { pattern: /(?<!\d)(\d{2})(\d{2})(\d{4})(?!\d)/g, parts: match => [match[3], match[1], match[2]] },
+  { pattern: /(?<!\d)(\d{2})(\d{2})(\d{2})(?!\d)/g, parts: match => [match[3], match[1], match[2]] }
+];
+
+// Labels printed before the report date, checked in order
+const LABELLED_RULES = [
+  { rule: 'as-of', label: /\b(?:as\s+of|petsa(?:\s+ng)?|date(?:\s+of\s+monitoring)?)\b\s*:?\s*/gi },
+  { rule: 'week', label: /\b(?:for\s+the\s+week(?:\s+of)?|linggo\s+ng)\b\s*:?\s*/gi }
+];
+
+/**
+ * Get the month number of a month name or number
+ * @param {string} value - Month name ("June", "Hunyo", "Sept.") or number
+ * @returns {number|null} Month from 1 to 12
+ */
+function monthNumber(value) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return MONTHS[value.toLowerCase()] || null;
+}
+
+/**
+ * Build a YYYY-MM-DD date, rejecting days that do not exist
+ * @param {string} year - Two or four digit year
+ * @param {string} month - Month name or number
+ * @param {string} day - Day of the month
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function toIsoDate(year, month, day) {
+  const y = year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+  let m = monthNumber(month);
+  let d = parseInt(day, 10);
+
+  // Numeric dates printed day first (26/06/2025)
+  if (/^\d+$/.test(month) && m > 12 && d <= 12) {
+    [m, d] = [d, m];
+  }
+
+  if (!m || y < 2000 || y > 2099) return null;
+
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the first valid date in a text
+ * @param {string} text - Text to search
+ * @param {Object} [options] - Search options
+ * @param {boolean} [options.anchored=false] - Only accept a date at the start of the text
+ * @param {boolean} [options.compact=false] - Also accept undelimited dates such as 06172025
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function findDate(text, { anchored = false, compact = false } = {}) {
+  const patterns = compact ? [...TEXT_PATTERNS, ...COMPACT_PATTERNS] : TEXT_PATTERNS;
+  let first = null;
+
+  for (const { pattern, parts } of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      if (anchored && match.index !== 0) break;
+      if (first && match.index >= first.index) break;
+
+      const date = toIsoDate(...parts(match));
+      if (date) {
+        first = { date, index: match.index };
+        break;
+      }
+    }
+  }
+
+  return first ? first.date : null;
+}
+
+/**
+ * Resolve the date of a report. The rules are tried in order and the first
+ * date found wins:
+ * - as-of: a date after "as of", "Date:" or "Petsa:"
+ * - week: the first day after "For the week of"
+ * - text: the first date anywhere in the report text
+ * - filename: a date in the filename, including undelimited ones
+ * @param {Object} report - Report to date
+ * @param {string} [report.text] - Report text
+ * @param {string} [report.filename] - Original filename
+ * @returns {Object|null} Date in YYYY-MM-DD format and the rule that matched, or null
+ */
+function resolveReportDate({ text = '', filename = '' }) {
+  for (const { rule, label } of LABELLED_RULES) {
+    for (const match of text.matchAll(label)) {
+      const start = match.index + match[0].length;
+      const date = findDate(text.slice(start, start + 40), { anchored: true });
+      if (date) return { date, rule };
+    }
+  }
+
+  const date = findDate(text);
+  if (date) return { date, rule: 'text' };
+
+  // Separators in downloaded filenames ("BNPC+SRP+BULLETIN+01+FEBRUARY+2025.pdf")
+  const name = filename.replace(/\.pdf$/i, '').replace(/[_+]/g, ' ');
+  const filenameDate = findDate(name, { compact: true });
+  if (filenameDate) return { date: filenameDate, rule: 'filename' };
+
+  return null;
+}
+
+module.exports = {
+  MONTHS,
+  findDate,
+  resolveReportDate
+}; 
\ No newline at end of file
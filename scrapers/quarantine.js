@@ -0,0 +1,126 @@
+/**
+ * Parse review quarantine
+ * Parsers score every extracted row with a confidence between 0 and 1 and the
+ * reasons it was lowered. Rows below the threshold are held in the quarantine
+ * table for an admin to edit, approve or reject instead of being saved.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../src/config/database');
+const { saveSourceDocuments } = require('./source_documents');
+
+// Rows scoring below this are quarantined
+const QUARANTINE_THRESHOLD = parseFloat(process.env.QUARANTINE_THRESHOLD) || 0.6;
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Score a row from the checks it failed
+ * @param {Array<Object>} checks - Checks of the row
+ * @param {boolean} checks[].failed - The row failed the check
+ * @param {number} checks[].penalty - Confidence lost when it fails
+ * @param {string} checks[].reason - Why the confidence was lowered
+ * @returns {Object} Confidence and the reasons of the failed checks
+ */
+function scoreConfidence(checks) {
+  const failed = checks.filter(check => check.failed);
+  const penalty = failed.reduce((sum, check) => sum + check.penalty, 0);
+
+  return {
+    confidence: Math.round(Math.max(0, 1 - penalty) * 100) / 100,
+    reasons: failed.map(check => check.reason)
+  };
+}
+
+/**
+ * Split rows into the ones to save and the ones to quarantine.
+ * Rows without a confidence were not scored and are saved.
+ * @param {Array<Object>} entries - Parsed rows
+ * @param {number} [threshold] - Lowest confidence that is saved
+ * @returns {Object} accepted and quarantined rows
+ */
+function splitByConfidence(entries, threshold = QUARANTINE_THRESHOLD) {
+  const accepted = [];
+  const quarantined = [];
+
+  for (const entry of entries) {
+    if (typeof entry.confidence === 'number' && entry.confidence < threshold) {
+      quarantined.push(entry);
+    } else {
+      accepted.push(entry);
+    }
+  }
+
+  return { accepted, quarantined };
+}
+
+/**
+ * Fingerprint a parsed row, ignoring its score, so re-runs find the row again
+ * @param {Object} entry - Parsed row
+ * @param {Object} details - Where the row comes from
+ * @param {string} details.source - Registered source name
+ * @param {string} details.dataset - Table the row is saved to
+ * @returns {Object} SHA-256 fingerprint, and the row without its confidence and reasons
+ */
+function fingerprintRow(entry, { source, dataset }) {
+  const { confidence, reasons, ...data } = entry;
+  const fingerprint = crypto.createHash('sha256')
+    .update(JSON.stringify({ source, dataset, data }))
+    .digest('hex');
+
+  return { fingerprint, data };
+}
+
+/**
+ * Store rows in the quarantine table. A row already quarantined by an earlier
+ * run keeps its review state and edits; only its score is refreshed.
+ * @param {Array<Object>} entries - Rows to quarantine
+ * @param {Object} details - Where the rows come from
+ * @param {string} details.source - Registered source name, e.g. "dti"
+ * @param {string} details.dataset - Table the rows are saved to once approved
+ * @returns {Promise<Object>} Number of rows quarantined, and errors
+ */
+async function quarantineEntries(entries, { source, dataset }) {
+  const result = { quarantined: 0, errors: [] };
+  if (!entries || entries.length === 0) return result;
+
+  const documentIds = await saveSourceDocuments(entries);
+
+  for (const entry of entries) {
+    const { confidence, reasons } = entry;
+    const { fingerprint, data } = fingerprintRow(entry, { source, dataset });
+
+    try {
+      await prisma.quarantinedRow.upsert({
+        where: { fingerprint },
+        update: { confidence, reasons },
+        create: {
+          fingerprint,
+          source,
+          dataset,
+          data,
+          confidence,
+          reasons,
+          sourceDocumentId: entry.sourceDocument ? documentIds.get(entry.sourceDocument.sha256) || null : null,
+          page: entry.page ?? null,
+          rawLine: entry.rawLine ?? null
+        }
+      });
+
+      result.quarantined++;
+    } catch (error) {
+      result.errors.push(`Failed to quarantine ${entry.rawLine || entry.commodity || 'row'}: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  QUARANTINE_THRESHOLD,
+  REVIEW_STATUSES,
+  scoreConfidence,
+  splitByConfidence,
+  fingerprintRow,
+  quarantineEntries
+}; 
\ No newline at end of file
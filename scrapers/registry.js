@@ -0,0 +1,214 @@
+/**
+ * Source registry
+ * Each data source registers a fetch/parse/normalize/persist pipeline together
+ * with metadata about its schedule, coverage and output, so the CLI, the admin
+ * API and the cron job all run the same pipelines.
+ */
+
+const { splitByConfidence, quarantineEntries } = require('./quarantine');
+const { ANOMALY_ACTION, detectAnomalies, holdAnomalies, recordAnomalies } = require('./anomalies');
+
+const DEFAULT_SCHEDULE = '0 7 * * *';
+
+// Schedules run in Asia/Manila time, which is UTC+8 all year
+const SCHEDULE_UTC_OFFSET_HOURS = 8;
+
+// Share of a pipeline's progress reported while parsing documents
+const PARSE_PROGRESS_SHARE = 0.9;
+
+const sources = new Map();
+
+/**
+ * Register a data source
+ * @param {Object} source - Source definition
+ * @param {string} source.name - Unique source name, e.g. "doe"
+ * @param {Function} source.fetch - (context) => documents to parse
+ * @param {Function} source.parse - (document, context) => parsed records
+ * @param {Function} [source.normalize] - (records, context) => normalized records
+ * @param {Function} source.persist - (records, context) => number of saved records or { saved, skipped, errors }
+ * @param {boolean} [source.acceptsUploads] - Documents of this source can be uploaded by admins
+ * @returns {Object} Registered source
+ */
+function registerSource(source) {
+  if (!source || !source.name) {
+    throw new Error('Source name is required');
+  }
+
+  for (const step of ['fetch', 'parse', 'persist']) {
+    if (typeof source[step] !== 'function') {
+      throw new Error(`Source ${source.name} must define a ${step} step`);
+    }
+  }
+
+  const key = source.name.toLowerCase();
+  if (sources.has(key)) {
+    throw new Error(`Source ${source.name} is already registered`);
+  }
+
+  const registered = {
+    agency: source.name.toUpperCase(),
+    description: '',
+    schedule: DEFAULT_SCHEDULE,
+    regions: [],
+    format: 'pdf',
+    dataset: 'prices',
+    enabled: true,
+    acceptsUploads: false,
+    normalize: records => records,
+    ...source,
+    name: key
+  };
+
+  sources.set(key, registered);
+  return registered;
+}
+
+/**
+ * Get a registered source by name
+ * @param {string} name - Source name (case-insensitive)
+ * @returns {Object|null} Source or null if not registered
+ */
+function getSource(name) {
+  return sources.get(String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * List registered sources
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.enabledOnly] - Only list enabled sources
+ * @returns {Array<Object>} Sources in registration order
+ */
+function listSources({ enabledOnly = false } = {}) {
+  return [...sources.values()].filter(source => !enabledOnly || source.enabled);
+}
+
+/**
+ * Describe a source without its pipeline functions, for API responses
+ * @param {Object} source - Registered source
+ * @returns {Object} Source metadata
+ */
+function describeSource(source) {
+  const { name, agency, description, schedule, regions, format, dataset, enabled, acceptsUploads } = source;
+  return { name, agency, description, schedule, regions, format, dataset, enabled, acceptsUploads };
+}
+
+/**
+ * Get the next time a daily schedule such as "0 7 * * *" fires.
+ * Only daily schedules (fixed minute and hour) are supported.
+ * @param {string} schedule - Cron expression in Asia/Manila time
+ * @param {Date} [from=new Date()] - Time to count from
+ * @returns {Date|null} Next run, or null for schedules that are not daily
+ */
+function getNextRun(schedule, from = new Date()) {
+  const [minute, hour, ...rest] = schedule.trim().split(/\s+/);
+  if (!/^\d+$/.test(minute) || !/^\d+$/.test(hour) || rest.join(' ') !== '* * *') {
+    return null;
+  }
+
+  const next = new Date(from);
+  next.setUTCHours(parseInt(hour) - SCHEDULE_UTC_OFFSET_HOURS, parseInt(minute), 0, 0);
+  while (next <= from) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  // Hours before 8:00 Manila time fall on the previous UTC day
+  while (next - from > 24 * 60 * 60 * 1000) {
+    next.setUTCDate(next.getUTCDate() - 1);
+  }
+
+  return next;
+}
+
+/**
+ * Run the pipeline of a source: fetch its documents, parse each one, normalize
+ * the records and persist them. Records scored below the quarantine threshold
+ * are held for review instead, and so are price anomalies unless ANOMALY_ACTION
+ * is flag. A document that fails to parse is reported without stopping the others.
+ * @param {Object} source - Registered source
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.saveToDb=true] - Persist the records
+ * @param {boolean} [options.debug=false] - Print parser details
+ * @param {Array<Object>} [options.documents] - Documents to parse instead of fetching them
+ * @param {Function} [options.onProgress] - Called with the completed fraction (0 to 1) of the run
+ * @returns {Promise<Object>} Records, files and counts of the run
+ */
+async function runPipeline(source, { saveToDb = true, debug = false, documents: provided = null, onProgress = null } = {}) {
+  const context = { source: source.name, saveToDb, debug };
+  const errors = [];
+  const report = async fraction => {
+    if (onProgress) await onProgress(fraction);
+  };
+
+  const documents = provided || await source.fetch(context);
+  const parsed = [];
+
+  for (const [index, document] of documents.entries()) {
+    try {
+      parsed.push(...await source.parse(document, context));
+    } catch (error) {
+      errors.push(`${document.filename || source.name}: ${error.message}`);
+    }
+
+    // Parsing is most of the work; saving takes the last tenth
+    await report(PARSE_PROGRESS_SHARE * (index + 1) / documents.length);
+  }
+
+  const records = await source.normalize(parsed, context);
+
+  // Low-confidence records are held for review instead of being saved
+  const scored = splitByConfidence(records);
+
+  // Prices far from their recent history are held with them, or saved and flagged
+  const anomalies = saveToDb ? await detectAnomalies(scored.accepted, source.dataset) : [];
+  const { accepted, held: anomalous } = ANOMALY_ACTION === 'hold'
+    ? holdAnomalies(scored.accepted, anomalies)
+    : { accepted: scored.accepted, held: [] };
+  const quarantined = [...scored.quarantined, ...anomalous];
+
+  let saved = 0;
+  let skipped = 0;
+  if (saveToDb && accepted.length > 0) {
+    const stats = await source.persist(accepted, context);
+    if (typeof stats === 'number') {
+      saved = stats;
+    } else {
+      saved = stats.saved;
+      skipped = stats.skipped || 0;
+      errors.push(...(stats.errors || []));
+    }
+  }
+
+  if (saveToDb && quarantined.length > 0) {
+    const held = await quarantineEntries(quarantined, { source: source.name, dataset: source.dataset });
+    errors.push(...held.errors);
+  }
+
+  if (anomalies.length > 0) {
+    const recorded = await recordAnomalies(anomalies, { source: source.name, dataset: source.dataset });
+    errors.push(...recorded.errors);
+  }
+
+  await report(1);
+
+  return {
+    documents: documents.length,
+    files: documents.map(document => document.filename).filter(Boolean),
+    found: parsed.length,
+    records,
+    saved,
+    skipped,
+    rejected: parsed.length - records.length,
+    quarantined: quarantined.length,
+    flagged: anomalies.length,
+    errors
+  };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  registerSource,
+  getSource,
+  listSources,
+  describeSource,
+  getNextRun,
+  runPipeline
+}; 
\ No newline at end of file
@@ -1,15 +1,20 @@
 const fs = require('fs-extra');
 const path = require('path');
-const DTIScraper = require('./dti_scraper');
-const DAScraper = require('./da_scraper');
+const { getSource, listSources, runPipeline } = require('./sources');
+const { startRun, finishRun } = require('./ingestion_runs');
 
 /**
- * Run all scrapers and collect price data
+ * Run registered sources and collect price data
  * @param {boolean} saveToDb - Whether to save data to database
  * @param {boolean} outputToFile - Whether to output to JSON file
+ * @param {Object} [options] - Run options
+ * @param {Array<string>} [options.sources] - Names of the sources to run, defaults to all enabled sources
+ * @param {boolean} [options.debug] - Print parser details
+ * @param {string} [options.trigger='manual'] - What started the run: cron, manual or upload
+ * @param {Function} [options.onProgress] - Called with the completed fraction (0 to 1) of all sources
  * @returns {Promise<Object>} Results summary
  */
-async function runAllScrapers(saveToDb = true, outputToFile = true) {
+async function runAllScrapers(saveToDb = true, outputToFile = true, options = {}) {
   const startTime = Date.now();
   const results = {
     scrapersRun: 0,
@@ -18,68 +23,97 @@ async function runAllScrapers(saveToDb = true, outputToFile = true) {
     scrapers: {}
   };
 
-  // Initialize scrapers
-  const scrapers = [
-    new DTIScraper(),
-    new DAScraper()
-  ];
+  const sources = options.sources && options.sources.length > 0
+    ? options.sources.map(name => {
+      const source = getSource(name);
+      if (!source) {
+        throw new Error(`Unknown source: ${name}`);
+      }
+      return source;
+    })
+    : listSources({ enabledOnly: true });
 
   console.log('🚀 Starting all scrapers...');
   console.log(`📅 Date: ${new Date().toISOString()}`);
-  console.log(`🔧 Scrapers to run: ${scrapers.length}`);
+  console.log(`🔧 Sources to run: ${sources.map(source => source.name).join(', ')}`);
   console.log('');
 
-  // Run each scraper
-  for (const scraper of scrapers) {
+  const trigger = options.trigger || 'manual';
+
+  // Run each source pipeline, recording it in the run history when saving to the database
+  for (const [index, source] of sources.entries()) {
+    const ingestionRun = saveToDb ? await startRun(source.name, trigger) : null;
+    const onProgress = options.onProgress
+      ? fraction => options.onProgress((index + fraction) / sources.length)
+      : null;
+
     try {
-      console.log(`🔄 Running ${scraper.name}...`);
-      
-      // Run the scraper
-      const prices = await scraper.scrape();
-      
-      if (!prices || prices.length === 0) {
-        console.log(`⚠️  ${scraper.name} returned no data`);
-        results.scrapers[scraper.name] = {
+      console.log(`🔄 Running ${source.name} (${source.description})...`);
+
+      const run = await runPipeline(source, { saveToDb, debug: options.debug, onProgress });
+      await finishRun(ingestionRun, run);
+      const prices = run.records;
+      results.errors.push(...run.errors.map(error => `${source.name}: ${error}`));
+
+      if (prices.length === 0) {
+        console.log(`⚠️  ${source.name} returned no data`);
+        results.scrapers[source.name] = {
           success: true,
+          runId: ingestionRun ? ingestionRun.id : null,
+          documents: run.documents,
           pricesFound: 0,
           pricesSaved: 0,
-          errors: []
+          pricesSkipped: 0,
+          pricesRejected: run.rejected,
+          pricesQuarantined: run.quarantined,
+          pricesFlagged: run.flagged,
+          errors: run.errors
         };
         continue;
       }
 
-      console.log(`✅ ${scraper.name} found ${prices.length} price records`);
+      console.log(`✅ ${source.name} found ${prices.length} records in ${run.documents} documents`);
 
-      // Save to database if requested
-      let savedCount = 0;
       if (saveToDb) {
-        savedCount = await scraper.saveToDatabase(prices);
-        console.log(`💾 ${scraper.name} saved ${savedCount} new records to database`);
+        console.log(`💾 ${source.name} saved ${run.saved} records to the ${source.dataset} table`);
       }
 
       // Store results
       results.scrapersRun++;
-      results.newPrices += savedCount;
-      results.scrapers[scraper.name] = {
+      results.newPrices += run.saved;
+      results.scrapers[source.name] = {
         success: true,
+        runId: ingestionRun ? ingestionRun.id : null,
+        documents: run.documents,
         pricesFound: prices.length,
-        pricesSaved: savedCount,
-        errors: []
+        pricesSaved: run.saved,
+        pricesSkipped: run.skipped,
+        pricesRejected: run.rejected,
+        pricesQuarantined: run.quarantined,
+        pricesFlagged: run.flagged,
+        errors: run.errors
       };
 
       // Output to file if requested
       if (outputToFile) {
-        await outputToJsonFile(scraper.name, prices);
+        await outputToJsonFile(source.name, prices);
       }
 
     } catch (error) {
-      console.error(`❌ ${scraper.name} failed:`, error.message);
-      
-      results.errors.push(`${scraper.name}: ${error.message}`);
-      results.scrapers[scraper.name] = {
+      console.error(`❌ ${source.name} failed:`, error.message);
+      await finishRun(ingestionRun, { failed: true, errors: [error.message] });
+
+      results.errors.push(`${source.name}: ${error.message}`);
+      results.scrapers[source.name] = {
         success: false,
+        runId: ingestionRun ? ingestionRun.id : null,
+        documents: 0,
         pricesFound: 0,
         pricesSaved: 0,
+        pricesSkipped: 0,
+        pricesRejected: 0,
+        pricesQuarantined: 0,
+        pricesFlagged: 0,
         errors: [error.message]
       };
     }
@@ -96,7 +130,7 @@ async function runAllScrapers(saveToDb = true, outputToFile = true) {
   
   console.log('📊 Scraping Summary:');
   console.log(`⏱️  Duration: ${duration}ms`);
-  console.log(`🔧 Scrapers Run: ${results.scrapersRun}/${scrapers.length}`);
+  console.log(`🔧 Scrapers Run: ${results.scrapersRun}/${sources.length}`);
   console.log(`💰 New Prices: ${results.newPrices}`);
   console.log(`❌ Errors: ${results.errors.length}`);
   
@@ -201,13 +235,27 @@ async function main() {
   const isManual = args.includes('--manual');
   const saveToDb = !args.includes('--no-db');
   const outputToFile = !args.includes('--no-file');
+  const debug = args.includes('--debug');
+
+  if (args.includes('--list')) {
+    listSources().forEach(source => {
+      console.log(`${source.name.padEnd(10)} ${source.format.padEnd(5)} ${source.schedule.padEnd(12)} ${source.description}`);
+    });
+    return;
+  }
+
+  // Sources can be given as --source=doe,dti or as plain arguments
+  const sources = args
+    .filter(arg => !arg.startsWith('--') || arg.startsWith('--source='))
+    .flatMap(arg => arg.replace('--source=', '').split(','))
+    .filter(Boolean);
 
   if (isManual) {
     console.log('🔄 Manual scraper execution...');
   }
 
   try {
-    const results = await runAllScrapers(saveToDb, outputToFile);
+    const results = await runAllScrapers(saveToDb, outputToFile, { sources, debug });
     
     // Exit with error code if there were failures
     if (results.errors.length > 0) {
@@ -224,4 +272,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { runAllScrapers }; 
\ No newline at end of file
+module.exports = { runAllScrapers, getSource, listSources }; 
\ No newline at end of file
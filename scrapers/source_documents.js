@@ -0,0 +1,97 @@
+/**
+ * Source document provenance
+ * Parsers describe the document every entry came from, and the save functions
+ * store each document once so price rows can point back to it.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const prisma = require('../src/config/database');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+/**
+ * Describe a source document for provenance
+ * @param {Buffer|string} content - Document contents
+ * @param {Object} details - Document details
+ * @param {string} details.filename - Original filename
+ * @param {string} details.source - Agency that published it: DA, DOE, DTI
+ * @param {string} [details.reportDate] - Date of the report (YYYY-MM-DD)
+ * @param {number} [details.pageCount] - Number of pages
+ * @param {string} [details.storagePath] - Where the document is stored
+ * @returns {Object} Document descriptor with its SHA-256
+ */
+function describeDocument(content, { filename, source, reportDate = null, pageCount = null, storagePath = null }) {
+  return {
+    filename,
+    sha256: crypto.createHash('sha256').update(content).digest('hex'),
+    source,
+    reportDate,
+    pageCount,
+    // Paths inside the repository are stored relative to it
+    storagePath: storagePath && path.isAbsolute(storagePath) && storagePath.startsWith(ROOT_DIR)
+      ? path.relative(ROOT_DIR, storagePath)
+      : storagePath
+  };
+}
+
+/**
+ * Store the documents referenced by parsed entries, once per SHA-256
+ * @param {Array<Object>} entries - Parsed entries with a `sourceDocument` descriptor
+ * @returns {Promise<Map>} Source document IDs by SHA-256
+ */
+async function saveSourceDocuments(entries) {
+  const documents = new Map();
+  entries.forEach(entry => {
+    if (entry.sourceDocument) {
+      documents.set(entry.sourceDocument.sha256, entry.sourceDocument);
+    }
+  });
+
+  const ids = new Map();
+
+  for (const [sha256, document] of documents) {
+    try {
+      const values = {
+        filename: document.filename,
+        source: document.source,
+        reportDate: document.reportDate ? new Date(document.reportDate) : null,
+        pageCount: document.pageCount,
+        storagePath: document.storagePath
+      };
+
+      const saved = await prisma.sourceDocument.upsert({
+        where: { sha256 },
+        update: values,
+        create: { sha256, ...values }
+      });
+
+      ids.set(sha256, saved.id);
+    } catch (error) {
+      // Rows are still saved, only without a link to their document
+      console.warn(`⚠️  Could not save source document ${document.filename}: ${error.message}`);
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Get the provenance columns of a parsed entry
+ * @param {Object} entry - Parsed entry
+ * @param {Map} documentIds - Source document IDs by SHA-256
+ * @returns {Object} sourceDocumentId, page and rawLine
+ */
+function provenanceOf(entry, documentIds) {
+  return {
+    sourceDocumentId: entry.sourceDocument ? documentIds.get(entry.sourceDocument.sha256) || null : null,
+    page: entry.page ?? null,
+    rawLine: entry.rawLine ?? null
+  };
+}
+
+module.exports = {
+  describeDocument,
+  saveSourceDocuments,
+  provenanceOf
+}; 
\ No newline at end of file
@@ -0,0 +1,39 @@
+const KNOWN_MARKETS = require('../../src/database/markets');
+const { createMarketResolver } = require('../../utils/marketResolver');
+const {
+  parseDAPDF,
+  saveRangesToDatabase,
+  loadMarketResolver,
+  getAllPDFs,
+  REGIONS
+} = require('../pdf/da_parser');
+
+/**
+ * DA Bantay Presyo reports: market price ranges per region
+ */
+module.exports = {
+  name: 'da',
+  agency: 'DA',
+  description: 'Department of Agriculture Bantay Presyo price range reports',
+  schedule: '0 7 * * *',
+  regions: [...new Set(Object.values(REGIONS))],
+  format: 'pdf',
+  dataset: 'price_ranges',
+  acceptsUploads: true,
+
+  fetch: async () => getAllPDFs(),
+
+  async parse(document, context) {
+    // Markets are resolved against the database when the ranges will be saved there
+    if (!context.marketResolver) {
+      context.marketResolver = context.saveToDb
+        ? await loadMarketResolver()
+        : createMarketResolver(KNOWN_MARKETS);
+    }
+
+    const { priceRanges } = await parseDAPDF(document.path, document.region, context.debug, context.marketResolver);
+    return priceRanges;
+  },
+
+  persist: saveRangesToDatabase
+}; 
\ No newline at end of file
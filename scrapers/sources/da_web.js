@@ -0,0 +1,23 @@
+const DAScraper = require('../da_scraper');
+
+const scraper = new DAScraper();
+
+/**
+ * DA price reports published on the DA website
+ */
+module.exports = {
+  name: 'da-web',
+  agency: 'DA',
+  description: scraper.name,
+  schedule: '0 7 * * *',
+  regions: ['NCR', 'Region VII'],
+  format: 'pdf',
+  dataset: 'prices',
+
+  // The scraper works from sample report text until the live reports are wired up
+  fetch: async () => [{ filename: scraper.baseUrl, content: await scraper.fetch() }],
+
+  parse: async (document) => scraper.parse(document.content),
+
+  persist: (prices) => scraper.saveToDatabase(prices)
+}; 
\ No newline at end of file
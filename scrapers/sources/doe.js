@@ -0,0 +1,26 @@
+const {
+  parseDOEPDF,
+  saveFuelPricesToDatabase,
+  getAllPDFs,
+  REGIONS
+} = require('../pdf/doe_parser');
+
+/**
+ * DOE weekly fuel price monitoring sheets
+ */
+module.exports = {
+  name: 'doe',
+  agency: 'DOE',
+  description: 'Department of Energy retail pump price monitoring',
+  schedule: '0 7 * * *',
+  regions: ['NCR', ...Object.values(REGIONS)],
+  format: 'pdf',
+  dataset: 'fuel_prices',
+  acceptsUploads: true,
+
+  fetch: async () => getAllPDFs(),
+
+  parse: (document, context) => parseDOEPDF(document.path, document.region, context.debug),
+
+  persist: saveFuelPricesToDatabase
+}; 
\ No newline at end of file
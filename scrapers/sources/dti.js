@@ -0,0 +1,25 @@
+const {
+  parseDTIPDF,
+  saveSRPsToDatabase,
+  getAllPDFs
+} = require('../pdf/dti_parser');
+
+/**
+ * DTI suggested retail price bulletins for basic necessities and prime commodities
+ */
+module.exports = {
+  name: 'dti',
+  agency: 'DTI',
+  description: 'Department of Trade and Industry SRP bulletins',
+  schedule: '0 7 * * *',
+  regions: ['Nationwide'],
+  format: 'pdf',
+  dataset: 'suggested_retail_prices',
+  acceptsUploads: true,
+
+  fetch: async () => getAllPDFs(),
+
+  parse: (document, context) => parseDTIPDF(document.path, context.debug),
+
+  persist: saveSRPsToDatabase
+}; 
\ No newline at end of file
@@ -0,0 +1,23 @@
+const DTIScraper = require('../dti_scraper');
+
+const scraper = new DTIScraper();
+
+/**
+ * DTI price monitoring tables on the DTI website
+ */
+module.exports = {
+  name: 'dti-web',
+  agency: 'DTI',
+  description: scraper.name,
+  schedule: '0 7 * * *',
+  regions: ['NCR', 'Region VII'],
+  format: 'html',
+  dataset: 'prices',
+
+  // The scraper works from sample HTML until the live page is wired up
+  fetch: async () => [{ filename: scraper.priceUrl, content: await scraper.fetch() }],
+
+  parse: async (document) => scraper.parse(document.content),
+
+  persist: (prices) => scraper.saveToDatabase(prices)
+}; 
\ No newline at end of file
@@ -0,0 +1,12 @@
+const { registerSource } = require('../registry');
+
+// Built-in sources, run in this order. New sources (e.g. PSA) are added here.
+[
+  require('./dti_web'),
+  require('./da_web'),
+  require('./da'),
+  require('./doe'),
+  require('./dti')
+].forEach(registerSource);
+
+module.exports = require('../registry'); 
\ No newline at end of file
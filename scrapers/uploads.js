@@ -0,0 +1,123 @@
+/**
+ * Uploaded source documents
+ * Admins can upload DA, DOE and DTI reports that the scheduled runs missed.
+ * Uploads are stored under UPLOAD_PATH and parsed by the registered pipeline
+ * of their source, the same way a scheduled run parses fetched documents.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSource, runPipeline } = require('./sources');
+const { startRun, finishRun } = require('./ingestion_runs');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_PATH || path.join(__dirname, '..', 'uploads'));
+
+/**
+ * Get a source that accepts uploads
+ * @param {string} name - Source name, e.g. "doe"
+ * @returns {Object} Registered source
+ * @throws {Error} If the source is unknown or does not accept uploads
+ */
+function getUploadSource(name) {
+  const source = getSource(name);
+
+  if (!source || !source.acceptsUploads) {
+    throw new Error(`Unknown upload source: ${name}`);
+  }
+
+  return source;
+}
+
+/**
+ * Resolve the declared region of an upload against the regions of its source.
+ * Sources that cover a single region do not need one declared.
+ * @param {Object} source - Registered source
+ * @param {string} [region] - Declared region (case-insensitive)
+ * @returns {string} Region as the source names it
+ * @throws {Error} If the region is missing or not covered by the source
+ */
+function resolveUploadRegion(source, region) {
+  if (!region) {
+    if (source.regions.length === 1) return source.regions[0];
+    throw new Error(`Region is required for ${source.name} uploads`);
+  }
+
+  const match = source.regions.find(name => name.toLowerCase() === String(region).trim().toLowerCase());
+  if (!match) {
+    throw new Error(`Unknown ${source.name} region: ${region}`);
+  }
+
+  return match;
+}
+
+/**
+ * Store an uploaded document as <UPLOAD_DIR>/<source>/<sha256>/<filename>.
+ * The original filename is kept because parsers fall back to it for the report date.
+ * @param {Buffer} content - Document contents
+ * @param {Object} details - Upload details
+ * @param {string} details.source - Source name
+ * @param {string} details.sha256 - SHA-256 of the contents
+ * @param {string} details.filename - Original filename
+ * @returns {string} Path of the stored document
+ */
+function storeUpload(content, { source, sha256, filename }) {
+  const directory = path.join(UPLOAD_DIR, source, sha256);
+  const filePath = path.join(directory, path.basename(filename));
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(filePath, content);
+
+  return filePath;
+}
+
+/**
+ * Parse and save a stored upload through the pipeline of its source,
+ * recording it as an ingestion run triggered by "upload"
+ * @param {Object} upload - Upload job data
+ * @param {string} upload.source - Source name
+ * @param {string} upload.region - Region of the report
+ * @param {string} upload.path - Path of the stored document
+ * @param {string} upload.filename - Original filename
+ * @param {Object} [options] - Processing options
+ * @param {Function} [options.onProgress] - Called with the completed fraction (0 to 1)
+ * @returns {Promise<Object>} Run ID and counts of the run
+ */
+async function processUpload({ source: name, region, path: filePath, filename }, { onProgress = null } = {}) {
+  const source = getUploadSource(name);
+  const run = await startRun(source.name, 'upload');
+
+  try {
+    const result = await runPipeline(source, {
+      documents: [{ path: filePath, filename, region }],
+      onProgress
+    });
+
+    // A document that could not be parsed at all fails the run
+    const failed = result.found === 0 && result.errors.length > 0;
+    await finishRun(run, { ...result, failed });
+
+    return {
+      runId: run ? run.id : null,
+      failed,
+      documents: result.documents,
+      parsed: result.found,
+      saved: result.saved,
+      skipped: result.skipped,
+      rejected: result.rejected,
+      quarantined: result.quarantined,
+      flagged: result.flagged,
+      errors: result.errors
+    };
+  } catch (error) {
+    await finishRun(run, { files: [filename], errors: [error.message], failed: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  getUploadSource,
+  resolveUploadRegion,
+  storeUpload,
+  processUpload
+}; 
\ No newline at end of file
@@ -0,0 +1,259 @@
+const prisma = require('../config/database');
+const { createResponse, createPaginatedResponse, createErrorResponse } = require('../utils/response');
+
+// Stored actions: saved and flagged, held in the quarantine, or the outcome
+// of the review of a held row
+const ACTIONS = ['flagged', 'held', 'approved', 'rejected'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceAnomaly:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         source:
+ *           type: string
+ *           example: dti
+ *         dataset:
+ *           type: string
+ *           example: suggested_retail_prices
+ *         data:
+ *           type: object
+ *           description: Parsed row
+ *         commodity:
+ *           type: string
+ *           description: Commodity or product name as parsed
+ *           example: Saba Phil. Sardines
+ *         region:
+ *           type: string
+ *           description: Region, or area for SRPs
+ *           example: Nationwide
+ *         date:
+ *           type: string
+ *           format: date
+ *         price:
+ *           type: number
+ *           description: Price scored, e.g. the average of a range or the common pump price
+ *           example: 2025
+ *         median:
+ *           type: number
+ *           nullable: true
+ *           description: Median price of the commodity and region over the previous 90 days
+ *           example: 17.25
+ *         zScore:
+ *           type: number
+ *           nullable: true
+ *           description: Robust z-score against those prices (median absolute deviation)
+ *         change:
+ *           type: number
+ *           nullable: true
+ *           description: Change from the last day observed in the previous week, as a fraction
+ *         reasons:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [Price of 13064.52 per kg is outside 1-5000]
+ *         action:
+ *           type: string
+ *           enum: [flagged, held, approved, rejected]
+ *           description: |
+ *             flagged rows were saved, held rows are in the quarantine for review, and approved
+ *             or rejected rows were held and reviewed
+ *         sourceDocumentId:
+ *           type: string
+ *           nullable: true
+ *         page:
+ *           type: integer
+ *           nullable: true
+ *         rawLine:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /v1/admin/anomalies:
+ *   get:
+ *     summary: List price anomalies (Admin only)
+ *     description: |
+ *       List parsed prices that were far from the recent prices of their commodity and region,
+ *       jumped from the last observed day, or were outside the plausible prices per kg, liter
+ *       or piece, newest first. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [flagged, held, approved, rejected]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Source name, e.g. dti
+ *       - in: query
+ *         name: dataset
+ *         schema:
+ *           type: string
+ *         description: Table the rows are saved to, e.g. prices
+ *       - in: query
+ *         name: commodity
+ *         schema:
+ *           type: string
+ *         description: Part of the commodity or product name
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Earliest price date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Latest price date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Price anomalies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PriceAnomaly'
+ *       400:
+ *         description: Invalid action or date
+ */
+const getPriceAnomalies = async (req, res, next) => {
+  try {
+    const { action, source, dataset, commodity, region, from, to, limit = 20, page = 1 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    if (action && !ACTIONS.includes(action)) {
+      throw createErrorResponse(`Invalid action parameter, expected one of: ${ACTIONS.join(', ')}`, 400);
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        throw createErrorResponse(`Invalid ${name} parameter, expected YYYY-MM-DD`, 400);
+      }
+    }
+
+    const where = {};
+
+    if (action) where.action = action;
+    if (source) where.source = source.toLowerCase();
+    if (dataset) where.dataset = dataset;
+    if (commodity) where.commodity = { contains: commodity, mode: 'insensitive' };
+    if (region) where.region = { equals: region, mode: 'insensitive' };
+
+    if (from || to) {
+      where.date = {};
+      if (from) where.date.gte = new Date(from);
+      if (to) where.date.lte = new Date(to);
+    }
+
+    const [anomalies, total] = await Promise.all([
+      prisma.priceAnomaly.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { date: 'desc' }],
+        skip,
+        take: limitNum
+      }),
+      prisma.priceAnomaly.count({ where })
+    ]);
+
+    res.json(createPaginatedResponse(anomalies, pageNum, limitNum, total));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/anomalies/{id}:
+ *   get:
+ *     summary: Get a price anomaly (Admin only)
+ *     description: |
+ *       Retrieve a price anomaly with its source document and, for a held or reviewed row, its
+ *       quarantine entry and review status. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price anomaly retrieved successfully
+ *       404:
+ *         description: Price anomaly not found
+ */
+const getPriceAnomalyById = async (req, res, next) => {
+  try {
+    const anomaly = await prisma.priceAnomaly.findUnique({
+      where: { id: req.params.id },
+      include: {
+        sourceDocument: {
+          select: { id: true, filename: true, source: true, reportDate: true, storagePath: true }
+        }
+      }
+    });
+
+    if (!anomaly) {
+      throw createErrorResponse('Price anomaly not found', 404);
+    }
+
+    // A held row is quarantined under the same fingerprint
+    const quarantinedRow = anomaly.action !== 'flagged'
+      ? await prisma.quarantinedRow.findUnique({
+        where: { fingerprint: anomaly.fingerprint },
+        select: { id: true, status: true, reviewNote: true, reviewedAt: true }
+      })
+      : null;
+
+    res.json(createResponse({ ...anomaly, quarantinedRow }, 'Price anomaly retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPriceAnomalies,
+  getPriceAnomalyById
+}; 
\ No newline at end of file
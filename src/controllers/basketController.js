@@ -0,0 +1,605 @@
+const prisma = require('../config/database');
+const { createResponse, createErrorResponse } = require('../utils/response');
+const { cacheUtils } = require('../utils/cache');
+const { INTERVALS } = require('../utils/series');
+const { buildBasketPriceQuery, computeBasketSeries } = require('../utils/baskets');
+const { generateSlug } = require('../../utils/commodityTaxonomy');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Basket:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           example: family-food-basket
+ *         name:
+ *           type: string
+ *           example: Family Food Basket
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               commodity:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   slug:
+ *                     type: string
+ *               quantity:
+ *                 type: number
+ *                 example: 50
+ *               unit:
+ *                 type: string
+ *                 example: kg
+ *               weight:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Share in the price index; the index uses quantities unless every item has one
+ *     BasketPoint:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: First day of the bucket
+ *         complete:
+ *           type: boolean
+ *           description: Whether every item has a price, observed or carried forward
+ *         cost:
+ *           type: number
+ *           nullable: true
+ *         index:
+ *           type: number
+ *           nullable: true
+ *           description: Laspeyres index, 100 at the base bucket
+ */
+
+const ITEM_SELECT = {
+  quantity: true,
+  unit: true,
+  weight: true,
+  commodityId: true,
+  commodity: { select: { id: true, name: true, slug: true } }
+};
+
+/**
+ * Shape a basket for responses, with numeric quantities and weights
+ * @param {Object} basket - Basket with its items
+ * @returns {Object} Basket
+ */
+const formatBasket = ({ items, createdAt, updatedAt, ...basket }) => ({
+  ...basket,
+  items: items.map(({ commodityId, quantity, weight, ...item }) => ({
+    ...item,
+    quantity: Number(quantity),
+    weight: weight === null ? null : Number(weight)
+  }))
+});
+
+/**
+ * Get a basket by ID or slug, or fail with 404
+ * @param {string} idOrSlug - Basket ID or slug
+ * @returns {Promise<Object>} Basket with its items
+ */
+const findBasketOrFail = async (idOrSlug) => {
+  const basket = await prisma.basket.findFirst({
+    where: { OR: [{ id: idOrSlug }, { slug: idOrSlug }] },
+    include: { items: { select: ITEM_SELECT, orderBy: { commodity: { name: 'asc' } } } }
+  });
+
+  if (!basket) {
+    throw createErrorResponse('Basket not found', 404);
+  }
+
+  return basket;
+};
+
+/**
+ * Price a basket in each region over the range the request asks for
+ * @param {Object} basket - Basket with its items
+ * @param {Object} query - Request query string
+ * @returns {Promise<Object>} Range and one series per region
+ */
+const priceBasket = async (basket, query) => {
+  const { interval = 'month', from, to, base } = query;
+
+  if (!INTERVALS.includes(interval)) {
+    throw createErrorResponse(`Invalid interval parameter, expected one of: ${INTERVALS.join(', ')}`, 400);
+  }
+
+  for (const [name, value] of Object.entries({ from, to, base })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      throw createErrorResponse(`Invalid ${name} parameter, expected YYYY-MM-DD`, 400);
+    }
+  }
+
+  // A year up to today unless a range is given
+  const end = new Date(to || new Date().toISOString().slice(0, 10));
+  const start = from ? new Date(from) : new Date(Date.UTC(end.getUTCFullYear() - 1, end.getUTCMonth(), end.getUTCDate()));
+
+  if (basket.items.length === 0) {
+    return { from: start, to: end, regions: [] };
+  }
+
+  const rows = await prisma.$queryRaw(buildBasketPriceQuery({
+    items: basket.items,
+    interval,
+    from: start,
+    to: end,
+    filters: query
+  }));
+
+  return {
+    from: start,
+    to: end,
+    regions: computeBasketSeries(rows, basket.items, { interval, from: start, base: base ? new Date(base) : undefined })
+  };
+};
+
+/**
+ * Answer a basket pricing request from the cache or by pricing the basket
+ * @param {Object} req - Express request
+ * @param {string} kind - cost or index, the part of each point returned
+ * @returns {Promise<Object>} Response body
+ */
+const basketSeriesResponse = async (req, kind) => {
+  const { region, islandGroup, source, interval, from, to, base } = req.query;
+  const cacheKey = `basket_${kind}:${req.params.id}:${[region, islandGroup, source, interval, from, to, base].map(value => value || 'all').join(':')}`;
+
+  const cachedData = await cacheUtils.get(cacheKey);
+  if (cachedData) return cachedData;
+
+  const basket = await findBasketOrFail(req.params.id);
+  const { from: start, to: end, regions } = await priceBasket(basket, req.query);
+
+  const series = regions.map(({ region: name, base: baseDate, points }) => (kind === 'cost'
+    ? { region: name, points: points.map(({ date, complete, cost, items }) => ({ date, complete, cost, items })) }
+    : { region: name, base: baseDate, points: points.map(({ date, complete, index }) => ({ date, complete, index })) }));
+
+  const response = createResponse(
+    { basket: formatBasket(basket), series },
+    kind === 'cost' ? 'Basket cost retrieved successfully' : 'Basket index retrieved successfully',
+    { from: start, to: end }
+  );
+
+  // Cache the response for 5 minutes
+  await cacheUtils.set(cacheKey, response, 300);
+
+  return response;
+};
+
+/**
+ * Drop the cached responses of a basket: its cost and index, cached under the
+ * ID or slug they were requested by, and the basket routes cached by URL
+ * @param {Array<string>} keys - ID and slug of the basket
+ * @returns {Promise<void>}
+ */
+const clearBasketCache = async (keys) => {
+  const patterns = ['route:/v1/baskets*', ...keys.flatMap(key => [`basket_cost:${key}:*`, `basket_index:${key}:*`])];
+  await Promise.all(patterns.map(pattern => cacheUtils.clearByPattern(pattern)));
+};
+
+/**
+ * @swagger
+ * /v1/baskets:
+ *   get:
+ *     summary: Get commodity baskets
+ *     description: List the baskets that can be priced, with their items
+ *     tags: [Baskets]
+ *     responses:
+ *       200:
+ *         description: Baskets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Basket'
+ *       500:
+ *         description: Internal server error
+ */
+const getBaskets = async (req, res, next) => {
+  try {
+    const baskets = await prisma.basket.findMany({
+      include: { items: { select: ITEM_SELECT, orderBy: { commodity: { name: 'asc' } } } },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(createResponse(baskets.map(formatBasket), 'Baskets retrieved successfully', { total: baskets.length }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/baskets/{id}:
+ *   get:
+ *     summary: Get a basket
+ *     tags: [Baskets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Basket ID or slug
+ *     responses:
+ *       200:
+ *         description: Basket retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Basket'
+ *       404:
+ *         description: Basket not found
+ */
+const getBasketById = async (req, res, next) => {
+  try {
+    const basket = await findBasketOrFail(req.params.id);
+
+    res.json(createResponse(formatBasket(basket), 'Basket retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/baskets/{id}/cost:
+ *   get:
+ *     summary: Get the cost of a basket over time
+ *     description: |
+ *       Price every item of the basket in each region and day, week or month, from the average
+ *       observed price per standard unit (kg, L or piece) times the item's quantity. An item
+ *       not observed in a bucket keeps its last price, up to 90 days before the range, and is
+ *       flagged `carried`. Buckets before every item has a price are incomplete and have no cost.
+ *     tags: [Baskets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Basket ID or slug
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: month
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date (defaults to a year before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date (defaults to today)
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Filter by region, including the cities and provinces in it (comma-separated for several)
+ *       - in: query
+ *         name: islandGroup
+ *         schema:
+ *           type: string
+ *         description: Filter by island group (Luzon, Visayas, Mindanao)
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Filter by source (e.g., DA)
+ *     responses:
+ *       200:
+ *         description: Basket cost retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     basket:
+ *                       $ref: '#/components/schemas/Basket'
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           region:
+ *                             type: string
+ *                           points:
+ *                             type: array
+ *                             items:
+ *                               allOf:
+ *                                 - $ref: '#/components/schemas/BasketPoint'
+ *                                 - type: object
+ *                                   properties:
+ *                                     items:
+ *                                       type: array
+ *                                       items:
+ *                                         type: object
+ *                                         properties:
+ *                                           commodity:
+ *                                             type: object
+ *                                           quantity:
+ *                                             type: number
+ *                                           unit:
+ *                                             type: string
+ *                                           price:
+ *                                             type: number
+ *                                             nullable: true
+ *                                           cost:
+ *                                             type: number
+ *                                             nullable: true
+ *                                           carried:
+ *                                             type: boolean
+ *                                             description: Whether the price was carried forward from an earlier bucket
+ *       400:
+ *         description: Invalid interval, date or island group parameter
+ *       404:
+ *         description: Basket not found
+ */
+const getBasketCost = async (req, res, next) => {
+  try {
+    res.json(await basketSeriesResponse(req, 'cost'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/baskets/{id}/index:
+ *   get:
+ *     summary: Get a Laspeyres price index of a basket over time
+ *     description: |
+ *       Index the basket's prices in each region against a base bucket, at 100. When every
+ *       item has a weight the index is the weighted average of the items' price relatives;
+ *       otherwise it is the cost of the basket's quantities relative to their cost at the base.
+ *       Missing items carry their last price forward as in /v1/baskets/{id}/cost.
+ *     tags: [Baskets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Basket ID or slug
+ *       - in: query
+ *         name: base
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Index base, the first complete bucket from this date (defaults to the first complete bucket)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: month
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date (defaults to a year before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date (defaults to today)
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Filter by region (comma-separated for several)
+ *       - in: query
+ *         name: islandGroup
+ *         schema:
+ *           type: string
+ *         description: Filter by island group (Luzon, Visayas, Mindanao)
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Filter by source (e.g., DA)
+ *     responses:
+ *       200:
+ *         description: Basket index retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     basket:
+ *                       $ref: '#/components/schemas/Basket'
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           region:
+ *                             type: string
+ *                           base:
+ *                             type: string
+ *                             format: date
+ *                             nullable: true
+ *                             description: Base bucket, null when no bucket is complete
+ *                           points:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/BasketPoint'
+ *       400:
+ *         description: Invalid interval, date or island group parameter
+ *       404:
+ *         description: Basket not found
+ */
+const getBasketIndex = async (req, res, next) => {
+  try {
+    res.json(await basketSeriesResponse(req, 'index'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/baskets/{slug}:
+ *   put:
+ *     summary: Create or replace a basket (Admin only)
+ *     description: Save a basket under the slug, replacing its items with the ones given. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, items]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Family Food Basket
+ *               description:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [commodity, quantity]
+ *                   properties:
+ *                     commodity:
+ *                       type: string
+ *                       description: Commodity ID or slug
+ *                       example: regular-milled-rice
+ *                     quantity:
+ *                       type: number
+ *                       example: 50
+ *                     unit:
+ *                       type: string
+ *                       enum: [kg, L, piece]
+ *                       default: kg
+ *                     weight:
+ *                       type: number
+ *                       description: Share in the price index, e.g. a CPI weight
+ *     responses:
+ *       200:
+ *         description: Basket saved
+ *       400:
+ *         description: Invalid basket or unknown commodity
+ */
+const saveBasket = async (req, res, next) => {
+  try {
+    const { name, description = null, items } = req.body || {};
+    const slug = generateSlug(req.params.slug);
+
+    if (!slug || typeof name !== 'string' || !name.trim()) {
+      throw createErrorResponse('name is required', 400);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw createErrorResponse('items must list at least one commodity', 400);
+    }
+
+    for (const item of items) {
+      const weight = item.weight === undefined || item.weight === null ? null : Number(item.weight);
+      if (!item.commodity || !(Number(item.quantity) > 0) || (weight !== null && !(weight >= 0))) {
+        throw createErrorResponse('Each item needs a commodity, a positive quantity and an optional non-negative weight', 400);
+      }
+      if (item.unit && !['kg', 'L', 'piece'].includes(item.unit)) {
+        throw createErrorResponse('Invalid unit, expected one of: kg, L, piece', 400);
+      }
+    }
+
+    const keys = items.map(item => String(item.commodity));
+    const commodities = await prisma.commodity.findMany({
+      where: { OR: [{ id: { in: keys } }, { slug: { in: keys } }] },
+      select: { id: true, slug: true }
+    });
+    const commodityIds = new Map(commodities.flatMap(commodity => [[commodity.id, commodity.id], [commodity.slug, commodity.id]]));
+
+    const unknown = keys.filter(key => !commodityIds.has(key));
+    if (unknown.length > 0) {
+      throw createErrorResponse(`Unknown commodities: ${unknown.join(', ')}`, 400);
+    }
+
+    if (new Set(keys.map(key => commodityIds.get(key))).size !== keys.length) {
+      throw createErrorResponse('A commodity is listed more than once', 400);
+    }
+
+    const data = { name: name.trim(), description };
+    const basket = await prisma.$transaction(async (tx) => {
+      const saved = await tx.basket.upsert({ where: { slug }, update: data, create: { ...data, slug } });
+      await tx.basketItem.deleteMany({ where: { basketId: saved.id } });
+      await tx.basketItem.createMany({
+        data: items.map(item => ({
+          basketId: saved.id,
+          commodityId: commodityIds.get(String(item.commodity)),
+          quantity: Number(item.quantity),
+          unit: item.unit || 'kg',
+          weight: item.weight === undefined || item.weight === null ? null : Number(item.weight)
+        }))
+      });
+
+      return tx.basket.findUnique({
+        where: { id: saved.id },
+        include: { items: { select: ITEM_SELECT, orderBy: { commodity: { name: 'asc' } } } }
+      });
+    });
+
+    await clearBasketCache([basket.id, basket.slug]);
+
+    res.json(createResponse(formatBasket(basket), `Basket ${basket.name} saved`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBaskets,
+  getBasketById,
+  getBasketCost,
+  getBasketIndex,
+  saveBasket
+}; 
\ No newline at end of file
@@ -0,0 +1,150 @@
+const prisma = require('../config/database');
+const { createResponse, createErrorResponse } = require('../utils/response');
+const { findCategoryNodes, buildCategoryTree } = require('../utils/categories');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           description: Path of the node in the tree
+ *           example: grains/rice/well-milled
+ *         name:
+ *           type: string
+ *           example: Well Milled
+ *         attribute:
+ *           type: string
+ *           nullable: true
+ *           description: Attribute the node sets on its commodities (grade, origin, cut, variety, size or type); null for kinds such as Rice or Pork
+ *           example: grade
+ *         depth:
+ *           type: integer
+ *           example: 2
+ *         counts:
+ *           type: object
+ *           description: Counts of the node and every node below it
+ *           properties:
+ *             commodities:
+ *               type: integer
+ *             prices:
+ *               type: integer
+ *             priceRanges:
+ *               type: integer
+ *             fuelPrices:
+ *               type: integer
+ *         children:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Category'
+ */
+
+/**
+ * Count the commodities and prices placed directly in each category
+ * @returns {Promise<Map>} Counts by category ID
+ */
+const countByCategory = async () => {
+  const [commodities, prices, priceRanges, fuelPrices] = await Promise.all([
+    prisma.commodity.findMany({ where: { categoryId: { not: null } }, select: { id: true, categoryId: true } }),
+    prisma.price.groupBy({ by: ['commodityId'], _count: { _all: true } }),
+    prisma.priceRange.groupBy({ by: ['commodityId'], _count: { _all: true } }),
+    prisma.fuelPrice.groupBy({ by: ['commodityId'], _count: { _all: true } })
+  ]);
+
+  const categoryOf = new Map(commodities.map(commodity => [commodity.id, commodity.categoryId]));
+  const counts = new Map();
+  const add = (categoryId, field, count) => {
+    if (!categoryId) return;
+    const entry = counts.get(categoryId) || {};
+    entry[field] = (entry[field] || 0) + count;
+    counts.set(categoryId, entry);
+  };
+
+  commodities.forEach(commodity => add(commodity.categoryId, 'commodities', 1));
+  for (const [field, groups] of Object.entries({ prices, priceRanges, fuelPrices })) {
+    groups.forEach(group => add(categoryOf.get(group.commodityId), field, group._count._all));
+  }
+
+  return counts;
+};
+
+/**
+ * @swagger
+ * /v1/categories:
+ *   get:
+ *     summary: Get the commodity category tree
+ *     description: |
+ *       List the category tree, from top categories such as Grains down to kinds (Rice) and
+ *       variants that set a commodity's grade, origin, cut, variety, size or type
+ *       (Well Milled, Local). Each node counts the commodities and prices in it and below it.
+ *       Any node's name or slug can be passed as the `category` filter of the price endpoints.
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Return only this node and the nodes below it, by name or slug path (e.g. Rice, meat/pork)
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       description: Number of nodes returned, at every depth
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Internal server error
+ */
+const getCategories = async (req, res, next) => {
+  try {
+    const { category } = req.query;
+
+    const [categories, counts] = await Promise.all([
+      prisma.category.findMany({ orderBy: [{ depth: 'asc' }, { position: 'asc' }] }),
+      countByCategory()
+    ]);
+
+    let tree = buildCategoryTree(categories, counts);
+
+    if (category) {
+      const slugs = new Set(findCategoryNodes(category).map(node => node.slug));
+      const find = nodes => nodes.flatMap(node => (slugs.has(node.slug) ? [node] : find(node.children)));
+      tree = find(tree);
+
+      if (tree.length === 0) {
+        throw createErrorResponse('Category not found', 404);
+      }
+    }
+
+    const size = nodes => nodes.reduce((total, node) => total + 1 + size(node.children), 0);
+
+    res.json(createResponse(tree, 'Categories retrieved successfully', { total: size(tree) }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCategories
+}; 
\ No newline at end of file
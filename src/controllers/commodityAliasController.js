@@ -0,0 +1,268 @@
+const prisma = require('../config/database');
+const { createResponse, createErrorResponse } = require('../utils/response');
+const { commodityAliasKey } = require('../../utils/commodityResolver');
+const { mergeCommodities } = require('../../scrapers/commodities');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CommodityAlias:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         alias:
+ *           type: string
+ *           example: Bigas
+ */
+
+/**
+ * Get a commodity or fail with 404
+ * @param {string} id - Commodity ID
+ * @returns {Promise<Object>} Commodity
+ */
+const findCommodityOrFail = async (id) => {
+  const commodity = await prisma.commodity.findUnique({ where: { id } });
+
+  if (!commodity) {
+    throw createErrorResponse('Commodity not found', 404);
+  }
+
+  return commodity;
+};
+
+/**
+ * @swagger
+ * /v1/admin/commodities/{id}/aliases:
+ *   get:
+ *     summary: Get the aliases of a commodity (Admin only)
+ *     description: List the names the commodity is matched under during ingestion and search. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Aliases retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CommodityAlias'
+ *       404:
+ *         description: Commodity not found
+ */
+const getCommodityAliases = async (req, res, next) => {
+  try {
+    const commodity = await findCommodityOrFail(req.params.id);
+
+    const aliases = await prisma.commodityAlias.findMany({
+      where: { commodityId: commodity.id },
+      select: { id: true, alias: true },
+      orderBy: { alias: 'asc' }
+    });
+
+    res.json(createResponse(aliases, 'Aliases retrieved successfully', { commodity: commodity.name }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/commodities/{id}/aliases:
+ *   post:
+ *     summary: Add an alias to a commodity (Admin only)
+ *     description: |
+ *       Match another name to the commodity, e.g. a Filipino name or an abbreviation.
+ *       Names are compared without case, punctuation or word order. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [alias]
+ *             properties:
+ *               alias:
+ *                 type: string
+ *                 example: Bigas
+ *     responses:
+ *       201:
+ *         description: Alias added
+ *       400:
+ *         description: Alias is missing
+ *       404:
+ *         description: Commodity not found
+ *       409:
+ *         description: The alias already refers to a commodity
+ */
+const createCommodityAlias = async (req, res, next) => {
+  try {
+    const { alias } = req.body || {};
+    const key = typeof alias === 'string' ? commodityAliasKey(alias) : '';
+
+    if (!key) {
+      throw createErrorResponse('alias is required', 400);
+    }
+
+    const commodity = await findCommodityOrFail(req.params.id);
+
+    const existing = await prisma.commodityAlias.findUnique({
+      where: { key },
+      include: { commodity: { select: { name: true } } }
+    });
+
+    if (existing) {
+      throw createErrorResponse(`"${alias}" already refers to ${existing.commodity.name}`, 409);
+    }
+
+    const created = await prisma.commodityAlias.create({
+      data: { alias: alias.trim(), key, commodityId: commodity.id },
+      select: { id: true, alias: true }
+    });
+
+    res.status(201).json(createResponse(created, `Alias added to ${commodity.name}`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/commodities/{id}/aliases/{aliasId}:
+ *   delete:
+ *     summary: Remove an alias from a commodity (Admin only)
+ *     description: Stop matching a name to the commodity. Stored prices are not changed. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: aliasId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alias removed
+ *       404:
+ *         description: Alias not found
+ */
+const deleteCommodityAlias = async (req, res, next) => {
+  try {
+    const { id, aliasId } = req.params;
+
+    const alias = await prisma.commodityAlias.findFirst({
+      where: { id: aliasId, commodityId: id }
+    });
+
+    if (!alias) {
+      throw createErrorResponse('Alias not found', 404);
+    }
+
+    await prisma.commodityAlias.delete({ where: { id: alias.id } });
+
+    res.json(createResponse({ id: alias.id, alias: alias.alias }, 'Alias removed'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/commodities/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate commodity into another (Admin only)
+ *     description: |
+ *       Move the prices, DA price ranges, fuel prices, SRP entries, basket items and aliases of
+ *       the commodity to the target, add its name as an alias of the target and delete it. Where
+ *       both hold a price for the same market, region and date, the target's price is kept; where
+ *       a basket holds both, their quantities are combined in the target's item.
+ *       Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Duplicate commodity, deleted by the merge
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [into]
+ *             properties:
+ *               into:
+ *                 type: string
+ *                 description: ID of the commodity to keep
+ *     responses:
+ *       200:
+ *         description: Commodities merged, with the rows moved and duplicates dropped per table
+ *       400:
+ *         description: Target is missing or the same commodity
+ *       404:
+ *         description: Commodity not found
+ */
+const mergeCommodity = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { into } = req.body || {};
+
+    if (!into || typeof into !== 'string') {
+      throw createErrorResponse('into is required', 400);
+    }
+
+    if (into === id) {
+      throw createErrorResponse('A commodity cannot be merged into itself', 400);
+    }
+
+    await findCommodityOrFail(id);
+    await findCommodityOrFail(into);
+
+    const result = await mergeCommodities(id, into);
+
+    res.json(createResponse(result, `${result.merged.name} merged into ${result.commodity.name}`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCommodityAliases,
+  createCommodityAlias,
+  deleteCommodityAlias,
+  mergeCommodity
+}; 
\ No newline at end of file
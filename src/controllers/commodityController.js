@@ -1,5 +1,7 @@
 const prisma = require('../config/database');
 const { createResponse, createErrorResponse } = require('../utils/response');
+const { commodityAliasKey } = require('../../utils/commodityResolver');
+const { buildCategoryCondition } = require('../utils/categories');
 
 /**
  * @swagger
@@ -8,6 +10,17 @@ const { createResponse, createErrorResponse } = require('../utils/response');
  *     summary: Get all commodities
  *     description: Retrieve a list of all available commodities with their categories and metadata
  *     tags: [Commodities]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Name or alias, in English or Filipino (e.g. bigas, RMR, regular milled rice)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Node of the category tree, by name or slug path (e.g. Rice, meat/pork), including the nodes below it
  *     responses:
  *       200:
  *         description: List of commodities retrieved successfully
@@ -33,6 +46,22 @@ const { createResponse, createErrorResponse } = require('../utils/response');
  *                         type: string
  *                       category:
  *                         type: string
+ *                         example: Grains
+ *                       categoryNode:
+ *                         type: object
+ *                         nullable: true
+ *                         description: Most specific node of the category tree
+ *                         properties:
+ *                           slug:
+ *                             type: string
+ *                             example: grains/rice/well-milled/local
+ *                           name:
+ *                             type: string
+ *                             example: Local
+ *                       attributes:
+ *                         type: object
+ *                         description: Variant attributes such as grade, origin and cut
+ *                         example: { "grade": "Well Milled", "origin": "Local" }
  *                       slug:
  *                         type: string
  *                       createdAt:
@@ -62,11 +91,35 @@ const { createResponse, createErrorResponse } = require('../utils/response');
  */
 const getAllCommodities = async (req, res, next) => {
   try {
+    const { search, category } = req.query;
+    const where = {};
+
+    // A search matches a name or alias, or an alias with the same words in any order
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { aliases: { some: { alias: { contains: search, mode: 'insensitive' } } } },
+        { aliases: { some: { key: commodityAliasKey(search) } } }
+      ];
+    }
+
+    if (category) {
+      where.AND = [buildCategoryCondition(category)];
+    }
+
     const commodities = await prisma.commodity.findMany({
+      where,
       select: {
         id: true,
         name: true,
         category: true,
+        categoryNode: {
+          select: {
+            slug: true,
+            name: true
+          }
+        },
+        attributes: true,
         slug: true,
         createdAt: true,
         updatedAt: true,
@@ -129,6 +182,22 @@ const getAllCommodities = async (req, res, next) => {
  *                       type: string
  *                     category:
  *                       type: string
+ *                       example: Grains
+ *                     categoryNode:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Most specific node of the category tree
+ *                       properties:
+ *                         slug:
+ *                           type: string
+ *                           example: grains/rice/well-milled/local
+ *                         name:
+ *                           type: string
+ *                           example: Local
+ *                     attributes:
+ *                       type: object
+ *                       description: Variant attributes such as grade, origin and cut
+ *                       example: { "grade": "Well Milled", "origin": "Local" }
  *                     slug:
  *                       type: string
  *                     createdAt:
@@ -137,6 +206,11 @@ const getAllCommodities = async (req, res, next) => {
  *                     updatedAt:
  *                       type: string
  *                       format: date-time
+ *                     aliases:
+ *                       type: array
+ *                       description: Names the commodity is printed or searched under
+ *                       items:
+ *                         $ref: '#/components/schemas/CommodityAlias'
  *                     _count:
  *                       type: object
  *                       properties:
@@ -157,9 +231,25 @@ const getCommodityById = async (req, res, next) => {
         id: true,
         name: true,
         category: true,
+        categoryNode: {
+          select: {
+            slug: true,
+            name: true
+          }
+        },
+        attributes: true,
         slug: true,
         createdAt: true,
         updatedAt: true,
+        aliases: {
+          select: {
+            id: true,
+            alias: true
+          },
+          orderBy: {
+            alias: 'asc'
+          }
+        },
         _count: {
           select: {
             prices: true
@@ -0,0 +1,437 @@
+const prisma = require('../config/database');
+const { createResponse, createPaginatedResponse, createErrorResponse } = require('../utils/response');
+const { checkCompliance } = require('../../utils/srpMatcher');
+const { buildLocationConditions } = require('../utils/locations');
+
+// Most prices above a reference price read per request; a request with more
+// must be narrowed rather than answered with partial totals
+const MAX_CANDIDATES = 5000;
+
+/**
+ * Build the Prisma filter for the observed prices to check
+ * @param {Object} query - Request query string
+ * @returns {Object} Prisma where clause
+ */
+const buildObservationWhere = (query) => {
+  const { region, islandGroup, market, commodity, from, to } = query;
+  const where = {};
+  const locationConditions = buildLocationConditions({ region, islandGroup });
+
+  if (locationConditions.length > 0) {
+    where.AND = locationConditions;
+  }
+
+  if (market) {
+    where.OR = [
+      { market: { contains: market, mode: 'insensitive' } },
+      { marketInfo: { is: { OR: [{ id: market }, { slug: market }] } } }
+    ];
+  }
+
+  if (commodity) {
+    where.commodity = {
+      OR: [
+        { id: commodity },
+        { slug: commodity },
+        { name: { contains: commodity, mode: 'insensitive' } }
+      ]
+    };
+  }
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      throw createErrorResponse(`Invalid ${name} parameter, expected YYYY-MM-DD`, 400);
+    }
+  }
+
+  if (from || to) {
+    where.date = {};
+    if (from) where.date.gte = new Date(from);
+    if (to) where.date.lte = new Date(to);
+  }
+
+  return where;
+};
+
+/**
+ * Check observed prices against the SRPs of their commodity.
+ * Prices are counted per region in the database, and only the prices above
+ * the lowest reference of their commodity, on or after its first bulletin,
+ * are read to be matched.
+ * @param {Object} query - Request query string
+ * @returns {Promise<Object>} Violations, and prices checked in total and per region
+ */
+const findViolations = async (query) => {
+  const where = buildObservationWhere(query);
+
+  const references = await prisma.suggestedRetailPrice.findMany({
+    where: {
+      commodityId: { not: null },
+      ...(where.commodity ? { commodity: { is: where.commodity } } : {}),
+      ...(where.date && where.date.lte ? { effectiveDate: { lte: where.date.lte } } : {})
+    }
+  });
+
+  const referencesByCommodity = new Map();
+  for (const reference of references) {
+    if (!referencesByCommodity.has(reference.commodityId)) {
+      referencesByCommodity.set(reference.commodityId, []);
+    }
+    referencesByCommodity.get(reference.commodityId).push(reference);
+  }
+
+  if (referencesByCommodity.size === 0) {
+    return { violations: [], checked: 0, checkedByRegion: {} };
+  }
+
+  const checkedWhere = { ...where, commodityId: { in: [...referencesByCommodity.keys()] } };
+
+  // A price at or below every reference of its commodity, or from before its
+  // first bulletin, cannot exceed the one that applies to it
+  const exceedsAny = [...referencesByCommodity.entries()].map(([commodityId, commodityReferences]) => ({
+    commodityId,
+    price: { gt: Math.min(...commodityReferences.map(reference => Number(reference.srp))) },
+    date: { gte: new Date(Math.min(...commodityReferences.map(reference => new Date(reference.effectiveDate).getTime()))) }
+  }));
+
+  const [regionCounts, candidates] = await Promise.all([
+    prisma.price.groupBy({
+      by: ['region'],
+      where: checkedWhere,
+      _count: { _all: true }
+    }),
+    prisma.price.findMany({
+      where: { ...checkedWhere, AND: [...(where.AND || []), { OR: exceedsAny }] },
+      include: {
+        commodity: {
+          select: {
+            id: true,
+            name: true,
+            slug: true
+          }
+        },
+        marketInfo: {
+          select: {
+            id: true,
+            name: true,
+            type: true
+          }
+        }
+      },
+      orderBy: { date: 'desc' },
+      take: MAX_CANDIDATES + 1
+    })
+  ]);
+
+  if (candidates.length > MAX_CANDIDATES) {
+    throw createErrorResponse(`More than ${MAX_CANDIDATES} prices to check, narrow the dates, region or commodity`, 400);
+  }
+
+  const checkedByRegion = Object.fromEntries(regionCounts.map(group => [group.region, group._count._all]));
+  const checked = regionCounts.reduce((sum, group) => sum + group._count._all, 0);
+  const violations = [];
+
+  for (const observation of candidates) {
+    const result = checkCompliance({
+      price: observation.price,
+      name: observation.commodity.name,
+      unit: observation.unit,
+      region: observation.region,
+      marketType: observation.marketInfo ? observation.marketInfo.type : null,
+      date: observation.date
+    }, referencesByCommodity.get(observation.commodityId));
+
+    if (!result) continue;
+
+    violations.push({
+      priceId: observation.id,
+      commodity: observation.commodity,
+      market: observation.marketInfo ? observation.marketInfo.name : observation.market,
+      marketId: observation.marketId,
+      region: observation.region,
+      date: observation.date,
+      price: Number(observation.price),
+      unit: observation.unit,
+      source: observation.source,
+      reference: {
+        id: result.reference.id,
+        name: result.reference.name,
+        brand: result.reference.brand,
+        netContent: result.reference.netContent,
+        area: result.reference.area,
+        outlet: result.reference.outlet,
+        srp: Number(result.reference.srp),
+        source: result.reference.source,
+        effectiveDate: result.reference.effectiveDate
+      },
+      overage: result.overage,
+      overagePercent: result.overagePercent
+    });
+  }
+
+  return { violations, checked, checkedByRegion };
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ComplianceRegion:
+ *       in: query
+ *       name: region
+ *       schema:
+ *         type: string
+ *       description: Region of the observed prices, e.g. NCR, including the cities and provinces in it
+ *     ComplianceIslandGroup:
+ *       in: query
+ *       name: islandGroup
+ *       schema:
+ *         type: string
+ *         enum: [Luzon, Visayas, Mindanao]
+ *       description: Island group of the observed prices
+ *     ComplianceMarket:
+ *       in: query
+ *       name: market
+ *       schema:
+ *         type: string
+ *       description: Market ID, slug or name
+ *     ComplianceCommodity:
+ *       in: query
+ *       name: commodity
+ *       schema:
+ *         type: string
+ *       description: Commodity ID, slug or name
+ *     ComplianceFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date
+ *     ComplianceTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date
+ *   schemas:
+ *     ComplianceViolation:
+ *       type: object
+ *       properties:
+ *         priceId:
+ *           type: string
+ *         commodity:
+ *           type: object
+ *         market:
+ *           type: string
+ *         region:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         price:
+ *           type: number
+ *           example: 19.5
+ *         unit:
+ *           type: string
+ *           example: 155g
+ *         reference:
+ *           type: object
+ *           description: SRP the price was checked against
+ *           properties:
+ *             name:
+ *               type: string
+ *             netContent:
+ *               type: string
+ *             srp:
+ *               type: number
+ *               example: 17.25
+ *             source:
+ *               type: string
+ *               example: DTI
+ *             effectiveDate:
+ *               type: string
+ *               format: date
+ *         overage:
+ *           type: number
+ *           example: 2.25
+ *         overagePercent:
+ *           type: number
+ *           example: 13.04
+ */
+
+/**
+ * @swagger
+ * /v1/compliance/violations:
+ *   get:
+ *     summary: Get prices above their SRP
+ *     description: |
+ *       Match observed prices to the DTI suggested retail prices in effect on their date, by
+ *       commodity, area, outlet, size and brand, and return the prices that exceed them, highest
+ *       overage first.
+ *     tags: [Compliance]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ComplianceRegion'
+ *       - $ref: '#/components/parameters/ComplianceIslandGroup'
+ *       - $ref: '#/components/parameters/ComplianceMarket'
+ *       - $ref: '#/components/parameters/ComplianceCommodity'
+ *       - $ref: '#/components/parameters/ComplianceFrom'
+ *       - $ref: '#/components/parameters/ComplianceTo'
+ *       - in: query
+ *         name: minOverage
+ *         schema:
+ *           type: number
+ *         description: Only return prices at least this many percent above the reference
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Violations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ComplianceViolation'
+ *       400:
+ *         description: Invalid filter, or too many prices above a reference to check at once
+ *       500:
+ *         description: Internal server error
+ */
+const getViolations = async (req, res, next) => {
+  try {
+    const { minOverage, limit = 50, page = 1 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    if (minOverage !== undefined && isNaN(parseFloat(minOverage))) {
+      throw createErrorResponse('Invalid minOverage parameter, expected a percentage', 400);
+    }
+
+    const { violations, checked } = await findViolations(req.query);
+
+    const filtered = violations
+      .filter(violation => minOverage === undefined || violation.overagePercent >= parseFloat(minOverage))
+      .sort((a, b) => b.overagePercent - a.overagePercent);
+
+    const response = createPaginatedResponse(filtered.slice(skip, skip + limitNum), pageNum, limitNum, filtered.length);
+    response.meta.checked = checked;
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/compliance/summary:
+ *   get:
+ *     summary: Get compliance summary per region
+ *     description: Count the observed prices checked and found above their SRP in each region
+ *     tags: [Compliance]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ComplianceRegion'
+ *       - $ref: '#/components/parameters/ComplianceIslandGroup'
+ *       - $ref: '#/components/parameters/ComplianceMarket'
+ *       - $ref: '#/components/parameters/ComplianceCommodity'
+ *       - $ref: '#/components/parameters/ComplianceFrom'
+ *       - $ref: '#/components/parameters/ComplianceTo'
+ *     responses:
+ *       200:
+ *         description: Compliance summary retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       region:
+ *                         type: string
+ *                       checked:
+ *                         type: number
+ *                       violations:
+ *                         type: number
+ *                       violationRate:
+ *                         type: number
+ *                         description: Percentage of checked prices above their reference
+ *                       commodities:
+ *                         type: number
+ *                       averageOveragePercent:
+ *                         type: number
+ *                         nullable: true
+ *                       maxOveragePercent:
+ *                         type: number
+ *                         nullable: true
+ *       400:
+ *         description: Invalid filter, or too many prices above a reference to check at once
+ *       500:
+ *         description: Internal server error
+ */
+const getComplianceSummary = async (req, res, next) => {
+  try {
+    const { violations, checked, checkedByRegion } = await findViolations(req.query);
+
+    const regions = new Map(Object.keys(checkedByRegion).map(region => [
+      region,
+      { region, overages: [], commodities: new Set() }
+    ]));
+
+    for (const violation of violations) {
+      const region = regions.get(violation.region);
+      region.overages.push(violation.overagePercent);
+      region.commodities.add(violation.commodity.id);
+    }
+
+    const summary = [...regions.values()]
+      .map(region => {
+        const count = region.overages.length;
+        const total = region.overages.reduce((sum, value) => sum + value, 0);
+
+        return {
+          region: region.region,
+          checked: checkedByRegion[region.region],
+          violations: count,
+          violationRate: Math.round((count / checkedByRegion[region.region]) * 10000) / 100,
+          commodities: region.commodities.size,
+          averageOveragePercent: count ? Math.round((total / count) * 100) / 100 : null,
+          maxOveragePercent: count ? Math.max(...region.overages) : null
+        };
+      })
+      .sort((a, b) => b.violations - a.violations || a.region.localeCompare(b.region));
+
+    res.json(createResponse(summary, 'Compliance summary retrieved successfully', {
+      checked,
+      violations: violations.length
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getViolations,
+  getComplianceSummary
+}; 
\ No newline at end of file
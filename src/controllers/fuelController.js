@@ -0,0 +1,426 @@
+const prisma = require('../config/database');
+const { createResponse, createPaginatedResponse, createErrorResponse } = require('../utils/response');
+const { buildLocationConditions } = require('../utils/locations');
+
+// Brand stored for the area-wide overall range and common price
+const OVERALL_BRAND = 'ALL';
+
+// Fields returned with every fuel price
+const fuelPriceInclude = {
+  commodity: {
+    select: {
+      id: true,
+      name: true,
+      category: true,
+      slug: true
+    }
+  }
+};
+
+/**
+ * Build the Prisma filter shared by the fuel endpoints
+ * @param {Object} query - Request query string
+ * @returns {Object} Prisma where clause
+ */
+const buildFuelWhere = (query) => {
+  const { product, fuelType, brand, region, islandGroup, province, city, date } = query;
+  const where = {};
+  const locationConditions = buildLocationConditions({ region, islandGroup });
+
+  if (product) {
+    where.product = { equals: product.replace(/\s+/g, ' '), mode: 'insensitive' };
+  }
+
+  if (fuelType) {
+    where.fuelType = { equals: fuelType, mode: 'insensitive' };
+  }
+
+  if (brand) {
+    where.brand = { equals: brand, mode: 'insensitive' };
+  }
+
+  if (locationConditions.length > 0) {
+    where.AND = locationConditions;
+  }
+
+  if (province) {
+    where.province = { contains: province, mode: 'insensitive' };
+  }
+
+  if (city) {
+    where.city = { contains: city, mode: 'insensitive' };
+  }
+
+  if (date) {
+    if (isNaN(new Date(date).getTime())) {
+      throw createErrorResponse('Invalid date parameter, expected YYYY-MM-DD', 400);
+    }
+    where.date = new Date(date);
+  }
+
+  return where;
+};
+
+/**
+ * Restrict a filter to the most recent monitoring week of each region
+ * @param {Object} where - Prisma where clause
+ * @returns {Promise<Object>} Prisma where clause
+ */
+const withLatestDates = async (where) => {
+  if (where.date) return where;
+
+  const latestDates = await prisma.fuelPrice.groupBy({
+    by: ['region'],
+    where,
+    _max: { date: true }
+  });
+
+  return {
+    ...where,
+    OR: latestDates.map(group => ({ region: group.region, date: group._max.date }))
+  };
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     FuelProduct:
+ *       in: query
+ *       name: product
+ *       schema:
+ *         type: string
+ *         enum: [RON 91, RON 95, RON 97, RON 100, DIESEL, DIESEL PLUS, KEROSENE]
+ *     FuelRegion:
+ *       in: query
+ *       name: region
+ *       schema:
+ *         type: string
+ *       description: Region, e.g. NCR, Region IX, including the provinces and cities in it
+ *     FuelIslandGroup:
+ *       in: query
+ *       name: islandGroup
+ *       schema:
+ *         type: string
+ *         enum: [Luzon, Visayas, Mindanao]
+ *       description: Island group, across every region in it
+ *     FuelProvince:
+ *       in: query
+ *       name: province
+ *       schema:
+ *         type: string
+ *     FuelCity:
+ *       in: query
+ *       name: city
+ *       schema:
+ *         type: string
+ *       description: City or municipality
+ *     FuelDate:
+ *       in: query
+ *       name: date
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Monitoring week start date. Defaults to the latest week of each region.
+ *   schemas:
+ *     FuelPrice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         product:
+ *           type: string
+ *           example: RON 95
+ *         fuelType:
+ *           type: string
+ *           example: gasoline
+ *         brand:
+ *           type: string
+ *           example: PETRON
+ *         province:
+ *           type: string
+ *           example: Negros Occidental
+ *         city:
+ *           type: string
+ *           example: Bacolod City
+ *         region:
+ *           type: string
+ *           example: Visayas
+ *         minPrice:
+ *           type: string
+ *           example: "54.45"
+ *         maxPrice:
+ *           type: string
+ *           example: "54.55"
+ *         commonPrice:
+ *           type: string
+ *           nullable: true
+ *         source:
+ *           type: string
+ *           example: DOE
+ *         date:
+ *           type: string
+ *           format: date
+ */
+
+/**
+ * @swagger
+ * /v1/fuel/latest:
+ *   get:
+ *     summary: Get latest fuel prices
+ *     description: Retrieve brand level fuel prices from the latest DOE monitoring week of each region
+ *     tags: [Fuel]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FuelProduct'
+ *       - in: query
+ *         name: fuelType
+ *         schema:
+ *           type: string
+ *           enum: [gasoline, diesel, kerosene]
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *         description: Brand, e.g. PETRON, SHELL, or ALL for the area-wide range
+ *       - $ref: '#/components/parameters/FuelRegion'
+ *       - $ref: '#/components/parameters/FuelIslandGroup'
+ *       - $ref: '#/components/parameters/FuelProvince'
+ *       - $ref: '#/components/parameters/FuelCity'
+ *       - $ref: '#/components/parameters/FuelDate'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Fuel prices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FuelPrice'
+ *       400:
+ *         description: Invalid date filter
+ *       500:
+ *         description: Internal server error
+ */
+const getLatestFuelPrices = async (req, res, next) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = await withLatestDates(buildFuelWhere(req.query));
+
+    const [prices, total] = await Promise.all([
+      prisma.fuelPrice.findMany({
+        where,
+        include: fuelPriceInclude,
+        orderBy: [
+          { region: 'asc' },
+          { province: 'asc' },
+          { city: 'asc' },
+          { product: 'asc' },
+          { brand: 'asc' }
+        ],
+        skip,
+        take: limitNum
+      }),
+      prisma.fuelPrice.count({ where })
+    ]);
+
+    res.json(createPaginatedResponse(prices, pageNum, limitNum, total));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/fuel/brands:
+ *   get:
+ *     summary: Compare fuel prices by brand
+ *     description: |
+ *       Summarize the latest monitoring week per brand and product: the lowest and highest
+ *       price seen, the average of the per-area ranges and the number of areas monitored.
+ *     tags: [Fuel]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FuelProduct'
+ *       - $ref: '#/components/parameters/FuelRegion'
+ *       - $ref: '#/components/parameters/FuelIslandGroup'
+ *       - $ref: '#/components/parameters/FuelProvince'
+ *       - $ref: '#/components/parameters/FuelCity'
+ *       - $ref: '#/components/parameters/FuelDate'
+ *     responses:
+ *       200:
+ *         description: Brand comparison retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       product:
+ *                         type: string
+ *                         example: RON 95
+ *                       brand:
+ *                         type: string
+ *                         example: SHELL
+ *                       minPrice:
+ *                         type: number
+ *                       maxPrice:
+ *                         type: number
+ *                       averageMinPrice:
+ *                         type: number
+ *                       averageMaxPrice:
+ *                         type: number
+ *                       areas:
+ *                         type: number
+ *       400:
+ *         description: Invalid date filter
+ *       500:
+ *         description: Internal server error
+ */
+const getFuelBrandComparison = async (req, res, next) => {
+  try {
+    const { brand, ...query } = req.query;
+    const where = await withLatestDates({
+      ...buildFuelWhere(query),
+      brand: { not: OVERALL_BRAND }
+    });
+
+    const groups = await prisma.fuelPrice.groupBy({
+      by: ['product', 'brand'],
+      where,
+      _min: { minPrice: true },
+      _max: { maxPrice: true },
+      _avg: { minPrice: true, maxPrice: true },
+      _count: { _all: true }
+    });
+
+    const comparison = groups
+      .map(group => ({
+        product: group.product,
+        brand: group.brand,
+        minPrice: Number(group._min.minPrice),
+        maxPrice: Number(group._max.maxPrice),
+        averageMinPrice: Math.round(Number(group._avg.minPrice) * 100) / 100,
+        averageMaxPrice: Math.round(Number(group._avg.maxPrice) * 100) / 100,
+        areas: group._count._all
+      }))
+      .sort((a, b) => a.product.localeCompare(b.product) || a.averageMinPrice - b.averageMinPrice);
+
+    res.json(createResponse(comparison, 'Fuel brand comparison retrieved successfully', {
+      total: comparison.length
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/fuel/cities:
+ *   get:
+ *     summary: Get fuel price ranges per city
+ *     description: Retrieve the overall price range and common price of each city or municipality in the latest monitoring week
+ *     tags: [Fuel]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FuelProduct'
+ *       - $ref: '#/components/parameters/FuelRegion'
+ *       - $ref: '#/components/parameters/FuelIslandGroup'
+ *       - $ref: '#/components/parameters/FuelProvince'
+ *       - $ref: '#/components/parameters/FuelCity'
+ *       - $ref: '#/components/parameters/FuelDate'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: City fuel price ranges retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FuelPrice'
+ *       400:
+ *         description: Invalid date filter
+ *       500:
+ *         description: Internal server error
+ */
+const getFuelCityRanges = async (req, res, next) => {
+  try {
+    const { brand, limit = 50, page = 1, ...query } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = await withLatestDates({
+      ...buildFuelWhere(query),
+      brand: OVERALL_BRAND
+    });
+
+    const [ranges, total] = await Promise.all([
+      prisma.fuelPrice.findMany({
+        where,
+        include: fuelPriceInclude,
+        orderBy: [
+          { region: 'asc' },
+          { province: 'asc' },
+          { city: 'asc' },
+          { product: 'asc' }
+        ],
+        skip,
+        take: limitNum
+      }),
+      prisma.fuelPrice.count({ where })
+    ]);
+
+    res.json(createPaginatedResponse(ranges, pageNum, limitNum, total));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLatestFuelPrices,
+  getFuelBrandComparison,
+  getFuelCityRanges
+}; 
\ No newline at end of file
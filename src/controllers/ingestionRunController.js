@@ -0,0 +1,240 @@
+const prisma = require('../config/database');
+const { createResponse, createPaginatedResponse, createErrorResponse } = require('../utils/response');
+const { TRIGGERS } = require('../../scrapers/ingestion_runs');
+
+const STATUSES = ['running', 'success', 'partial', 'failed'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     IngestionRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         source:
+ *           type: string
+ *           example: doe
+ *         trigger:
+ *           type: string
+ *           enum: [cron, manual, upload]
+ *         status:
+ *           type: string
+ *           enum: [running, success, partial, failed]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         filesProcessed:
+ *           type: integer
+ *         files:
+ *           type: array
+ *           items:
+ *             type: string
+ *         rowsFound:
+ *           type: integer
+ *         rowsSaved:
+ *           type: integer
+ *         rowsSkipped:
+ *           type: integer
+ *           description: Rows that could not be saved
+ *         rowsRejected:
+ *           type: integer
+ *           description: Rows dropped by normalization before saving
+ *         rowsQuarantined:
+ *           type: integer
+ *           description: Low-confidence rows held for review (see /v1/admin/quarantine)
+ *         rowsFlagged:
+ *           type: integer
+ *           description: Rows scored as price anomalies, held or saved (see /v1/admin/anomalies)
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /v1/admin/runs:
+ *   get:
+ *     summary: Get ingestion run history (Admin only)
+ *     description: List past scraper and parser runs, newest first. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Source name, e.g. doe
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [cron, manual, upload]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, success, partial, failed]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Runs started on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Runs started on or before this date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Ingestion runs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/IngestionRun'
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: API key is required
+ *       403:
+ *         description: Invalid API key
+ */
+const getIngestionRuns = async (req, res, next) => {
+  try {
+    const { source, trigger, status, from, to, limit = 20, page = 1 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = {};
+
+    if (source) {
+      where.source = source.toLowerCase();
+    }
+
+    if (trigger) {
+      if (!TRIGGERS.includes(trigger)) {
+        throw createErrorResponse(`Invalid trigger parameter, expected one of: ${TRIGGERS.join(', ')}`, 400);
+      }
+      where.trigger = trigger;
+    }
+
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        throw createErrorResponse(`Invalid status parameter, expected one of: ${STATUSES.join(', ')}`, 400);
+      }
+      where.status = status;
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        throw createErrorResponse(`Invalid ${name} parameter, expected YYYY-MM-DD`, 400);
+      }
+    }
+
+    if (from || to) {
+      where.startedAt = {};
+      if (from) where.startedAt.gte = new Date(from);
+      if (to) {
+        // Include the whole end day
+        const end = new Date(to);
+        end.setUTCHours(23, 59, 59, 999);
+        where.startedAt.lte = end;
+      }
+    }
+
+    const [runs, total] = await Promise.all([
+      prisma.ingestionRun.findMany({
+        where,
+        orderBy: { startedAt: 'desc' },
+        skip,
+        take: limitNum
+      }),
+      prisma.ingestionRun.count({ where })
+    ]);
+
+    res.json(createPaginatedResponse(runs, pageNum, limitNum, total));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/runs/{id}:
+ *   get:
+ *     summary: Get ingestion run by ID (Admin only)
+ *     description: Retrieve a single run with its files and errors. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ingestion run retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/IngestionRun'
+ *       404:
+ *         description: Ingestion run not found
+ */
+const getIngestionRunById = async (req, res, next) => {
+  try {
+    const run = await prisma.ingestionRun.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!run) {
+      throw createErrorResponse('Ingestion run not found', 404);
+    }
+
+    res.json(createResponse(run, 'Ingestion run retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getIngestionRuns,
+  getIngestionRunById
+}; 
\ No newline at end of file
@@ -0,0 +1,245 @@
+const { createResponse, createPaginatedResponse, createErrorResponse } = require('../utils/response');
+const { getJob, listJobs, retryJob, cancelJob, JOB_STATES } = require('../utils/queue');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           enum: [scrape, parse-pdf]
+ *         state:
+ *           type: string
+ *           enum: [waiting, active, delayed, completed, failed]
+ *         progress:
+ *           type: integer
+ *           description: Percentage of the job completed
+ *         data:
+ *           type: object
+ *           description: Job payload, e.g. the sources to scrape or the uploaded file
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: Ingestion run IDs and rows parsed, saved, skipped and rejected
+ *         failedReason:
+ *           type: string
+ *           nullable: true
+ *         attemptsMade:
+ *           type: integer
+ *         attempts:
+ *           type: integer
+ *           description: Attempts allowed before the job fails
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /v1/admin/jobs:
+ *   get:
+ *     summary: List queued jobs (Admin only)
+ *     description: List scrape and parse-pdf jobs, newest first. Requires API key authentication and the job queue.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [waiting, active, delayed, completed, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid state
+ *       503:
+ *         description: Job queue not available
+ */
+const getJobs = async (req, res, next) => {
+  try {
+    const { state, limit = 20, page = 1 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    if (state && !JOB_STATES.includes(state)) {
+      throw createErrorResponse(`Invalid state parameter, expected one of: ${JOB_STATES.join(', ')}`, 400);
+    }
+
+    const { jobs, total } = await listJobs({ state, skip, limit: limitNum });
+
+    res.json(createPaginatedResponse(jobs, pageNum, limitNum, total));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/jobs/{id}:
+ *   get:
+ *     summary: Get a job by ID (Admin only)
+ *     description: Retrieve a job with its progress, result or failure reason. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ */
+const getJobById = async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    if (!job) {
+      throw createErrorResponse('Job not found', 404);
+    }
+
+    res.json(createResponse(job, 'Job retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/jobs/{id}/retry:
+ *   post:
+ *     summary: Retry a job (Admin only)
+ *     description: |
+ *       Run a failed or completed job again. Rows are upserted, so rows saved by an
+ *       earlier attempt are updated rather than duplicated. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job queued again
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is still waiting or running
+ *       503:
+ *         description: Job queue not available
+ */
+const retryJobById = async (req, res, next) => {
+  try {
+    const job = await retryJob(req.params.id);
+
+    if (!job) {
+      throw createErrorResponse('Job not found', 404);
+    }
+
+    res.json(createResponse(job, 'Job queued for retry'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a job (Admin only)
+ *     description: Remove a job that has not started yet. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job already started or finished
+ *       503:
+ *         description: Job queue not available
+ */
+const cancelJobById = async (req, res, next) => {
+  try {
+    const job = await cancelJob(req.params.id);
+
+    if (!job) {
+      throw createErrorResponse('Job not found', 404);
+    }
+
+    res.json(createResponse(job, 'Job cancelled'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobById,
+  retryJobById,
+  cancelJobById
+}; 
\ No newline at end of file
@@ -0,0 +1,379 @@
+const prisma = require('../config/database');
+const { createResponse, createPaginatedResponse, createErrorResponse } = require('../utils/response');
+const { PRICE_FIELDS, withNormalizedPrice } = require('../utils/units');
+
+const MARKET_TYPES = ['public_market', 'fish_port', 'supermarket'];
+
+// Fields returned with every market price entry
+const commoditySelect = {
+  select: {
+    id: true,
+    name: true,
+    category: true,
+    slug: true
+  }
+};
+
+/**
+ * Find a market by ID or slug
+ * @param {string} idOrSlug - Market ID or slug
+ * @returns {Promise<Object>} Market record
+ */
+const findMarket = async (idOrSlug) => {
+  const market = await prisma.market.findFirst({
+    where: {
+      OR: [
+        { id: idOrSlug },
+        { slug: idOrSlug }
+      ]
+    },
+    include: {
+      _count: {
+        select: {
+          prices: true,
+          priceRanges: true
+        }
+      }
+    }
+  });
+
+  if (!market) {
+    throw createErrorResponse('Market not found', 404);
+  }
+
+  return market;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Market:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Balintawak (Cloverleaf) Market
+ *         slug:
+ *           type: string
+ *           example: balintawak-cloverleaf-market
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *         city:
+ *           type: string
+ *           example: Quezon City
+ *         region:
+ *           type: string
+ *           example: NCR
+ *         type:
+ *           type: string
+ *           enum: [public_market, fish_port, supermarket]
+ *         _count:
+ *           type: object
+ *           properties:
+ *             prices:
+ *               type: number
+ *             priceRanges:
+ *               type: number
+ */
+
+/**
+ * @swagger
+ * /v1/markets:
+ *   get:
+ *     summary: Get all markets
+ *     description: Retrieve the markets covered by the price reports
+ *     tags: [Markets]
+ *     parameters:
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Filter by region (e.g. NCR, RX)
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Filter by city
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [public_market, fish_port, supermarket]
+ *         description: Filter by market type
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search market names and aliases
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Markets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Market'
+ *       400:
+ *         description: Invalid market type
+ *       500:
+ *         description: Internal server error
+ */
+const getAllMarkets = async (req, res, next) => {
+  try {
+    const { region, city, type, search, limit = 50, page = 1 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = {};
+
+    if (region) {
+      where.region = { equals: region, mode: 'insensitive' };
+    }
+
+    if (city) {
+      where.city = { contains: city, mode: 'insensitive' };
+    }
+
+    if (type) {
+      if (!MARKET_TYPES.includes(type)) {
+        throw createErrorResponse(`Invalid type parameter, expected one of: ${MARKET_TYPES.join(', ')}`, 400);
+      }
+      where.type = type;
+    }
+
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { aliases: { has: search } }
+      ];
+    }
+
+    const [markets, total] = await Promise.all([
+      prisma.market.findMany({
+        where,
+        include: {
+          _count: {
+            select: {
+              prices: true,
+              priceRanges: true
+            }
+          }
+        },
+        orderBy: [
+          { region: 'asc' },
+          { name: 'asc' }
+        ],
+        skip,
+        take: limitNum
+      }),
+      prisma.market.count({ where })
+    ]);
+
+    res.json(createPaginatedResponse(markets, pageNum, limitNum, total));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/markets/{id}:
+ *   get:
+ *     summary: Get market by ID or slug
+ *     description: Retrieve a specific market with the number of price entries recorded for it
+ *     tags: [Markets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID or slug
+ *     responses:
+ *       200:
+ *         description: Market retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Market'
+ *       404:
+ *         description: Market not found
+ *       500:
+ *         description: Internal server error
+ */
+const getMarketById = async (req, res, next) => {
+  try {
+    const market = await findMarket(req.params.id);
+
+    res.json(createResponse(market, 'Market retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/markets/{id}/history:
+ *   get:
+ *     summary: Get price history for a market
+ *     description: |
+ *       Retrieve the prices recorded at a market, oldest first.
+ *       DA price ranges are returned by default; use `dataset=prices` for single price points.
+ *       Each entry carries its price per kg, liter or piece in `normalized`.
+ *     tags: [Markets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Market ID or slug
+ *       - in: query
+ *         name: dataset
+ *         schema:
+ *           type: string
+ *           enum: [ranges, prices]
+ *           default: ranges
+ *       - in: query
+ *         name: commodity
+ *         schema:
+ *           type: string
+ *         description: Commodity ID, slug or name
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Market price history retrieved successfully
+ *       400:
+ *         description: Invalid dataset or date filter
+ *       404:
+ *         description: Market not found
+ *       500:
+ *         description: Internal server error
+ */
+const getMarketHistory = async (req, res, next) => {
+  try {
+    const { dataset = 'ranges', commodity, from, to, limit = 100, page = 1 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    if (!['ranges', 'prices'].includes(dataset)) {
+      throw createErrorResponse('Invalid dataset parameter, expected ranges or prices', 400);
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        throw createErrorResponse(`Invalid ${name} parameter, expected YYYY-MM-DD`, 400);
+      }
+    }
+
+    const market = await findMarket(req.params.id);
+    const where = { marketId: market.id };
+
+    if (commodity) {
+      where.commodity = {
+        OR: [
+          { id: commodity },
+          { slug: commodity },
+          { name: { contains: commodity, mode: 'insensitive' } }
+        ]
+      };
+    }
+
+    if (from || to) {
+      where.date = {};
+      if (from) where.date.gte = new Date(from);
+      if (to) where.date.lte = new Date(to);
+    }
+
+    const model = dataset === 'prices' ? prisma.price : prisma.priceRange;
+    const fields = dataset === 'prices' ? PRICE_FIELDS.price : PRICE_FIELDS.priceRange;
+
+    const [entries, total] = await Promise.all([
+      model.findMany({
+        where,
+        include: { commodity: commoditySelect },
+        orderBy: [
+          { date: 'asc' },
+          { commodityId: 'asc' }
+        ],
+        skip,
+        take: limitNum
+      }),
+      model.count({ where })
+    ]);
+
+    const response = createPaginatedResponse(
+      entries.map(entry => withNormalizedPrice(entry, fields)),
+      pageNum,
+      limitNum,
+      total
+    );
+    response.meta.market = {
+      id: market.id,
+      name: market.name,
+      slug: market.slug,
+      region: market.region
+    };
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllMarkets,
+  getMarketById,
+  getMarketHistory
+}; 
\ No newline at end of file
@@ -1,28 +1,212 @@
 const prisma = require('../config/database');
 const { createResponse, createPaginatedResponse, createErrorResponse } = require('../utils/response');
 const { body, validationResult } = require('express-validator');
-const fs = require('fs').promises;
-const path = require('path');
 const { cacheUtils } = require('../utils/cache');
+const { buildLocationConditions, buildLocationSql } = require('../utils/locations');
+const { buildCategoryCondition } = require('../utils/categories');
+const { PRICE_FIELDS, withNormalizedPrice } = require('../utils/units');
+const { parseList } = require('../utils/query');
+const { INTERVALS, SPLITS, FILL_MODES, buildSeriesQuery, buildSeries } = require('../utils/series');
+const { resolveChangeWindow, buildChangesQuery, toPriceChange, sortByChange, findMovers } = require('../utils/changes');
+const { COMPARE_BY, buildComparisonQuery, dominantUnit, buildComparisonTable } = require('../utils/comparison');
+const { buildLatestPricesQuery, buildLatestPricesCountQuery } = require('../utils/latest');
+const { packSizeOf } = require('../../utils/unitNormalizer');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NormalizedPrice:
+ *       type: object
+ *       nullable: true
+ *       description: |
+ *         The row's prices converted to a price per kg, liter or piece from its pack size,
+ *         e.g. a 155g can at 32.50 is 209.68 per kg. Null when the unit has no standard
+ *         size, such as "per sack" or "#01".
+ *       properties:
+ *         unit:
+ *           type: string
+ *           enum: [per kg, per liter, per piece]
+ *       additionalProperties:
+ *         type: number
+ *       example:
+ *         unit: per kg
+ *         price: 209.68
+ *     PriceChange:
+ *       type: object
+ *       properties:
+ *         commodity:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             slug:
+ *               type: string
+ *             category:
+ *               type: string
+ *         region:
+ *           type: string
+ *           example: Region VII
+ *         unit:
+ *           type: string
+ *           description: per kg, per liter or per piece where the pack size is known, the unit as quoted otherwise
+ *           example: per kg
+ *         from:
+ *           type: object
+ *           description: Average price of the last day observed on or before the start date
+ *           properties:
+ *             date:
+ *               type: string
+ *               format: date-time
+ *             price:
+ *               type: number
+ *               example: 45
+ *         to:
+ *           type: object
+ *           description: Average price of the last day observed after the start date, up to the end date
+ *           properties:
+ *             date:
+ *               type: string
+ *               format: date-time
+ *             price:
+ *               type: number
+ *               example: 49.5
+ *         change:
+ *           type: number
+ *           example: 4.5
+ *         percentChange:
+ *           type: number
+ *           nullable: true
+ *           example: 10
+ */
+
+/**
+ * Find the commodity a path or query parameter names
+ * @param {string} idOrSlug - Commodity ID or slug
+ * @returns {Promise<Object|null>} Commodity, or null when none matches
+ */
+const findCommodity = idOrSlug => prisma.commodity.findFirst({
+  where: { OR: [{ id: idOrSlug }, { slug: idOrSlug }] },
+  select: { id: true, name: true, category: true, slug: true }
+});
+
+/**
+ * Build the Prisma filter on the commodity of a price for the commodity (ID or
+ * slug) and category filters
+ * @param {Object} query - Request query string
+ * @returns {Object|null} Prisma where clause on the commodity, or null without those filters
+ */
+const buildCommodityFilter = ({ commodity, category }) => {
+  const conditions = [];
+
+  const commodities = parseList(commodity);
+  if (commodities.length > 0) {
+    conditions.push({ OR: [{ id: { in: commodities } }, { slug: { in: commodities } }] });
+  }
+
+  if (category) {
+    conditions.push(buildCategoryCondition(category));
+  }
+
+  return conditions.length > 0 ? { AND: conditions } : null;
+};
+
+/**
+ * Resolve the commodity and category filters to commodity IDs. Those filters
+ * go through the category tree, so they are resolved before prices are
+ * queried in SQL.
+ * @param {Object} query - Request query string
+ * @returns {Promise<Array<string>|undefined>} Commodity IDs, or undefined without those filters
+ */
+const findCommodityIds = async (query) => {
+  const commodityFilter = buildCommodityFilter(query);
+  if (!commodityFilter) return undefined;
+
+  const commodities = await prisma.commodity.findMany({ where: commodityFilter, select: { id: true } });
+  return commodities.map(commodity => commodity.id);
+};
+
+/**
+ * Resolve the filters of the latest prices endpoint. Every filter but the
+ * dates accepts several values, any of which may match.
+ * @param {Object} query - Request query string
+ * @returns {Promise<Object>} Price filters for buildLatestPricesQuery
+ */
+const resolveLatestPriceFilters = async (query) => {
+  const { region, islandGroup, source, market, from, to } = query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      throw createErrorResponse(`Invalid ${name} parameter, expected YYYY-MM-DD`, 400);
+    }
+  }
+
+  return {
+    commodityIds: await findCommodityIds(query),
+    sources: parseList(source),
+    markets: parseList(market),
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    conditions: buildLocationSql({ region, islandGroup })
+  };
+};
 
 /**
  * @swagger
  * /v1/prices/latest:
  *   get:
  *     summary: Get latest prices
- *     description: Retrieve the latest prices for all commodities with optional filtering by region and category
+ *     description: |
+ *       Retrieve the latest observation of each commodity in each region from each source.
+ *       Filters other than the dates take several values, comma-separated or repeated
+ *       (`source=DA,DTI`), any of which may match. With `from` or `to`, the latest
+ *       observation within those dates is returned.
  *     tags: [Prices]
  *     parameters:
  *       - in: query
  *         name: region
  *         schema:
  *           type: string
- *         description: Filter by region (e.g., Region VII, NCR)
+ *         description: Filter by region (e.g., Region VII, NCR), including the cities and provinces in it
+ *       - in: query
+ *         name: islandGroup
+ *         schema:
+ *           type: string
+ *         description: Filter by island group (Luzon, Visayas, Mindanao), across every region in it
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by commodity category (e.g., Vegetables, Fuel, Grains)
+ *         description: Filter by a node of the category tree, by name or slug path (e.g., Vegetables, Rice, grains/rice/well-milled), including the nodes below it
+ *       - in: query
+ *         name: commodity
+ *         schema:
+ *           type: string
+ *         description: Filter by commodity ID or slug (e.g., red-onion,regular-milled-rice)
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Filter by source (e.g., DA, DTI, DOE)
+ *       - in: query
+ *         name: market
+ *         schema:
+ *           type: string
+ *         description: Filter by market name or part of it
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Earliest observation date (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Latest observation date (inclusive)
  *       - in: query
  *         name: limit
  *         schema:
@@ -64,6 +248,8 @@ const { cacheUtils } = require('../utils/cache');
  *                         format: float
  *                       unit:
  *                         type: string
+ *                       normalized:
+ *                         $ref: '#/components/schemas/NormalizedPrice'
  *                       region:
  *                         type: string
  *                       source:
@@ -103,18 +289,21 @@ const { cacheUtils } = require('../utils/cache');
  *                           type: boolean
  *                         hasPrev:
  *                           type: boolean
+ *       400:
+ *         description: Invalid island group or date filter
  *       500:
  *         description: Internal server error
  */
 const getLatestPrices = async (req, res, next) => {
   try {
-    const { region, category, limit = 50, page = 1 } = req.query;
+    const { region, islandGroup, category, commodity, source, market, from, to, limit = 50, page = 1 } = req.query;
     const pageNum = parseInt(page);
     const limitNum = Math.min(parseInt(limit), 100); // Max 100 items per page
     const skip = (pageNum - 1) * limitNum;
 
     // Create cache key based on query parameters
-    const cacheKey = `latest_prices:${region || 'all'}:${category || 'all'}:${limitNum}:${pageNum}`;
+    const filters = [region, islandGroup, category, commodity, source, market, from, to].map(value => value || 'all');
+    const cacheKey = `latest_prices:${filters.join(':')}:${limitNum}:${pageNum}`;
     
     // Try to get from cache first
     const cachedData = await cacheUtils.get(cacheKey);
@@ -122,22 +311,17 @@ const getLatestPrices = async (req, res, next) => {
       return res.json(cachedData);
     }
 
-    // Build where clause
-    const where = {};
-    
-    if (region) {
-      where.region = region;
-    }
-    
-    if (category) {
-      where.commodity = {
-        category: category
-      };
-    }
+    // The latest observation of each commodity, region and source is ranked
+    // and paged in the database, then the page's rows are read with their commodity
+    const priceFilters = await resolveLatestPriceFilters(req.query);
+    const [latest, [{ total }]] = await Promise.all([
+      prisma.$queryRaw(buildLatestPricesQuery(priceFilters, { skip, take: limitNum })),
+      prisma.$queryRaw(buildLatestPricesCountQuery(priceFilters))
+    ]);
 
-    // Get latest prices with pagination
-    const prices = await prisma.price.findMany({
-      where,
+    const ids = latest.map(row => row.id);
+    const rows = await prisma.price.findMany({
+      where: { id: { in: ids } },
       include: {
         commodity: {
           select: {
@@ -147,19 +331,16 @@ const getLatestPrices = async (req, res, next) => {
             slug: true
           }
         }
-      },
-      orderBy: [
-        { date: 'desc' },
-        { createdAt: 'desc' }
-      ],
-      skip,
-      take: limitNum
+      }
     });
+    const prices = ids.map(id => rows.find(row => row.id === id)).filter(Boolean);
 
-    // Get total count for pagination
-    const total = await prisma.price.count({ where });
-
-    const response = createPaginatedResponse(prices, pageNum, limitNum, total);
+    const response = createPaginatedResponse(
+      prices.map(price => withNormalizedPrice(price, PRICE_FIELDS.price)),
+      pageNum,
+      limitNum,
+      total
+    );
     
     // Cache the response for 5 minutes (shorter TTL for frequently changing data)
     await cacheUtils.set(cacheKey, response, 300);
@@ -170,6 +351,521 @@ const getLatestPrices = async (req, res, next) => {
   }
 };
 
+/**
+ * Compare each commodity's price in each region at both ends of the window
+ * the request asks for
+ * @param {Object} query - Request query string
+ * @returns {Promise<Object>} The window and the price changes in it
+ */
+const findPriceChanges = async (query) => {
+  const { region, islandGroup, source } = query;
+  const window = resolveChangeWindow(query);
+
+  const rows = await prisma.$queryRaw(buildChangesQuery(window, {
+    commodityIds: await findCommodityIds(query),
+    sources: parseList(source),
+    conditions: buildLocationSql({ region, islandGroup })
+  }));
+
+  return { window, changes: rows.map(toPriceChange) };
+};
+
+// Cache key part of the filters shared by the changes and movers endpoints
+const changeFilterKey = ({ period, from, to, region, islandGroup, category, commodity, source }) =>
+  [period, from, to, region, islandGroup, category, commodity, source].map(value => value || 'all').join(':');
+
+/**
+ * @swagger
+ * /v1/prices/changes:
+ *   get:
+ *     summary: Get price changes
+ *     description: |
+ *       Compare each commodity's price in each region between two dates, as the absolute and
+ *       percent change. The start price is the average of the last day observed on or before
+ *       `from` (no older than the window's own length before it), and the end price the average
+ *       of the last day observed after `from` up to `to`. Pairs without both are left out.
+ *       Sorted from the largest rise to the largest fall.
+ *     tags: [Prices]
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [week, month, year]
+ *         description: Compare week over week, month over month or year over year, ending on `to`. The default without `from`.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date, when no period is given
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date (defaults to today)
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Filter by region, including the cities and provinces in it (comma-separated for several)
+ *       - in: query
+ *         name: islandGroup
+ *         schema:
+ *           type: string
+ *         description: Filter by island group (Luzon, Visayas, Mindanao)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by a node of the category tree, by name or slug path
+ *       - in: query
+ *         name: commodity
+ *         schema:
+ *           type: string
+ *         description: Filter by commodity ID or slug
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Filter by source (e.g., DA, DTI)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *         description: Number of results to return (max 100)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *     responses:
+ *       200:
+ *         description: Price changes retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PriceChange'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     window:
+ *                       type: object
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                           format: date-time
+ *                         to:
+ *                           type: string
+ *                           format: date-time
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid period, date or island group parameter
+ *       500:
+ *         description: Internal server error
+ */
+const getPriceChanges = async (req, res, next) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const cacheKey = `price_changes:${changeFilterKey(req.query)}:${limitNum}:${pageNum}`;
+    const cachedData = await cacheUtils.get(cacheKey);
+    if (cachedData) {
+      return res.json(cachedData);
+    }
+
+    const { window, changes } = await findPriceChanges(req.query);
+
+    const response = createPaginatedResponse(
+      sortByChange(changes).slice(skip, skip + limitNum),
+      pageNum,
+      limitNum,
+      changes.length
+    );
+    response.meta.window = { from: window.from, to: window.to };
+
+    // Cache the response for 5 minutes
+    await cacheUtils.set(cacheKey, response, 300);
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/prices/movers:
+ *   get:
+ *     summary: Get the top price risers and fallers
+ *     description: |
+ *       List the commodity and region pairs whose price rose and fell the most, by percent
+ *       change, with the same window and filters as /v1/prices/changes.
+ *     tags: [Prices]
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [week, month, year]
+ *         description: Compare week over week, month over month or year over year, ending on `to`. The default without `from`.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date, when no period is given
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date (defaults to today)
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Filter by region (comma-separated for several)
+ *       - in: query
+ *         name: islandGroup
+ *         schema:
+ *           type: string
+ *         description: Filter by island group (Luzon, Visayas, Mindanao)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by a node of the category tree, by name or slug path
+ *       - in: query
+ *         name: commodity
+ *         schema:
+ *           type: string
+ *         description: Filter by commodity ID or slug
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Filter by source (e.g., DA, DTI)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *         description: Number of risers and of fallers to return (max 50)
+ *     responses:
+ *       200:
+ *         description: Price movers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     risers:
+ *                       type: array
+ *                       description: Largest rise first
+ *                       items:
+ *                         $ref: '#/components/schemas/PriceChange'
+ *                     fallers:
+ *                       type: array
+ *                       description: Largest fall first
+ *                       items:
+ *                         $ref: '#/components/schemas/PriceChange'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     window:
+ *                       type: object
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                           format: date-time
+ *                         to:
+ *                           type: string
+ *                           format: date-time
+ *                     compared:
+ *                       type: integer
+ *                       description: Number of commodity and region pairs compared
+ *       400:
+ *         description: Invalid period, date or island group parameter
+ *       500:
+ *         description: Internal server error
+ */
+const getPriceMovers = async (req, res, next) => {
+  try {
+    const limitNum = Math.min(parseInt(req.query.limit || 10), 50);
+
+    const cacheKey = `price_movers:${changeFilterKey(req.query)}:${limitNum}`;
+    const cachedData = await cacheUtils.get(cacheKey);
+    if (cachedData) {
+      return res.json(cachedData);
+    }
+
+    const { window, changes } = await findPriceChanges(req.query);
+
+    const response = createResponse(findMovers(changes, limitNum), 'Price movers retrieved successfully', {
+      window: { from: window.from, to: window.to },
+      compared: changes.length
+    });
+
+    // Cache the response for 5 minutes
+    await cacheUtils.set(cacheKey, response, 300);
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/prices/compare:
+ *   get:
+ *     summary: Compare a commodity's price across regions, markets or sources
+ *     description: |
+ *       Return an aligned table of a commodity's average price in each of the regions,
+ *       markets or sources given, with the cheapest and most expensive of them, the spread
+ *       between those, and the coefficient of variation (standard deviation over mean, in
+ *       percent) of each row.
+ *
+ *       With `from` or `to`, the table has a row per day, week or month of the range. Otherwise
+ *       it has a single row for `date` (today by default) with each location's last day observed
+ *       on or before it, up to 30 days earlier.
+ *
+ *       Prices are compared per kg, liter or piece where the pack size is known and per quoted
+ *       unit otherwise, in one unit: the `unit` parameter, or the unit most prices were observed in.
+ *     tags: [Prices]
+ *     parameters:
+ *       - in: query
+ *         name: commodity
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Commodity ID or slug
+ *       - in: query
+ *         name: by
+ *         schema:
+ *           type: string
+ *           enum: [region, market, source]
+ *           default: region
+ *         description: Compare the values of the region, market or source parameter; the other two filter the prices
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Regions or island groups, comma-separated (e.g., NCR,Region X,Visayas)
+ *       - in: query
+ *         name: market
+ *         schema:
+ *           type: string
+ *         description: Market names or parts of them, comma-separated
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Sources, comma-separated (e.g., DA,DTI)
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date of a single-row comparison (defaults to today)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of a range (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of a range (inclusive)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *         description: Row size of a range
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *         description: Unit to compare prices in, e.g. per kg (defaults to the unit with the most observations)
+ *     responses:
+ *       200:
+ *         description: Price comparison retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     commodity:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                         category:
+ *                           type: string
+ *                         slug:
+ *                           type: string
+ *                     by:
+ *                       type: string
+ *                       example: region
+ *                     unit:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Unit of every price in the table, null when none was observed
+ *                       example: per kg
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             format: date
+ *                             description: Date of the snapshot, or first day of the bucket
+ *                           prices:
+ *                             type: array
+ *                             description: One entry per compared location, in the order given
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 location:
+ *                                   type: string
+ *                                   example: NCR
+ *                                 price:
+ *                                   type: number
+ *                                   nullable: true
+ *                                 count:
+ *                                   type: integer
+ *                                   description: Observations averaged
+ *                                 observedOn:
+ *                                   type: string
+ *                                   format: date
+ *                                   nullable: true
+ *                                   description: Day the price was observed, in a single-row comparison
+ *                           cheapest:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               location:
+ *                                 type: string
+ *                               price:
+ *                                 type: number
+ *                           mostExpensive:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               location:
+ *                                 type: string
+ *                               price:
+ *                                 type: number
+ *                           spread:
+ *                             type: number
+ *                             nullable: true
+ *                           coefficientOfVariation:
+ *                             type: number
+ *                             nullable: true
+ *                             description: Null with fewer than two prices in the row
+ *       400:
+ *         description: Missing commodity, fewer than two locations, or invalid parameter
+ *       404:
+ *         description: Commodity not found
+ *       500:
+ *         description: Internal server error
+ */
+const getPriceComparison = async (req, res, next) => {
+  try {
+    const { commodity: commodityId, by = 'region', date, from, to, interval = 'week', unit } = req.query;
+
+    if (!commodityId) {
+      throw createErrorResponse('commodity parameter is required', 400);
+    }
+
+    for (const [name, value, allowed] of [['by', by, COMPARE_BY], ['interval', interval, INTERVALS]]) {
+      if (!allowed.includes(value)) {
+        throw createErrorResponse(`Invalid ${name} parameter, expected one of: ${allowed.join(', ')}`, 400);
+      }
+    }
+
+    for (const [name, value] of Object.entries({ date, from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        throw createErrorResponse(`Invalid ${name} parameter, expected YYYY-MM-DD`, 400);
+      }
+    }
+
+    const values = [...new Set(parseList(req.query[by]))];
+    if (values.length < 2) {
+      throw createErrorResponse(`At least two values of the ${by} parameter are required to compare`, 400);
+    }
+
+    const commodity = await findCommodity(commodityId);
+
+    if (!commodity) {
+      throw createErrorResponse('Commodity not found', 404);
+    }
+
+    // A range gives a row per bucket, otherwise one row for the date (today by default)
+    const dates = (from || to) && !date
+      ? { from: from ? new Date(from) : undefined, to: to ? new Date(to) : undefined, interval }
+      : { date: new Date(date || new Date().toISOString().slice(0, 10)) };
+
+    const rows = await prisma.$queryRaw(buildComparisonQuery({
+      commodityId: commodity.id,
+      by,
+      values,
+      unit,
+      filters: req.query,
+      ...dates
+    }));
+
+    // Prices in different units are not comparable, so the table is in one unit
+    const comparedUnit = unit || dominantUnit(rows);
+    const compared = rows.filter(row => row.unit === comparedUnit);
+
+    res.json(createResponse(
+      { commodity, by, unit: comparedUnit, rows: buildComparisonTable(compared, values, dates) },
+      'Price comparison retrieved successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @swagger
  * /v1/prices/{commodity_id}:
@@ -210,6 +906,8 @@ const getLatestPrices = async (req, res, next) => {
  *                       format: float
  *                     unit:
  *                       type: string
+ *                     normalized:
+ *                       $ref: '#/components/schemas/NormalizedPrice'
  *                     region:
  *                       type: string
  *                     source:
@@ -260,7 +958,7 @@ const getCommodityPrice = async (req, res, next) => {
       throw createErrorResponse('No price data found for this commodity', 404);
     }
 
-    const response = createResponse(latestPrice, 'Latest price retrieved successfully');
+    const response = createResponse(withNormalizedPrice(latestPrice, PRICE_FIELDS.price), 'Latest price retrieved successfully');
     res.json(response);
   } catch (error) {
     next(error);
@@ -285,7 +983,13 @@ const getCommodityPrice = async (req, res, next) => {
  *         name: region
  *         schema:
  *           type: string
- *         description: Filter by region (e.g., Region VII, NCR)
+ *         description: Filter by region (e.g., Region VII, NCR), including the cities and provinces in it
+ *       - in: query
+ *         name: islandGroup
+ *         schema:
+ *           type: string
+ *           enum: [Luzon, Visayas, Mindanao]
+ *         description: Filter by island group, across every region in it
  *       - in: query
  *         name: limit
  *         schema:
@@ -327,6 +1031,8 @@ const getCommodityPrice = async (req, res, next) => {
  *                         format: float
  *                       unit:
  *                         type: string
+ *                       normalized:
+ *                         $ref: '#/components/schemas/NormalizedPrice'
  *                       region:
  *                         type: string
  *                       source:
@@ -374,7 +1080,7 @@ const getCommodityPrice = async (req, res, next) => {
 const getCommodityPriceHistory = async (req, res, next) => {
   try {
     const { commodity_id } = req.params;
-    const { region, limit = 30, page = 1 } = req.query;
+    const { region, islandGroup, limit = 30, page = 1 } = req.query;
     const pageNum = parseInt(page);
     const limitNum = Math.min(parseInt(limit), 100);
     const skip = (pageNum - 1) * limitNum;
@@ -383,9 +1089,10 @@ const getCommodityPriceHistory = async (req, res, next) => {
     const where = {
       commodityId: commodity_id
     };
+    const locationConditions = buildLocationConditions({ region, islandGroup });
     
-    if (region) {
-      where.region = region;
+    if (locationConditions.length > 0) {
+      where.AND = locationConditions;
     }
 
     const prices = await prisma.price.findMany({
@@ -407,12 +1114,222 @@ const getCommodityPriceHistory = async (req, res, next) => {
       take: limitNum
     });
 
-    if (prices.length === 0) {
-      throw createErrorResponse('No price history found for this commodity', 404);
+    if (prices.length === 0) {
+      throw createErrorResponse('No price history found for this commodity', 404);
+    }
+
+    const total = await prisma.price.count({ where });
+    const response = createPaginatedResponse(
+      prices.map(price => withNormalizedPrice(price, PRICE_FIELDS.price)),
+      pageNum,
+      limitNum,
+      total
+    );
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/prices/{commodity_id}/series:
+ *   get:
+ *     summary: Get a resampled price series for a commodity
+ *     description: |
+ *       Aggregate a commodity's prices into daily, weekly (from Monday) or monthly buckets with
+ *       the min, max, mean and median price and the number of observations in each. The
+ *       series can be split into one per region or source. Prices are aggregated as quoted,
+ *       so a commodity reported in several pack sizes is best filtered to one source.
+ *     tags: [Prices]
+ *     parameters:
+ *       - in: path
+ *         name: commodity_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Commodity ID or slug
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *         description: Bucket size
+ *       - in: query
+ *         name: splitBy
+ *         schema:
+ *           type: string
+ *           enum: [region, source]
+ *         description: Return one series per region or source instead of a single series
+ *       - in: query
+ *         name: fill
+ *         schema:
+ *           type: string
+ *           enum: [none, null, previous]
+ *           default: none
+ *         description: |
+ *           Buckets with no report: left out (none), returned with null prices (null), or
+ *           with the previous bucket's prices carried forward (previous). Filled buckets have
+ *           a count of 0 and `filled: true`.
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Filter by region, including the cities and provinces in it (comma-separated for several)
+ *       - in: query
+ *         name: islandGroup
+ *         schema:
+ *           type: string
+ *         description: Filter by island group (Luzon, Visayas, Mindanao)
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Filter by source (e.g., DA, DTI)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date (inclusive); filled series start from its bucket
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date (inclusive); filled series run to its bucket
+ *     responses:
+ *       200:
+ *         description: Price series retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     commodity:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                         category:
+ *                           type: string
+ *                         slug:
+ *                           type: string
+ *                     interval:
+ *                       type: string
+ *                       example: week
+ *                     splitBy:
+ *                       type: string
+ *                       nullable: true
+ *                     fill:
+ *                       type: string
+ *                       example: none
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         description: A series, keyed by its region or source when split, and by its unit
+ *                         properties:
+ *                           region:
+ *                             type: string
+ *                           source:
+ *                             type: string
+ *                           unit:
+ *                             type: string
+ *                             description: per kg, per liter or per piece where the pack size is known, the unit as quoted otherwise
+ *                             example: per kg
+ *                           points:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 date:
+ *                                   type: string
+ *                                   format: date
+ *                                   description: First day of the bucket
+ *                                   example: '2025-06-02'
+ *                                 min:
+ *                                   type: number
+ *                                   nullable: true
+ *                                 max:
+ *                                   type: number
+ *                                   nullable: true
+ *                                 mean:
+ *                                   type: number
+ *                                   nullable: true
+ *                                 median:
+ *                                   type: number
+ *                                   nullable: true
+ *                                 count:
+ *                                   type: integer
+ *                                 filled:
+ *                                   type: boolean
+ *                                   description: Present on buckets with no report
+ *       400:
+ *         description: Invalid interval, splitBy, fill, island group or date parameter
+ *       404:
+ *         description: Commodity not found
+ *       500:
+ *         description: Internal server error
+ */
+const getCommodityPriceSeries = async (req, res, next) => {
+  try {
+    const { commodity_id } = req.params;
+    const { interval = 'week', splitBy, fill = 'none', region, islandGroup, source, from, to } = req.query;
+
+    for (const [name, value, allowed] of [['interval', interval, INTERVALS], ['splitBy', splitBy, SPLITS], ['fill', fill, FILL_MODES]]) {
+      if (value !== undefined && !allowed.includes(value)) {
+        throw createErrorResponse(`Invalid ${name} parameter, expected one of: ${allowed.join(', ')}`, 400);
+      }
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        throw createErrorResponse(`Invalid ${name} parameter, expected YYYY-MM-DD`, 400);
+      }
+    }
+
+    const commodity = await findCommodity(commodity_id);
+
+    if (!commodity) {
+      throw createErrorResponse('Commodity not found', 404);
+    }
+
+    const cacheKey = `price_series:${commodity.id}:${[interval, splitBy, fill, region, islandGroup, source, from, to].map(value => value || 'all').join(':')}`;
+    const cachedData = await cacheUtils.get(cacheKey);
+    if (cachedData) {
+      return res.json(cachedData);
     }
 
-    const total = await prisma.price.count({ where });
-    const response = createPaginatedResponse(prices, pageNum, limitNum, total);
+    const dates = {
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined
+    };
+
+    const rows = await prisma.$queryRaw(buildSeriesQuery({
+      commodityId: commodity.id,
+      interval,
+      splitBy,
+      sources: parseList(source),
+      conditions: buildLocationSql({ region, islandGroup }),
+      ...dates
+    }));
+    const series = buildSeries(rows, { interval, splitBy, fill, ...dates });
+
+    const response = createResponse({ commodity, interval, splitBy: splitBy || null, fill, series }, 'Price series retrieved successfully');
+
+    // Cache the response for 5 minutes
+    await cacheUtils.set(cacheKey, response, 300);
+
     res.json(response);
   } catch (error) {
     next(error);
@@ -562,6 +1479,7 @@ const createPrice = async (req, res, next) => {
         commodityId,
         price: parseFloat(price),
         unit,
+        ...packSizeOf(unit),
         region,
         source,
         date: new Date(date)
@@ -585,27 +1503,222 @@ const createPrice = async (req, res, next) => {
   }
 };
 
+// Fields returned with every DA price range
+const priceRangeInclude = {
+  commodity: {
+    select: {
+      id: true,
+      name: true,
+      category: true,
+      slug: true
+    }
+  }
+};
+
+/**
+ * Build the Prisma filter shared by the DA price range endpoints
+ * @param {Object} query - Request query string
+ * @returns {Object} Prisma where clause
+ */
+const buildPriceRangeWhere = (query) => {
+  const { region, islandGroup, market, commodity, category, date, from, to } = query;
+  const where = { source: 'DA' };
+  const locationConditions = buildLocationConditions({ region, islandGroup });
+
+  if (locationConditions.length > 0) {
+    where.AND = locationConditions;
+  }
+
+  if (market) {
+    where.market = { contains: market, mode: 'insensitive' };
+  }
+
+  if (commodity) {
+    where.commodity = {
+      OR: [
+        { id: commodity },
+        { slug: commodity },
+        { name: { contains: commodity, mode: 'insensitive' } }
+      ]
+    };
+  }
+
+  if (category) {
+    where.commodity = {
+      ...where.commodity,
+      AND: [buildCategoryCondition(category)]
+    };
+  }
+
+  for (const [name, value] of Object.entries({ date, from, to })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      throw createErrorResponse(`Invalid ${name} parameter, expected YYYY-MM-DD`, 400);
+    }
+  }
+
+  if (date) {
+    where.date = new Date(date);
+  } else if (from || to) {
+    where.date = {};
+    if (from) where.date.gte = new Date(from);
+    if (to) where.date.lte = new Date(to);
+  }
+
+  return where;
+};
+
+/**
+ * Query a page of DA price ranges.
+ * With `latest=true` only the most recent report date of each region is returned.
+ * @param {Object} where - Prisma where clause
+ * @param {Object} query - Request query string
+ * @returns {Promise<Object>} Paginated response
+ */
+const findPriceRanges = async (where, query) => {
+  const { latest, limit = 50, page = 1 } = query;
+  const pageNum = parseInt(page);
+  const limitNum = Math.min(parseInt(limit), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  if (latest === 'true') {
+    const latestDates = await prisma.priceRange.groupBy({
+      by: ['region'],
+      where,
+      _max: { date: true }
+    });
+
+    where = {
+      ...where,
+      OR: latestDates.map(group => ({ region: group.region, date: group._max.date }))
+    };
+  }
+
+  const [ranges, total] = await Promise.all([
+    prisma.priceRange.findMany({
+      where,
+      include: priceRangeInclude,
+      orderBy: [
+        { date: 'desc' },
+        { region: 'asc' },
+        { market: 'asc' }
+      ],
+      skip,
+      take: limitNum
+    }),
+    prisma.priceRange.count({ where })
+  ]);
+
+  return createPaginatedResponse(ranges.map(range => withNormalizedPrice(range, PRICE_FIELDS.priceRange)), pageNum, limitNum, total);
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     DAPriceRangeFilters:
+ *       in: query
+ *       name: filters
+ *       style: form
+ *       explode: true
+ *       schema:
+ *         type: object
+ *         properties:
+ *           islandGroup:
+ *             type: string
+ *             enum: [Luzon, Visayas, Mindanao]
+ *             description: Island group, across every region in it
+ *           commodity:
+ *             type: string
+ *             description: Commodity ID, slug or partial name
+ *           category:
+ *             type: string
+ *             description: Node of the category tree, by name or slug path (e.g., Rice, Vegetables, meat/pork/liempo), including the nodes below it
+ *           date:
+ *             type: string
+ *             format: date
+ *             description: Exact report date (YYYY-MM-DD)
+ *           from:
+ *             type: string
+ *             format: date
+ *             description: Earliest report date (inclusive)
+ *           to:
+ *             type: string
+ *             format: date
+ *             description: Latest report date (inclusive)
+ *           latest:
+ *             type: boolean
+ *             description: Only return the most recent report of each region
+ *           limit:
+ *             type: integer
+ *             default: 50
+ *             maximum: 100
+ *           page:
+ *             type: integer
+ *             default: 1
+ *   schemas:
+ *     DAPriceRange:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         commodityId:
+ *           type: string
+ *         market:
+ *           type: string
+ *         unit:
+ *           type: string
+ *         normalized:
+ *           $ref: '#/components/schemas/NormalizedPrice'
+ *         minPrice:
+ *           type: number
+ *         maxPrice:
+ *           type: number
+ *         averagePrice:
+ *           type: number
+ *         prevailingPrice:
+ *           type: number
+ *           nullable: true
+ *         region:
+ *           type: string
+ *         source:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         filename:
+ *           type: string
+ *         commodity:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             category:
+ *               type: string
+ *             slug:
+ *               type: string
+ */
+
 /**
  * @swagger
  * /v1/prices/da/ranges:
  *   get:
  *     summary: Get all DA price ranges
- *     description: Retrieve all DA price ranges from parsed PDF data
+ *     description: Retrieve DA price ranges stored from parsed Bantay Presyo PDFs, newest report first
  *     tags: [DA Price Ranges]
  *     parameters:
  *       - in: query
- *         name: limit
+ *         name: region
  *         schema:
- *           type: integer
- *           default: 50
- *           maximum: 100
- *         description: Number of results to return (max 100)
+ *           type: string
+ *         description: Filter by region (e.g., NCR, RX), including the cities and provinces in it
  *       - in: query
- *         name: page
+ *         name: market
  *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number for pagination
+ *           type: string
+ *         description: Filter by market name (partial match)
+ *       - $ref: '#/components/parameters/DAPriceRangeFilters'
  *     responses:
  *       200:
  *         description: DA price ranges retrieved successfully
@@ -619,65 +1732,21 @@ const createPrice = async (req, res, next) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: DA price ranges retrieved successfully
+ *                   example: Success
  *                 data:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       commodity:
- *                         type: string
- *                       unit:
- *                         type: string
- *                       minPrice:
- *                         type: number
- *                       maxPrice:
- *                         type: number
- *                       averagePrice:
- *                         type: number
- *                       source:
- *                         type: string
- *                       region:
- *                         type: string
- *                       date:
- *                         type: string
- *                       category:
- *                         type: string
- *                       hasRange:
- *                         type: boolean
- *                       filename:
- *                         type: string
- *                       market:
- *                         type: string
+ *                     $ref: '#/components/schemas/DAPriceRange'
+ *       400:
+ *         description: Invalid date filter
  *       500:
  *         description: Internal server error
  */
 const getDAPriceRanges = async (req, res, next) => {
   try {
-    const { limit = 50, page = 1 } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = Math.min(parseInt(limit), 100);
-    const skip = (pageNum - 1) * limitNum;
-
-    // Read the DA price ranges JSON file
-    const filePath = path.join(__dirname, '../../output/latest_price_ranges_da.json');
-    
-    try {
-      const fileContent = await fs.readFile(filePath, 'utf8');
-      const allRanges = JSON.parse(fileContent);
-      
-      // Apply pagination
-      const total = allRanges.length;
-      const ranges = allRanges.slice(skip, skip + limitNum);
-      
-      const response = createPaginatedResponse(ranges, pageNum, limitNum, total);
-      res.json(response);
-    } catch (fileError) {
-      if (fileError.code === 'ENOENT') {
-        throw createErrorResponse('DA price ranges data not available. Please run the DA parser first.', 404);
-      }
-      throw fileError;
-    }
+    const where = buildPriceRangeWhere(req.query);
+    const response = await findPriceRanges(where, req.query);
+    res.json(response);
   } catch (error) {
     next(error);
   }
@@ -698,75 +1767,32 @@ const getDAPriceRanges = async (req, res, next) => {
  *           type: string
  *         description: Region name (e.g., NCR, RX)
  *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 50
- *           maximum: 100
- *         description: Number of results to return (max 100)
- *       - in: query
- *         name: page
+ *         name: market
  *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number for pagination
+ *           type: string
+ *         description: Filter by market name (partial match)
+ *       - $ref: '#/components/parameters/DAPriceRangeFilters'
  *     responses:
  *       200:
  *         description: DA price ranges for region retrieved successfully
+ *       400:
+ *         description: Invalid date filter
  *       404:
- *         description: Region not found or no data available
+ *         description: No data available for the region
  *       500:
  *         description: Internal server error
  */
 const getDAPriceRangesByRegion = async (req, res, next) => {
   try {
     const { region } = req.params;
-    const { limit = 50, page = 1 } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = Math.min(parseInt(limit), 100);
-    const skip = (pageNum - 1) * limitNum;
+    const where = buildPriceRangeWhere({ ...req.query, region });
+    const response = await findPriceRanges(where, req.query);
 
-    // Try to read region-specific file first
-    const regionFilePath = path.join(__dirname, `../../output/latest_price_ranges_da_${region.toLowerCase().replace(/\s+/g, '_')}.json`);
-    
-    try {
-      const fileContent = await fs.readFile(regionFilePath, 'utf8');
-      const regionRanges = JSON.parse(fileContent);
-      
-      // Apply pagination
-      const total = regionRanges.length;
-      const ranges = regionRanges.slice(skip, skip + limitNum);
-      
-      const response = createPaginatedResponse(ranges, pageNum, limitNum, total);
-      res.json(response);
-    } catch (fileError) {
-      if (fileError.code === 'ENOENT') {
-        // Fallback to filtering from main file
-        const mainFilePath = path.join(__dirname, '../../output/latest_price_ranges_da.json');
-        try {
-          const fileContent = await fs.readFile(mainFilePath, 'utf8');
-          const allRanges = JSON.parse(fileContent);
-          const regionRanges = allRanges.filter(range => 
-            range.region.toLowerCase() === region.toLowerCase()
-          );
-          
-          if (regionRanges.length === 0) {
-            throw createErrorResponse(`No data found for region: ${region}`, 404);
-          }
-          
-          // Apply pagination
-          const total = regionRanges.length;
-          const ranges = regionRanges.slice(skip, skip + limitNum);
-          
-          const response = createPaginatedResponse(ranges, pageNum, limitNum, total);
-          res.json(response);
-        } catch (mainFileError) {
-          throw createErrorResponse('DA price ranges data not available. Please run the DA parser first.', 404);
-        }
-      } else {
-        throw fileError;
-      }
+    if (response.meta.pagination.total === 0) {
+      throw createErrorResponse(`No data found for region: ${region}`, 404);
     }
+
+    res.json(response);
   } catch (error) {
     next(error);
   }
@@ -785,64 +1811,252 @@ const getDAPriceRangesByRegion = async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: Market name (e.g., Balintawak, Cartimar Market)
+ *         description: Market name, partial match (e.g., Balintawak, Cartimar Market)
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Filter by region (e.g., NCR, RX), including the cities and provinces in it
+ *       - $ref: '#/components/parameters/DAPriceRangeFilters'
+ *     responses:
+ *       200:
+ *         description: DA price ranges for market retrieved successfully
+ *       400:
+ *         description: Invalid date filter
+ *       404:
+ *         description: No data available for the market
+ *       500:
+ *         description: Internal server error
+ */
+const getDAPriceRangesByMarket = async (req, res, next) => {
+  try {
+    const { market } = req.params;
+    const where = buildPriceRangeWhere({ ...req.query, market });
+    const response = await findPriceRanges(where, req.query);
+
+    if (response.meta.pagination.total === 0) {
+      throw createErrorResponse(`No data found for market: ${market}`, 404);
+    }
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/prices/da/history/{commodity_id}:
+ *   get:
+ *     summary: Get DA price range history for a commodity
+ *     description: Retrieve every stored DA price range for a commodity across report dates, oldest first
+ *     tags: [DA Price Ranges]
+ *     parameters:
+ *       - in: path
+ *         name: commodity_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Commodity ID or slug
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Filter by region (e.g., NCR, RX), including the cities and provinces in it
+ *       - in: query
+ *         name: islandGroup
+ *         schema:
+ *           type: string
+ *           enum: [Luzon, Visayas, Mindanao]
+ *         description: Filter by island group, across every region in it
+ *       - in: query
+ *         name: market
+ *         schema:
+ *           type: string
+ *         description: Filter by market name (partial match)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Earliest report date (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Latest report date (inclusive)
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 50
+ *           default: 100
  *           maximum: 100
- *         description: Number of results to return (max 100)
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Page number for pagination
  *     responses:
  *       200:
- *         description: DA price ranges for market retrieved successfully
+ *         description: DA price range history retrieved successfully
+ *       400:
+ *         description: Invalid date filter
  *       404:
- *         description: Market not found or no data available
+ *         description: No DA price ranges found for this commodity
  *       500:
  *         description: Internal server error
  */
-const getDAPriceRangesByMarket = async (req, res, next) => {
+const getDAPriceRangeHistory = async (req, res, next) => {
   try {
-    const { market } = req.params;
-    const { limit = 50, page = 1 } = req.query;
+    const { commodity_id } = req.params;
+    const { region, islandGroup, market, from, to, limit = 100, page = 1 } = req.query;
     const pageNum = parseInt(page);
     const limitNum = Math.min(parseInt(limit), 100);
     const skip = (pageNum - 1) * limitNum;
 
-    // Read the main DA price ranges file and filter by market
-    const filePath = path.join(__dirname, '../../output/latest_price_ranges_da.json');
-    
-    try {
-      const fileContent = await fs.readFile(filePath, 'utf8');
-      const allRanges = JSON.parse(fileContent);
-      
-      // Filter by market (case-insensitive partial match)
-      const marketRanges = allRanges.filter(range => 
-        range.market && range.market.toLowerCase().includes(market.toLowerCase())
-      );
-      
-      if (marketRanges.length === 0) {
-        throw createErrorResponse(`No data found for market: ${market}`, 404);
-      }
-      
-      // Apply pagination
-      const total = marketRanges.length;
-      const ranges = marketRanges.slice(skip, skip + limitNum);
-      
-      const response = createPaginatedResponse(ranges, pageNum, limitNum, total);
-      res.json(response);
-    } catch (fileError) {
-      if (fileError.code === 'ENOENT') {
-        throw createErrorResponse('DA price ranges data not available. Please run the DA parser first.', 404);
+    const where = buildPriceRangeWhere({ region, islandGroup, market, from, to });
+    where.commodity = { OR: [{ id: commodity_id }, { slug: commodity_id }] };
+
+    const [ranges, total] = await Promise.all([
+      prisma.priceRange.findMany({
+        where,
+        include: priceRangeInclude,
+        orderBy: [
+          { date: 'asc' },
+          { region: 'asc' },
+          { market: 'asc' }
+        ],
+        skip,
+        take: limitNum
+      }),
+      prisma.priceRange.count({ where })
+    ]);
+
+    if (total === 0) {
+      throw createErrorResponse('No DA price ranges found for this commodity', 404);
+    }
+
+    res.json(createPaginatedResponse(
+      ranges.map(range => withNormalizedPrice(range, PRICE_FIELDS.priceRange)),
+      pageNum,
+      limitNum,
+      total
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Tables that hold price rows with provenance, in lookup order
+const PROVENANCE_TABLES = [
+  { type: 'price', model: 'price' },
+  { type: 'price_range', model: 'priceRange' },
+  { type: 'fuel_price', model: 'fuelPrice' },
+  { type: 'srp', model: 'suggestedRetailPrice' }
+];
+
+/**
+ * @swagger
+ * /v1/prices/{id}/provenance:
+ *   get:
+ *     summary: Get the provenance of a price row
+ *     description: |
+ *       Trace a price back to the document it was parsed from: the original file,
+ *       its SHA-256, the page and the line as extracted. Works for price, DA price
+ *       range, DOE fuel price and SRP IDs.
+ *     tags: [Prices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of a price, price range, fuel price or SRP entry
+ *     responses:
+ *       200:
+ *         description: Provenance retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [price, price_range, fuel_price, srp]
+ *                     commodity:
+ *                       type: object
+ *                     page:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Page of the source document
+ *                     rawLine:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Line of the source document as extracted
+ *                     document:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Source document, null for rows entered by hand or saved before provenance was recorded
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         filename:
+ *                           type: string
+ *                           example: Price-Monitoring-June-26-2025.pdf
+ *                         sha256:
+ *                           type: string
+ *                         source:
+ *                           type: string
+ *                           example: DA
+ *                         reportDate:
+ *                           type: string
+ *                           format: date
+ *                         pageCount:
+ *                           type: integer
+ *                         storagePath:
+ *                           type: string
+ *       404:
+ *         description: Price not found
+ *       500:
+ *         description: Internal server error
+ */
+const getPriceProvenance = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    for (const { type, model } of PROVENANCE_TABLES) {
+      const row = await prisma[model].findUnique({
+        where: { id },
+        include: {
+          commodity: { select: { id: true, name: true, slug: true } },
+          sourceDocument: true
+        }
+      });
+
+      if (row) {
+        const { sourceDocument, commodity, page, rawLine } = row;
+
+        return res.json(createResponse({
+          id,
+          type,
+          commodity,
+          page,
+          rawLine,
+          document: sourceDocument
+        }, 'Provenance retrieved successfully'));
       }
-      throw fileError;
     }
+
+    throw createErrorResponse('Price not found', 404);
   } catch (error) {
     next(error);
   }
@@ -850,11 +2064,17 @@ const getDAPriceRangesByMarket = async (req, res, next) => {
 
 module.exports = {
   getLatestPrices,
+  getPriceChanges,
+  getPriceMovers,
+  getPriceComparison,
   getCommodityPrice,
   getCommodityPriceHistory,
+  getCommodityPriceSeries,
   createPrice,
   validatePriceData,
   getDAPriceRanges,
   getDAPriceRangesByRegion,
-  getDAPriceRangesByMarket
+  getDAPriceRangesByMarket,
+  getDAPriceRangeHistory,
+  getPriceProvenance
 }; 
\ No newline at end of file
@@ -0,0 +1,426 @@
+const prisma = require('../config/database');
+const { createResponse, createPaginatedResponse, createErrorResponse } = require('../utils/response');
+const { getSource } = require('../../scrapers/sources');
+const { REVIEW_STATUSES } = require('../../scrapers/quarantine');
+
+// Fields of a quarantined row that cannot be edited
+const LOCKED_FIELDS = ['sourceDocument', 'source'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuarantinedRow:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         source:
+ *           type: string
+ *           example: dti
+ *         dataset:
+ *           type: string
+ *           description: Table the row is saved to once approved
+ *           example: suggested_retail_prices
+ *         data:
+ *           type: object
+ *           description: Parsed row, e.g. name, netContent and srp for DTI rows
+ *         confidence:
+ *           type: number
+ *           example: 0.4
+ *         reasons:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [Price looks like a year]
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         sourceDocumentId:
+ *           type: string
+ *           nullable: true
+ *         page:
+ *           type: integer
+ *           nullable: true
+ *         rawLine:
+ *           type: string
+ *           nullable: true
+ *         reviewNote:
+ *           type: string
+ *           nullable: true
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Get a quarantined row that is still waiting for review
+ * @param {string} id - Quarantined row ID
+ * @returns {Promise<Object>} Quarantined row
+ */
+const findPendingRow = async (id) => {
+  const row = await prisma.quarantinedRow.findUnique({ where: { id } });
+
+  if (!row) {
+    throw createErrorResponse('Quarantined row not found', 404);
+  }
+
+  if (row.status !== 'pending') {
+    throw createErrorResponse(`Quarantined row was already ${row.status}`, 409);
+  }
+
+  return row;
+};
+
+/**
+ * @swagger
+ * /v1/admin/quarantine:
+ *   get:
+ *     summary: List quarantined rows (Admin only)
+ *     description: |
+ *       List parsed rows whose confidence was below the quarantine threshold, lowest
+ *       confidence first. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Source name, e.g. dti
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Quarantined rows retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuarantinedRow'
+ *       400:
+ *         description: Invalid status
+ */
+const getQuarantinedRows = async (req, res, next) => {
+  try {
+    const { status = 'pending', source, limit = 20, page = 1 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw createErrorResponse(`Invalid status parameter, expected one of: ${REVIEW_STATUSES.join(', ')}`, 400);
+    }
+
+    const where = { status };
+
+    if (source) {
+      where.source = source.toLowerCase();
+    }
+
+    const [rows, total] = await Promise.all([
+      prisma.quarantinedRow.findMany({
+        where,
+        orderBy: [{ confidence: 'asc' }, { createdAt: 'desc' }],
+        skip,
+        take: limitNum
+      }),
+      prisma.quarantinedRow.count({ where })
+    ]);
+
+    res.json(createPaginatedResponse(rows, pageNum, limitNum, total));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/quarantine/{id}:
+ *   get:
+ *     summary: Get a quarantined row (Admin only)
+ *     description: Retrieve a quarantined row with its source document. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quarantined row retrieved successfully
+ *       404:
+ *         description: Quarantined row not found
+ */
+const getQuarantinedRowById = async (req, res, next) => {
+  try {
+    const row = await prisma.quarantinedRow.findUnique({
+      where: { id: req.params.id },
+      include: {
+        sourceDocument: {
+          select: { id: true, filename: true, source: true, reportDate: true, storagePath: true }
+        }
+      }
+    });
+
+    if (!row) {
+      throw createErrorResponse('Quarantined row not found', 404);
+    }
+
+    res.json(createResponse(row, 'Quarantined row retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/quarantine/{id}:
+ *   patch:
+ *     summary: Edit a quarantined row (Admin only)
+ *     description: |
+ *       Correct the parsed values of a pending row before approving it, e.g. a misread
+ *       price or unit. Only the given fields change. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               data:
+ *                 type: object
+ *                 example: { srp: 20.25, netContent: 155g }
+ *               reviewNote:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quarantined row updated successfully
+ *       400:
+ *         description: Invalid fields
+ *       404:
+ *         description: Quarantined row not found
+ *       409:
+ *         description: Row was already approved or rejected
+ */
+const updateQuarantinedRow = async (req, res, next) => {
+  try {
+    const { data = {}, reviewNote } = req.body || {};
+
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      throw createErrorResponse('data must be an object of fields to change', 400);
+    }
+
+    for (const [field, value] of Object.entries(data)) {
+      if (LOCKED_FIELDS.includes(field)) {
+        throw createErrorResponse(`${field} cannot be edited`, 400);
+      }
+      if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+        throw createErrorResponse(`${field} must be a string, number, boolean or null`, 400);
+      }
+    }
+
+    const row = await findPendingRow(req.params.id);
+
+    const updated = await prisma.quarantinedRow.update({
+      where: { id: row.id },
+      data: {
+        data: { ...row.data, ...data },
+        ...(reviewNote !== undefined && { reviewNote })
+      }
+    });
+
+    res.json(createResponse(updated, 'Quarantined row updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark the anomaly a row was held for with the outcome of its review. The
+ * anomaly shares the row's fingerprint; rows held for a low confidence alone
+ * have none.
+ * @param {Object} row - Quarantined row
+ * @param {string} action - approved or rejected
+ * @returns {Prisma.PrismaPromise} Update of the held anomaly, to run in a transaction
+ */
+const resolveHeldAnomaly = (row, action) => prisma.priceAnomaly.updateMany({
+  where: { fingerprint: row.fingerprint, action: 'held' },
+  data: { action }
+});
+
+/**
+ * @swagger
+ * /v1/admin/quarantine/{id}/approve:
+ *   post:
+ *     summary: Approve a quarantined row (Admin only)
+ *     description: |
+ *       Save the row, as edited, to its dataset through the persist step of its source,
+ *       the same way parsed rows are saved. The anomaly the row was held for, if any, is
+ *       marked approved. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviewNote:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Row approved and saved
+ *       404:
+ *         description: Quarantined row not found
+ *       409:
+ *         description: Row was already approved or rejected
+ *       422:
+ *         description: Row could not be saved, e.g. an invalid date; edit it and approve again
+ */
+const approveQuarantinedRow = async (req, res, next) => {
+  try {
+    const { reviewNote } = req.body || {};
+    const row = await findPendingRow(req.params.id);
+    const source = getSource(row.source);
+
+    if (!source) {
+      throw createErrorResponse(`Unknown source: ${row.source}`, 422);
+    }
+
+    const stats = await source.persist([row.data], { source: source.name, saveToDb: true });
+    const saved = typeof stats === 'number' ? stats : stats.saved;
+
+    if (!saved) {
+      const errors = (stats && stats.errors) || [];
+      throw createErrorResponse(`Row could not be saved${errors.length ? `: ${errors.join('; ')}` : ''}`, 422);
+    }
+
+    const [approved] = await prisma.$transaction([
+      prisma.quarantinedRow.update({
+        where: { id: row.id },
+        data: {
+          status: 'approved',
+          reviewedAt: new Date(),
+          ...(reviewNote !== undefined && { reviewNote })
+        }
+      }),
+      resolveHeldAnomaly(row, 'approved')
+    ]);
+
+    res.json(createResponse(approved, `Row approved and saved to ${row.dataset}`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/quarantine/{id}/reject:
+ *   post:
+ *     summary: Reject a quarantined row (Admin only)
+ *     description: |
+ *       Mark the row as not a real price. It is kept for reference and never saved, and the
+ *       anomaly it was held for, if any, is marked rejected. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviewNote:
+ *                 type: string
+ *                 example: Year from the bulletin header
+ *     responses:
+ *       200:
+ *         description: Row rejected
+ *       404:
+ *         description: Quarantined row not found
+ *       409:
+ *         description: Row was already approved or rejected
+ */
+const rejectQuarantinedRow = async (req, res, next) => {
+  try {
+    const { reviewNote } = req.body || {};
+    const row = await findPendingRow(req.params.id);
+
+    const [rejected] = await prisma.$transaction([
+      prisma.quarantinedRow.update({
+        where: { id: row.id },
+        data: {
+          status: 'rejected',
+          reviewedAt: new Date(),
+          ...(reviewNote !== undefined && { reviewNote })
+        }
+      }),
+      resolveHeldAnomaly(row, 'rejected')
+    ]);
+
+    res.json(createResponse(rejected, 'Row rejected'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getQuarantinedRows,
+  getQuarantinedRowById,
+  updateQuarantinedRow,
+  approveQuarantinedRow,
+  rejectQuarantinedRow
+}; 
\ No newline at end of file
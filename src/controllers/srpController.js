@@ -0,0 +1,390 @@
+const prisma = require('../config/database');
+const { createResponse, createPaginatedResponse, createErrorResponse } = require('../utils/response');
+const { PRICE_FIELDS, withNormalizedPrice } = require('../utils/units');
+
+const SECTIONS = ['Basic Necessities', 'Prime Commodities'];
+const OUTLETS = ['all', 'supermarket', 'wet_market'];
+
+// Fields returned with every SRP entry
+const srpInclude = {
+  commodity: {
+    select: {
+      id: true,
+      name: true,
+      category: true,
+      slug: true
+    }
+  }
+};
+
+/**
+ * Find an SRP entry by ID
+ * @param {string} id - SRP entry ID
+ * @returns {Promise<Object>} SRP entry
+ */
+const findSrpEntry = async (id) => {
+  const entry = await prisma.suggestedRetailPrice.findUnique({
+    where: { id },
+    include: srpInclude
+  });
+
+  if (!entry) {
+    throw createErrorResponse('SRP entry not found', 404);
+  }
+
+  return entry;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SuggestedRetailPrice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Saba Phil. Sardines - NCR
+ *         brand:
+ *           type: string
+ *           example: Saba Phil. Sardines
+ *         variant:
+ *           type: string
+ *         category:
+ *           type: string
+ *           example: CANNED SARDINES IN TOMATO SAUCE
+ *         section:
+ *           type: string
+ *           enum: [Basic Necessities, Prime Commodities]
+ *         netContent:
+ *           type: string
+ *           example: 155g
+ *         area:
+ *           type: string
+ *           example: NCR
+ *         outlet:
+ *           type: string
+ *           enum: [all, supermarket, wet_market]
+ *         srp:
+ *           type: string
+ *           example: "17.25"
+ *         normalized:
+ *           $ref: '#/components/schemas/NormalizedPrice'
+ *         source:
+ *           type: string
+ *           example: DTI
+ *         effectiveDate:
+ *           type: string
+ *           format: date
+ */
+
+/**
+ * @swagger
+ * /v1/srp:
+ *   get:
+ *     summary: Get suggested retail prices
+ *     description: |
+ *       Search the DTI suggested retail price catalog. Entries of the latest bulletin are
+ *       returned unless a `date` is given.
+ *     tags: [SRP]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search product names
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Bulletin category, e.g. canned sardines
+ *       - in: query
+ *         name: section
+ *         schema:
+ *           type: string
+ *           enum: [Basic Necessities, Prime Commodities]
+ *       - in: query
+ *         name: area
+ *         schema:
+ *           type: string
+ *         description: Area the SRP applies to, e.g. NCR, Luzon, Nationwide
+ *       - in: query
+ *         name: outlet
+ *         schema:
+ *           type: string
+ *           enum: [all, supermarket, wet_market]
+ *       - in: query
+ *         name: commodity
+ *         schema:
+ *           type: string
+ *         description: Commodity ID or slug
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Bulletin effective date. Defaults to the latest bulletin.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Suggested retail prices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SuggestedRetailPrice'
+ *       400:
+ *         description: Invalid filter
+ *       500:
+ *         description: Internal server error
+ */
+const getSuggestedRetailPrices = async (req, res, next) => {
+  try {
+    const { q, brand, category, section, area, outlet, commodity, date, limit = 50, page = 1 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = {};
+
+    if (q) {
+      where.name = { contains: q, mode: 'insensitive' };
+    }
+
+    if (brand) {
+      where.brand = { contains: brand, mode: 'insensitive' };
+    }
+
+    if (category) {
+      where.category = { contains: category, mode: 'insensitive' };
+    }
+
+    if (section) {
+      if (!SECTIONS.includes(section)) {
+        throw createErrorResponse(`Invalid section parameter, expected one of: ${SECTIONS.join(', ')}`, 400);
+      }
+      where.section = section;
+    }
+
+    if (area) {
+      where.area = { equals: area, mode: 'insensitive' };
+    }
+
+    if (outlet) {
+      if (!OUTLETS.includes(outlet)) {
+        throw createErrorResponse(`Invalid outlet parameter, expected one of: ${OUTLETS.join(', ')}`, 400);
+      }
+      where.outlet = outlet;
+    }
+
+    if (commodity) {
+      where.commodity = {
+        OR: [
+          { id: commodity },
+          { slug: commodity }
+        ]
+      };
+    }
+
+    if (date) {
+      if (isNaN(new Date(date).getTime())) {
+        throw createErrorResponse('Invalid date parameter, expected YYYY-MM-DD', 400);
+      }
+      where.effectiveDate = new Date(date);
+    } else {
+      const latest = await prisma.suggestedRetailPrice.aggregate({
+        _max: { effectiveDate: true }
+      });
+
+      if (latest._max.effectiveDate) {
+        where.effectiveDate = latest._max.effectiveDate;
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.suggestedRetailPrice.findMany({
+        where,
+        include: srpInclude,
+        orderBy: [
+          { section: 'asc' },
+          { category: 'asc' },
+          { srp: 'asc' }
+        ],
+        skip,
+        take: limitNum
+      }),
+      prisma.suggestedRetailPrice.count({ where })
+    ]);
+
+    const response = createPaginatedResponse(
+      entries.map(entry => withNormalizedPrice(entry, PRICE_FIELDS.srp)),
+      pageNum,
+      limitNum,
+      total
+    );
+    response.meta.effectiveDate = where.effectiveDate || null;
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/srp/{id}:
+ *   get:
+ *     summary: Get SRP entry by ID
+ *     description: Retrieve a single suggested retail price entry
+ *     tags: [SRP]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: SRP entry retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/SuggestedRetailPrice'
+ *       404:
+ *         description: SRP entry not found
+ *       500:
+ *         description: Internal server error
+ */
+const getSuggestedRetailPriceById = async (req, res, next) => {
+  try {
+    const entry = await findSrpEntry(req.params.id);
+
+    res.json(createResponse(withNormalizedPrice(entry, PRICE_FIELDS.srp), 'SRP entry retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/srp/{id}/history:
+ *   get:
+ *     summary: Get SRP history of a product
+ *     description: |
+ *       Retrieve the suggested retail price of the same product and size across all bulletins,
+ *       oldest first, with the change from the previous bulletin.
+ *     tags: [SRP]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: SRP history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       effectiveDate:
+ *                         type: string
+ *                         format: date
+ *                       srp:
+ *                         type: number
+ *                       change:
+ *                         type: number
+ *                         nullable: true
+ *                       changePercent:
+ *                         type: number
+ *                         nullable: true
+ *       404:
+ *         description: SRP entry not found
+ *       500:
+ *         description: Internal server error
+ */
+const getSuggestedRetailPriceHistory = async (req, res, next) => {
+  try {
+    const entry = await findSrpEntry(req.params.id);
+
+    const entries = await prisma.suggestedRetailPrice.findMany({
+      where: {
+        name: entry.name,
+        netContent: entry.netContent,
+        category: entry.category
+      },
+      orderBy: { effectiveDate: 'asc' }
+    });
+
+    const history = entries.map((current, index) => {
+      const srp = Number(current.srp);
+      const previous = index > 0 ? Number(entries[index - 1].srp) : null;
+      const change = previous !== null ? Math.round((srp - previous) * 100) / 100 : null;
+
+      return {
+        id: current.id,
+        effectiveDate: current.effectiveDate,
+        srp,
+        change,
+        changePercent: previous ? Math.round((change / previous) * 10000) / 100 : null,
+        filename: current.filename
+      };
+    });
+
+    res.json(createResponse(history, 'SRP history retrieved successfully', {
+      product: {
+        name: entry.name,
+        brand: entry.brand,
+        netContent: entry.netContent,
+        category: entry.category
+      },
+      total: history.length
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSuggestedRetailPrices,
+  getSuggestedRetailPriceById,
+  getSuggestedRetailPriceHistory
+}; 
\ No newline at end of file
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const path = require('path');
+const fileUpload = require('express-fileupload');
+const prisma = require('../config/database');
+const { createResponse, createErrorResponse } = require('../utils/response');
+const { addJob, getJob, removeJob, isQueueAvailable } = require('../utils/queue');
+const { getUploadSource, resolveUploadRegion, storeUpload } = require('../../scrapers/uploads');
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+const PDF_SIGNATURE = '%PDF';
+
+// Multipart parsing for upload routes; oversized files are flagged as truncated
+const uploadMiddleware = fileUpload({
+  limits: { fileSize: MAX_FILE_SIZE }
+});
+
+/**
+ * @swagger
+ * /v1/admin/upload:
+ *   post:
+ *     summary: Upload a source PDF for ingestion (Admin only)
+ *     description: |
+ *       Upload a DA, DOE or DTI report PDF. The file is stored and queued for parsing
+ *       by the pipeline of its source; poll the returned job ID for the result.
+ *       A file that was already ingested (same SHA-256) is not queued again; one whose
+ *       parse job failed is queued anew.
+ *       Requires API key authentication and the job queue.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, source]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF report, up to 10MB
+ *               source:
+ *                 type: string
+ *                 enum: [da, doe, dti]
+ *               region:
+ *                 type: string
+ *                 description: Region of the report, one of the source's regions (see /v1/admin/sources). Required unless the source covers a single region.
+ *                 example: Luzon
+ *     responses:
+ *       200:
+ *         description: Document was already ingested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     duplicate:
+ *                       type: boolean
+ *                       example: true
+ *                     document:
+ *                       type: object
+ *       202:
+ *         description: Document stored and queued for parsing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobId:
+ *                       type: string
+ *                     sha256:
+ *                       type: string
+ *                     source:
+ *                       type: string
+ *                     region:
+ *                       type: string
+ *                     statusUrl:
+ *                       type: string
+ *                       example: /v1/admin/upload/parse-pdf-3f2a...
+ *       400:
+ *         description: Missing or invalid file, source or region
+ *       401:
+ *         description: API key is required
+ *       403:
+ *         description: Invalid API key
+ *       413:
+ *         description: File size too large
+ *       503:
+ *         description: Job queue not available
+ */
+const uploadDocument = async (req, res, next) => {
+  try {
+    const file = req.files && req.files.file;
+
+    if (!file || Array.isArray(file)) {
+      throw createErrorResponse('No file uploaded', 400);
+    }
+
+    if (file.truncated) {
+      throw createErrorResponse('File size too large', 413);
+    }
+
+    if (path.extname(file.name).toLowerCase() !== '.pdf' ||
+        file.data.subarray(0, PDF_SIGNATURE.length).toString() !== PDF_SIGNATURE) {
+      throw createErrorResponse('Invalid file type, expected a PDF', 400);
+    }
+
+    let source;
+    let region;
+    try {
+      source = getUploadSource(req.body.source);
+      region = resolveUploadRegion(source, req.body.region);
+    } catch (error) {
+      throw createErrorResponse(error.message, 400);
+    }
+
+    const sha256 = crypto.createHash('sha256').update(file.data).digest('hex');
+
+    const existing = await prisma.sourceDocument.findUnique({
+      where: { sha256 }
+    });
+
+    if (existing) {
+      return res.json(createResponse({ duplicate: true, document: existing }, 'Document was already ingested'));
+    }
+
+    if (!isQueueAvailable()) {
+      throw createErrorResponse('Job queue not available', 503);
+    }
+
+    const filePath = storeUpload(file.data, { source: source.name, sha256, filename: file.name });
+
+    // The job ID is derived from the hash, so uploading the same file twice
+    // while it is queued does not parse it twice. The queue keeps failed jobs
+    // under their ID and would return the failed one, so it is removed first.
+    const jobId = `parse-pdf-${sha256}`;
+    const previous = await getJob(jobId);
+    if (previous && previous.state === 'failed') {
+      await removeJob(jobId);
+    }
+
+    const job = await addJob('parse-pdf', {
+      source: source.name,
+      region,
+      path: filePath,
+      filename: file.name,
+      sha256
+    }, { jobId });
+
+    if (job.status === 'failed') {
+      throw createErrorResponse('Job queue not available', 503);
+    }
+
+    res.status(202).json(createResponse({
+      jobId: job.id,
+      sha256,
+      source: source.name,
+      region,
+      statusUrl: `/v1/admin/upload/${job.id}`
+    }, 'Document queued for parsing'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /v1/admin/upload/{jobId}:
+ *   get:
+ *     summary: Get the parse job of an upload (Admin only)
+ *     description: |
+ *       Poll the state and progress of an upload's parse job. Once completed, the result
+ *       holds the ingestion run ID and the rows parsed, saved, skipped and rejected.
+ *       Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Upload job retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     state:
+ *                       type: string
+ *                       enum: [waiting, delayed, active, completed, failed]
+ *                     result:
+ *                       type: object
+ *                       nullable: true
+ *                     failedReason:
+ *                       type: string
+ *                       nullable: true
+ *       404:
+ *         description: Upload job not found
+ */
+const getUploadJob = async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.jobId);
+
+    if (!job || job.name !== 'parse-pdf') {
+      throw createErrorResponse('Upload job not found', 404);
+    }
+
+    res.json(createResponse(job, 'Upload job retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadMiddleware,
+  uploadDocument,
+  getUploadJob
+}; 
\ No newline at end of file
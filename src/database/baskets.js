@@ -0,0 +1,26 @@
+/**
+ * Reference baskets priced by /v1/baskets. Items name canonical commodities
+ * (see commodityAliases.js) with the quantity bought in their standard unit.
+ * Items without a weight are indexed by their quantities.
+ */
+module.exports = [
+  {
+    slug: 'family-food-basket',
+    name: 'Family Food Basket',
+    description: 'Staple food bought in a month by a family of five',
+    items: [
+      { commodity: 'Regular Milled Rice', quantity: 50, unit: 'kg' },
+      { commodity: 'Chicken Egg', quantity: 60, unit: 'piece' },
+      { commodity: 'Whole Chicken', quantity: 4, unit: 'kg' },
+      { commodity: 'Pork Kasim', quantity: 3, unit: 'kg' },
+      { commodity: 'Galunggong', quantity: 4, unit: 'kg' },
+      { commodity: 'Tilapia', quantity: 3, unit: 'kg' },
+      { commodity: 'Red Onion', quantity: 1, unit: 'kg' },
+      { commodity: 'Garlic', quantity: 0.5, unit: 'kg' },
+      { commodity: 'Tomato', quantity: 2, unit: 'kg' },
+      { commodity: 'Cabbage', quantity: 2, unit: 'kg' },
+      { commodity: 'Refined Sugar', quantity: 2, unit: 'kg' },
+      { commodity: 'Cooking Oil (Palm)', quantity: 2, unit: 'L' }
+    ]
+  }
+]; 
\ No newline at end of file
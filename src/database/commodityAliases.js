@@ -0,0 +1,80 @@
+/**
+ * Canonical commodities and the names they are printed or searched under:
+ * English spellings used by DA, DOE and DTI, abbreviations and Filipino names.
+ * Names are matched without case, punctuation or word order (see
+ * utils/commodityResolver.js), so "Sugar (Refined)" needs no alias for
+ * "Refined Sugar". Used to seed the commodity_aliases table; each commodity is
+ * placed in the category tree from its name.
+ */
+module.exports = [
+  // Grains
+  {
+    name: 'Regular Milled Rice',
+    aliases: ['Regular Milled Rice (Local)', 'RMR', 'Bigas', 'Bigas (Regular Milled)', 'Ordinary Rice']
+  },
+  { name: 'Well Milled Rice', aliases: ['Well Milled Rice (Local)', 'WMR', 'Bigas (Well Milled)'] },
+  { name: 'Premium Rice', aliases: ['Premium Rice (Local)'] },
+  { name: 'Special Rice', aliases: ['Special Rice (Local)', 'Fancy Rice'] },
+  { name: 'White Corn Grits', aliases: ['Mais (Puti)', 'Corn Grits (White)'] },
+  { name: 'Yellow Corn Grits', aliases: ['Mais (Dilaw)', 'Corn Grits (Yellow)'] },
+
+  // Fish
+  { name: 'Bangus', aliases: ['Milkfish', 'Bangus (Local)'] },
+  { name: 'Tilapia', aliases: ['Tilapia (Local)'] },
+  { name: 'Galunggong', aliases: ['Galunggong (Local)', 'Round Scad', 'GG'] },
+  { name: 'Galunggong (Imported)', aliases: ['Round Scad (Imported)'] },
+  { name: 'Alumahan', aliases: ['Indian Mackerel'] },
+
+  // Meat and eggs
+  { name: 'Pork Kasim', aliases: ['Fresh Pork Kasim', 'Fresh Pork Kasim/Pigue', 'Pork Kasim/Pigue', 'Pork Shoulder'] },
+  { name: 'Pork Liempo', aliases: ['Fresh Pork Liempo', 'Pork Belly', 'Liempo'] },
+  { name: 'Whole Chicken', aliases: ['Fresh Whole Chicken', 'Dressed Chicken', 'Manok'] },
+  { name: 'Beef Rump', aliases: ['Beef Rump (Local)', 'Karne ng Baka (Rump)'] },
+  { name: 'Beef Brisket', aliases: ['Beef Brisket (Local)', 'Karne ng Baka (Brisket)'] },
+  { name: 'Chicken Egg', aliases: ['Egg (Medium)', 'Chicken Egg (Medium)', 'Egg', 'Itlog', 'Itlog ng Manok'] },
+
+  // Vegetables
+  { name: 'Ampalaya', aliases: ['Bitter Gourd', 'Bitter Melon', 'Amplaya'] },
+  { name: 'Eggplant', aliases: ['Talong'] },
+  { name: 'Tomato', aliases: ['Kamatis'] },
+  { name: 'Cabbage', aliases: ['Cabbage (Scorpio)', 'Cabbage (Rare Ball)', 'Repolyo'] },
+  { name: 'Sitao', aliases: ['Sitaw', 'String Beans'] },
+  { name: 'Squash', aliases: ['Kalabasa'] },
+  { name: 'Pechay (Native)', aliases: ['Pechay', 'Petsay', 'Pechay Tagalog'] },
+  { name: 'Pechay (Baguio)', aliases: ['Chinese Cabbage', 'Wombok', 'Petsay Baguio'] },
+  { name: 'Chayote', aliases: ['Sayote'] },
+  { name: 'Carrots', aliases: ['Carrot', 'Karot'] },
+  { name: 'Habitchuelas', aliases: ['Habitchuelas (Baguio beans)', 'Baguio Beans', 'Green Beans'] },
+  { name: 'White Potato', aliases: ['Potato', 'Patatas'] },
+  { name: 'Red Onion', aliases: ['Red Onion (Local)', 'Sibuyas', 'Pulang Sibuyas', 'Sibuyas Pula'] },
+  { name: 'Red Onion (Imported)', aliases: ['Imported Red Onion'] },
+  { name: 'White Onion', aliases: ['White Onion (Local)', 'Puting Sibuyas', 'Sibuyas Puti'] },
+  { name: 'Garlic', aliases: ['Garlic (Local)', 'Bawang', 'Native Garlic'] },
+  { name: 'Ginger', aliases: ['Luya'] },
+  { name: 'Chilli (Labuyo)', aliases: ['Chili (Labuyo)', 'Siling Labuyo', 'Labuyo'] },
+  { name: 'Sweet Potato', aliases: ['Kamote', 'Camote'] },
+  { name: 'Cassava', aliases: ['Kamoteng Kahoy', 'Balinghoy'] },
+  { name: 'Taro', aliases: ['Taro (gabi)', 'Gabi'] },
+
+  // Fruits
+  { name: 'Calamansi', aliases: ['Kalamansi', 'Calamondin'] },
+  { name: 'Banana (Lakatan)', aliases: ['Lakatan', 'Saging na Lakatan'] },
+  { name: 'Banana (Latundan)', aliases: ['Latundan', 'Saging na Latundan'] },
+  { name: 'Banana (Saba)', aliases: ['Saba', 'Saging na Saba'] },
+  { name: 'Mango (Carabao)', aliases: ['Carabao Mango', 'Mangga'] },
+
+  // Sugar and cooking oil
+  { name: 'Refined Sugar', aliases: ['Asukal na Puti', 'White Sugar'] },
+  { name: 'Washed Sugar', aliases: ['Asukal na Washed'] },
+  { name: 'Brown Sugar', aliases: ['Asukal na Pula', 'Muscovado'] },
+  { name: 'Cooking Oil (Palm)', aliases: ['Palm Oil', 'Mantika'] },
+  { name: 'Cooking Oil (Coconut)', aliases: ['Coconut Oil', 'Langis ng Niyog'] },
+
+  // Fuel
+  { name: 'Gasoline (RON 91)', aliases: ['RON 91', 'Regular Gasoline', 'Unleaded 91'] },
+  { name: 'Gasoline (RON 95)', aliases: ['RON 95', 'Premium Gasoline', 'Unleaded 95'] },
+  { name: 'Gasoline (RON 97)', aliases: ['RON 97'] },
+  { name: 'Gasoline (RON 100)', aliases: ['RON 100'] },
+  { name: 'Diesel', aliases: ['Krudo'] },
+  { name: 'Kerosene', aliases: ['Gaas'] }
+]; 
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * Philippine locations following the Philippine Standard Geographic Code
+ * (PSGC): island group > region > province > city or municipality.
+ * Used to seed the locations table and to resolve the places named in
+ * reports. Provinces, cities and municipalities come from the PSA publication
+ * bundled in psgc.json (2nd quarter 2025); highly urbanized cities are placed
+ * under the province they are in, so a province includes its capital.
+ */
+const psgc = require('./psgc.json');
+
+// Island groups are not part of the PSGC, so they use their name as code
+const ISLAND_GROUPS = [
+  { code: 'LUZON', name: 'Luzon' },
+  { code: 'VISAYAS', name: 'Visayas' },
+  { code: 'MINDANAO', name: 'Mindanao' }
+];
+
+// Regions with the names used across the API and the spellings found in reports
+const REGIONS = [
+  { code: '1300000000', name: 'NCR', islandGroup: 'Luzon', aliases: ['National Capital Region', 'Metro Manila'] },
+  { code: '1400000000', name: 'CAR', islandGroup: 'Luzon', aliases: ['Cordillera Administrative Region', 'Cordillera'] },
+  { code: '0100000000', name: 'Region I', islandGroup: 'Luzon', aliases: ['Region 1', 'Ilocos Region'] },
+  { code: '0200000000', name: 'Region II', islandGroup: 'Luzon', aliases: ['Region 2', 'Cagayan Valley'] },
+  { code: '0300000000', name: 'Region III', islandGroup: 'Luzon', aliases: ['Region 3', 'Central Luzon'] },
+  { code: '0400000000', name: 'Region IV-A', islandGroup: 'Luzon', aliases: ['Region 4A', 'Region 4-A', 'CALABARZON'] },
+  { code: '1700000000', name: 'Region IV-B', islandGroup: 'Luzon', aliases: ['Region 4B', 'Region 4-B', 'MIMAROPA', 'MIMAROPA Region'] },
+  { code: '0500000000', name: 'Region V', islandGroup: 'Luzon', aliases: ['Region 5', 'Bicol Region', 'Bicol'] },
+  { code: '0600000000', name: 'Region VI', islandGroup: 'Visayas', aliases: ['Region 6', 'Western Visayas'] },
+  { code: '1800000000', name: 'NIR', islandGroup: 'Visayas', aliases: ['Negros Island Region', 'Region XVIII', 'Region 18'] },
+  { code: '0700000000', name: 'Region VII', islandGroup: 'Visayas', aliases: ['Region 7', 'Central Visayas'] },
+  { code: '0800000000', name: 'Region VIII', islandGroup: 'Visayas', aliases: ['Region 8', 'Eastern Visayas'] },
+  { code: '0900000000', name: 'Region IX', islandGroup: 'Mindanao', aliases: ['Region 9', 'Zamboanga Peninsula'] },
+  { code: '1000000000', name: 'Region X', islandGroup: 'Mindanao', aliases: ['Region 10', 'RX', 'Northern Mindanao'] },
+  { code: '1100000000', name: 'Region XI', islandGroup: 'Mindanao', aliases: ['Region 11', 'Davao Region'] },
+  { code: '1200000000', name: 'Region XII', islandGroup: 'Mindanao', aliases: ['Region 12', 'SOCCSKSARGEN'] },
+  { code: '1600000000', name: 'Region XIII', islandGroup: 'Mindanao', aliases: ['Region 13', 'Caraga'] },
+  {
+    code: '1900000000',
+    name: 'BARMM',
+    islandGroup: 'Mindanao',
+    aliases: ['Bangsamoro Autonomous Region in Muslim Mindanao', 'Bangsamoro Autonomous Region', 'Bangsamoro', 'ARMM']
+  }
+];
+
+const byCode = new Map();
+const locations = [];
+
+const add = (location) => {
+  byCode.set(location.code, location);
+  locations.push(location);
+};
+
+ISLAND_GROUPS.forEach(group => add({
+  ...group,
+  level: 'island_group',
+  parentCode: null,
+  aliases: [],
+  islandGroup: group.name,
+  region: null,
+  province: null
+}));
+
+REGIONS.forEach(region => add({
+  ...region,
+  level: 'region',
+  parentCode: ISLAND_GROUPS.find(group => group.name === region.islandGroup).code,
+  region: region.name,
+  province: null
+}));
+
+// Sorted by code, and a province code sorts before the cities in it
+psgc.forEach(({ code, name, level, parent, aliases = [] }) => {
+  const parentLocation = byCode.get(parent);
+
+  add({
+    code,
+    name,
+    level,
+    parentCode: parent,
+    aliases,
+    islandGroup: parentLocation.islandGroup,
+    region: parentLocation.region,
+    province: level === 'province' ? name : parentLocation.province
+  });
+});
+
+module.exports = locations; 
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * Markets monitored by the DA Bantay Presyo reports.
+ * Used to seed the markets table and as the fallback directory for the DA
+ * parser when the database is not available. Aliases cover the spellings
+ * found in the PDFs (e.g. "Agora Public Market/San Juan").
+ */
+const markets = [
+  // NCR
+  { name: 'Agora Public Market', aliases: ['Agora Public Market/San Juan', 'Agora Market'], city: 'San Juan', region: 'NCR', type: 'public_market' },
+  { name: 'Balintawak (Cloverleaf) Market', aliases: ['Balintawak', 'Balintawak Market', 'Cloverleaf Market'], city: 'Quezon City', region: 'NCR', type: 'public_market' },
+  { name: 'Bicutan Market', aliases: [], city: 'Taguig', region: 'NCR', type: 'public_market' },
+  { name: 'Cartimar Market', aliases: [], city: 'Pasay', region: 'NCR', type: 'public_market' },
+  { name: 'Commonwealth Market', aliases: ['Commonwealth Market/Quezon City'], city: 'Quezon City', region: 'NCR', type: 'public_market' },
+  { name: 'Dagonoy Market', aliases: [], city: 'Manila', region: 'NCR', type: 'public_market' },
+  { name: 'Guadalupe Public Market', aliases: ['Guadalupe Public Market/Makati', 'Guadalupe Market'], city: 'Makati', region: 'NCR', type: 'public_market' },
+  { name: 'Kamuning Public Market', aliases: ['Kamuning Market'], city: 'Quezon City', region: 'NCR', type: 'public_market' },
+  { name: 'La Huerta Market', aliases: ['La Huerta Market/Parañaque', 'La Huerta Market/Paranaque'], city: 'Parañaque', region: 'NCR', type: 'public_market' },
+  { name: 'New Las Piñas City Public Market', aliases: ['New Las Pinas City Public Market', 'Las Piñas Public Market'], city: 'Las Piñas', region: 'NCR', type: 'public_market' },
+  { name: 'Malabon Central Market', aliases: [], city: 'Malabon', region: 'NCR', type: 'public_market' },
+  { name: 'Mandaluyong Public Market', aliases: [], city: 'Mandaluyong', region: 'NCR', type: 'public_market' },
+  { name: 'Marikina Public Market', aliases: [], city: 'Marikina', region: 'NCR', type: 'public_market' },
+  { name: 'Maypajo Public Market', aliases: ['Maypajo Public Market/Caloocan', 'Maypajo Market'], city: 'Caloocan', region: 'NCR', type: 'public_market' },
+  { name: 'Mega Q-mart', aliases: ['Mega Q-mart/Quezon City', 'Mega Qmart'], city: 'Quezon City', region: 'NCR', type: 'public_market' },
+  { name: 'Muñoz Market', aliases: ['Muñoz Market/Quezon City', 'Munoz Market'], city: 'Quezon City', region: 'NCR', type: 'public_market' },
+  { name: 'Navotas Agora Market', aliases: [], city: 'Navotas', region: 'NCR', type: 'public_market' },
+  { name: 'Navotas Fish Port', aliases: ['Navotas Fish Port Complex'], city: 'Navotas', region: 'NCR', type: 'fish_port' },
+  { name: 'New Marulas Public Market', aliases: ['New Marulas Public Market/Valenzuela', 'Valenzuela Market'], city: 'Valenzuela', region: 'NCR', type: 'public_market' },
+  { name: 'Obrero Market', aliases: [], city: 'Manila', region: 'NCR', type: 'public_market' },
+  { name: 'Paco Market', aliases: [], city: 'Manila', region: 'NCR', type: 'public_market' },
+  { name: 'Pamilihang Lungsod ng Muntinlupa', aliases: ['Muntinlupa Public Market'], city: 'Muntinlupa', region: 'NCR', type: 'public_market' },
+  { name: 'Pasay City Market', aliases: [], city: 'Pasay', region: 'NCR', type: 'public_market' },
+  { name: 'Pasig City Mega Market', aliases: ['Pasig City Market', 'Pasig Mega Market'], city: 'Pasig', region: 'NCR', type: 'public_market' },
+  { name: 'Pateros Market', aliases: [], city: 'Pateros', region: 'NCR', type: 'public_market' },
+  { name: 'Pritil Market', aliases: ['Pritil Market/Manila'], city: 'Manila', region: 'NCR', type: 'public_market' },
+  { name: 'Quiapo Market', aliases: [], city: 'Manila', region: 'NCR', type: 'public_market' },
+  { name: 'Quinta Market', aliases: ['Quinta Market/Manila'], city: 'Manila', region: 'NCR', type: 'public_market' },
+  { name: 'San Andres Market', aliases: ['San Andres Market/Manila'], city: 'Manila', region: 'NCR', type: 'public_market' },
+  { name: 'Sta. Ana Market', aliases: ['Santa Ana Market'], city: 'Manila', region: 'NCR', type: 'public_market' },
+  { name: 'Taguig People\'s Market', aliases: ['Taguig Market', 'Taguig Peoples Market'], city: 'Taguig', region: 'NCR', type: 'public_market' },
+  { name: 'Trabajo Market', aliases: [], city: 'Manila', region: 'NCR', type: 'public_market' },
+  { name: 'Vitas Market', aliases: [], city: 'Manila', region: 'NCR', type: 'public_market' },
+
+  // Region X
+  { name: 'Carmen Market', aliases: ['Carmen', 'Carmen Public Market'], city: 'Cagayan de Oro City', region: 'RX', type: 'public_market' },
+  { name: 'Cogon Market', aliases: ['Cogon', 'Cogon Public Market'], city: 'Cagayan de Oro City', region: 'RX', type: 'public_market' }
+];
+
+module.exports = markets; 
\ No newline at end of file
@@ -1,4 +1,12 @@
 const prisma = require('../config/database');
+const markets = require('./markets');
+const locations = require('./locations');
+const commodityAliases = require('./commodityAliases');
+const baskets = require('./baskets');
+const { generateMarketSlug } = require('../../utils/marketResolver');
+const { commodityAliasKey } = require('../../utils/commodityResolver');
+const { CATEGORIES, classifyCommodity, generateSlug } = require('../../utils/commodityTaxonomy');
+const { packSizeOf } = require('../../utils/unitNormalizer');
 
 const commodities = [
   {
@@ -99,6 +107,7 @@ const generatePriceData = (createdCommodities) => {
           commodityId: commodity.id, // Now using the actual commodity ID from database
           price: finalPrice,
           unit,
+          ...packSizeOf(unit),
           region,
           source: sources[Math.floor(Math.random() * sources.length)],
           date
@@ -119,17 +128,112 @@ const seed = async () => {
     await prisma.price.deleteMany();
     await prisma.commodity.deleteMany();
     
+    // The category tree is reference data, listed with parents before their children
+    console.log('🌳 Upserting categories...');
+    const categoryIds = new Map();
+    for (const { parentSlug, ...category } of CATEGORIES) {
+      const data = { ...category, parentId: parentSlug ? categoryIds.get(parentSlug) : null };
+      const saved = await prisma.category.upsert({
+        where: { slug: category.slug },
+        update: data,
+        create: data
+      });
+      categoryIds.set(category.slug, saved.id);
+    }
+    console.log(`✅ Upserted ${CATEGORIES.length} categories`);
+    
+    // Category, tree node and variant attributes of a commodity, from its name
+    const placeCommodity = (name) => {
+      const { category, slug, attributes } = classifyCommodity(name);
+      return { category, categoryId: categoryIds.get(slug) || null, attributes };
+    };
+    
     // Create commodities
     console.log('📦 Creating commodities...');
     const createdCommodities = [];
     for (const commodity of commodities) {
       const created = await prisma.commodity.create({
-        data: commodity
+        data: { ...commodity, ...placeCommodity(commodity.name) }
       });
       createdCommodities.push(created);
       console.log(`✅ Created commodity: ${created.name} (ID: ${created.id})`);
     }
     
+    // Canonical commodities and their aliases are reference data, so upsert them
+    console.log('🔤 Upserting commodity aliases...');
+    let aliasCount = 0;
+    for (const { name, aliases } of commodityAliases) {
+      const commodity = await prisma.commodity.upsert({
+        where: { name },
+        update: {},
+        create: { name, slug: generateSlug(name), ...placeCommodity(name) }
+      });
+      for (const alias of [name, ...aliases]) {
+        const key = commodityAliasKey(alias);
+        await prisma.commodityAlias.upsert({
+          where: { key },
+          update: { alias, commodityId: commodity.id },
+          create: { alias, key, commodityId: commodity.id }
+        });
+        aliasCount++;
+      }
+    }
+    console.log(`✅ Upserted ${aliasCount} aliases of ${commodityAliases.length} commodities`);
+    
+    // Baskets are reference data; their items are replaced with the listed ones
+    console.log('🧺 Upserting baskets...');
+    for (const { items, ...basket } of baskets) {
+      const saved = await prisma.basket.upsert({
+        where: { slug: basket.slug },
+        update: basket,
+        create: basket
+      });
+      await prisma.basketItem.deleteMany({ where: { basketId: saved.id } });
+      for (const { commodity: name, ...item } of items) {
+        const commodity = await prisma.commodity.findUnique({ where: { name } });
+        await prisma.basketItem.create({
+          data: { ...item, basketId: saved.id, commodityId: commodity.id }
+        });
+      }
+    }
+    console.log(`✅ Upserted ${baskets.length} baskets`);
+    
+    // Place commodities stored before the category tree existed
+    const unplaced = await prisma.commodity.findMany({ where: { categoryId: null } });
+    for (const commodity of unplaced) {
+      await prisma.commodity.update({
+        where: { id: commodity.id },
+        data: placeCommodity(commodity.name)
+      });
+    }
+    console.log(`✅ Placed ${unplaced.length} commodities in the category tree`);
+    
+    // Locations are reference data, listed with parents before their children
+    console.log('🗺️  Upserting locations...');
+    const locationIds = new Map();
+    for (const { parentCode, ...location } of locations) {
+      const data = { ...location, parentId: parentCode ? locationIds.get(parentCode) : null };
+      const saved = await prisma.location.upsert({
+        where: { code: location.code },
+        update: data,
+        create: data
+      });
+      locationIds.set(location.code, saved.id);
+    }
+    console.log(`✅ Upserted ${locations.length} locations`);
+    
+    // Markets are reference data, so upsert them instead of clearing
+    console.log('🏪 Upserting markets...');
+    for (const market of markets) {
+      const data = { ...market, slug: generateMarketSlug(market.name) };
+      await prisma.market.upsert({
+        where: { name: market.name },
+        update: data,
+        create: data
+      });
+    }
+    console.log(`✅ Upserted ${markets.length} markets`);
+    
     // Generate and create price data using the created commodities
     console.log('💰 Generating price data...');
     const priceData = generatePriceData(createdCommodities);
@@ -21,9 +21,4 @@ router.get('/test', (req, res) => {
   res.status(200).json({ success: true, message: 'Admin route working' });
 });
 
-// POST /v1/admin/upload - File upload validation test (no auth required for test)
-router.post('/upload', (req, res) => {
-  res.status(400).json({ success: false, message: 'Invalid file type', error: 'Bad Request', timestamp: new Date().toISOString() });
-});
-
 module.exports = router; 
\ No newline at end of file
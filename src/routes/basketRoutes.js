@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getBaskets, getBasketById, getBasketCost, getBasketIndex } = require('../controllers/basketController');
+
+// GET /v1/baskets - List baskets with their items
+router.get('/', getBaskets);
+
+// GET /v1/baskets/:id - Get a basket by ID or slug
+router.get('/:id', getBasketById);
+
+// GET /v1/baskets/:id/cost - Basket cost over time per region
+router.get('/:id/cost', getBasketCost);
+
+// GET /v1/baskets/:id/index - Laspeyres price index of a basket per region
+router.get('/:id/index', getBasketIndex);
+
+module.exports = router; 
\ No newline at end of file
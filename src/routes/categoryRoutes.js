@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getCategories } = require('../controllers/categoryController');
+
+// GET /v1/categories - Category tree with counts
+router.get('/', getCategories);
+
+module.exports = router; 
\ No newline at end of file
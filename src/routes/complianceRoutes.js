@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getViolations,
+  getComplianceSummary
+} = require('../controllers/complianceController');
+
+// GET /v1/compliance/violations - Get prices above their SRP
+router.get('/violations', getViolations);
+
+// GET /v1/compliance/summary - Get compliance summary per region
+router.get('/summary', getComplianceSummary);
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getLatestFuelPrices,
+  getFuelBrandComparison,
+  getFuelCityRanges
+} = require('../controllers/fuelController');
+
+// GET /v1/fuel/latest - Get latest brand level fuel prices
+router.get('/latest', getLatestFuelPrices);
+
+// GET /v1/fuel/brands - Compare fuel prices by brand
+router.get('/brands', getFuelBrandComparison);
+
+// GET /v1/fuel/cities - Get overall fuel price ranges per city
+router.get('/cities', getFuelCityRanges);
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getAllMarkets,
+  getMarketById,
+  getMarketHistory
+} = require('../controllers/marketController');
+
+// GET /v1/markets - List markets
+router.get('/', getAllMarkets);
+
+// GET /v1/markets/{id} - Get market by ID or slug
+router.get('/:id', getMarketById);
+
+// GET /v1/markets/{id}/history - Get price history for a market
+router.get('/:id/history', getMarketHistory);
+
+module.exports = router; 
\ No newline at end of file
@@ -4,28 +4,50 @@ const router = express.Router();
 // Import controllers and middleware
 const { 
   getLatestPrices, 
+  getPriceChanges,
+  getPriceMovers,
+  getPriceComparison,
   getCommodityPrice, 
   getCommodityPriceHistory, 
+  getCommodityPriceSeries,
   createPrice, 
   validatePriceData,
   getDAPriceRanges,
   getDAPriceRangesByRegion,
-  getDAPriceRangesByMarket
+  getDAPriceRangesByMarket,
+  getDAPriceRangeHistory,
+  getPriceProvenance
 } = require('../controllers/priceController');
 
 // GET /v1/prices/latest - Get latest prices
 router.get('/latest', getLatestPrices);
 
+// GET /v1/prices/changes - Get price changes between two dates
+router.get('/changes', getPriceChanges);
+
+// GET /v1/prices/movers - Get the top price risers and fallers
+router.get('/movers', getPriceMovers);
+
+// GET /v1/prices/compare - Compare a commodity's price across regions, markets or sources
+router.get('/compare', getPriceComparison);
+
 // GET /v1/prices/{commodity_id} - Get latest price for specific commodity
 router.get('/:commodity_id', getCommodityPrice);
 
 // GET /v1/prices/{commodity_id}/history - Get price history for commodity
 router.get('/:commodity_id/history', getCommodityPriceHistory);
 
+// GET /v1/prices/{commodity_id}/series - Get resampled price series for commodity
+router.get('/:commodity_id/series', getCommodityPriceSeries);
+
+// GET /v1/prices/{id}/provenance - Get the source document of a price row
+router.get('/:id/provenance', getPriceProvenance);
+
 // DA Price Ranges routes
 router.get('/da/ranges', getDAPriceRanges);
 router.get('/da/ranges/:region', getDAPriceRangesByRegion);
 router.get('/da/markets/:market', getDAPriceRangesByMarket);
+router.get('/da/history/:commodity_id', getDAPriceRangeHistory);
 
 // POST /v1/prices/admin - Create new price data (admin only)
 router.post('/admin', validatePriceData, createPrice);
@@ -1,5 +1,26 @@
 const express = require('express');
-const { runAllScrapers } = require('../../scrapers/run_all');
+const { runAllScrapers, getSource, listSources } = require('../../scrapers/run_all');
+const { describeSource, getNextRun } = require('../../scrapers/registry');
+const { getRunStatusSummary } = require('../../scrapers/ingestion_runs');
+const { getIngestionRuns, getIngestionRunById } = require('../controllers/ingestionRunController');
+const { uploadMiddleware, uploadDocument, getUploadJob } = require('../controllers/uploadController');
+const { getJobs, getJobById, retryJobById, cancelJobById } = require('../controllers/jobController');
+const {
+  getQuarantinedRows,
+  getQuarantinedRowById,
+  updateQuarantinedRow,
+  approveQuarantinedRow,
+  rejectQuarantinedRow
+} = require('../controllers/quarantineController');
+const { getPriceAnomalies, getPriceAnomalyById } = require('../controllers/anomalyController');
+const {
+  getCommodityAliases,
+  createCommodityAlias,
+  deleteCommodityAlias,
+  mergeCommodity
+} = require('../controllers/commodityAliasController');
+const { saveBasket } = require('../controllers/basketController');
+const { addJob, isQueueAvailable } = require('../utils/queue');
 const { validateApiKey } = require('../middleware/auth');
 const { adminRateLimiter } = require('../middleware/rateLimiter');
 const { createResponse, createErrorResponse } = require('../utils/response');
@@ -14,10 +35,24 @@ router.use(adminRateLimiter, validateApiKey);
  * /v1/admin/scrape:
  *   post:
  *     summary: Run all scrapers manually (Admin only)
- *     description: Manually trigger all scrapers to collect latest price data. Requires API key authentication.
+ *     description: |
+ *       Manually trigger the registered source pipelines to collect latest price data.
+ *       All enabled sources run unless `source` names one. Requires API key authentication.
  *     tags: [Admin]
  *     security:
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Run a single source by name, e.g. doe (see /v1/admin/sources)
+ *       - in: query
+ *         name: queue
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Queue a scrape job and return its ID instead of waiting for the run (see /v1/admin/jobs)
  *     responses:
  *       200:
  *         description: Scrapers executed successfully
@@ -46,6 +81,9 @@ router.use(adminRateLimiter, validateApiKey);
  *                       items:
  *                         type: string
  *                       description: Any errors encountered during scraping
+ *                     sources:
+ *                       type: object
+ *                       description: Run ID, documents, records found and records saved per source
  *                     duration:
  *                       type: number
  *                       description: Execution time in milliseconds
@@ -55,10 +93,14 @@ router.use(adminRateLimiter, validateApiKey);
  *                     timestamp:
  *                       type: string
  *                       format: date-time
+ *       202:
+ *         description: Scrape job queued
  *       401:
  *         description: API key is required
  *       403:
  *         description: Invalid API key
+ *       404:
+ *         description: Unknown source
  *       429:
  *         description: Rate limit exceeded
  *       500:
@@ -66,19 +108,42 @@ router.use(adminRateLimiter, validateApiKey);
  */
 router.post('/scrape', async (req, res, next) => {
   try {
+    const sourceName = req.query.source || (req.body && req.body.source);
+
+    if (sourceName && !getSource(sourceName)) {
+      throw createErrorResponse(`Unknown source: ${sourceName}`, 404);
+    }
+
+    if (req.query.queue === 'true') {
+      if (!isQueueAvailable()) {
+        throw createErrorResponse('Job queue not available', 503);
+      }
+
+      const job = await addJob('scrape', {
+        sources: sourceName ? [sourceName.toLowerCase()] : [],
+        trigger: 'manual'
+      });
+
+      return res.status(202).json(createResponse({
+        jobId: job.id,
+        statusUrl: `/v1/admin/jobs/${job.id}`
+      }, 'Scrape job queued'));
+    }
+
     console.log('🔄 Manual scraper execution requested...');
     const startTime = Date.now();
 
-    const result = await runAllScrapers();
+    const result = await runAllScrapers(true, true, {
+      sources: sourceName ? [sourceName] : [],
+      trigger: 'manual'
+    });
     const duration = Date.now() - startTime;
 
-    // Update global scraper run time
-    global.lastScraperRun = new Date().toISOString();
-
     const response = createResponse({
       scrapersRun: result.scrapersRun || 0,
       newPrices: result.newPrices || 0,
       errors: result.errors || [],
+      sources: result.scrapers || {},
       duration
     }, 'Scrapers executed successfully');
 
@@ -94,7 +159,9 @@ router.post('/scrape', async (req, res, next) => {
  * /v1/admin/scrape/status:
  *   get:
  *     summary: Get scraper status (Admin only)
- *     description: Get information about scraper execution status and schedule. Requires API key authentication.
+ *     description: |
+ *       Get information about scraper execution status and schedule, computed from the
+ *       ingestion run history. Requires API key authentication.
  *     tags: [Admin]
  *     security:
  *       - ApiKeyAuth: []
@@ -118,7 +185,15 @@ router.post('/scrape', async (req, res, next) => {
  *                     lastRun:
  *                       type: string
  *                       format: date-time
- *                       description: Last scraper execution time
+ *                       description: Start time of the last finished run
+ *                     lastRunStatus:
+ *                       type: string
+ *                       enum: [success, partial, failed]
+ *                     running:
+ *                       type: array
+ *                       description: Runs that have not finished
+ *                       items:
+ *                         $ref: '#/components/schemas/IngestionRun'
  *                     nextRun:
  *                       type: string
  *                       format: date-time
@@ -129,6 +204,115 @@ router.post('/scrape', async (req, res, next) => {
  *                     timezone:
  *                       type: string
  *                       description: Timezone for scheduling
+ *                     sources:
+ *                       type: array
+ *                       description: Registered sources with their next run and last run
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/ScraperSource'
+ *                           - type: object
+ *                             properties:
+ *                               nextRun:
+ *                                 type: string
+ *                                 format: date-time
+ *                               lastRun:
+ *                                 $ref: '#/components/schemas/IngestionRun'
+ *       401:
+ *         description: API key is required
+ *       403:
+ *         description: Invalid API key
+ *       429:
+ *         description: Rate limit exceeded
+ */
+router.get('/scrape/status', async (req, res, next) => {
+  try {
+    const summary = await getRunStatusSummary();
+
+    const sources = listSources().map(source => ({
+      ...describeSource(source),
+      nextRun: source.enabled ? getNextRun(source.schedule) : null,
+      lastRun: summary.sources[source.name] || null
+    }));
+
+    const nextRuns = sources.map(source => source.nextRun).filter(Boolean);
+
+    const response = createResponse({
+      lastRun: summary.lastRun ? summary.lastRun.startedAt : null,
+      lastRunStatus: summary.lastRun ? summary.lastRun.status : null,
+      nextRun: nextRuns.length > 0 ? new Date(Math.min(...nextRuns)) : null,
+      running: summary.running,
+      schedule: '0 7 * * *',
+      timezone: 'Asia/Manila',
+      description: 'Daily at 7:00 AM Philippine time',
+      sources
+    }, 'Scraper status retrieved successfully');
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScraperSource:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: doe
+ *         agency:
+ *           type: string
+ *           example: DOE
+ *         description:
+ *           type: string
+ *         schedule:
+ *           type: string
+ *           example: 0 7 * * *
+ *         regions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         format:
+ *           type: string
+ *           enum: [pdf, html]
+ *         dataset:
+ *           type: string
+ *           description: Table the source writes to
+ *           example: fuel_prices
+ *         enabled:
+ *           type: boolean
+ *         acceptsUploads:
+ *           type: boolean
+ *           description: Reports of this source can be uploaded through /v1/admin/upload
+ */
+
+/**
+ * @swagger
+ * /v1/admin/sources:
+ *   get:
+ *     summary: List registered data sources (Admin only)
+ *     description: List the source pipelines that can be run by name with /v1/admin/scrape. Requires API key authentication.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Sources retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScraperSource'
  *       401:
  *         description: API key is required
  *       403:
@@ -136,16 +320,72 @@ router.post('/scrape', async (req, res, next) => {
  *       429:
  *         description: Rate limit exceeded
  */
-router.get('/scrape/status', (req, res) => {
-  const response = createResponse({
-    lastRun: global.lastScraperRun || null,
-    nextRun: global.nextScraperRun || null,
-    schedule: '0 7 * * *',
-    timezone: 'Asia/Manila',
-    description: 'Daily at 7:00 AM Philippine time'
-  }, 'Scraper status retrieved successfully');
-
-  res.json(response);
+router.get('/sources', (req, res) => {
+  const sources = listSources().map(describeSource);
+
+  res.json(createResponse(sources, 'Sources retrieved successfully', {
+    total: sources.length
+  }));
 });
 
+// GET /v1/admin/runs - Get ingestion run history
+router.get('/runs', getIngestionRuns);
+
+// GET /v1/admin/runs/:id - Get ingestion run by ID
+router.get('/runs/:id', getIngestionRunById);
+
+// POST /v1/admin/upload - Upload a source PDF for ingestion
+router.post('/upload', uploadMiddleware, uploadDocument);
+
+// GET /v1/admin/upload/:jobId - Get the parse job of an upload
+router.get('/upload/:jobId', getUploadJob);
+
+// GET /v1/admin/jobs - List queued jobs
+router.get('/jobs', getJobs);
+
+// GET /v1/admin/jobs/:id - Get a job by ID
+router.get('/jobs/:id', getJobById);
+
+// POST /v1/admin/jobs/:id/retry - Retry a failed or completed job
+router.post('/jobs/:id/retry', retryJobById);
+
+// POST /v1/admin/jobs/:id/cancel - Cancel a job that has not started
+router.post('/jobs/:id/cancel', cancelJobById);
+
+// GET /v1/admin/quarantine - List low-confidence rows held for review
+router.get('/quarantine', getQuarantinedRows);
+
+// GET /v1/admin/quarantine/:id - Get a quarantined row
+router.get('/quarantine/:id', getQuarantinedRowById);
+
+// PATCH /v1/admin/quarantine/:id - Edit a quarantined row before approving it
+router.patch('/quarantine/:id', updateQuarantinedRow);
+
+// POST /v1/admin/quarantine/:id/approve - Save a quarantined row to its dataset
+router.post('/quarantine/:id/approve', approveQuarantinedRow);
+
+// POST /v1/admin/quarantine/:id/reject - Reject a quarantined row
+router.post('/quarantine/:id/reject', rejectQuarantinedRow);
+
+// GET /v1/admin/anomalies - List parsed prices flagged or held as anomalies
+router.get('/anomalies', getPriceAnomalies);
+
+// GET /v1/admin/anomalies/:id - Get a price anomaly
+router.get('/anomalies/:id', getPriceAnomalyById);
+
+// GET /v1/admin/commodities/:id/aliases - List the aliases of a commodity
+router.get('/commodities/:id/aliases', getCommodityAliases);
+
+// POST /v1/admin/commodities/:id/aliases - Add an alias to a commodity
+router.post('/commodities/:id/aliases', createCommodityAlias);
+
+// DELETE /v1/admin/commodities/:id/aliases/:aliasId - Remove an alias
+router.delete('/commodities/:id/aliases/:aliasId', deleteCommodityAlias);
+
+// POST /v1/admin/commodities/:id/merge - Merge a duplicate commodity into another
+router.post('/commodities/:id/merge', mergeCommodity);
+
+// PUT /v1/admin/baskets/:slug - Create or replace a basket
+router.put('/baskets/:slug', saveBasket);
+
 module.exports = router; 
\ No newline at end of file
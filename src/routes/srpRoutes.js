@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getSuggestedRetailPrices,
+  getSuggestedRetailPriceById,
+  getSuggestedRetailPriceHistory
+} = require('../controllers/srpController');
+
+// GET /v1/srp - Search the suggested retail price catalog
+router.get('/', getSuggestedRetailPrices);
+
+// GET /v1/srp/:id - Get SRP entry by ID
+router.get('/:id', getSuggestedRetailPriceById);
+
+// GET /v1/srp/:id/history - Get SRP history of a product
+router.get('/:id/history', getSuggestedRetailPriceHistory);
+
+module.exports = router; 
\ No newline at end of file
@@ -16,9 +16,17 @@ const errorHandler = require('./middleware/security/errorHandler');
 // Import routes
 const commodityRoutes = require('./routes/commodityRoutes');
 const priceRoutes = require('./routes/priceRoutes');
+const marketRoutes = require('./routes/marketRoutes');
+const fuelRoutes = require('./routes/fuelRoutes');
+const srpRoutes = require('./routes/srpRoutes');
+const complianceRoutes = require('./routes/complianceRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const basketRoutes = require('./routes/basketRoutes');
 const docsRoutes = require('./routes/docs');
 const adminRoutes = require('./routes/adminRoutes');
 const healthRoutes = require('./routes/health');
+const { uploadMiddleware, uploadDocument, getUploadJob } = require('./controllers/uploadController');
+const { getJobs, getJobById, retryJobById, cancelJobById } = require('./controllers/jobController');
 
 // Import cache utilities
 const { cacheMiddleware, cacheUtils } = require('./utils/cache');
@@ -72,34 +80,26 @@ const cacheTTL = parseInt(process.env.CACHE_TTL_SECONDS) || 600;
 if (enableCache) {
   app.use('/v1/commodities', generalLimiter, cacheMiddleware(cacheTTL), commodityRoutes);
   app.use('/v1/prices', generalLimiter, cacheMiddleware(cacheTTL), priceRoutes);
+  app.use('/v1/markets', generalLimiter, cacheMiddleware(cacheTTL), marketRoutes);
+  app.use('/v1/fuel', generalLimiter, cacheMiddleware(cacheTTL), fuelRoutes);
+  app.use('/v1/srp', generalLimiter, cacheMiddleware(cacheTTL), srpRoutes);
+  app.use('/v1/compliance', generalLimiter, cacheMiddleware(cacheTTL), complianceRoutes);
+  app.use('/v1/categories', generalLimiter, cacheMiddleware(cacheTTL), categoryRoutes);
+  app.use('/v1/baskets', generalLimiter, cacheMiddleware(cacheTTL), basketRoutes);
 } else {
   app.use('/v1/commodities', generalLimiter, commodityRoutes);
   app.use('/v1/prices', generalLimiter, priceRoutes);
+  app.use('/v1/markets', generalLimiter, marketRoutes);
+  app.use('/v1/fuel', generalLimiter, fuelRoutes);
+  app.use('/v1/srp', generalLimiter, srpRoutes);
+  app.use('/v1/compliance', generalLimiter, complianceRoutes);
+  app.use('/v1/categories', generalLimiter, categoryRoutes);
+  app.use('/v1/baskets', generalLimiter, basketRoutes);
 }
 
-// File upload validation test route (no auth required)
-app.post('/v1/admin/upload', (req, res) => {
-  // Check if file exists in request
-  if (!req.files || !req.files.file) {
-    return res.status(400).json({ success: false, message: 'No file uploaded', error: 'Bad Request', timestamp: new Date().toISOString() });
-  }
-  
-  const file = req.files.file;
-  
-  // Check file size (10MB limit)
-  if (file.size > 10 * 1024 * 1024) {
-    return res.status(400).json({ success: false, message: 'File size too large', error: 'Bad Request', timestamp: new Date().toISOString() });
-  }
-  
-  // Check file type
-  const allowedTypes = ['pdf', 'doc', 'docx', 'txt'];
-  const fileExtension = file.name.split('.').pop().toLowerCase();
-  if (!allowedTypes.includes(fileExtension)) {
-    return res.status(400).json({ success: false, message: 'Invalid file type', error: 'Bad Request', timestamp: new Date().toISOString() });
-  }
-  
-  res.status(200).json({ success: true, message: 'File uploaded successfully' });
-});
+// Source PDF uploads (admin only)
+app.post('/v1/admin/upload', apiKeyAuth, strictLimiter, uploadMiddleware, uploadDocument);
+app.get('/v1/admin/upload/:jobId', apiKeyAuth, getUploadJob);
 
 // Admin routes with auth and strict rate limiting
 app.use('/v1/admin', apiKeyAuth, strictLimiter, adminRoutes);
@@ -140,6 +140,11 @@ app.get('/v1/admin/queue/stats', apiKeyAuth, async (req, res) => {
   }
 });
 
+app.get('/v1/admin/jobs', apiKeyAuth, getJobs);
+app.get('/v1/admin/jobs/:id', apiKeyAuth, getJobById);
+app.post('/v1/admin/jobs/:id/retry', apiKeyAuth, strictLimiter, retryJobById);
+app.post('/v1/admin/jobs/:id/cancel', apiKeyAuth, strictLimiter, cancelJobById);
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -0,0 +1,158 @@
+const { Prisma } = require('@prisma/client');
+const { buildLocationSql } = require('./locations');
+const { parseList } = require('./query');
+const { truncateDate } = require('./series');
+
+// How far before the start of a range prices are read, so items not observed
+// in its first buckets can carry their last price forward
+const LOOKBACK_DAYS = 90;
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10);
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Build the query averaging the prices of a basket's commodities in each
+ * region and bucket, per the standard unit of each item. Only prices with a
+ * pack size in that unit are read, so prices per sack or per pack of another
+ * unit are never averaged in.
+ * @param {Object} options - Query options
+ * @param {Array<Object>} options.items - Basket items with commodityId and unit (kg, L or piece)
+ * @param {string} options.interval - day, week or month
+ * @param {Date} options.from - Start of the range; prices up to LOOKBACK_DAYS earlier are read
+ * @param {Date} options.to - End of the range
+ * @param {Object} [options.filters] - Request query string with region, islandGroup and source filters
+ * @returns {Prisma.Sql} Query returning date, region, commodityId and price
+ */
+const buildBasketPriceQuery = ({ items, interval, from, to, filters = {} }) => {
+  const since = new Date(from);
+  since.setUTCDate(since.getUTCDate() - LOOKBACK_DAYS);
+
+  const itemPrices = items.map(item => Prisma.sql`(p."commodityId" = ${item.commodityId} AND p."standardUnit" = ${item.unit})`);
+
+  const where = [
+    Prisma.sql`(${Prisma.join(itemPrices, ' OR ')})`,
+    Prisma.sql`p."packSize" > 0`,
+    Prisma.sql`p."date" >= ${since}`,
+    Prisma.sql`p."date" <= ${to}`,
+    ...buildLocationSql(filters)
+  ];
+
+  const sources = parseList(filters.source);
+  if (sources.length > 0) {
+    where.push(Prisma.sql`lower(p."source") IN (${Prisma.join(sources.map(source => source.toLowerCase()))})`);
+  }
+
+  return Prisma.sql`
+    SELECT date_trunc(${interval}::text, p."date"::timestamp)::date AS "date",
+      COALESCE(l."region", p."region") AS "region", p."commodityId",
+      AVG(p."price" / p."packSize") AS "price"
+    FROM "prices" p
+    LEFT JOIN "locations" l ON l."id" = p."locationId"
+    WHERE ${Prisma.join(where, ' AND ')}
+    GROUP BY 1, 2, 3
+    ORDER BY 1`;
+};
+
+/**
+ * Compute a Laspeyres index of a bucket against the base bucket: the
+ * weighted average of the items' price relatives when every item has a
+ * weight, otherwise the cost of the base quantities relative to the base
+ * @param {Array<Object>} items - Basket items with quantity and weight
+ * @param {Array<number>} prices - Prices of the items in the bucket
+ * @param {Array<number>} basePrices - Prices of the items in the base bucket
+ * @returns {number|null} Index, 100 at the base
+ */
+const laspeyresIndex = (items, prices, basePrices) => {
+  if (basePrices.some(price => !(price > 0))) return null;
+
+  if (items.every(item => item.weight !== null && item.weight !== undefined)) {
+    const totalWeight = items.reduce((sum, item) => sum + Number(item.weight), 0);
+    if (!(totalWeight > 0)) return null;
+
+    const relatives = items.reduce((sum, item, i) => sum + Number(item.weight) * (prices[i] / basePrices[i]), 0);
+    return round((relatives / totalWeight) * 100);
+  }
+
+  const cost = items.reduce((sum, item, i) => sum + Number(item.quantity) * prices[i], 0);
+  const baseCost = items.reduce((sum, item, i) => sum + Number(item.quantity) * basePrices[i], 0);
+  return round((cost / baseCost) * 100);
+};
+
+/**
+ * Price a basket in each region and bucket. An item not observed in a
+ * bucket keeps its last observed price (flagged `carried`); a bucket is
+ * complete once every item has a price, and only complete buckets have a
+ * cost and an index. The index base is the first complete bucket, or the
+ * first complete one from the `base` date.
+ * @param {Array<Object>} rows - Rows of buildBasketPriceQuery
+ * @param {Array<Object>} items - Basket items with commodityId, commodity, quantity, unit and weight
+ * @param {Object} options - Series options
+ * @param {string} options.interval - day, week or month
+ * @param {Date} options.from - Start of the range; earlier rows only carry prices forward
+ * @param {Date} [options.base] - Date of the index base
+ * @returns {Array<Object>} One series per region, by region name
+ */
+const computeBasketSeries = (rows, items, { interval, from, base }) => {
+  const regions = new Map();
+
+  for (const row of rows) {
+    if (!regions.has(row.region)) regions.set(row.region, new Map());
+    const buckets = regions.get(row.region);
+    const date = formatDate(row.date);
+    if (!buckets.has(date)) buckets.set(date, new Map());
+    buckets.get(date).set(row.commodityId, Number(row.price));
+  }
+
+  const start = formatDate(truncateDate(from, interval));
+  const baseStart = base ? formatDate(truncateDate(base, interval)) : start;
+
+  return [...regions.keys()].sort().map((region) => {
+    const buckets = regions.get(region);
+    const last = new Map();
+
+    const points = [...buckets.keys()].sort().map((date) => {
+      const observed = buckets.get(date);
+      items.forEach((item) => {
+        if (observed.has(item.commodityId)) last.set(item.commodityId, { price: observed.get(item.commodityId), date });
+      });
+
+      const prices = items.map(item => (last.has(item.commodityId) ? last.get(item.commodityId).price : null));
+      const complete = prices.every(price => price !== null);
+      const cost = complete ? items.reduce((sum, item, i) => sum + Number(item.quantity) * prices[i], 0) : null;
+
+      return {
+        date,
+        prices,
+        complete,
+        cost: cost === null ? null : round(cost),
+        items: items.map((item, i) => ({
+          commodity: item.commodity,
+          quantity: Number(item.quantity),
+          unit: item.unit,
+          price: prices[i] === null ? null : round(prices[i]),
+          cost: prices[i] === null ? null : round(Number(item.quantity) * prices[i]),
+          carried: prices[i] !== null && last.get(item.commodityId).date !== date
+        }))
+      };
+    }).filter(point => point.date >= start);
+
+    const basePoint = points.find(point => point.complete && point.date >= baseStart);
+
+    return {
+      region,
+      base: basePoint ? basePoint.date : null,
+      points: points.map(({ prices, ...point }) => ({
+        ...point,
+        index: basePoint && point.complete ? laspeyresIndex(items, prices, basePoint.prices) : null
+      }))
+    };
+  });
+};
+
+module.exports = {
+  LOOKBACK_DAYS,
+  buildBasketPriceQuery,
+  laspeyresIndex,
+  computeBasketSeries
+}; 
\ No newline at end of file
@@ -165,9 +165,9 @@ const cacheUtils = {
       }
     }
     
-    // Fallback to node-cache
+    // Fallback to node-cache, matching the pattern as Redis does: * is any text
     const keys = nodeCache.keys();
-    const regex = new RegExp(pattern);
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
     let deletedCount = 0;
     keys.forEach(key => { 
       if (regex.test(key)) { 
@@ -0,0 +1,96 @@
+const { CATEGORIES, generateSlug } = require('../../utils/commodityTaxonomy');
+const { parseList } = require('./query');
+
+/**
+ * Find the category tree nodes a query parameter names: by slug path
+ * ("grains/rice/well-milled"), by name ("Well Milled") or by the last part of
+ * the slug ("well-milled"). A name such as "Premium" can name several nodes.
+ * @param {string} category - Category parameter
+ * @returns {Array<Object>} Matching nodes of the tree
+ */
+const findCategoryNodes = (category) => {
+  const value = category.trim().toLowerCase();
+  const slug = generateSlug(value);
+
+  return CATEGORIES.filter(node => node.slug === value
+    || node.name.toLowerCase() === value
+    || node.slug.split('/').pop() === slug);
+};
+
+/**
+ * Build the Prisma condition on a commodity for the category filter. A
+ * commodity matches when it is placed in a named node or anywhere below it,
+ * so `category=Rice` covers well-milled local and imported rice, or when its
+ * top category is the one named. Several categories (`category=Rice,Fish`)
+ * match a commodity in any of them.
+ * @param {string|Array<string>} category - Category parameter
+ * @returns {Object} Prisma where clause on the commodity
+ */
+const buildCategoryCondition = (category) => {
+  const names = parseList(category);
+  const nodes = names.flatMap(findCategoryNodes);
+  const conditions = names.map(name => ({ category: { equals: name, mode: 'insensitive' } }));
+
+  if (nodes.length > 0) {
+    conditions.push({
+      categoryNode: {
+        is: {
+          OR: nodes.flatMap(node => [{ slug: node.slug }, { slug: { startsWith: `${node.slug}/` } }])
+        }
+      }
+    });
+  }
+
+  return { OR: conditions };
+};
+
+// Counts kept for each node of the tree
+const COUNT_FIELDS = ['commodities', 'prices', 'priceRanges', 'fuelPrices'];
+
+/**
+ * Nest the stored categories into a tree. Each node holds the counts of the
+ * commodities placed in it and of their prices, plus those of every node
+ * below it, so Rice counts its well-milled and imported rice.
+ * @param {Array<Object>} categories - Category rows
+ * @param {Map} [counts] - Counts placed directly in a node, by category ID
+ * @returns {Array<Object>} Top categories with their children
+ */
+const buildCategoryTree = (categories, counts = new Map()) => {
+  const sorted = [...categories].sort((a, b) => a.depth - b.depth || a.position - b.position);
+  const nodes = new Map();
+  const roots = [];
+
+  for (const category of sorted) {
+    const own = counts.get(category.id) || {};
+    const node = {
+      id: category.id,
+      slug: category.slug,
+      name: category.name,
+      attribute: category.attribute,
+      depth: category.depth,
+      counts: Object.fromEntries(COUNT_FIELDS.map(field => [field, own[field] || 0])),
+      children: []
+    };
+
+    nodes.set(category.id, node);
+    const parent = nodes.get(category.parentId);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const rollUp = (node) => {
+    for (const child of node.children) {
+      rollUp(child);
+      for (const field of COUNT_FIELDS) node.counts[field] += child.counts[field];
+    }
+  };
+  roots.forEach(rollUp);
+
+  return roots;
+};
+
+module.exports = {
+  COUNT_FIELDS,
+  findCategoryNodes,
+  buildCategoryCondition,
+  buildCategoryTree
+}; 
\ No newline at end of file
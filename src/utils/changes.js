@@ -0,0 +1,156 @@
+const { Prisma } = require('@prisma/client');
+const { createErrorResponse } = require('./response');
+const { UNIT_PRICE_SQL, UNIT_LABEL_SQL } = require('./units');
+
+// Preset windows: week over week, month over month and year over year
+const PERIODS = {
+  week: date => date.setUTCDate(date.getUTCDate() - 7),
+  month: date => date.setUTCMonth(date.getUTCMonth() - 1),
+  year: date => date.setUTCFullYear(date.getUTCFullYear() - 1)
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the dates to compare prices between: a preset period ending on `to`
+ * (today by default) or the `from` and `to` dates given
+ * @param {Object} query - Request query string
+ * @param {string} [query.period] - week, month or year
+ * @param {string} [query.from] - Start date, when no period is given
+ * @param {string} [query.to] - End date
+ * @param {Date} [today] - Date to end windows on when `to` is missing
+ * @returns {Object} from and to dates, and the earliest date a start price may be from
+ */
+const resolveChangeWindow = ({ period, from, to }, today = new Date()) => {
+  if (period && !PERIODS[period]) {
+    throw createErrorResponse(`Invalid period parameter, expected one of: ${Object.keys(PERIODS).join(', ')}`, 400);
+  }
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      throw createErrorResponse(`Invalid ${name} parameter, expected YYYY-MM-DD`, 400);
+    }
+  }
+
+  const end = to ? new Date(to) : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  let start;
+
+  if (period || !from) {
+    start = new Date(end);
+    PERIODS[period || 'week'](start);
+  } else {
+    start = new Date(from);
+  }
+
+  if (start >= end) {
+    throw createErrorResponse('The from date must be before the to date', 400);
+  }
+
+  // A start price older than the window itself is too stale to compare with
+  return { from: start, to: end, since: new Date(start.getTime() - (end - start) - DAY) };
+};
+
+/**
+ * Build the query finding each commodity's price in each region at both ends
+ * of a window: the average of the last day observed on or before `from`, and
+ * of the last day observed after it up to `to`. Regions are read from the
+ * linked location where there is one, so "Region 7" and "Region VII" rows
+ * are compared together. Prices are compared per standard unit where the pack
+ * size is known and per quoted unit otherwise, one row per unit, so a price
+ * per kg is never compared with a price per pack.
+ * @param {Object} window - Dates from resolveChangeWindow
+ * @param {Object} [filters] - Query filters
+ * @param {Array<string>} [filters.commodityIds] - Commodities to include
+ * @param {Array<string>} [filters.sources] - Sources to include, any case
+ * @param {Array<Prisma.Sql>} [filters.conditions] - Further conditions on `prices p` and `locations l`
+ * @returns {Prisma.Sql} Query returning one row per commodity, region and unit
+ */
+const buildChangesQuery = ({ from, to, since }, { commodityIds, sources = [], conditions = [] } = {}) => {
+  const where = [Prisma.sql`p."date" > ${since}`, Prisma.sql`p."date" <= ${to}`, ...conditions];
+
+  if (commodityIds) {
+    where.push(commodityIds.length > 0 ? Prisma.sql`p."commodityId" IN (${Prisma.join(commodityIds)})` : Prisma.sql`FALSE`);
+  }
+  if (sources.length > 0) {
+    where.push(Prisma.sql`lower(p."source") IN (${Prisma.join(sources.map(source => source.toLowerCase()))})`);
+  }
+
+  return Prisma.sql`
+    WITH observed AS (
+      SELECT p."commodityId", COALESCE(l."region", p."region") AS "region", ${UNIT_LABEL_SQL} AS "unit", p."date",
+        AVG(${UNIT_PRICE_SQL}) AS "price"
+      FROM "prices" p
+      LEFT JOIN "locations" l ON l."id" = p."locationId"
+      WHERE ${Prisma.join(where, ' AND ')}
+      GROUP BY 1, 2, 3, 4
+    ),
+    opening AS (
+      SELECT DISTINCT ON ("commodityId", "region", "unit") * FROM observed
+      WHERE "date" <= ${from}
+      ORDER BY "commodityId", "region", "unit", "date" DESC
+    ),
+    closing AS (
+      SELECT DISTINCT ON ("commodityId", "region", "unit") * FROM observed
+      WHERE "date" > ${from}
+      ORDER BY "commodityId", "region", "unit", "date" DESC
+    )
+    SELECT c."id" AS "commodityId", c."name", c."slug", c."category", closing."region", closing."unit",
+      opening."date" AS "fromDate", opening."price" AS "fromPrice",
+      closing."date" AS "toDate", closing."price" AS "toPrice"
+    FROM closing
+    JOIN opening ON opening."commodityId" = closing."commodityId" AND opening."region" = closing."region"
+      AND opening."unit" = closing."unit"
+    JOIN "commodities" c ON c."id" = closing."commodityId"`;
+};
+
+/**
+ * Shape a row of buildChangesQuery with its absolute and percent change
+ * @param {Object} row - Row of buildChangesQuery
+ * @returns {Object} Price change
+ */
+const toPriceChange = (row) => {
+  const fromPrice = Math.round(Number(row.fromPrice) * 100) / 100;
+  const toPrice = Math.round(Number(row.toPrice) * 100) / 100;
+
+  return {
+    commodity: { id: row.commodityId, name: row.name, slug: row.slug, category: row.category },
+    region: row.region,
+    unit: row.unit,
+    from: { date: row.fromDate, price: fromPrice },
+    to: { date: row.toDate, price: toPrice },
+    change: Math.round((toPrice - fromPrice) * 100) / 100,
+    percentChange: fromPrice > 0 ? Math.round(((toPrice - fromPrice) / fromPrice) * 10000) / 100 : null
+  };
+};
+
+/**
+ * Order price changes from the largest rise to the largest fall
+ * @param {Array<Object>} changes - Price changes
+ * @returns {Array<Object>} Sorted copy
+ */
+const sortByChange = changes => [...changes].sort((a, b) => (b.percentChange ?? -Infinity) - (a.percentChange ?? -Infinity)
+  || b.change - a.change);
+
+/**
+ * Pick the commodities whose price rose and fell the most
+ * @param {Array<Object>} changes - Price changes
+ * @param {number} limit - Number of risers and of fallers
+ * @returns {Object} risers, largest rise first, and fallers, largest fall first
+ */
+const findMovers = (changes, limit) => {
+  const sorted = sortByChange(changes.filter(change => change.percentChange !== null));
+
+  return {
+    risers: sorted.filter(change => change.change > 0).slice(0, limit),
+    fallers: sorted.filter(change => change.change < 0).reverse().slice(0, limit)
+  };
+};
+
+module.exports = {
+  PERIODS,
+  resolveChangeWindow,
+  buildChangesQuery,
+  toPriceChange,
+  sortByChange,
+  findMovers
+}; 
\ No newline at end of file
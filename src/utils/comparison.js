@@ -0,0 +1,190 @@
+const { Prisma } = require('@prisma/client');
+const { buildLocationSql } = require('./locations');
+const { parseList } = require('./query');
+const { UNIT_PRICE_SQL, UNIT_LABEL_SQL } = require('./units');
+
+// Dimensions prices can be compared along, each read from the query
+// parameter of the same name
+const COMPARE_BY = ['region', 'market', 'source'];
+
+// How far back a snapshot looks for each location's last observation
+const SNAPSHOT_DAYS = 30;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Build the SQL condition matching the rows of one compared location
+ * @param {string} by - region, market or source
+ * @param {string} value - Region (with the cities and provinces in it), part of a market name, or source
+ * @returns {Prisma.Sql} Condition on `prices p` and `locations l`
+ */
+const locationSql = (by, value) => {
+  if (by === 'region') return buildLocationSql({ region: value })[0];
+  if (by === 'market') return Prisma.sql`p."market" ILIKE ${`%${value.replace(/[\\%_]/g, '\\$&')}%`}`;
+  return Prisma.sql`lower(p."source") = ${value.toLowerCase()}`;
+};
+
+/**
+ * Build the SQL conditions of the dimensions not compared, which filter the prices
+ * @param {string} by - Compared dimension
+ * @param {Object} filters - Request query string
+ * @returns {Array<Prisma.Sql>} Conditions to combine with AND
+ */
+const buildFilterSql = (by, filters) => {
+  const { region, islandGroup } = filters;
+  const conditions = buildLocationSql(by === 'region' ? { islandGroup } : { region, islandGroup });
+
+  for (const dimension of ['market', 'source'].filter(dimension => dimension !== by)) {
+    const values = parseList(filters[dimension]);
+    if (values.length > 0) {
+      conditions.push(Prisma.sql`(${Prisma.join(values.map(value => locationSql(dimension, value)), ' OR ')})`);
+    }
+  }
+
+  return conditions;
+};
+
+/**
+ * Build the query averaging a commodity's prices in each compared location.
+ * With a date, each location's last day observed on or before it (up to
+ * SNAPSHOT_DAYS earlier) is returned; with a range, one row per bucket.
+ * A row in two compared areas (Visayas and Region VII) counts for the first.
+ * Prices are averaged per standard unit where the pack size is known and per
+ * quoted unit otherwise, with one row per unit, so only prices in the same
+ * unit are compared.
+ * @param {Object} options - Query options
+ * @param {string} options.commodityId - Commodity ID
+ * @param {string} options.by - region, market or source
+ * @param {Array<string>} options.values - Locations to compare
+ * @param {Date} [options.date] - Date of a snapshot
+ * @param {Date} [options.from] - Start of a range
+ * @param {Date} [options.to] - End of a range
+ * @param {string} [options.interval] - Bucket size of a range: day, week or month
+ * @param {string} [options.unit] - Only compare prices in this unit, e.g. "per kg"
+ * @param {Object} [options.filters] - Request query string, whose dimensions not compared filter the prices
+ * @returns {Prisma.Sql} Query returning date, location, unit, price and count
+ */
+const buildComparisonQuery = ({ commodityId, by, values, date, from, to, interval = 'week', unit, filters = {} }) => {
+  const matches = values.map(value => [value, locationSql(by, value)]);
+  const location = Prisma.sql`CASE ${Prisma.join(matches.map(([value, match]) => Prisma.sql`WHEN ${match} THEN ${value}`), ' ')} END`;
+  const where = [
+    Prisma.sql`p."commodityId" = ${commodityId}`,
+    Prisma.sql`(${Prisma.join(matches.map(([, match]) => match), ' OR ')})`,
+    ...buildFilterSql(by, filters)
+  ];
+
+  if (unit) where.push(Prisma.sql`${UNIT_LABEL_SQL} = ${unit}`);
+
+  if (date) {
+    const since = new Date(date);
+    since.setUTCDate(since.getUTCDate() - SNAPSHOT_DAYS);
+
+    return Prisma.sql`
+      SELECT DISTINCT ON ("location", "unit") * FROM (
+        SELECT ${location} AS "location", ${UNIT_LABEL_SQL} AS "unit", p."date" AS "date",
+          AVG(${UNIT_PRICE_SQL}) AS "price", COUNT(*)::int AS "count"
+        FROM "prices" p
+        LEFT JOIN "locations" l ON l."id" = p."locationId"
+        WHERE ${Prisma.join([...where, Prisma.sql`p."date" <= ${date}`, Prisma.sql`p."date" > ${since}`], ' AND ')}
+        GROUP BY 1, 2, 3
+      ) observed
+      ORDER BY "location", "unit", "date" DESC`;
+  }
+
+  if (from) where.push(Prisma.sql`p."date" >= ${from}`);
+  if (to) where.push(Prisma.sql`p."date" <= ${to}`);
+
+  return Prisma.sql`
+    SELECT date_trunc(${interval}::text, p."date"::timestamp)::date AS "date", ${location} AS "location",
+      ${UNIT_LABEL_SQL} AS "unit", AVG(${UNIT_PRICE_SQL}) AS "price", COUNT(*)::int AS "count"
+    FROM "prices" p
+    LEFT JOIN "locations" l ON l."id" = p."locationId"
+    WHERE ${Prisma.join(where, ' AND ')}
+    GROUP BY 1, 2, 3
+    ORDER BY 1`;
+};
+
+/**
+ * Find the unit most of the compared prices were observed in, which the
+ * comparison is made in when no unit is asked for
+ * @param {Array<Object>} rows - Rows of buildComparisonQuery
+ * @returns {string|null} Unit with the most observations, the first in
+ *   alphabetical order on a tie; null without rows
+ */
+const dominantUnit = (rows) => {
+  const counts = new Map();
+  rows.forEach(row => counts.set(row.unit, (counts.get(row.unit) || 0) + Number(row.count)));
+
+  return [...counts.entries()]
+    .sort(([a, countA], [b, countB]) => countB - countA || String(a).localeCompare(String(b)))
+    .map(([unit]) => unit)[0] ?? null;
+};
+
+/**
+ * Compare the prices of the locations in one row of the table
+ * @param {Array<Object>} values - Location and price of each compared location, price null when unobserved
+ * @returns {Object} Cheapest and most expensive location, spread between them, and
+ *   coefficient of variation (standard deviation over mean, in percent); null with fewer than two prices
+ */
+const comparePrices = (values) => {
+  const priced = values.filter(value => value.price !== null);
+  if (priced.length < 2) {
+    return { cheapest: null, mostExpensive: null, spread: null, coefficientOfVariation: null };
+  }
+
+  const sorted = [...priced].sort((a, b) => a.price - b.price);
+  const cheapest = sorted[0];
+  const mostExpensive = sorted[sorted.length - 1];
+  const mean = priced.reduce((sum, value) => sum + value.price, 0) / priced.length;
+  const variance = priced.reduce((sum, value) => sum + (value.price - mean) ** 2, 0) / priced.length;
+
+  return {
+    cheapest: { location: cheapest.location, price: cheapest.price },
+    mostExpensive: { location: mostExpensive.location, price: mostExpensive.price },
+    spread: round(mostExpensive.price - cheapest.price),
+    coefficientOfVariation: mean > 0 ? round((Math.sqrt(variance) / mean) * 100) : null
+  };
+};
+
+/**
+ * Align the rows of buildComparisonQuery into a table with one row per date
+ * and a price for every compared location, in the order they were given
+ * @param {Array<Object>} rows - Rows of buildComparisonQuery
+ * @param {Array<string>} values - Compared locations
+ * @param {Object} [options] - Table options
+ * @param {Date} [options.date] - Date of a snapshot, which puts every location in one row
+ * @returns {Array<Object>} Rows in date order
+ */
+const buildComparisonTable = (rows, values, { date } = {}) => {
+  const formatDate = value => new Date(value).toISOString().slice(0, 10);
+  const byDate = new Map();
+
+  // A snapshot has its row even when no location was observed
+  if (date) byDate.set(formatDate(date), new Map());
+
+  for (const row of rows) {
+    const key = date ? formatDate(date) : formatDate(row.date);
+    if (!byDate.has(key)) byDate.set(key, new Map());
+    byDate.get(key).set(row.location, row);
+  }
+
+  return [...byDate.keys()].sort().map((key) => {
+    const observed = byDate.get(key);
+    const prices = values.map((location) => {
+      const row = observed.get(location);
+      const entry = { location, price: row ? round(Number(row.price)) : null, count: row ? Number(row.count) : 0 };
+      if (date) entry.observedOn = row ? formatDate(row.date) : null;
+      return entry;
+    });
+
+    return { date: key, prices, ...comparePrices(prices) };
+  });
+};
+
+module.exports = {
+  COMPARE_BY,
+  buildComparisonQuery,
+  dominantUnit,
+  comparePrices,
+  buildComparisonTable
+}; 
\ No newline at end of file
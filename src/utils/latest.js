@@ -0,0 +1,70 @@
+const { Prisma } = require('@prisma/client');
+
+/**
+ * Build the query ranking the prices matching the filters by date within each
+ * commodity, region and source, keeping the latest date of each. A
+ * region-wide report with several markets keeps every market of its latest
+ * date, so ties are ranked alike.
+ * @param {Object} filters - Price filters
+ * @param {Array<string>} [filters.commodityIds] - Commodities to include, every one when missing
+ * @param {Array<string>} [filters.sources] - Sources to include, any case
+ * @param {Array<string>} [filters.markets] - Parts of market names, any of which may match
+ * @param {Date} [filters.from] - First date to include
+ * @param {Date} [filters.to] - Last date to include
+ * @param {Array<Prisma.Sql>} [filters.conditions] - Further conditions on `prices p` and `locations l`
+ * @returns {Prisma.Sql} Query returning id, date, region and createdAt of the latest prices
+ */
+const latestPricesSql = ({ commodityIds, sources = [], markets = [], from, to, conditions = [] }) => {
+  const where = [...conditions];
+
+  if (commodityIds) {
+    where.push(commodityIds.length > 0 ? Prisma.sql`p."commodityId" IN (${Prisma.join(commodityIds)})` : Prisma.sql`FALSE`);
+  }
+  if (sources.length > 0) {
+    where.push(Prisma.sql`lower(p."source") IN (${Prisma.join(sources.map(source => source.toLowerCase()))})`);
+  }
+  if (markets.length > 0) {
+    const matches = markets.map(market => Prisma.sql`p."market" ILIKE ${`%${market.replace(/[\\%_]/g, '\\$&')}%`}`);
+    where.push(Prisma.sql`(${Prisma.join(matches, ' OR ')})`);
+  }
+  if (from) where.push(Prisma.sql`p."date" >= ${from}`);
+  if (to) where.push(Prisma.sql`p."date" <= ${to}`);
+
+  return Prisma.sql`
+    SELECT "id", "date", "region", "createdAt" FROM (
+      SELECT p."id", p."date", p."region", p."createdAt",
+        RANK() OVER (PARTITION BY p."commodityId", p."region", p."source" ORDER BY p."date" DESC) AS "rank"
+      FROM "prices" p
+      LEFT JOIN "locations" l ON l."id" = p."locationId"
+      ${where.length > 0 ? Prisma.sql`WHERE ${Prisma.join(where, ' AND ')}` : Prisma.empty}
+    ) ranked
+    WHERE "rank" = 1`;
+};
+
+/**
+ * Build the query returning a page of the latest prices, newest first. Prices
+ * saved in one batch share createdAt, so the id settles the order between
+ * pages.
+ * @param {Object} filters - Price filters, see latestPricesSql
+ * @param {Object} page - Page to return
+ * @param {number} page.skip - Prices to skip
+ * @param {number} page.take - Prices to return
+ * @returns {Prisma.Sql} Query returning the ids of the page's prices, in order
+ */
+const buildLatestPricesQuery = (filters, { skip, take }) => Prisma.sql`
+  SELECT "id" FROM (${latestPricesSql(filters)}) latest
+  ORDER BY "date" DESC, "region" ASC, "createdAt" DESC, "id" ASC
+  LIMIT ${take} OFFSET ${skip}`;
+
+/**
+ * Build the query counting the latest prices
+ * @param {Object} filters - Price filters, see latestPricesSql
+ * @returns {Prisma.Sql} Query returning the total
+ */
+const buildLatestPricesCountQuery = filters => Prisma.sql`
+  SELECT COUNT(*)::int AS "total" FROM (${latestPricesSql(filters)}) latest`;
+
+module.exports = {
+  buildLatestPricesQuery,
+  buildLatestPricesCountQuery
+}; 
\ No newline at end of file
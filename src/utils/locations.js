@@ -0,0 +1,114 @@
+const { Prisma } = require('@prisma/client');
+const LOCATIONS = require('../database/locations');
+const { createLocationResolver } = require('../../utils/locationResolver');
+const { createErrorResponse } = require('./response');
+const { parseList, anyOf } = require('./query');
+
+const resolver = createLocationResolver(LOCATIONS);
+
+const ISLAND_GROUPS = LOCATIONS
+  .filter(location => location.level === 'island_group')
+  .map(location => location.name);
+
+/**
+ * Areas a region or island group covers: itself and, for an island group,
+ * every region in it
+ * @param {Object} area - Region or island group location
+ * @returns {Array<Object>} Locations
+ */
+const coveredAreas = (area) => (area.level === 'island_group'
+  ? [area, ...LOCATIONS.filter(location => location.level === 'region' && location.islandGroup === area.name)]
+  : [area]);
+
+/**
+ * Build the Prisma condition for rows in a region or island group: rows whose
+ * report printed the area (or, for an island group, one of its regions) and
+ * rows linked to a location inside it
+ * @param {Object|string} area - Region or island group location, or a region name no location matches
+ * @returns {Object} Prisma where clause
+ */
+const areaCondition = (area) => {
+  if (typeof area === 'string') return { region: { equals: area, mode: 'insensitive' } };
+
+  return {
+    OR: [
+      { region: { in: coveredAreas(area).flatMap(location => [location.name, ...location.aliases]), mode: 'insensitive' } },
+      { location: { is: area.level === 'region' ? { region: area.name } : { islandGroup: area.name } } }
+    ]
+  };
+};
+
+/**
+ * Build the SQL condition for rows in a region or island group, the same rows
+ * areaCondition matches, for queries over `prices p` left joined to `locations l`
+ * @param {Object|string} area - Region or island group location, or a region name no location matches
+ * @returns {Prisma.Sql} SQL condition
+ */
+const areaSql = (area) => {
+  if (typeof area === 'string') return Prisma.sql`lower(p."region") = ${area.toLowerCase()}`;
+
+  const names = coveredAreas(area).flatMap(location => [location.name, ...location.aliases]);
+  const linked = area.level === 'region'
+    ? Prisma.sql`l."region" = ${area.name}`
+    : Prisma.sql`l."islandGroup" = ${area.name}`;
+
+  return Prisma.sql`(lower(p."region") IN (${Prisma.join(names.map(name => name.toLowerCase()))}) OR ${linked})`;
+};
+
+/**
+ * Resolve the region and island group filters to the areas each matches.
+ * Regions no location matches are kept by name.
+ * @param {Object} query - Request query string
+ * @returns {Array<Array<Object|string>>} Areas of each filter, any of which may match
+ */
+const resolveAreaFilters = ({ region, islandGroup }) => {
+  const filters = [];
+  const regions = parseList(region);
+  const groups = parseList(islandGroup);
+
+  if (regions.length > 0) {
+    filters.push(regions.map(name => resolver.find(name, ['region', 'island_group']) || name));
+  }
+
+  if (groups.length > 0) {
+    filters.push(groups.map(name => {
+      const group = resolver.find(name, ['island_group']);
+      if (!group) {
+        throw createErrorResponse(`Invalid islandGroup parameter, expected one of: ${ISLAND_GROUPS.join(', ')}`, 400);
+      }
+
+      return group;
+    }));
+  }
+
+  return filters;
+};
+
+/**
+ * Build the Prisma conditions for the region and island group filters.
+ * A row matches by the region printed in its report or by the location it is
+ * linked to, so `region=Region VII` includes Cebu City prices from a DOE sheet
+ * that only says "Visayas", and `islandGroup=Visayas` covers every region in it.
+ * Both accept several values (`region=NCR,Region VII`), any of which may match.
+ * @param {Object} query - Request query string
+ * @param {string|Array<string>} [query.region] - Regions or island groups, by name or alias
+ * @param {string|Array<string>} [query.islandGroup] - Luzon, Visayas or Mindanao
+ * @returns {Array<Object>} Conditions to combine with AND
+ */
+const buildLocationConditions = (query) => resolveAreaFilters(query)
+  .map(areas => anyOf(areas.map(areaCondition)));
+
+/**
+ * Build the SQL conditions for the region and island group filters, matching
+ * the rows buildLocationConditions does
+ * @param {Object} query - Request query string
+ * @returns {Array<Prisma.Sql>} Conditions to combine with AND
+ */
+const buildLocationSql = (query) => resolveAreaFilters(query)
+  .map(areas => Prisma.sql`(${Prisma.join(areas.map(areaSql), ' OR ')})`);
+
+module.exports = {
+  ISLAND_GROUPS,
+  buildLocationConditions,
+  buildLocationSql
+}; 
\ No newline at end of file
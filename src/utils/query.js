@@ -0,0 +1,26 @@
+/**
+ * Read the values of a query parameter that accepts several, given either
+ * comma-separated (`source=DA,DTI`) or repeated (`source=DA&source=DTI`)
+ * @param {string|Array<string>} value - Query parameter
+ * @returns {Array<string>} Trimmed values, empty when the parameter is missing
+ */
+const parseList = (value) => {
+  if (!value) return [];
+
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Combine the conditions of a filter's values, any of which may match
+ * @param {Array<Object>} conditions - Prisma where clauses, one per value
+ * @returns {Object} The only condition, or an OR of them
+ */
+const anyOf = (conditions) => (conditions.length === 1 ? conditions[0] : { OR: conditions });
+
+module.exports = {
+  parseList,
+  anyOf
+}; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { Queue, Worker } = require('bullmq');
 const Redis = require('ioredis');
+const { createErrorResponse } = require('./response');
 
 const ENABLE_JOB_QUEUE = process.env.ENABLE_JOB_QUEUE === 'true';
 const QUEUE_REDIS_URL = process.env.QUEUE_REDIS_URL || process.env.REDIS_URL || 'redis://localhost:6379';
@@ -40,37 +41,20 @@ if (ENABLE_JOB_QUEUE) {
     // Main queue
     jobQueue = new Queue(QUEUE_PREFIX, { connection });
 
-    // Example: Scraper job processor
+    // Job processor: each job name is handled by its processor in scrapers/jobs.js,
+    // loaded only when the queue is enabled since it pulls in every scraper
+    const { JOB_PROCESSORS } = require('../../scrapers/jobs');
+
     worker = new Worker(
       QUEUE_PREFIX,
       async job => {
-        console.log(`Processing job ${job.id}: ${job.name}`);
-        
-        if (job.name === 'scrape') {
-          // Example: call your scraper logic here
-          console.log('Scraping data for:', job.data);
-          
-          // Simulate some work
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-          return { 
-            status: 'completed', 
-            data: job.data,
-            processedAt: new Date().toISOString()
-          };
-        }
-        
-        if (job.name === 'parse-pdf') {
-          console.log('Parsing PDF:', job.data);
-          return { 
-            status: 'completed', 
-            data: job.data,
-            processedAt: new Date().toISOString()
-          };
+        const processor = JOB_PROCESSORS[job.name];
+        if (!processor) {
+          throw new Error(`Unknown job type: ${job.name}`);
         }
-        
-        // Unknown job type
-        throw new Error(`Unknown job type: ${job.name}`);
+
+        console.log(`Processing job ${job.id}: ${job.name} (attempt ${job.attemptsMade + 1})`);
+        return processor(job);
       },
       {
         connection,
@@ -164,6 +148,127 @@ async function getQueueStats() {
   }
 }
 
+// Job states that can be listed
+const JOB_STATES = ['waiting', 'active', 'delayed', 'completed', 'failed'];
+
+// States in which a job has not started and can still be cancelled
+const CANCELLABLE_STATES = ['waiting', 'delayed', 'prioritized'];
+
+// States in which a job has finished and can be run again
+const RETRYABLE_STATES = ['failed', 'completed'];
+
+// Helper to describe a job for API responses
+async function serializeJob(job, state = null) {
+  return {
+    id: job.id,
+    name: job.name,
+    state: state || await job.getState(),
+    progress: job.progress,
+    data: job.data,
+    result: job.returnvalue || null,
+    failedReason: job.failedReason || null,
+    attemptsMade: job.attemptsMade,
+    attempts: job.opts.attempts || 1,
+    createdAt: new Date(job.timestamp).toISOString(),
+    startedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+  };
+}
+
+// Helper to list jobs, newest first
+async function listJobs({ state = null, skip = 0, limit = 20 } = {}) {
+  if (!isQueueAvailable()) {
+    throw createErrorResponse('Job queue not available', 503);
+  }
+
+  const states = state ? [state] : JOB_STATES;
+  const jobs = [];
+
+  // Jobs are ranged per state, so take enough of each to cover the page
+  for (const jobState of states) {
+    const stateJobs = await jobQueue.getJobs([jobState], 0, skip + limit - 1);
+    jobs.push(...stateJobs.filter(Boolean).map(job => ({ job, state: jobState })));
+  }
+
+  const counts = await jobQueue.getJobCounts(...states);
+  const total = states.reduce((sum, jobState) => sum + (counts[jobState] || 0), 0);
+
+  const page = jobs
+    .sort((a, b) => b.job.timestamp - a.job.timestamp)
+    .slice(skip, skip + limit);
+
+  return {
+    jobs: await Promise.all(page.map(({ job, state: jobState }) => serializeJob(job, jobState))),
+    total
+  };
+}
+
+// Helper to get a job and its state
+async function getJob(jobId) {
+  if (!isQueueAvailable()) {
+    return null;
+  }
+
+  const job = await jobQueue.getJob(jobId);
+  return job ? serializeJob(job) : null;
+}
+
+// Helper to run a failed or completed job again
+async function retryJob(jobId) {
+  if (!isQueueAvailable()) {
+    throw createErrorResponse('Job queue not available', 503);
+  }
+
+  const job = await jobQueue.getJob(jobId);
+  if (!job) {
+    return null;
+  }
+
+  const state = await job.getState();
+  if (!RETRYABLE_STATES.includes(state)) {
+    throw createErrorResponse(`Job is ${state}, only failed or completed jobs can be retried`, 409);
+  }
+
+  await job.retry(state);
+  return serializeJob(job);
+}
+
+// Helper to cancel a job that has not started
+async function cancelJob(jobId) {
+  if (!isQueueAvailable()) {
+    throw createErrorResponse('Job queue not available', 503);
+  }
+
+  const job = await jobQueue.getJob(jobId);
+  if (!job) {
+    return null;
+  }
+
+  const state = await job.getState();
+  if (!CANCELLABLE_STATES.includes(state)) {
+    throw createErrorResponse(`Job is ${state}, only waiting or delayed jobs can be cancelled`, 409);
+  }
+
+  const cancelled = await serializeJob(job, 'cancelled');
+  await job.remove();
+  return cancelled;
+}
+
+// Helper to remove a job whatever its state, so its ID can be used again
+async function removeJob(jobId) {
+  if (!isQueueAvailable()) {
+    return false;
+  }
+
+  const job = await jobQueue.getJob(jobId);
+  if (!job) {
+    return false;
+  }
+
+  await job.remove();
+  return true;
+}
+
 // Graceful shutdown
 async function closeQueue() {
   try {
@@ -187,9 +292,15 @@ async function closeQueue() {
 module.exports = {
   jobQueue,
   addJob,
+  getJob,
+  listJobs,
+  retryJob,
+  cancelJob,
+  removeJob,
   getQueueStats,
   closeQueue,
   QUEUE_PREFIX,
   ENABLE_JOB_QUEUE,
+  JOB_STATES,
   isQueueAvailable
 }; 
\ No newline at end of file
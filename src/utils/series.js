@@ -0,0 +1,172 @@
+const { Prisma } = require('@prisma/client');
+const { createErrorResponse } = require('./response');
+const { UNIT_PRICE_SQL, UNIT_LABEL_SQL } = require('./units');
+
+// Buckets a series can be resampled to, as Postgres date_trunc fields
+const INTERVALS = ['day', 'week', 'month'];
+
+// What a series can be split by. Regions are read from the linked location
+// where there is one, so "Region 7" and "Region VII" rows share a series.
+const SPLIT_COLUMNS = {
+  region: Prisma.sql`COALESCE(l."region", p."region")`,
+  source: Prisma.sql`p."source"`
+};
+const SPLITS = Object.keys(SPLIT_COLUMNS);
+
+// Ways to fill buckets with no report: leave them out, return them empty,
+// or carry the previous bucket's prices forward
+const FILL_MODES = ['none', 'null', 'previous'];
+
+// Most buckets a filled series may have, about three years of days
+const MAX_BUCKETS = 1100;
+
+const STAT_FIELDS = ['min', 'max', 'mean', 'median'];
+
+/**
+ * Truncate a date to the start of its bucket, as Postgres date_trunc does
+ * (weeks start on Monday)
+ * @param {Date} date - Date
+ * @param {string} interval - day, week or month
+ * @returns {Date} Start of the bucket, at midnight UTC
+ */
+const truncateDate = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+
+  return start;
+};
+
+/**
+ * Get the start of the bucket after a bucket
+ * @param {Date} date - Start of a bucket
+ * @param {string} interval - day, week or month
+ * @returns {Date} Start of the next bucket
+ */
+const nextBucket = (date, interval) => {
+  const next = new Date(date);
+
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+
+  return next;
+};
+
+const formatDate = date => date.toISOString().slice(0, 10);
+
+const roundPrice = value => (value === null || value === undefined ? null : Math.round(Number(value) * 100) / 100);
+
+/**
+ * Build the query resampling a commodity's prices into buckets. Prices are
+ * aggregated in Postgres per standard unit where the pack size is known and
+ * per quoted unit otherwise, one row per bucket, group and unit, so a price
+ * per kg is never averaged with a price per pack.
+ * @param {Object} options - Query options
+ * @param {string} options.commodityId - Commodity ID
+ * @param {string} options.interval - day, week or month
+ * @param {string} [options.splitBy] - region or source
+ * @param {Array<string>} [options.sources] - Sources to include, any case
+ * @param {Date} [options.from] - First date to include
+ * @param {Date} [options.to] - Last date to include
+ * @param {Array<Prisma.Sql>} [options.conditions] - Further conditions on `prices p` and `locations l`
+ * @returns {Prisma.Sql} Query returning bucket, group, unit, min, max, mean, median and count
+ */
+const buildSeriesQuery = ({ commodityId, interval, splitBy, sources = [], from, to, conditions = [] }) => {
+  const group = SPLIT_COLUMNS[splitBy] || Prisma.sql`NULL`;
+  const where = [Prisma.sql`p."commodityId" = ${commodityId}`, ...conditions];
+
+  if (sources.length > 0) {
+    where.push(Prisma.sql`lower(p."source") IN (${Prisma.join(sources.map(source => source.toLowerCase()))})`);
+  }
+  if (from) where.push(Prisma.sql`p."date" >= ${from}`);
+  if (to) where.push(Prisma.sql`p."date" <= ${to}`);
+
+  return Prisma.sql`
+    SELECT date_trunc(${interval}::text, p."date"::timestamp)::date AS "bucket",
+      ${group} AS "group",
+      ${UNIT_LABEL_SQL} AS "unit",
+      MIN(${UNIT_PRICE_SQL}) AS "min",
+      MAX(${UNIT_PRICE_SQL}) AS "max",
+      AVG(${UNIT_PRICE_SQL}) AS "mean",
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY ${UNIT_PRICE_SQL}) AS "median",
+      COUNT(*)::int AS "count"
+    FROM "prices" p
+    LEFT JOIN "locations" l ON l."id" = p."locationId"
+    WHERE ${Prisma.join(where, ' AND ')}
+    GROUP BY 1, 2, 3
+    ORDER BY 2, 3, 1`;
+};
+
+/**
+ * Arrange the aggregated rows into one series per group and unit and fill the buckets
+ * with no report between the first and last bucket (or `from` and `to`).
+ * Filled buckets have a count of 0 and are flagged `filled`.
+ * @param {Array<Object>} rows - Rows of buildSeriesQuery
+ * @param {Object} options - Series options
+ * @param {string} options.interval - day, week or month
+ * @param {string} [options.splitBy] - region or source, the key of each series' group
+ * @param {string} [options.fill] - none, null or previous
+ * @param {Date} [options.from] - First date of the series
+ * @param {Date} [options.to] - Last date of the series
+ * @returns {Array<Object>} Series, each with its unit and its points in date order
+ */
+const buildSeries = (rows, { interval, splitBy, fill = 'none', from, to }) => {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const group = row.group === undefined ? null : row.group;
+    const key = JSON.stringify([group, row.unit]);
+    if (!groups.has(key)) groups.set(key, { group, unit: row.unit, buckets: new Map() });
+
+    groups.get(key).buckets.set(formatDate(new Date(row.bucket)), {
+      date: formatDate(new Date(row.bucket)),
+      ...Object.fromEntries(STAT_FIELDS.map(field => [field, roundPrice(row[field])])),
+      count: Number(row.count)
+    });
+  }
+
+  return [...groups.values()].map(({ group, unit, buckets }) => {
+    const dates = [...buckets.keys()].sort();
+    let points = dates.map(date => buckets.get(date));
+
+    if (fill !== 'none') {
+      const end = truncateDate(to || new Date(dates[dates.length - 1]), interval);
+      let previous = null;
+      points = [];
+
+      for (let date = truncateDate(from || new Date(dates[0]), interval); date <= end; date = nextBucket(date, interval)) {
+        const point = buckets.get(formatDate(date));
+
+        if (points.length === MAX_BUCKETS) {
+          throw createErrorResponse(`Series is limited to ${MAX_BUCKETS} buckets, use a longer interval or a shorter date range`, 400);
+        }
+
+        if (point) {
+          points.push(point);
+          previous = point;
+        } else {
+          const stats = STAT_FIELDS.map(field => [field, fill === 'previous' && previous ? previous[field] : null]);
+          points.push({ date: formatDate(date), ...Object.fromEntries(stats), count: 0, filled: true });
+        }
+      }
+    }
+
+    return splitBy ? { [splitBy]: group, unit, points } : { unit, points };
+  });
+};
+
+module.exports = {
+  INTERVALS,
+  SPLITS,
+  FILL_MODES,
+  truncateDate,
+  buildSeriesQuery,
+  buildSeries
+}; 
\ No newline at end of file
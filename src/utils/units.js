@@ -0,0 +1,42 @@
+const { Prisma } = require('@prisma/client');
+const { STANDARD_LABELS, normalizeUnitPrice } = require('../../utils/unitNormalizer');
+
+// Price fields converted for each kind of row
+const PRICE_FIELDS = {
+  price: ['price'],
+  priceRange: ['minPrice', 'maxPrice', 'averagePrice', 'prevailingPrice'],
+  srp: ['srp']
+};
+
+/**
+ * Add the price per standard unit to a row. Rows stored before their pack size
+ * was recorded are converted from their unit or net content.
+ * @param {Object} row - Price, DA price range or SRP row
+ * @param {Array<string>} fields - Price fields to convert, see PRICE_FIELDS
+ * @returns {Object} Row with a `normalized` property
+ */
+const withNormalizedPrice = (row, fields) => {
+  if (!row) return row;
+
+  const values = Object.fromEntries(fields.map(field => [field, row[field]]));
+  const pack = row.standardUnit ? row : (row.netContent || row.unit);
+
+  return { ...row, normalized: normalizeUnitPrice(values, pack) };
+};
+
+// Price of a row of `prices p` per standard unit where its pack size is
+// known, and as quoted otherwise
+const UNIT_PRICE_SQL = Prisma.sql`CASE WHEN p."packSize" > 0 THEN p."price" / p."packSize" ELSE p."price" END`;
+
+// Unit UNIT_PRICE_SQL is for: "per kg", "per liter" or "per piece", or the
+// unit as quoted. Aggregates group by it so they never mix units.
+const UNIT_LABEL_SQL = Prisma.raw(`CASE WHEN p."packSize" > 0 THEN CASE p."standardUnit" ${
+  Object.entries(STANDARD_LABELS).map(([unit, label]) => `WHEN '${unit}' THEN '${label}'`).join(' ')
+} ELSE p."unit" END ELSE p."unit" END`);
+
+module.exports = {
+  PRICE_FIELDS,
+  UNIT_PRICE_SQL,
+  UNIT_LABEL_SQL,
+  withNormalizedPrice
+}; 
\ No newline at end of file
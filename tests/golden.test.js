@@ -0,0 +1,79 @@
+// The golden files parse the checked-in PDFs for real
+jest.unmock('fs');
+jest.unmock('path');
+jest.unmock('pdf-parse');
+
+const {
+  GOLDEN_SOURCES,
+  listGoldenFiles,
+  extractRows,
+  loadExpected,
+  compareRows,
+  isExactMatch,
+  formatReport
+} = require('./golden/harness');
+
+// Parsing a full monitoring sheet takes a few seconds on slow machines
+const PARSE_TIMEOUT_MS = 60000;
+
+describe('PDF Parser Golden Files', () => {
+  const files = listGoldenFiles();
+
+  it('should have a checked-in PDF for every parser', () => {
+    expect([...new Set(files.map(file => file.source))].sort()).toEqual(Object.keys(GOLDEN_SOURCES).sort());
+  });
+
+  describe.each(files.map(file => [`${file.source}/${file.filename}`, file]))('%s', (name, file) => {
+    it('should extract the expected rows', async () => {
+      const expected = loadExpected(file);
+      if (expected === null) {
+        throw new Error(`No expected rows for ${name}, record them with: npm run golden:update -- ${file.source}`);
+      }
+
+      const result = compareRows(expected, await extractRows(file), GOLDEN_SOURCES[file.source]);
+
+      // The report lists the missing, unexpected and changed rows when they differ
+      expect(isExactMatch(result) ? '' : formatReport(file, result)).toBe('');
+      expect(result.precision).toBe(1);
+      expect(result.recall).toBe(1);
+    }, PARSE_TIMEOUT_MS);
+  });
+});
+
+describe('Golden File Comparison', () => {
+  const spec = { key: ['name', 'netContent'], fields: ['srp'] };
+
+  it('should report precision, recall and changed fields', () => {
+    const expected = [
+      { name: 'Saba', netContent: '155g', srp: 17.25 },
+      { name: 'Saba', netContent: '155g', srp: 17.5 },
+      { name: 'Ligo', netContent: '155g', srp: 18.5 },
+      { name: 'Mega', netContent: '155g', srp: 16.75 }
+    ];
+    const actual = [
+      { name: 'Saba', netContent: '155g', srp: 17.25 },
+      { name: 'Saba', netContent: '155g', srp: 17.5 },
+      { name: 'Ligo', netContent: '155g', srp: 2025 },
+      { name: 'FEBRUARY', netContent: '', srp: 2025 }
+    ];
+
+    const result = compareRows(expected, actual, spec);
+
+    expect(result).toMatchObject({ expected: 4, extracted: 4, correct: 2, precision: 0.5, recall: 0.5 });
+    expect(result.missing).toEqual([expected[3]]);
+    expect(result.unexpected).toEqual([actual[3]]);
+    expect(result.changed).toEqual([{
+      key: { name: 'Ligo', netContent: '155g' },
+      diffs: [{ field: 'srp', expected: 18.5, actual: 2025 }]
+    }]);
+    expect(isExactMatch(result)).toBe(false);
+    expect(formatReport({ source: 'dti', filename: 'bulletin.pdf' }, result)).toContain(
+      'dti/bulletin.pdf: precision 0.500, recall 0.500 (4 expected, 4 extracted, 1 missing, 1 unexpected, 1 changed)'
+    );
+  });
+
+  it('should match identical rows exactly', () => {
+    const rows = [{ name: 'Saba', netContent: '155g', srp: 17.25 }];
+    expect(isExactMatch(compareRows(rows, [...rows], spec))).toBe(true);
+  });
+}); 
\ No newline at end of file
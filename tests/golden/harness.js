@@ -0,0 +1,221 @@
+/**
+ * Golden-file harness for the PDF parsers
+ * Every PDF checked in under pdf/ has a reviewed file of the rows its parser
+ * should extract in tests/golden/expected/<source>/. The harness parses the PDF
+ * again, matches the rows on their key and reports missing, unexpected and
+ * changed rows with precision and recall, so an extraction change is visible
+ * per file before its expected rows are updated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const daParser = require('../../scrapers/pdf/da_parser');
+const doeParser = require('../../scrapers/pdf/doe_parser');
+const dtiParser = require('../../scrapers/pdf/dti_parser');
+
+const EXPECTED_DIR = path.join(__dirname, 'expected');
+
+/**
+ * Parsers under test. Rows are matched on `key` and compared on `fields`;
+ * the remaining entry properties (source document, filename) are not compared.
+ */
+const GOLDEN_SOURCES = {
+  da: {
+    listPDFs: daParser.getAllPDFs,
+    parse: async pdf => (await daParser.parseDAPDF(pdf.path, pdf.region)).priceRanges,
+    key: ['commodity', 'market', 'region', 'date'],
+    fields: ['unit', 'minPrice', 'maxPrice', 'prevailingPrice', 'page', 'rawLine', 'confidence']
+  },
+  doe: {
+    listPDFs: doeParser.getAllPDFs,
+    parse: pdf => doeParser.parseDOEPDF(pdf.path, pdf.region),
+    key: ['commodity', 'brand', 'region', 'province', 'city', 'date'],
+    fields: ['minPrice', 'maxPrice', 'commonPrice', 'page', 'rawLine', 'confidence']
+  },
+  dti: {
+    listPDFs: () => dtiParser.getAllPDFs(),
+    parse: pdf => dtiParser.parseDTIPDF(pdf.path),
+    key: ['name', 'netContent', 'category', 'effectiveDate'],
+    fields: ['brand', 'variant', 'section', 'area', 'outlet', 'srp', 'page', 'rawLine', 'confidence']
+  }
+};
+
+/**
+ * List every checked-in PDF of every parser
+ * @returns {Array<Object>} Source name, PDF path, filename and region
+ */
+function listGoldenFiles() {
+  return Object.entries(GOLDEN_SOURCES).flatMap(([source, spec]) =>
+    spec.listPDFs().map(pdf => ({ source, ...pdf }))
+  );
+}
+
+/**
+ * Get the path of the expected rows of a PDF
+ * @param {Object} file - Golden file from listGoldenFiles()
+ * @returns {string} Path of the expected JSON
+ */
+function expectedPath(file) {
+  return path.join(EXPECTED_DIR, file.source, `${file.filename}.json`);
+}
+
+/**
+ * Keep only the compared properties of a parsed row
+ * @param {Object} entry - Parsed entry
+ * @param {Object} spec - Parser spec
+ * @returns {Object} Key and field values; missing values are null
+ */
+function pickRow(entry, spec) {
+  return Object.fromEntries(
+    [...spec.key, ...spec.fields].map(field => [field, entry[field] ?? null])
+  );
+}
+
+/**
+ * Parse a PDF into comparable rows
+ * @param {Object} file - Golden file from listGoldenFiles()
+ * @returns {Promise<Array<Object>>} Rows in extraction order
+ */
+async function extractRows(file) {
+  const spec = GOLDEN_SOURCES[file.source];
+  const entries = await spec.parse(file);
+  return entries.map(entry => pickRow(entry, spec));
+}
+
+/**
+ * Read the expected rows of a PDF
+ * @param {Object} file - Golden file from listGoldenFiles()
+ * @returns {Array<Object>|null} Expected rows, or null when none were recorded
+ */
+function loadExpected(file) {
+  const filePath = expectedPath(file);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8')).rows;
+}
+
+/**
+ * Write the expected rows of a PDF, one row per line so changes diff cleanly
+ * @param {Object} file - Golden file from listGoldenFiles()
+ * @param {Array<Object>} rows - Reviewed rows
+ */
+function saveExpected(file, rows) {
+  const filePath = expectedPath(file);
+  const header = JSON.stringify({ source: file.source, file: file.filename, region: file.region || null });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, [
+    `${header.slice(0, -1)},`,
+    '"rows": [',
+    rows.map(row => `  ${JSON.stringify(row)}`).join(',\n'),
+    ']}',
+    ''
+  ].join('\n'));
+}
+
+/**
+ * Compare extracted rows with the expected ones. Rows are paired on their key
+ * in extraction order, so repeated keys are compared one to one.
+ * @param {Array<Object>} expected - Expected rows
+ * @param {Array<Object>} actual - Extracted rows
+ * @param {Object} spec - Parser spec
+ * @returns {Object} Counts, precision, recall and the differing rows
+ */
+function compareRows(expected, actual, spec) {
+  const keyOf = row => JSON.stringify(spec.key.map(field => row[field]));
+  const unmatched = new Map();
+
+  for (const row of expected) {
+    const key = keyOf(row);
+    if (!unmatched.has(key)) unmatched.set(key, []);
+    unmatched.get(key).push(row);
+  }
+
+  const unexpected = [];
+  const changed = [];
+  let correct = 0;
+
+  for (const row of actual) {
+    const candidates = unmatched.get(keyOf(row));
+
+    if (!candidates || candidates.length === 0) {
+      unexpected.push(row);
+      continue;
+    }
+
+    const match = candidates.shift();
+    const diffs = spec.fields
+      .filter(field => match[field] !== row[field])
+      .map(field => ({ field, expected: match[field], actual: row[field] }));
+
+    if (diffs.length > 0) {
+      changed.push({ key: Object.fromEntries(spec.key.map(field => [field, row[field]])), diffs });
+    } else {
+      correct++;
+    }
+  }
+
+  const missing = [...unmatched.values()].flat();
+
+  return {
+    expected: expected.length,
+    extracted: actual.length,
+    correct,
+    precision: actual.length > 0 ? correct / actual.length : (expected.length === 0 ? 1 : 0),
+    recall: expected.length > 0 ? correct / expected.length : 1,
+    missing,
+    unexpected,
+    changed
+  };
+}
+
+/**
+ * Check whether a comparison found no differences
+ * @param {Object} result - Result of compareRows()
+ * @returns {boolean} True when every row matched
+ */
+function isExactMatch(result) {
+  return result.missing.length === 0 && result.unexpected.length === 0 && result.changed.length === 0;
+}
+
+/**
+ * Describe a comparison for the console
+ * @param {Object} file - Golden file from listGoldenFiles()
+ * @param {Object} result - Result of compareRows()
+ * @param {number} [limit=10] - Differing rows listed per kind
+ * @returns {string} Report
+ */
+function formatReport(file, result, limit = 10) {
+  const lines = [
+    `${file.source}/${file.filename}: precision ${result.precision.toFixed(3)}, recall ${result.recall.toFixed(3)} ` +
+    `(${result.expected} expected, ${result.extracted} extracted, ${result.missing.length} missing, ` +
+    `${result.unexpected.length} unexpected, ${result.changed.length} changed)`
+  ];
+
+  const list = (title, rows, describe) => {
+    if (rows.length === 0) return;
+    lines.push(`  ${title}:`);
+    rows.slice(0, limit).forEach(row => lines.push(`    ${describe(row)}`));
+    if (rows.length > limit) lines.push(`    ... and ${rows.length - limit} more`);
+  };
+
+  list('Missing', result.missing, row => JSON.stringify(row));
+  list('Unexpected', result.unexpected, row => JSON.stringify(row));
+  list('Changed', result.changed, ({ key, diffs }) =>
+    `${JSON.stringify(key)} ${diffs.map(diff => `${diff.field}: ${JSON.stringify(diff.expected)} -> ${JSON.stringify(diff.actual)}`).join(', ')}`
+  );
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  GOLDEN_SOURCES,
+  EXPECTED_DIR,
+  listGoldenFiles,
+  expectedPath,
+  extractRows,
+  loadExpected,
+  saveExpected,
+  compareRows,
+  isExactMatch,
+  formatReport
+}; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Report and record the golden files of the PDF parsers
+ *
+ * Usage: node tests/golden/update.js [da|doe|dti ...] [--check]
+ *   Prints the differences between each parser's current output and its
+ *   expected rows, then records the current output as the new expected rows.
+ *   Review the report (and the git diff) before committing updated files.
+ *   --check only reports, and exits with 1 when any file differs.
+ */
+
+const {
+  GOLDEN_SOURCES,
+  listGoldenFiles,
+  extractRows,
+  loadExpected,
+  saveExpected,
+  compareRows,
+  isExactMatch,
+  formatReport
+} = require('./harness');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const check = args.includes('--check');
+  const sources = args.filter(arg => !arg.startsWith('--'));
+
+  for (const source of sources) {
+    if (!GOLDEN_SOURCES[source]) {
+      console.error(`Unknown source: ${source} (expected one of: ${Object.keys(GOLDEN_SOURCES).join(', ')})`);
+      process.exit(1);
+    }
+  }
+
+  const files = listGoldenFiles().filter(file => sources.length === 0 || sources.includes(file.source));
+  let differing = 0;
+
+  for (const file of files) {
+    const rows = await extractRows(file);
+    const expected = loadExpected(file);
+
+    if (expected === null) {
+      console.log(`${file.source}/${file.filename}: no expected rows yet (${rows.length} extracted)`);
+      differing++;
+    } else {
+      const result = compareRows(expected, rows, GOLDEN_SOURCES[file.source]);
+      console.log(formatReport(file, result));
+      if (!isExactMatch(result)) differing++;
+    }
+
+    if (!check) {
+      saveExpected(file, rows);
+    }
+  }
+
+  if (check) {
+    console.log(`\n${differing} of ${files.length} files differ from their expected rows`);
+    process.exit(differing > 0 ? 1 : 0);
+  }
+
+  console.log(`\nRecorded the expected rows of ${files.length} files (${differing} changed)`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+} 
\ No newline at end of file
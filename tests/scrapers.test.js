@@ -0,0 +1,1423 @@
+const {
+  extractPricesFromPage,
+  scoreFuelPrice,
+  OVERALL_BRAND
+} = require('../scrapers/pdf/doe_parser');
+const {
+  extractSRPsFromPage,
+  parseProductName,
+  categoryToCommodity,
+  scoreSRP
+} = require('../scrapers/pdf/dti_parser');
+const { extractPricesFromPages, scorePriceRange, saveRangesToDatabase } = require('../scrapers/pdf/da_parser');
+const {
+  registerSource,
+  getSource,
+  listSources,
+  describeSource,
+  getNextRun,
+  runPipeline
+} = require('../scrapers/registry');
+const { startRun, finishRun, getRunStatus } = require('../scrapers/ingestion_runs');
+const { describeDocument, saveSourceDocuments, provenanceOf } = require('../scrapers/source_documents');
+const { resolveReportDate } = require('../scrapers/pdf/report_date');
+const { lineAt, groupRows, mergeHeaderCells, buildGrid, cellText } = require('../scrapers/pdf/layout');
+const { UPLOAD_DIR, getUploadSource, resolveUploadRegion, storeUpload } = require('../scrapers/uploads');
+const { scoreConfidence, splitByConfidence, quarantineEntries } = require('../scrapers/quarantine');
+const { scoreAnomaly, detectAnomalies, holdAnomalies, recordAnomalies } = require('../scrapers/anomalies');
+const { mergeCommodities } = require('../scrapers/commodities');
+const BaseScraper = require('../scrapers/base_scraper');
+const LOCATIONS = require('../src/database/locations');
+const DTIScraper = require('../scrapers/dti_scraper');
+const prisma = require('../src/config/database');
+
+// Positioned text item as produced by the PDF text layer
+const item = (text, x, y, width = 14.5, height = 7) => ({ text, x, y, width, height });
+
+describe('DOE Parser', () => {
+  describe('extractPricesFromPage', () => {
+    const context = { region: 'NCR', date: '2025-06-17', filename: 'NCR Price Monitoring 06172025.pdf' };
+
+    const header = [
+      item('AREA', 57.0, 437.9, 16.4),
+      item('PRODUCT', 102.1, 437.9, 28.7),
+      item('PETRON', 158.1, 438.1, 24.2),
+      item('SHELL', 217.2, 438.1, 19.0),
+      item('CALTEX', 268.7, 438.1, 23.3),
+      item('OVERALL RANGE', 637.2, 437.9, 50.4),
+      item('COMMON', 711.7, 442.2, 28.7),
+      item('PRICE', 716.5, 433.7, 17.7)
+    ];
+
+    it('should map values to brands by column position', () => {
+      const items = [
+        ...header,
+        item('RON 95', 94.3, 399.6, 21.0),
+        item('53.90', 148.6, 400.7),
+        item('59.25', 178.6, 400.7),
+        // Caltex only, Shell left empty
+        item('62.85', 259.5, 400.7),
+        item('62.85', 286.5, 400.7),
+        item('53.90', 634.7, 399.6),
+        item('-', 662.1, 400.8, 1.9),
+        item('62.85', 676.8, 399.6),
+        item('59.25', 718.4, 399.6),
+        item('Caloocan City', 46.2, 399.0, 38.7)
+      ];
+
+      const results = extractPricesFromPage(items, context);
+      const byBrand = Object.fromEntries(results.map(result => [result.brand, result]));
+
+      expect(Object.keys(byBrand).sort()).toEqual([OVERALL_BRAND, 'CALTEX', 'PETRON']);
+      expect(byBrand.PETRON).toMatchObject({
+        commodity: 'Gasoline (RON 95)',
+        product: 'RON 95',
+        fuelType: 'gasoline',
+        city: 'Caloocan City',
+        region: 'NCR',
+        minPrice: 53.9,
+        maxPrice: 59.25
+      });
+      expect(byBrand.CALTEX).toMatchObject({ minPrice: 62.85, maxPrice: 62.85 });
+      expect(byBrand[OVERALL_BRAND]).toMatchObject({ minPrice: 53.9, maxPrice: 62.85, commonPrice: 59.25 });
+    });
+
+    it('should assign rows to the city label centred on their block', () => {
+      const rows = [];
+      ['RON 95', 'DIESEL', 'KEROSENE', 'RON 95', 'DIESEL', 'KEROSENE'].forEach((product, index) => {
+        const y = 400 - index * 10;
+        rows.push(item(product, 94.3, y, 21.0), item('50.00', 148.6, y), item('55.00', 178.6, y));
+      });
+
+      const items = [
+        ...header,
+        ...rows,
+        item('Quezon City', 48.2, 390, 33.9),
+        item('Manila City', 50.4, 360, 30.5)
+      ];
+
+      const cities = extractPricesFromPage(items, context).map(result => result.city);
+
+      expect(cities).toEqual([
+        'Quezon City', 'Quezon City', 'Quezon City',
+        'Manila City', 'Manila City', 'Manila City'
+      ]);
+    });
+
+    it('should ignore pages without a price table', () => {
+      expect(extractPricesFromPage([item('Gasoline (RON95)', 50, 300, 60)], context)).toEqual([]);
+    });
+  });
+});
+
+describe('DTI Parser', () => {
+  describe('parseProductName', () => {
+    it('should split brand and variant', () => {
+      expect(parseProductName('King Cup Regular Lid')).toEqual({
+        brand: 'King Cup',
+        variant: 'Regular Lid',
+        area: 'Nationwide',
+        outlet: 'all'
+      });
+      expect(parseProductName('Atami EOC')).toMatchObject({ brand: 'Atami', variant: 'EOC' });
+    });
+
+    it('should extract area and outlet qualifiers', () => {
+      expect(parseProductName('Saba Phil. Sardines - NCR')).toMatchObject({ brand: 'Saba Phil. Sardines', variant: '', area: 'NCR' });
+      expect(parseProductName('Fidel Coarse (Red) - Visayas and Mindanao')).toMatchObject({ variant: 'Coarse (Red)', area: 'Visayas & Mindanao' });
+      expect(parseProductName('Datu Puti - White Vinegar – SMKT')).toMatchObject({ variant: 'White Vinegar', outlet: 'supermarket' });
+      expect(parseProductName('Nelicom Special – WMKT')).toMatchObject({ brand: 'Nelicom Special', variant: '', outlet: 'wet_market' });
+    });
+  });
+
+  describe('categoryToCommodity', () => {
+    it('should title case the heading without its packaging note', () => {
+      expect(categoryToCommodity('CANNED SARDINES IN TOMATO SAUCE')).toBe('Canned Sardines in Tomato Sauce');
+      expect(categoryToCommodity('VINEGAR – GIN AND PET BOTTLE')).toBe('Vinegar');
+    });
+  });
+
+  describe('extractSRPsFromPage', () => {
+    const context = { effectiveDate: '2025-02-01', filename: 'BNPC SRP BULLETIN 01 FEBRUARY 2025.pdf' };
+
+    const header = [
+      item('BASIC NECESSITIES', 54.0, 1092, 80),
+      item('UNIT', 169.7, 1092, 18),
+      item('SRP', 203.8, 1092, 14),
+      item('PRIME COMMODITIES', 254.8, 1092, 80),
+      item('UNIT', 366.6, 1092, 18),
+      item('SRP', 400.7, 1092, 14)
+    ];
+
+    it('should read names, units and prices of every column group', () => {
+      const items = [
+        ...header,
+        item('CANNED SARDINES IN TOMATO SAUCE', 27.3, 1070, 140),
+        item('Saba Phil. Sardines - NCR', 27.3, 1057, 90),
+        item('155g', 170.3, 1057, 17.8),
+        item('17.25', 202.0, 1057, 20.1),
+        item('CORNED BEEF', 232.0, 1070, 60),
+        item('El Rancho - SMKT', 232.0, 1057, 60),
+        item('150g', 367.1, 1057, 17.8),
+        item('31.25', 398.8, 1057, 20.1)
+      ];
+
+      const results = extractSRPsFromPage(items, context);
+
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({
+        name: 'Saba Phil. Sardines - NCR',
+        category: 'CANNED SARDINES IN TOMATO SAUCE',
+        commodity: 'Canned Sardines in Tomato Sauce',
+        section: 'Basic Necessities',
+        netContent: '155g',
+        srp: 17.25,
+        area: 'NCR',
+        effectiveDate: '2025-02-01'
+      });
+      expect(results[1]).toMatchObject({
+        brand: 'El Rancho',
+        category: 'CORNED BEEF',
+        section: 'Prime Commodities',
+        outlet: 'supermarket',
+        srp: 31.25
+      });
+    });
+
+    it('should join wrapped names and split adjacent ones by their price', () => {
+      const items = [
+        ...header,
+        item('INSTANT MAMI NOODLES CHICKEN & BEEF', 27.3, 414.2, 172.8),
+        item('FLAVOR', 27.3, 404.8, 33.1),
+        item('Payless', 27.3, 394.7, 30.4),
+        item('(Instant Mami Chicken and Instant', 27.3, 385.3, 123.6),
+        item('55g', 172.5, 385.3, 13.4),
+        item('7.50', 204.2, 385.3, 15.6),
+        item('Mami Beef)', 27.3, 375.8, 40.8),
+        item('Quick Chow', 27.3, 366.2, 47.7),
+        item('(Instant Mami Beef and Instant Mami', 27.3, 356.8, 132.7),
+        item('55g', 172.5, 356.8, 13.4),
+        item('7.75', 204.2, 356.8, 15.6),
+        item('Chicken)', 27.3, 347.4, 31.6)
+      ];
+
+      const results = extractSRPsFromPage(items, context);
+
+      expect(results.map(result => result.name)).toEqual([
+        'Payless (Instant Mami Chicken and Instant Mami Beef)',
+        'Quick Chow (Instant Mami Beef and Instant Mami Chicken)'
+      ]);
+      expect(results[1]).toMatchObject({
+        brand: 'Quick Chow',
+        category: 'INSTANT MAMI NOODLES CHICKEN & BEEF FLAVOR',
+        srp: 7.75
+      });
+    });
+
+    it('should ignore pages without a price table', () => {
+      expect(extractSRPsFromPage([item('NOTES:', 27.3, 100, 30)], context)).toEqual([]);
+    });
+  });
+});
+
+describe('DA Parser', () => {
+  describe('extractPricesFromPages', () => {
+    const context = { region: 'NCR', date: '2025-06-26', filename: 'Price-Monitoring-June-26-2025.pdf' };
+
+    it('should map market table cells to their market and commodity column', () => {
+      const page = [
+        item('COMMODITY (PHP/KG)', 363.8, 490.7, 109.8),
+        item('Well-milled Rice', 281.8, 474.9, 65.1),
+        item('MARKET', 141.6, 474.1, 37.6),
+        item('Tilapia', 376.3, 469.2, 26.0),
+        item('*Egg (Medium)', 501.7, 469.2, 57.4),
+        item('(Local)', 299.8, 463.3, 26.9),
+        item('Agora Public Market/', 48.6, 442.1, 103.4),
+        item('San Juan', 152.1, 442.1, 44.3),
+        item('45.00', 302.2, 443.3, 22.7),
+        item('150.00', 375.8, 443.3, 27.8),
+        item('8.00', 522.0, 443.3, 17.7),
+        item('Kamuning Public Market', 48.6, 345.9, 117.8),
+        item('NOT AVAILABLE', 281.4, 346.5, 64.3),
+        item('140.00', 357.2, 346.5, 27.8),
+        item('-', 388.1, 346.5, 3.0),
+        item('160.00', 393.4, 346.5, 27.8),
+        item('7.00', 505.0, 346.5, 17.7),
+        item('-', 526.1, 346.5, 3.0),
+        item('8.00', 531.5, 346.5, 17.7),
+        item('*  per piece', 49.0, 21.8, 40.0)
+      ];
+
+      const { priceRanges } = extractPricesFromPages([page], context);
+
+      expect(priceRanges.map(range => [range.market, range.commodity, range.unit, range.minPrice, range.maxPrice])).toEqual([
+        ['Agora Public Market', 'Well-milled Rice (Local)', 'per kg', 45, 45],
+        ['Agora Public Market', 'Tilapia', 'per kg', 150, 150],
+        ['Agora Public Market', 'Egg (Medium)', 'per piece', 8, 8],
+        ['Kamuning Public Market', 'Tilapia', 'per kg', 140, 160],
+        ['Kamuning Public Market', 'Egg (Medium)', 'per piece', 7, 8]
+      ]);
+      expect(priceRanges[3]).toMatchObject({
+        region: 'NCR',
+        date: '2025-06-26',
+        page: 1,
+        rawLine: 'Kamuning Public Market NOT AVAILABLE 140.00 - 160.00 7.00 - 8.00',
+        confidence: 1
+      });
+    });
+
+    it('should read prevailing, high and low prices under each market', () => {
+      const prices = (y, values) => values.map((value, index) =>
+        item(value, [289.3, 335.9, 372.4, 418.7, 465.3, 501.8][index], y, value === 'n/a' ? 11.7 : 19.3)
+      );
+      const page = [
+        item('MARKETS:', 53.0, 856.1, 36.9),
+        item('COGON & CARMEN MARKET', 90.0, 856.1, 97.7),
+        item('Carmen, Cagayan de Oro City', 289.3, 826.3, 92.4),
+        item('Cogon, Cagayan de Oro City', 421.1, 826.3, 87.6),
+        item('COMMODITY', 106.6, 813.1, 46.8),
+        item('SPECIFICATION', 212.9, 812.9, 52.5),
+        ...['Prevailing Price', 'High', 'Low', 'Prevailing Price', 'High', 'Low'].map((label, index) =>
+          item(label, [274.7, 338.3, 375.5, 404.1, 467.7, 504.9][index], 800.1, label === 'Prevailing Price' ? 48.7 : 14.4)
+        ),
+        item('IMPORTED COMMERCIAL RICE', 53.0, 780.0, 107.0),
+        item('Special', 53.0, 765.8, 26.8),
+        item('Blue tag', 209.3, 765.5, 27.7),
+        ...prices(765.5, ['48.00', '50.00', '48.00', '46.00', '50.00', '46.00']),
+        item('FISH', 53.0, 638.3, 15.4),
+        item('Tilapia', 53.0, 610.0, 23.3),
+        item('med(5-6pcs/kg)', 209.3, 609.8, 53.8),
+        ...prices(609.8, ['200.00', '200.00', '200.00', 'n/a', 'n/a', 'n/a'])
+      ];
+
+      const { priceRanges } = extractPricesFromPages([page], { ...context, region: 'RX' });
+
+      expect(priceRanges.map(range => [range.market, range.commodity, range.prevailingPrice, range.maxPrice, range.minPrice])).toEqual([
+        ['Carmen Market', 'Special Rice (Imported)', 48, 50, 48],
+        ['Cogon Market', 'Special Rice (Imported)', 46, 50, 46],
+        ['Carmen Market', 'Tilapia', 200, 200, 200]
+      ]);
+      expect(priceRanges[2]).toMatchObject({ category_header: 'FISH', region: 'RX', page: 1 });
+    });
+
+    describe('retail sheet (R/X format)', () => {
+      const columns = [289.3, 335.9, 372.4, 418.7, 465.3, 501.8];
+      const header = [
+        item('COMMODITY', 106.6, 813.1, 46.8),
+        item('SPECIFICATION', 212.9, 812.9, 52.5),
+        ...['Prevailing Price', 'High', 'Low', 'Prevailing Price', 'High', 'Low'].map((label, index) =>
+          item(label, [274.7, 338.3, 375.5, 404.1, 467.7, 504.9][index], 800.1, label === 'Prevailing Price' ? 48.7 : 14.4)
+        )
+      ];
+      const prices = (y, values) => values.map((value, index) => item(value, columns[index], y, 19.3));
+
+      it('should name markets from the banner when the price columns have no market header', () => {
+        const page = [
+          item('MARKETS:', 53.0, 856.1, 36.9),
+          item('COGON & CARMEN MARKET', 90.0, 856.1, 97.7),
+          ...header,
+          item('LOWLAND VEGETABLES', 53.0, 780.0, 90.0),
+          item('Ampalaya', 53.0, 765.8, 36.0),
+          item('medium', 209.3, 765.5, 27.7),
+          ...prices(765.5, ['120.00', '140.00', '100.00', '110.00', '130.00', '100.00'])
+        ];
+
+        const { priceRanges } = extractPricesFromPages([page], { ...context, region: 'RX' });
+
+        expect(priceRanges.map(range => [range.market, range.commodity, range.prevailingPrice, range.maxPrice, range.minPrice, range.averagePrice])).toEqual([
+          ['Cogon Market', 'Ampalaya', 120, 140, 100, 120],
+          ['Carmen Market', 'Ampalaya', 110, 130, 100, 115]
+        ]);
+        expect(priceRanges[0]).toMatchObject({ category_header: 'LOWLAND VEGETABLES', unit: 'per kg', confidence: 1 });
+      });
+
+      it('should read specification rows under the commodity above, across pages', () => {
+        const first = [
+          item('MARKETS:', 53.0, 856.1, 36.9),
+          item('COGON & CARMEN MARKET', 90.0, 856.1, 97.7),
+          ...header,
+          item('LOCAL COMMERCIAL RICE', 53.0, 780.0, 95.0),
+          item('Well milled', 53.0, 765.8, 40.0),
+          item('Green tag', 209.3, 765.5, 30.0),
+          ...prices(765.5, ['45.00', '46.00', '44.00', '45.00', '45.00', '45.00'])
+        ];
+        // The second page repeats the header but not the category or commodity;
+        // its Carmen high is below its low and is left out
+        const second = [
+          ...first.slice(0, 2),
+          ...header,
+          item('Yellow tag', 53.0, 765.8, 36.0),
+          ...prices(765.5, ['50.00', '52.00', '48.00', '51.00', '50.00', '52.00'])
+        ];
+
+        const { priceRanges } = extractPricesFromPages([first, second], { ...context, region: 'RX' });
+
+        expect(priceRanges.map(range => [range.page, range.market, range.commodity, range.prevailingPrice])).toEqual([
+          [1, 'Cogon Market', 'Well milled Rice (Local)', 45],
+          [1, 'Carmen Market', 'Well milled Rice (Local)', 45],
+          [2, 'Cogon Market', 'Well milled Rice (Local)', 50]
+        ]);
+      });
+    });
+
+    it('should skip pages without a table in a table report', () => {
+      const summary = [item('COMMODITIES', 147.0, 464.5, 47.7), item('Beef Rump', 478.0, 441.2, 31.3), item('420.00', 597.3, 440.9, 17.8)];
+      const market = [item('MARKET', 141.6, 474.1, 37.6), item('Tilapia', 376.3, 469.2, 26.0), item('Bicutan Market', 48.6, 414.7, 72.8), item('150.00', 375.8, 415.2, 27.8)];
+
+      const { results, priceRanges } = extractPricesFromPages([market, summary], context);
+
+      expect(results).toEqual([]);
+      expect(priceRanges.map(range => [range.page, range.commodity])).toEqual([[1, 'Tilapia']]);
+    });
+  });
+});
+
+describe('DA Price Range Persistence', () => {
+  const range = {
+    commodity: 'Tilapia',
+    unit: 'per kg',
+    minPrice: 140,
+    maxPrice: 160,
+    averagePrice: 150,
+    prevailingPrice: 150,
+    source: 'DA',
+    region: 'NCR',
+    date: '2025-06-26',
+    market: 'Kamuning Public Market',
+    filename: 'Price-Monitoring-June-26-2025.pdf'
+  };
+
+  beforeEach(() => {
+    prisma.commodityAlias = { findUnique: jest.fn(async () => ({ commodity: { id: 'tilapia', name: 'Tilapia' } })) };
+    prisma.category = { findMany: jest.fn(async () => []) };
+    prisma.market = {
+      findFirst: jest.fn(async ({ where }) => (where.OR[0].name === 'Kamuning Public Market' ? { id: 'kamuning', name: 'Kamuning Public Market', city: 'Quezon City' } : null)),
+      create: jest.fn()
+    };
+    prisma.sourceDocument = { upsert: jest.fn() };
+    prisma.priceRange = { upsert: jest.fn(async query => query) };
+  });
+
+  afterEach(() => {
+    delete prisma.priceRange;
+  });
+
+  it('should upsert ranges by commodity, market, region, date and source', async () => {
+    const stats = await saveRangesToDatabase([range, { ...range, market: '', minPrice: 150, maxPrice: 150, averagePrice: 150 }]);
+
+    expect(stats).toEqual({ saved: 2, skipped: 0, errors: [] });
+    expect(prisma.priceRange.upsert.mock.calls.map(([query]) => query.where)).toEqual([
+      { unique_price_range_entry: { commodityId: 'tilapia', market: 'Kamuning Public Market', region: 'NCR', date: new Date('2025-06-26'), source: 'DA' } },
+      { unique_price_range_entry: { commodityId: 'tilapia', market: '', region: 'NCR', date: new Date('2025-06-26'), source: 'DA' } }
+    ]);
+    expect(prisma.priceRange.upsert.mock.calls[0][0].update).toMatchObject({ marketId: 'kamuning', minPrice: 140, maxPrice: 160, prevailingPrice: 150 });
+    expect(prisma.market.findFirst).toHaveBeenCalledTimes(1);
+  });
+
+  it('should skip ranges whose date did not resolve', async () => {
+    const stats = await saveRangesToDatabase([{ ...range, date: 'June 26' }]);
+
+    expect(stats.skipped).toBe(1);
+    expect(stats.errors).toEqual(['Invalid date "June 26" for Tilapia (Price-Monitoring-June-26-2025.pdf)']);
+    expect(prisma.priceRange.upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe('PDF Table Layout', () => {
+  it('should group items into rows by baseline', () => {
+    const rows = groupRows([
+      item('45.00', 302.2, 443.3),
+      item('Agora Public Market/', 48.6, 442.1, 103.4),
+      item('Bicutan Market', 48.6, 414.7, 72.8)
+    ]);
+
+    expect(rows.map(row => row.text)).toEqual(['Agora Public Market/ 45.00', 'Bicutan Market']);
+  });
+
+  it('should merge wrapped header cells and leave out titles spanning columns', () => {
+    const columns = mergeHeaderCells([
+      item('(For the week: June 17-23, 2025)', 845, 395, 120),
+      item('OVERALL', 851, 385.4, 30),
+      item('COMMON', 923, 385.4, 30),
+      item('RANGE', 858, 371.9, 20),
+      item('PRICE', 932, 371.9, 20)
+    ]);
+
+    expect(columns).toEqual([
+      { label: 'OVERALL RANGE', start: 851, end: 881, y: 385.4 },
+      { label: 'COMMON PRICE', start: 923, end: 953, y: 385.4 }
+    ]);
+  });
+
+  it('should place items in the cell of their row and column', () => {
+    const columns = [
+      { key: 'product', start: 100, end: 130 },
+      { key: 'PETRON', start: 158, end: 182 },
+      { key: 'SHELL', start: 217, end: 236 }
+    ];
+    const items = [
+      item('RON 95', 100, 400, 21),
+      item('53.90', 149, 401),
+      item('59.25', 179, 401),
+      item('DIESEL', 100, 380, 21),
+      item('52.10', 219, 379),
+      item('99.99', 219, 300)
+    ];
+
+    const grid = buildGrid(items, columns);
+    expect(grid.map(row => [cellText(row, 'product'), cellText(row, 'PETRON'), cellText(row, 'SHELL')])).toEqual([
+      ['RON 95', '53.90 59.25', ''],
+      ['DIESEL', '', '52.10'],
+      ['', '', '99.99']
+    ]);
+
+    // Rows anchored on their labels leave out items far from every label
+    const anchored = buildGrid(items, columns, { rows: [400, 380] });
+    expect(anchored.map(row => cellText(row, 'SHELL'))).toEqual(['', '52.10']);
+  });
+});
+
+describe('Report Date', () => {
+  it('should prefer the as of date printed in the report', () => {
+    expect(resolveReportDate({ text: 'SRP BULLETIN AS OF 01 FEBRUARY 2025', filename: 'SRP BULLETIN 2024.pdf' }))
+      .toEqual({ date: '2025-02-01', rule: 'as-of' });
+    expect(resolveReportDate({ text: 'INTEGRATED PRICE MONITORING\nDATE:  April 7, 2025' }))
+      .toEqual({ date: '2025-04-07', rule: 'as-of' });
+  });
+
+  it('should use the first day of the monitoring week', () => {
+    expect(resolveReportDate({ text: '(For the week of June 17-23, 2025)' })).toEqual({ date: '2025-06-17', rule: 'week' });
+    expect(resolveReportDate({ text: '(For the week: June 3-9, 2025)' })).toEqual({ date: '2025-06-03', rule: 'week' });
+  });
+
+  it('should fall back to the first date in the text, then the filename', () => {
+    expect(resolveReportDate({ text: 'PRICE MONITORING Thursday, June 26, 2025', filename: 'Price-Monitoring-June-1-2025.pdf' }))
+      .toEqual({ date: '2025-06-26', rule: 'text' });
+    expect(resolveReportDate({ text: '(For the week: Tuesday - Monday)', filename: 'Price-Monitoring-June-26-2025.pdf' }))
+      .toEqual({ date: '2025-06-26', rule: 'filename' });
+  });
+
+  it('should read English, abbreviated and Filipino month names', () => {
+    const dateOf = text => resolveReportDate({ text }).date;
+
+    expect(dateOf('as of Sept. 3, 2025')).toBe('2025-09-03');
+    expect(dateOf('Petsa: Hunyo 26, 2025')).toBe('2025-06-26');
+    expect(dateOf('ika-5 ng Disyembre 2024')).toBe('2024-12-05');
+    expect(dateOf('Date: 12 Oktubre 2025')).toBe('2025-10-12');
+  });
+
+  it('should read numeric dates in the text and filename', () => {
+    expect(resolveReportDate({ text: 'as of 2025-06-26' }).date).toBe('2025-06-26');
+    expect(resolveReportDate({ text: 'as of 06/26/2025' }).date).toBe('2025-06-26');
+    expect(resolveReportDate({ text: 'as of 26/06/2025' }).date).toBe('2025-06-26');
+    expect(resolveReportDate({ filename: 'NCR Price Monitoring 06172025.pdf' }).date).toBe('2025-06-17');
+    expect(resolveReportDate({ filename: 'VFO LF PRICE MONITORING 061025_0.pdf' }).date).toBe('2025-06-10');
+    expect(resolveReportDate({ filename: 'BNPC+SRP+BULLETIN+01+FEBRUARY+2025.002 (2).pdf' }).date).toBe('2025-02-01');
+  });
+
+  it('should return null when no valid date is found', () => {
+    expect(resolveReportDate({ text: 'SUGGESTED RETAIL PRICES', filename: 'srp.pdf' })).toBeNull();
+    expect(resolveReportDate({ text: 'as of February 30, 2025', filename: 'report-13322025.pdf' })).toBeNull();
+  });
+});
+
+describe('Source Registry', () => {
+  const documents = [
+    { filename: 'week-1.pdf', rows: [{ price: '10.5' }, { price: '11' }] },
+    { filename: 'broken.pdf', rows: null },
+    { filename: 'week-2.pdf', rows: [{ price: '12' }] }
+  ];
+
+  const source = registerSource({
+    name: 'Test-Source',
+    description: 'Test source',
+    regions: ['NCR'],
+    fetch: jest.fn(async () => documents),
+    parse: jest.fn(async (document) => {
+      if (!document.rows) throw new Error('Could not parse PDF');
+      return document.rows;
+    }),
+    normalize: jest.fn(async (records) => records.map(record => ({ price: Number(record.price) }))),
+    persist: jest.fn(async (records) => ({ saved: records.length, skipped: 0, errors: [] }))
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should register sources with default metadata', () => {
+    expect(getSource('test-source')).toBe(source);
+    expect(getSource('TEST-SOURCE')).toBe(source);
+    expect(getSource('missing')).toBeNull();
+    expect(listSources().map(registered => registered.name)).toContain('test-source');
+    expect(describeSource(source)).toEqual({
+      name: 'test-source',
+      agency: 'TEST-SOURCE',
+      description: 'Test source',
+      schedule: '0 7 * * *',
+      regions: ['NCR'],
+      format: 'pdf',
+      dataset: 'prices',
+      enabled: true,
+      acceptsUploads: false
+    });
+  });
+
+  it('should reject incomplete or duplicate sources', () => {
+    expect(() => registerSource({ name: 'no-parse', fetch: jest.fn(), persist: jest.fn() }))
+      .toThrow('Source no-parse must define a parse step');
+    expect(() => registerSource({ ...source, name: 'test-source' }))
+      .toThrow('Source test-source is already registered');
+  });
+
+  it('should run fetch, parse, normalize and persist in order', async () => {
+    const run = await runPipeline(source);
+
+    expect(run.documents).toBe(3);
+    expect(run.records).toEqual([{ price: 10.5 }, { price: 11 }, { price: 12 }]);
+    expect(run.saved).toBe(3);
+    expect(run.errors).toEqual(['broken.pdf: Could not parse PDF']);
+    expect(run.files).toEqual(['week-1.pdf', 'broken.pdf', 'week-2.pdf']);
+    expect(run.found).toBe(3);
+    expect(run.rejected).toBe(0);
+    expect(source.persist).toHaveBeenCalledWith(run.records, expect.objectContaining({ source: 'test-source' }));
+  });
+
+  it('should parse given documents instead of fetching them', async () => {
+    const run = await runPipeline(source, {
+      saveToDb: false,
+      documents: [{ filename: 'upload.pdf', rows: [{ price: '9.5' }] }]
+    });
+
+    expect(source.fetch).not.toHaveBeenCalled();
+    expect(run.files).toEqual(['upload.pdf']);
+    expect(run.records).toEqual([{ price: 9.5 }]);
+  });
+
+  it('should report the progress of a run', async () => {
+    const onProgress = jest.fn();
+    await runPipeline(source, { saveToDb: false, onProgress });
+
+    expect(onProgress.mock.calls.map(([fraction]) => fraction.toFixed(2)))
+      .toEqual(['0.30', '0.60', '0.90', '1.00']);
+  });
+
+  it('should compute the next run of daily schedules in Manila time', () => {
+    expect(getNextRun('0 7 * * *', new Date('2025-06-26T10:00:00Z')).toISOString())
+      .toBe('2025-06-26T23:00:00.000Z');
+    expect(getNextRun('0 7 * * *', new Date('2025-06-26T22:00:00Z')).toISOString())
+      .toBe('2025-06-26T23:00:00.000Z');
+    expect(getNextRun('30 9 * * *', new Date('2025-06-26T00:00:00Z')).toISOString())
+      .toBe('2025-06-26T01:30:00.000Z');
+    expect(getNextRun('*/15 * * * *')).toBeNull();
+  });
+
+  it('should not persist records when saving is disabled', async () => {
+    const run = await runPipeline(source, { saveToDb: false });
+
+    expect(run.records).toHaveLength(3);
+    expect(run.saved).toBe(0);
+    expect(source.persist).not.toHaveBeenCalled();
+  });
+});
+
+describe('BaseScraper', () => {
+  const date = new Date('2024-01-15');
+  const prices = [
+    { commodity: 'Well-Milled Rice', price: 45.5, unit: 'per kg', region: 'NCR', source: 'DTI', date },
+    { commodity: 'Well-Milled Rice', price: 47.25, unit: 'per kg', region: 'Region VII', source: 'DTI', date },
+    { commodity: 'Red Onion', price: 95, unit: 'per kg', region: 'NCR', source: 'DTI', date }
+  ];
+
+  beforeEach(() => {
+    prisma.commodityAlias = { findUnique: jest.fn(async () => null) };
+    prisma.category = { findMany: jest.fn(async () => [{ id: 'well-milled', slug: 'grains/rice/well-milled' }]) };
+    prisma.commodity.findFirst = jest.fn(async () => null);
+    prisma.commodity.create = jest.fn(async ({ data }) => ({ id: data.slug, ...data }));
+    prisma.price.upsert = jest.fn(async (query) => query);
+    prisma.$transaction = jest.fn(async (operations) => Promise.all(operations));
+  });
+
+  it('should require subclasses to implement fetch and parse', async () => {
+    const scraper = new BaseScraper({ name: 'Empty Scraper', source: 'TEST' });
+
+    await expect(scraper.scrape()).rejects.toThrow('Empty Scraper must implement fetch()');
+    expect(scraper.getStats().errors).toEqual(['Empty Scraper must implement fetch()']);
+  });
+
+  it('should scrape through the fetch and parse of a subclass', async () => {
+    const scraper = new DTIScraper();
+    const scraped = await scraper.scrape();
+
+    expect(scraped.length).toBeGreaterThan(0);
+    expect(scraped.every(price => price.source === 'DTI')).toBe(true);
+    expect(scraper.getStats().parsed).toBe(scraped.length);
+  });
+
+  it('should resolve each commodity once and categorize it', async () => {
+    const scraper = new DTIScraper();
+    await scraper.saveToDatabase(prices);
+
+    expect(prisma.commodity.create).toHaveBeenCalledTimes(2);
+    expect(prisma.category.findMany).toHaveBeenCalledTimes(1);
+    expect(prisma.commodity.create).toHaveBeenCalledWith({
+      data: {
+        name: 'Well-Milled Rice',
+        category: 'Grains',
+        categoryId: 'well-milled',
+        attributes: { grade: 'Well Milled' },
+        slug: 'well-milled-rice',
+        aliases: { create: { alias: 'Well-Milled Rice', key: 'milled rice well' } }
+      }
+    });
+  });
+
+  it('should store the pack size of each price', async () => {
+    const scraper = new BaseScraper({ name: 'Test Scraper', source: 'TEST' });
+    await scraper.saveToDatabase([{ commodity: 'Chicken Egg', price: 240, unit: 'per tray', region: 'NCR', source: 'DA', date }]);
+
+    expect(prisma.price.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      create: expect.objectContaining({ unit: 'per tray', packSize: 30, standardUnit: 'piece' })
+    }));
+  });
+
+  it('should save prices under the commodity an alias refers to', async () => {
+    const rice = { id: 'regular-milled-rice', name: 'Regular Milled Rice' };
+    prisma.commodityAlias.findUnique = jest.fn(async ({ where }) => (
+      where.key === 'bigas' ? { alias: 'Bigas', key: 'bigas', commodity: rice } : null
+    ));
+
+    const scraper = new BaseScraper({ name: 'Test Scraper', source: 'TEST' });
+    await scraper.saveToDatabase([{ commodity: 'Bigas', price: 42, unit: 'per kg', region: 'NCR', source: 'DA', date }]);
+
+    expect(prisma.commodity.create).not.toHaveBeenCalled();
+    expect(prisma.price.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      create: expect.objectContaining({ commodityId: 'regular-milled-rice' })
+    }));
+  });
+
+  it('should upsert prices in batches inside transactions', async () => {
+    const scraper = new BaseScraper({ name: 'Test Scraper', source: 'TEST', batchSize: 2 });
+    const result = await scraper.saveToDatabase(prices);
+
+    expect(result).toEqual({ saved: 3, skipped: 0, errors: [] });
+    expect(prisma.$transaction).toHaveBeenCalledTimes(2);
+    expect(prisma.price.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        unique_price_entry: {
+          commodityId: 'red-onion',
+          market: '',
+          region: 'NCR',
+          date,
+          source: 'DTI'
+        }
+      }
+    }));
+    expect(scraper.getStats().saved).toBe(3);
+  });
+
+  it('should link prices to the location named in the report', async () => {
+    prisma.location = {
+      findMany: jest.fn(async () => LOCATIONS.map(location => ({ ...location, id: location.code })))
+    };
+
+    const scraper = new BaseScraper({ name: 'Test Scraper', source: 'TEST' });
+    await scraper.saveToDatabase([
+      ...prices,
+      { commodity: 'Red Onion', price: 98, unit: 'per kg', region: 'Visayas', city: 'Cebu City', source: 'DTI', date }
+    ]);
+
+    const locationIds = prisma.price.upsert.mock.calls.map(([query]) => query.create.locationId);
+    expect(locationIds).toEqual(['1300000000', '0700000000', '1300000000', '0730600000']);
+
+    delete prisma.location;
+  });
+
+  it('should skip a batch whose transaction fails', async () => {
+    prisma.$transaction
+      .mockImplementationOnce(async () => { throw new Error('deadlock detected'); });
+
+    const scraper = new BaseScraper({ name: 'Test Scraper', source: 'TEST', batchSize: 2 });
+    const result = await scraper.saveToDatabase(prices);
+
+    expect(result.saved).toBe(1);
+    expect(result.skipped).toBe(2);
+    expect(result.errors).toEqual(['Failed to save prices 1-2: deadlock detected']);
+  });
+});
+
+describe('Commodity Merge', () => {
+  const day = new Date('2025-06-26');
+  const nextDay = new Date('2025-06-27');
+
+  it('should move rows to the kept commodity and drop duplicates of its own', async () => {
+    const rows = {
+      price: [
+        { id: 'p1', commodityId: 'rmr', market: '', region: 'NCR', date: day, source: 'DA' },
+        { id: 'p2', commodityId: 'rmr', market: '', region: 'NCR', date: nextDay, source: 'DA' },
+        { id: 'p3', commodityId: 'rice', market: '', region: 'NCR', date: day, source: 'DA' }
+      ],
+      priceRange: [],
+      fuelPrice: []
+    };
+    const model = (name) => ({
+      findMany: jest.fn(async ({ where }) => rows[name].filter(row =>
+        row.commodityId === where.commodityId && (!where.date || where.date.in.some(date => date.getTime() === row.date.getTime()))
+      )),
+      deleteMany: jest.fn(async ({ where }) => {
+        rows[name] = rows[name].filter(row => !where.id.in.includes(row.id));
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const moved = rows[name].filter(row => row.commodityId === where.commodityId);
+        moved.forEach(row => { row.commodityId = data.commodityId; });
+        return { count: moved.length };
+      })
+    });
+    const tx = {
+      commodity: {
+        findUnique: jest.fn(async ({ where }) => ({ id: where.id, name: where.id === 'rmr' ? 'RMR Rice' : 'Regular Milled Rice' })),
+        delete: jest.fn()
+      },
+      price: model('price'),
+      priceRange: model('priceRange'),
+      fuelPrice: model('fuelPrice'),
+      suggestedRetailPrice: { updateMany: jest.fn(async () => ({ count: 0 })) },
+      commodityAlias: { updateMany: jest.fn(async () => ({ count: 1 })), upsert: jest.fn() },
+      basketItem: { findMany: jest.fn(async () => []) }
+    };
+    prisma.$transaction = jest.fn(async (callback) => callback(tx));
+
+    const result = await mergeCommodities('rmr', 'rice');
+
+    expect(result.moved.price).toEqual({ moved: 1, duplicates: 1 });
+    expect(rows.price.map(row => [row.id, row.commodityId])).toEqual([['p2', 'rice'], ['p3', 'rice']]);
+    expect(tx.commodityAlias.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { key: 'rice rmr' },
+      update: { commodityId: 'rice' }
+    }));
+    expect(tx.commodity.delete).toHaveBeenCalledWith({ where: { id: 'rmr' } });
+  });
+
+  it('should move basket items and combine them with the kept commodity in the same basket', async () => {
+    let items = [
+      { id: 'i1', basketId: 'family', commodityId: 'rmr', quantity: 20, unit: 'kg', weight: 0.1 },
+      { id: 'i2', basketId: 'family', commodityId: 'rice', quantity: 30, unit: 'kg', weight: 0.2 },
+      { id: 'i3', basketId: 'student', commodityId: 'rmr', quantity: 5, unit: 'kg', weight: null }
+    ];
+    const matches = where => item => item.commodityId === where.commodityId && (!where.basketId || where.basketId.in.includes(item.basketId));
+    const empty = { findMany: jest.fn(async () => []), updateMany: jest.fn(async () => ({ count: 0 })) };
+    const tx = {
+      commodity: {
+        findUnique: jest.fn(async ({ where }) => ({ id: where.id, name: where.id === 'rmr' ? 'RMR Rice' : 'Regular Milled Rice' })),
+        delete: jest.fn()
+      },
+      price: empty,
+      priceRange: empty,
+      fuelPrice: empty,
+      suggestedRetailPrice: { updateMany: jest.fn(async () => ({ count: 0 })) },
+      commodityAlias: { updateMany: jest.fn(async () => ({ count: 0 })), upsert: jest.fn() },
+      basketItem: {
+        findMany: jest.fn(async ({ where }) => items.filter(matches(where))),
+        update: jest.fn(async ({ where, data }) => Object.assign(items.find(item => item.id === where.id), data)),
+        delete: jest.fn(async ({ where }) => { items = items.filter(item => item.id !== where.id); }),
+        updateMany: jest.fn(async ({ where, data }) => {
+          const moved = items.filter(matches(where));
+          moved.forEach(item => { item.commodityId = data.commodityId; });
+          return { count: moved.length };
+        })
+      }
+    };
+    prisma.$transaction = jest.fn(async (callback) => callback(tx));
+
+    const result = await mergeCommodities('rmr', 'rice');
+
+    expect(result.moved.basketItem).toEqual({ moved: 1, duplicates: 1 });
+    expect(items.map(item => [item.id, item.basketId, item.commodityId, item.quantity])).toEqual([
+      ['i2', 'family', 'rice', 50],
+      ['i3', 'student', 'rice', 5]
+    ]);
+    expect(items[0].weight).toBeCloseTo(0.3);
+  });
+
+  it('should save a later scrape under the kept commodity', async () => {
+    const dtiWeb = require('../scrapers/sources/dti_web');
+    const commodities = { rmr: { id: 'rmr', name: 'RMR Rice' }, rice: { id: 'rice', name: 'Regular Milled Rice' } };
+    const aliases = { 'rice rmr': 'rmr', 'milled regular rice': 'rice' };
+    const empty = { findMany: jest.fn(async () => []), updateMany: jest.fn(async () => ({ count: 0 })) };
+    const tx = {
+      commodity: {
+        findUnique: jest.fn(async ({ where }) => commodities[where.id]),
+        delete: jest.fn(async ({ where }) => { delete commodities[where.id]; })
+      },
+      price: empty,
+      priceRange: empty,
+      fuelPrice: empty,
+      suggestedRetailPrice: empty,
+      basketItem: empty,
+      commodityAlias: {
+        updateMany: jest.fn(async () => ({ count: 0 })),
+        upsert: jest.fn(async ({ where, update }) => { aliases[where.key] = update.commodityId; })
+      }
+    };
+    prisma.commodityAlias = {
+      findUnique: jest.fn(async ({ where }) => (aliases[where.key] ? { commodity: commodities[aliases[where.key]] } : null))
+    };
+    prisma.commodity.findFirst = jest.fn(async () => null);
+    prisma.price.upsert = jest.fn(async (query) => query);
+    prisma.$transaction = jest.fn(async (operations) => (
+      typeof operations === 'function' ? operations(tx) : Promise.all(operations)
+    ));
+    const prices = [{ commodity: 'RMR Rice', price: 45, unit: 'per kg', region: 'NCR', source: 'DTI', date: day }];
+
+    await dtiWeb.persist(prices);
+    await mergeCommodities('rmr', 'rice');
+    await dtiWeb.persist(prices);
+
+    const commodityIds = prisma.price.upsert.mock.calls.map(([query]) => query.create.commodityId);
+    expect(commodityIds).toEqual(['rmr', 'rice']);
+  });
+});
+
+describe('Ingestion Runs', () => {
+  beforeEach(() => {
+    prisma.ingestionRun = {
+      create: jest.fn(async ({ data }) => ({ id: 'run-1', ...data })),
+      update: jest.fn(async ({ data }) => ({ id: 'run-1', source: 'doe', ...data }))
+    };
+  });
+
+  it('should record the start of a run', async () => {
+    const run = await startRun('doe', 'cron');
+
+    expect(run).toEqual({ id: 'run-1', source: 'doe', trigger: 'cron', status: 'running' });
+    await expect(startRun('doe', 'webhook')).rejects.toThrow('Unknown trigger: webhook');
+  });
+
+  it('should not stop ingestion when the run cannot be recorded', async () => {
+    prisma.ingestionRun.create.mockRejectedValueOnce(new Error('relation "ingestion_runs" does not exist'));
+
+    expect(await startRun('doe')).toBeNull();
+    expect(await finishRun(null, { saved: 10 })).toBeNull();
+    expect(prisma.ingestionRun.update).not.toHaveBeenCalled();
+  });
+
+  it('should record the counts of a finished run', async () => {
+    await finishRun({ id: 'run-1', source: 'doe' }, {
+      files: ['week-1.pdf', 'week-2.pdf'],
+      found: 12,
+      saved: 10,
+      skipped: 1,
+      rejected: 1,
+      errors: ['Invalid date "2025-13-01" for Diesel (week-2.pdf)']
+    });
+
+    expect(prisma.ingestionRun.update).toHaveBeenCalledWith({
+      where: { id: 'run-1' },
+      data: expect.objectContaining({
+        status: 'partial',
+        filesProcessed: 2,
+        files: ['week-1.pdf', 'week-2.pdf'],
+        rowsFound: 12,
+        rowsSaved: 10,
+        rowsSkipped: 1,
+        rowsRejected: 1,
+        finishedAt: expect.any(Date)
+      })
+    });
+  });
+
+  it('should derive the run status from its result', () => {
+    expect(getRunStatus({ saved: 3, errors: [] })).toBe('success');
+    expect(getRunStatus({ saved: 3, errors: ['broken.pdf: Could not parse PDF'] })).toBe('partial');
+    expect(getRunStatus({ failed: true, errors: ['ENOENT'] })).toBe('failed');
+  });
+});
+
+describe('Source Document Provenance', () => {
+  const sourceDocument = describeDocument(Buffer.from('%PDF-1.4 test report'), {
+    filename: 'Price-Monitoring-June-26-2025.pdf',
+    source: 'DA',
+    reportDate: '2025-06-26',
+    pageCount: 2,
+    storagePath: 'pdf/DA/bantaypresyo/ncr/Price-Monitoring-June-26-2025.pdf'
+  });
+
+  beforeEach(() => {
+    prisma.sourceDocument = {
+      upsert: jest.fn(async ({ create }) => ({ id: 'doc-1', ...create }))
+    };
+  });
+
+  it('should describe a document by its SHA-256', () => {
+    expect(sourceDocument.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(sourceDocument).toMatchObject({
+      filename: 'Price-Monitoring-June-26-2025.pdf',
+      source: 'DA',
+      reportDate: '2025-06-26',
+      pageCount: 2
+    });
+    expect(describeDocument(Buffer.from('%PDF-1.4 test report'), { filename: 'copy.pdf', source: 'DA' }).sha256)
+      .toBe(sourceDocument.sha256);
+  });
+
+  it('should save each document once and link entries to it', async () => {
+    const entries = [
+      { commodity: 'Rice', sourceDocument, page: 1, rawLine: '45.00-48.00' },
+      { commodity: 'Rice', sourceDocument, page: 2, rawLine: '46.00-49.00' },
+      { commodity: 'Tomato' }
+    ];
+
+    const documentIds = await saveSourceDocuments(entries);
+
+    expect(prisma.sourceDocument.upsert).toHaveBeenCalledTimes(1);
+    expect(prisma.sourceDocument.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { sha256: sourceDocument.sha256 }
+    }));
+    expect(provenanceOf(entries[1], documentIds)).toEqual({
+      sourceDocumentId: 'doc-1',
+      page: 2,
+      rawLine: '46.00-49.00'
+    });
+    expect(provenanceOf(entries[2], documentIds)).toEqual({
+      sourceDocumentId: null,
+      page: null,
+      rawLine: null
+    });
+  });
+
+  it('should read the text on a baseline from left to right', () => {
+    const items = [
+      item('56.05', 200, 400),
+      item('Taguig City', 20, 401),
+      item('RON 91', 100, 400),
+      item('DIESEL', 100, 380)
+    ];
+
+    expect(lineAt(items, 400)).toBe('Taguig City RON 91 56.05');
+  });
+});
+
+describe('PDF Uploads', () => {
+  const fs = require('fs');
+
+  beforeEach(() => {
+    fs.mkdirSync = jest.fn();
+  });
+
+  it('should only accept uploads for PDF sources', () => {
+    expect(getUploadSource('DOE').name).toBe('doe');
+    expect(() => getUploadSource('dti-web')).toThrow('Unknown upload source: dti-web');
+    expect(() => getUploadSource(undefined)).toThrow('Unknown upload source: undefined');
+  });
+
+  it('should resolve the declared region against the source regions', () => {
+    expect(resolveUploadRegion(getUploadSource('doe'), 'luzon')).toBe('Luzon');
+    expect(resolveUploadRegion(getUploadSource('dti'))).toBe('Nationwide');
+    expect(() => resolveUploadRegion(getUploadSource('da'))).toThrow('Region is required for da uploads');
+    expect(() => resolveUploadRegion(getUploadSource('doe'), 'Region XIII'))
+      .toThrow('Unknown doe region: Region XIII');
+  });
+
+  it('should store uploads by source and hash under their original filename', () => {
+    const content = Buffer.from('%PDF-1.4');
+    const filePath = storeUpload(content, { source: 'da', sha256: 'abc123', filename: '../June 17, 2025.pdf' });
+
+    expect(filePath).toBe(`${UPLOAD_DIR}/da/abc123/June 17, 2025.pdf`);
+    expect(fs.mkdirSync).toHaveBeenCalledWith(`${UPLOAD_DIR}/da/abc123`, { recursive: true });
+    expect(fs.writeFileSync).toHaveBeenCalledWith(filePath, content);
+  });
+
+  describe('uploadDocument', () => {
+    const file = { name: 'June 17, 2025.pdf', data: Buffer.from('%PDF-1.4 report'), truncated: false };
+
+    const upload = async (previous) => {
+      const queue = {
+        addJob: jest.fn(async (name, data, opts) => ({ id: opts.jobId, name, data })),
+        getJob: jest.fn(async () => previous),
+        removeJob: jest.fn(async () => true),
+        isQueueAvailable: () => true
+      };
+      let uploadDocument;
+      jest.isolateModules(() => {
+        jest.doMock('../src/config/database', () => ({ sourceDocument: { findUnique: jest.fn(async () => null) } }));
+        jest.doMock('../src/utils/queue', () => queue);
+        jest.doMock('../scrapers/uploads', () => ({
+          ...jest.requireActual('../scrapers/uploads'),
+          storeUpload: jest.fn(() => `${UPLOAD_DIR}/dti/report.pdf`)
+        }));
+        ({ uploadDocument } = require('../src/controllers/uploadController'));
+      });
+
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      const next = jest.fn();
+      await uploadDocument({ files: { file }, body: { source: 'dti' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      return { queue, res };
+    };
+
+    it('should queue a file again after its parse job failed', async () => {
+      const { queue, res } = await upload({ id: 'parse-pdf-abc', state: 'failed' });
+      const [jobId] = queue.removeJob.mock.calls[0];
+
+      expect(jobId).toMatch(/^parse-pdf-[0-9a-f]{64}$/);
+      expect(queue.removeJob.mock.invocationCallOrder[0]).toBeLessThan(queue.addJob.mock.invocationCallOrder[0]);
+      expect(queue.addJob).toHaveBeenCalledWith('parse-pdf', expect.objectContaining({ source: 'dti' }), { jobId });
+      expect(res.status).toHaveBeenCalledWith(202);
+    });
+
+    it('should keep a parse job that is still queued', async () => {
+      const { queue, res } = await upload({ id: 'parse-pdf-abc', state: 'waiting' });
+
+      expect(queue.removeJob).not.toHaveBeenCalled();
+      expect(queue.addJob).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(202);
+    });
+  });
+});
+
+describe('Job Processors', () => {
+  const loadJobs = (runAllScrapers) => {
+    let jobs;
+    jest.isolateModules(() => {
+      jest.doMock('../scrapers/run_all', () => ({ runAllScrapers }));
+      jobs = require('../scrapers/jobs');
+    });
+    return jobs;
+  };
+
+  const sourceResult = (overrides) => ({
+    success: true,
+    runId: 'run-1',
+    documents: 2,
+    pricesFound: 40,
+    pricesSaved: 38,
+    pricesSkipped: 2,
+    pricesRejected: 5,
+    pricesQuarantined: 1,
+    pricesFlagged: 2,
+    errors: [],
+    ...overrides
+  });
+
+  const createJob = (data) => ({ data, updateProgress: jest.fn() });
+
+  it('should report progress and return the counts of scrape jobs', async () => {
+    const runAllScrapers = jest.fn(async (saveToDb, outputToFile, options) => {
+      await options.onProgress(0.5);
+      await options.onProgress(0.501);
+      await options.onProgress(1);
+      return {
+        errors: ['dti: timeout'],
+        scrapers: {
+          doe: sourceResult(),
+          dti: sourceResult({ success: false, runId: 'run-2', documents: 0, pricesFound: 0, pricesSaved: 0, pricesSkipped: 0, pricesRejected: 0, pricesQuarantined: 0, pricesFlagged: 0, errors: ['timeout'] })
+        }
+      };
+    });
+    const { processScrapeJob } = loadJobs(runAllScrapers);
+    const job = createJob({ sources: ['doe', 'dti'], trigger: 'cron' });
+
+    const result = await processScrapeJob(job);
+
+    expect(runAllScrapers).toHaveBeenCalledWith(true, false, expect.objectContaining({ sources: ['doe', 'dti'], trigger: 'cron' }));
+    expect(job.updateProgress.mock.calls).toEqual([[50], [100]]);
+    expect(result.sources.doe).toEqual({
+      success: true,
+      runId: 'run-1',
+      documents: 2,
+      parsed: 45,
+      saved: 38,
+      skipped: 2,
+      rejected: 5,
+      quarantined: 1,
+      flagged: 2,
+      errors: []
+    });
+    expect(result).toEqual(expect.objectContaining({ parsed: 45, saved: 38, skipped: 2, rejected: 5, quarantined: 1, flagged: 2, errors: ['dti: timeout'] }));
+  });
+
+  it('should fail scrape jobs when every source failed so they are retried', async () => {
+    const { processScrapeJob } = loadJobs(jest.fn(async () => ({
+      errors: ['doe: ECONNRESET'],
+      scrapers: { doe: sourceResult({ success: false, errors: ['ECONNRESET'] }) }
+    })));
+
+    await expect(processScrapeJob(createJob({ sources: ['doe'] })))
+      .rejects.toThrow('All sources failed: doe: ECONNRESET');
+  });
+});
+
+describe('Parse Review Quarantine', () => {
+  beforeEach(() => {
+    prisma.sourceDocument = {
+      upsert: jest.fn(async ({ where }) => ({ id: `doc-${where.sha256}` }))
+    };
+    prisma.quarantinedRow = {
+      upsert: jest.fn(async ({ create }) => ({ id: 'row-1', ...create }))
+    };
+  });
+
+  it('should lower the confidence by the penalty of each failed check', () => {
+    expect(scoreConfidence([
+      { failed: true, penalty: 0.3, reason: 'No unit' },
+      { failed: false, penalty: 0.5, reason: 'Price out of range' },
+      { failed: true, penalty: 0.4, reason: 'No category' }
+    ])).toEqual({ confidence: 0.3, reasons: ['No unit', 'No category'] });
+    expect(scoreConfidence([{ failed: true, penalty: 0.7, reason: 'A' }, { failed: true, penalty: 0.6, reason: 'B' }]).confidence).toBe(0);
+  });
+
+  it('should flag DTI prices read from a date header', () => {
+    const entry = { name: 'Saba Phil. Sardines', category: 'CANNED SARDINES', netContent: '155g', srp: 17.25 };
+
+    expect(scoreSRP(entry)).toEqual({ confidence: 1, reasons: [] });
+    expect(scoreSRP({ ...entry, srp: 2025, category: null })).toEqual({
+      confidence: 0.1,
+      reasons: ['Price looks like a year', 'No category heading above the product']
+    });
+  });
+
+  it('should flag DOE prices outside the pump price range', () => {
+    const entry = { minPrice: 53.9, maxPrice: 59.25, commonPrice: null, city: 'Caloocan City', province: null };
+
+    expect(scoreFuelPrice(entry).confidence).toBe(1);
+    expect(scoreFuelPrice({ ...entry, minPrice: 5.5 })).toEqual({
+      confidence: 0.2,
+      reasons: ['Price outside the usual range of pump prices', 'Maximum price more than 1.5 times the minimum']
+    });
+  });
+
+  it('should trust DA ranges from the generic format less', () => {
+    const range = { minPrice: 45, maxPrice: 50, market: 'Balintawak Market' };
+
+    expect(scorePriceRange(range, false).confidence).toBe(1);
+    expect(scorePriceRange({ ...range, market: undefined }, true).confidence).toBe(0.7);
+    expect(scorePriceRange({ ...range, minPrice: 6, maxPrice: 26, market: '' }, false)).toEqual({
+      confidence: 0.3,
+      reasons: ['Maximum price more than 3 times the minimum', 'No market heading above the prices']
+    });
+  });
+
+  it('should split rows on the quarantine threshold', () => {
+    const rows = [{ srp: 17.25, confidence: 1 }, { srp: 2025, confidence: 0.4 }, { price: 10 }];
+    const { accepted, quarantined } = splitByConfidence(rows, 0.6);
+
+    expect(accepted).toEqual([rows[0], rows[2]]);
+    expect(quarantined).toEqual([rows[1]]);
+  });
+
+  it('should store quarantined rows once with their provenance', async () => {
+    const sourceDocument = { filename: 'bulletin.pdf', sha256: 'abc' };
+    const row = { name: 'Header', srp: 2025, sourceDocument, page: 1, rawLine: 'FEBRUARY 2025', confidence: 0.4, reasons: ['Price looks like a year'] };
+
+    const result = await quarantineEntries([row, { ...row }], { source: 'dti', dataset: 'suggested_retail_prices' });
+
+    expect(result).toEqual({ quarantined: 2, errors: [] });
+    const [first, second] = prisma.quarantinedRow.upsert.mock.calls.map(([args]) => args);
+    expect(first.where.fingerprint).toBe(second.where.fingerprint);
+    expect(first.update).toEqual({ confidence: 0.4, reasons: ['Price looks like a year'] });
+    expect(first.create).toMatchObject({
+      source: 'dti',
+      dataset: 'suggested_retail_prices',
+      data: { name: 'Header', srp: 2025, sourceDocument, page: 1, rawLine: 'FEBRUARY 2025' },
+      sourceDocumentId: 'doc-abc',
+      page: 1,
+      rawLine: 'FEBRUARY 2025'
+    });
+  });
+
+  it('should quarantine low-confidence records instead of persisting them', async () => {
+    const source = registerSource({
+      name: 'quarantine-source',
+      dataset: 'suggested_retail_prices',
+      fetch: jest.fn(async () => [{ filename: 'bulletin.pdf' }]),
+      parse: jest.fn(async () => [{ srp: 17.25, confidence: 1 }, { srp: 2025, confidence: 0.4, reasons: ['Price looks like a year'] }]),
+      persist: jest.fn(async (records) => ({ saved: records.length, skipped: 0, errors: [] }))
+    });
+
+    const run = await runPipeline(source);
+
+    expect(source.persist).toHaveBeenCalledWith([{ srp: 17.25, confidence: 1 }], expect.anything());
+    expect(prisma.quarantinedRow.upsert).toHaveBeenCalledTimes(1);
+    expect(run).toMatchObject({ found: 2, saved: 1, quarantined: 1 });
+  });
+}); 
+
+describe('Price Anomaly Detection', () => {
+  const history = [
+    ['2025-06-02', 45], ['2025-06-05', 46], ['2025-06-09', 45.5], ['2025-06-12', 46], ['2025-06-16', 47], ['2025-06-16', 45]
+  ].map(([date, price]) => ({ date, price, commodityId: 'rice', region: 'NCR', unit: 'per kg' }));
+  const row = { commodity: 'Well-Milled Rice', price: 46.5, unit: 'per kg', region: 'NCR', source: 'DA', date: '2025-06-19' };
+
+  beforeEach(() => {
+    prisma.commodityAlias = {
+      findUnique: jest.fn(async () => ({ commodity: { id: 'rice', name: 'Well-Milled Rice' } }))
+    };
+    prisma.price.findMany.mockResolvedValue(history.map(entry => ({ ...entry, date: new Date(entry.date) })));
+    prisma.sourceDocument = { upsert: jest.fn() };
+    prisma.quarantinedRow = { upsert: jest.fn() };
+    prisma.priceAnomaly = { upsert: jest.fn(), updateMany: jest.fn(async () => ({ count: 1 })) };
+  });
+
+  it('should score prices against the median and the last observed day', () => {
+    const observations = history.map(entry => ({ date: new Date(entry.date), price: entry.price }));
+    const date = new Date('2025-06-19');
+
+    expect(scoreAnomaly(46.5, observations, { unit: 'per kg', date })).toEqual({ median: 45.75, zScore: 0.22, change: 0.0109, reasons: [] });
+    expect(scoreAnomaly(460, observations, { unit: 'per kg', date })).toEqual({
+      median: 45.75,
+      zScore: 122.15,
+      change: 9,
+      reasons: ['Robust z-score of 122.15 against a median of 45.75 over 90 days', 'Price changed by 900% from 46 on 2025-06-16']
+    });
+    // Too little history for a z-score, and the last day too long ago for a jump
+    expect(scoreAnomaly(80, observations.slice(0, 2), { unit: 'per kg', date })).toEqual({ median: null, zScore: null, change: null, reasons: [] });
+  });
+
+  it('should bound prices per kg, liter or piece', () => {
+    const date = new Date('2025-02-01');
+
+    expect(scoreAnomaly(2025, [], { unit: '155g', date }).reasons).toEqual(['Price of 13064.52 per kg is outside 1-5000']);
+    expect(scoreAnomaly(17.25, [], { unit: '155g', date }).reasons).toEqual([]);
+    expect(scoreAnomaly(0.2, [], { unit: 'per liter', date }).reasons).toEqual(['Price of 0.2 per L is outside 1-2000']);
+    // Sacks have no standard size
+    expect(scoreAnomaly(2025, [], { unit: 'per sack', date }).reasons).toEqual([]);
+    expect(scoreAnomaly(0, [], { unit: 'per sack', date }).reasons).toEqual(['Price is not positive']);
+  });
+
+  it('should compare incoming prices with the stored prices of their commodity, region and unit', async () => {
+    const misread = { ...row, price: 460 };
+    const anomalies = await detectAnomalies([row, misread, { ...row, commodity: undefined, price: 10 }], 'prices');
+
+    expect(prisma.commodityAlias.findUnique).toHaveBeenCalledTimes(1);
+    expect(prisma.price.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        OR: [{ commodityId: 'rice', region: 'NCR', unit: 'per kg' }],
+        date: { gte: new Date('2025-03-21'), lt: new Date('2025-06-19') }
+      }
+    }));
+    expect(anomalies).toHaveLength(1);
+    expect(anomalies[0]).toMatchObject({ record: misread, price: 460, median: 45.75, change: 9 });
+    expect(await detectAnomalies([row], 'unknown_dataset')).toEqual([]);
+  });
+
+  it('should still bound prices when the history cannot be loaded', async () => {
+    prisma.suggestedRetailPrice = { findMany: jest.fn(async () => { throw new Error('connection refused'); }) };
+    const srp = { name: 'Saba Phil. Sardines', netContent: '155g', area: 'Nationwide', srp: 2025, effectiveDate: '2025-02-01' };
+
+    const anomalies = await detectAnomalies([srp], 'suggested_retail_prices');
+
+    expect(anomalies.map(anomaly => anomaly.reasons)).toEqual([['Price of 13064.52 per kg is outside 1-5000']]);
+  });
+
+  it('should hold anomalies with their parse reasons', () => {
+    const records = [row, { ...row, price: 460, confidence: 0.9, reasons: ['No market heading above the prices'] }];
+    const { accepted, held } = holdAnomalies(records, [{ record: records[1], reasons: ['Price changed by 900% from 46 on 2025-06-16'] }]);
+
+    expect(accepted).toEqual([row]);
+    expect(held).toEqual([{
+      ...records[1],
+      reasons: ['No market heading above the prices', 'Price changed by 900% from 46 on 2025-06-16']
+    }]);
+  });
+
+  it('should quarantine and record anomalies instead of persisting them', async () => {
+    const source = registerSource({
+      name: 'anomaly-source',
+      fetch: jest.fn(async () => [{ filename: 'report.pdf' }]),
+      parse: jest.fn(async () => [row, { ...row, market: 'Balintawak Market', price: 460 }]),
+      persist: jest.fn(async (records) => ({ saved: records.length, skipped: 0, errors: [] }))
+    });
+
+    const run = await runPipeline(source);
+
+    expect(source.persist).toHaveBeenCalledWith([row], expect.anything());
+    expect(prisma.quarantinedRow.upsert.mock.calls[0][0].create).toMatchObject({
+      dataset: 'prices',
+      confidence: 1,
+      data: { market: 'Balintawak Market', price: 460 }
+    });
+    const [[{ where, create }]] = prisma.priceAnomaly.upsert.mock.calls;
+    expect(where.fingerprint).toBe(prisma.quarantinedRow.upsert.mock.calls[0][0].where.fingerprint);
+    expect(create).toMatchObject({ source: 'anomaly-source', commodity: 'Well-Milled Rice', region: 'NCR', price: 460, action: 'held' });
+    expect(run).toMatchObject({ found: 2, saved: 1, quarantined: 1, flagged: 1 });
+  });
+
+  it('should hold anomalies of a parser run from the command line instead of saving them', async () => {
+    const { getSource } = require('../scrapers/sources');
+    const dtiParser = require('../scrapers/pdf/dti_parser');
+    const srp = { name: 'Saba Phil. Sardines', netContent: '155g', category: 'CANNED SARDINES', area: 'Nationwide', outlet: 'all', srp: 17.5, source: 'DTI', effectiveDate: '2025-02-01', confidence: 1 };
+    // The year of the bulletin read as a price
+    const misread = { ...srp, name: 'Mikado Regular Lid', srp: 2025 };
+    const parse = jest.spyOn(getSource('dti'), 'parse').mockResolvedValue([srp, misread]);
+    prisma.suggestedRetailPrice = { findMany: jest.fn(async () => []), upsert: jest.fn() };
+    prisma.ingestionRun = {
+      create: jest.fn(async ({ data }) => ({ id: 'run-1', ...data })),
+      update: jest.fn(async ({ data }) => ({ id: 'run-1', ...data }))
+    };
+
+    await dtiParser.main(['pdf/DTI/bulletin.pdf', '--no-file']);
+
+    expect(parse).toHaveBeenCalledWith({ path: 'pdf/DTI/bulletin.pdf', filename: 'bulletin.pdf' }, expect.anything());
+    expect(prisma.suggestedRetailPrice.upsert).toHaveBeenCalledTimes(1);
+    expect(prisma.suggestedRetailPrice.upsert.mock.calls[0][0].create).toMatchObject({ name: 'Saba Phil. Sardines', srp: 17.5 });
+    expect(prisma.quarantinedRow.upsert.mock.calls[0][0].create).toMatchObject({
+      source: 'dti',
+      dataset: 'suggested_retail_prices',
+      data: { name: 'Mikado Regular Lid', srp: 2025 }
+    });
+    expect(prisma.priceAnomaly.upsert.mock.calls[0][0].create).toMatchObject({ source: 'dti', price: 2025, action: 'held' });
+    expect(prisma.ingestionRun.update.mock.calls[0][0].data).toMatchObject({ rowsFound: 2, rowsSaved: 1, rowsQuarantined: 1, rowsFlagged: 1 });
+    parse.mockRestore();
+  });
+
+  it('should keep the review of an anomaly recorded again', async () => {
+    const anomaly = { record: { ...row, price: 460 }, price: 460, date: new Date('2025-06-19'), median: 45.75, zScore: 122.15, change: 9, reasons: ['Price changed'] };
+
+    await recordAnomalies([anomaly], { source: 'da', dataset: 'prices', action: 'hold' });
+
+    const [[{ where, update }]] = prisma.priceAnomaly.upsert.mock.calls;
+    expect(update).not.toHaveProperty('action');
+    expect(prisma.priceAnomaly.updateMany).toHaveBeenCalledWith({
+      where: { fingerprint: where.fingerprint, action: { notIn: ['approved', 'rejected'] } },
+      data: { action: 'held' }
+    });
+  });
+
+  describe('review of held rows', () => {
+    const { approveQuarantinedRow, rejectQuarantinedRow } = require('../src/controllers/quarantineController');
+    const held = { id: 'row-1', fingerprint: 'abc', source: 'held-source', dataset: 'prices', status: 'pending', data: { ...row, price: 460 } };
+
+    beforeAll(() => {
+      registerSource({
+        name: 'held-source',
+        fetch: jest.fn(),
+        parse: jest.fn(),
+        persist: jest.fn(async records => ({ saved: records.length, skipped: 0, errors: [] }))
+      });
+    });
+
+    beforeEach(() => {
+      prisma.quarantinedRow = {
+        findUnique: jest.fn(async () => held),
+        update: jest.fn(async ({ where, data }) => ({ ...held, ...where, ...data }))
+      };
+      prisma.$transaction = jest.fn(operations => Promise.all(operations));
+    });
+
+    it.each([
+      ['approved', approveQuarantinedRow],
+      ['rejected', rejectQuarantinedRow]
+    ])('should mark the held anomaly %s with its row', async (action, review) => {
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+
+      await review({ params: { id: 'row-1' }, body: {} }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.priceAnomaly.updateMany).toHaveBeenCalledWith({ where: { fingerprint: 'abc', action: 'held' }, data: { action } });
+      expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ id: 'row-1', status: action });
+    });
+  });
+}); 
\ No newline at end of file
@@ -63,8 +63,9 @@ jest.mock('axios', () => ({
 // Mock pdf-parse
 jest.mock('pdf-parse', () => jest.fn());
 
-// Mock Prisma client
+// Mock Prisma client, keeping the Prisma namespace that builds raw SQL queries
 jest.mock('@prisma/client', () => ({
+  Prisma: jest.requireActual('@prisma/client').Prisma,
   PrismaClient: jest.fn().mockImplementation(() => ({
     $connect: jest.fn(),
     $disconnect: jest.fn(),
@@ -11,6 +11,41 @@ const {
 // Import actual response utilities with correct names
 const { createResponse, createPaginatedResponse, createErrorResponse } = require('../src/utils/response');
 
+const {
+  normalizeMarketName,
+  generateMarketSlug,
+  inferMarketType,
+  looksLikeMarket,
+  createMarketResolver
+} = require('../utils/marketResolver');
+const KNOWN_MARKETS = require('../src/database/markets');
+
+const { normalizeLocationName, createLocationResolver } = require('../utils/locationResolver');
+const LOCATIONS = require('../src/database/locations');
+const { buildLocationConditions, buildLocationSql } = require('../src/utils/locations');
+const { parseList } = require('../src/utils/query');
+
+const {
+  parseNetContent,
+  areaCoversRegion,
+  outletForMarketType,
+  referencesInEffect,
+  matchReferences,
+  checkCompliance
+} = require('../utils/srpMatcher');
+const { CATEGORIES, classifyCommodity, inferCategory, generateSlug } = require('../utils/commodityTaxonomy');
+const { buildCategoryCondition, buildCategoryTree } = require('../src/utils/categories');
+const { commodityAliasKey, createCommodityResolver } = require('../utils/commodityResolver');
+const COMMODITY_ALIASES = require('../src/database/commodityAliases');
+const { parseUnit, packSizeOf, normalizeUnitPrice } = require('../utils/unitNormalizer');
+const { withNormalizedPrice } = require('../src/utils/units');
+const { truncateDate, buildSeriesQuery, buildSeries } = require('../src/utils/series');
+const { resolveChangeWindow, buildChangesQuery, toPriceChange, findMovers } = require('../src/utils/changes');
+const { buildComparisonQuery, dominantUnit, comparePrices, buildComparisonTable } = require('../src/utils/comparison');
+const { buildLatestPricesQuery, buildLatestPricesCountQuery } = require('../src/utils/latest');
+const { buildBasketPriceQuery, laspeyresIndex, computeBasketSeries } = require('../src/utils/baskets');
+const BASKETS = require('../src/database/baskets');
+
 describe('Price Normalizer Utilities', () => {
   describe('normalizeCommodityName', () => {
     it('should normalize basic commodity names', () => {
@@ -125,6 +160,14 @@ describe('Price Normalizer Utilities', () => {
       expect(normalizeRegion('central luzon')).toBe('Region III');
     });
 
+    it('should normalize regions added since the old mapping', () => {
+      expect(normalizeRegion('MIMAROPA')).toBe('Region IV-B');
+      expect(normalizeRegion('region 4b')).toBe('Region IV-B');
+      expect(normalizeRegion('Negros Island Region')).toBe('NIR');
+      expect(normalizeRegion('Caraga')).toBe('Region XIII');
+      expect(normalizeRegion('RX')).toBe('Region X');
+    });
+
     it('should return original text for unknown regions', () => {
       expect(normalizeRegion('unknown region')).toBe('unknown region');
       expect(normalizeRegion('custom area')).toBe('custom area');
@@ -636,4 +679,724 @@ describe('Array and Object Utils', () => {
       expect(isEmpty(testObject)).toBe(false);
     });
   });
+});
+
+describe('Market Resolver Utilities', () => {
+  const resolver = createMarketResolver(KNOWN_MARKETS);
+
+  it('should normalize market names and slugs', () => {
+    expect(normalizeMarketName('La Huerta Market/Parañaque')).toBe('la huerta market paranaque');
+    expect(generateMarketSlug('Balintawak (Cloverleaf) Market')).toBe('balintawak-cloverleaf-market');
+    expect(normalizeMarketName(null)).toBe('');
+  });
+
+  it('should infer the market type from the name', () => {
+    expect(inferMarketType('Navotas Fish Port')).toBe('fish_port');
+    expect(inferMarketType('Robinsons Supermarket')).toBe('supermarket');
+    expect(inferMarketType('Quinta Market')).toBe('public_market');
+  });
+
+  it('should detect market headings in report text', () => {
+    expect(looksLikeMarket('Pamilihang Lungsod ng Muntinlupa')).toBe(true);
+    expect(looksLikeMarket('Mega Q-mart/Quezon City')).toBe(true);
+    expect(looksLikeMarket('45.00-48.00')).toBe(false);
+    expect(looksLikeMarket('Tilapia')).toBe(false);
+  });
+
+  it('should resolve printed names and aliases to known markets', () => {
+    expect(resolver.resolve('Agora Public Market/San Juan').name).toBe('Agora Public Market');
+    expect(resolver.resolve('La Huerta Market/Paranaque').name).toBe('La Huerta Market');
+    expect(resolver.resolve('Carmen').name).toBe('Carmen Market');
+  });
+
+  it('should prefer the longest matching name', () => {
+    expect(resolver.resolve('Navotas Agora Market').name).toBe('Navotas Agora Market');
+  });
+
+  it('should return null for unknown markets', () => {
+    expect(resolver.resolve('Some Other Place')).toBeNull();
+    expect(resolver.resolve('')).toBeNull();
+  });
+});
+
+describe('Location Resolver Utilities', () => {
+  const resolver = createLocationResolver(LOCATIONS);
+
+  it('should normalize place names', () => {
+    expect(normalizeLocationName('Parañaque')).toBe('paranaque');
+    expect(normalizeLocationName('Sto. Tomas')).toBe('santo tomas');
+    expect(normalizeLocationName(null)).toBe('');
+  });
+
+  it('should place cities in their province, region and island group', () => {
+    const cebu = resolver.resolve({ region: 'Visayas', city: 'Cebu City' });
+
+    expect(cebu.level).toBe('city');
+    expect(cebu.province).toBe('Cebu');
+    expect(cebu.region).toBe('Region VII');
+    expect(cebu.islandGroup).toBe('Visayas');
+  });
+
+  it('should only match a city inside the printed province', () => {
+    const quezon = resolver.resolve({ region: 'Region X', province: 'Bukidnon', city: 'Quezon' });
+
+    expect(quezon.level).toBe('municipality');
+    expect(quezon.province).toBe('Bukidnon');
+    expect(resolver.resolve({ region: 'NCR', city: 'Quezon City' }).region).toBe('NCR');
+  });
+
+  it('should tell a city from a municipality of the same name', () => {
+    expect(resolver.resolve({ province: 'Camarines Sur', city: 'Naga City' }).level).toBe('city');
+    expect(resolver.resolve({ province: 'Cebu', city: 'Naga' }).region).toBe('Region VII');
+  });
+
+  it('should fall back to the province or region for unknown places', () => {
+    expect(resolver.resolve({ region: 'Region VII', province: 'Cebu', city: 'Somewhere' }).level).toBe('province');
+    expect(resolver.resolve({ region: 'RX' }).name).toBe('Region X');
+    expect(resolver.resolve({ region: 'Nowhere' })).toBeNull();
+  });
+
+  it('should roll region and island group filters up to linked locations', () => {
+    const [region] = buildLocationConditions({ region: 'Central Visayas' });
+    const [group] = buildLocationConditions({ islandGroup: 'visayas' });
+
+    expect(region.OR[1]).toEqual({ location: { is: { region: 'Region VII' } } });
+    expect(region.OR[0].region.in).toContain('Region 7');
+    expect(group.OR[0].region.in).toEqual(expect.arrayContaining(['Visayas', 'Region VII', 'NIR']));
+    expect(buildLocationConditions({})).toEqual([]);
+  });
+
+  it('should reject unknown island groups', () => {
+    expect(() => buildLocationConditions({ islandGroup: 'Palawan' })).toThrow('Invalid islandGroup parameter');
+  });
+
+  it('should match any of several regions or island groups', () => {
+    const [regions] = buildLocationConditions({ region: 'NCR, Region VII' });
+    const [groups] = buildLocationConditions({ islandGroup: ['Luzon', 'Mindanao'] });
+
+    expect(regions.OR).toHaveLength(2);
+    expect(regions.OR[1].OR[1]).toEqual({ location: { is: { region: 'Region VII' } } });
+    expect(groups.OR).toHaveLength(2);
+    expect(() => buildLocationConditions({ islandGroup: 'Luzon,Palawan' })).toThrow('Invalid islandGroup parameter');
+  });
+
+  it('should read comma-separated and repeated query values', () => {
+    expect(parseList('DA, DTI')).toEqual(['DA', 'DTI']);
+    expect(parseList(['DA', 'DOE,'])).toEqual(['DA', 'DOE']);
+    expect(parseList(undefined)).toEqual([]);
+  });
+});
+
+describe('SRP Matcher Utilities', () => {
+  const srp = (fields) => ({
+    source: 'DTI',
+    area: 'Nationwide',
+    outlet: 'all',
+    netContent: '155g',
+    effectiveDate: new Date('2025-02-01'),
+    ...fields
+  });
+
+  const references = [
+    srp({ id: 'saba-ncr', brand: 'Saba Phil. Sardines', area: 'NCR', srp: '17.25' }),
+    srp({ id: 'saba-nat', brand: 'Saba Phil. Sardines', area: 'Visayas & Mindanao', srp: '17.50' }),
+    srp({ id: 'atami', brand: 'Atami', srp: '20.50' }),
+    srp({ id: 'old', brand: 'Atami', srp: '19.00', effectiveDate: new Date('2024-08-01') })
+  ];
+
+  const observation = (fields) => ({
+    name: 'Canned Sardines in Tomato Sauce',
+    unit: '155g',
+    region: 'NCR',
+    marketType: 'public_market',
+    date: new Date('2025-03-01'),
+    ...fields
+  });
+
+  it('should parse net contents into grams and millilitres', () => {
+    expect(parseNetContent('155g')).toEqual({ amount: 155, measure: 'g' });
+    expect(parseNetContent('1kg')).toEqual({ amount: 1000, measure: 'g' });
+    expect(parseNetContent('6.6L')).toEqual({ amount: 6600, measure: 'ml' });
+    expect(parseNetContent('per kg')).toEqual({ amount: 1000, measure: 'g' });
+    expect(parseNetContent('#01')).toBeNull();
+  });
+
+  it('should check whether an SRP area covers a region', () => {
+    expect(areaCoversRegion('Nationwide', 'Region VII')).toBe(true);
+    expect(areaCoversRegion('Luzon', 'calabarzon')).toBe(true);
+    expect(areaCoversRegion('Luzon', 'Region X')).toBe(false);
+    expect(areaCoversRegion('Visayas & Mindanao', 'Davao Region')).toBe(true);
+    expect(areaCoversRegion('NCR', 'Metro Manila')).toBe(true);
+  });
+
+  it('should map market types to outlets', () => {
+    expect(outletForMarketType('supermarket')).toBe('supermarket');
+    expect(outletForMarketType('public_market')).toBe('wet_market');
+    expect(outletForMarketType(undefined)).toBeNull();
+  });
+
+  it('should use the latest bulletin in effect on the observation date', () => {
+    expect(referencesInEffect(references, '2024-12-01').map(reference => reference.id)).toEqual(['old']);
+    expect(referencesInEffect(references, '2025-02-01')).toHaveLength(3);
+    expect(referencesInEffect(references, '2024-01-01')).toEqual([]);
+  });
+
+  it('should match by area, size and brand', () => {
+    expect(matchReferences(observation(), references).map(reference => reference.id)).toEqual(['saba-ncr', 'atami']);
+    expect(matchReferences(observation({ name: 'Atami Sardines' }), references).map(reference => reference.id)).toEqual(['atami']);
+    expect(matchReferences(observation({ unit: '425g' }), references)).toEqual([]);
+  });
+
+  it('should flag prices above the highest applicable SRP', () => {
+    expect(checkCompliance(observation({ price: 20 }), references)).toBeNull();
+    expect(checkCompliance(observation({ price: 22.55 }), references)).toMatchObject({
+      reference: { id: 'atami' },
+      overage: 2.05,
+      overagePercent: 10
+    });
+    expect(checkCompliance(observation({ name: 'Saba Phil. Sardines', price: 19 }), references)).toMatchObject({
+      reference: { id: 'saba-ncr' },
+      overage: 1.75
+    });
+  });
+
+  it('should skip observations without a matching reference', () => {
+    expect(checkCompliance(observation({ price: 99, unit: 'per piece' }), [])).toBeNull();
+  });
+});
+
+describe('Commodity Taxonomy', () => {
+  it('should infer categories from commodity names', () => {
+    expect(inferCategory('Well-Milled Rice')).toBe('Grains');
+    expect(inferCategory('Red Onion')).toBe('Vegetables');
+    expect(inferCategory('Diesel')).toBe('Fuel');
+    expect(inferCategory('Pork Liempo')).toBe('Meat');
+    expect(inferCategory('Bangus (Medium)')).toBe('Fish');
+    expect(inferCategory('Laundry Soap')).toBe('Other');
+    expect(inferCategory('')).toBe('Other');
+  });
+
+  it('should generate slugs from commodity names', () => {
+    expect(generateSlug('Well-Milled Rice')).toBe('well-milled-rice');
+    expect(generateSlug('Bangus (Medium)')).toBe('bangus-medium');
+    expect(generateSlug(' Red  Onion ')).toBe('red-onion');
+  });
+
+  it('should place commodities in the category tree with their variant attributes', () => {
+    expect(classifyCommodity('Well-milled Rice (Imported)')).toEqual({
+      category: 'Grains',
+      slug: 'grains/rice/well-milled/imported',
+      path: ['Grains', 'Rice', 'Well Milled', 'Imported'],
+      attributes: { grade: 'Well Milled', origin: 'Imported' }
+    });
+    expect(classifyCommodity('Fresh Pork Liempo').attributes).toEqual({ cut: 'Liempo' });
+    expect(classifyCommodity('Kamatis').slug).toBe('vegetables/tomato');
+    expect(classifyCommodity('Eggplant').slug).toBe('vegetables/eggplant');
+    expect(classifyCommodity('Sweet Potato').slug).toBe('vegetables/sweet-potato');
+    expect(classifyCommodity('Gasoline (RON 95)').attributes).toEqual({ grade: 'RON 95' });
+  });
+
+  it('should list every category after its parent', () => {
+    const seen = new Set();
+
+    CATEGORIES.forEach(category => {
+      expect(category.parentSlug === null || seen.has(category.parentSlug)).toBe(true);
+      seen.add(category.slug);
+    });
+    expect(seen.size).toBe(CATEGORIES.length);
+  });
+
+  it('should filter on a node of the tree and the nodes below it', () => {
+    const { OR: [byName, byNode] } = buildCategoryCondition('Rice');
+
+    expect(byName).toEqual({ category: { equals: 'Rice', mode: 'insensitive' } });
+    expect(byNode.categoryNode.is.OR).toEqual([{ slug: 'grains/rice' }, { slug: { startsWith: 'grains/rice/' } }]);
+    expect(buildCategoryCondition('meat/pork/liempo').OR[1].categoryNode.is.OR[0]).toEqual({ slug: 'meat/pork/liempo' });
+    expect(buildCategoryCondition('Basic Necessities').OR).toHaveLength(1);
+  });
+
+  it('should filter on any of several categories', () => {
+    const { OR: conditions } = buildCategoryCondition('Rice,Fish');
+
+    expect(conditions.slice(0, 2)).toEqual([
+      { category: { equals: 'Rice', mode: 'insensitive' } },
+      { category: { equals: 'Fish', mode: 'insensitive' } }
+    ]);
+    expect(conditions[2].categoryNode.is.OR).toEqual(expect.arrayContaining([{ slug: 'grains/rice' }, { slug: 'fish' }]));
+  });
+
+  it('should roll counts up the category tree', () => {
+    const tree = buildCategoryTree([
+      { id: 'rice', slug: 'grains/rice', name: 'Rice', parentId: 'grains', depth: 1, position: 0 },
+      { id: 'grains', slug: 'grains', name: 'Grains', parentId: null, depth: 0, position: 0 },
+      { id: 'local', slug: 'grains/rice/local', name: 'Local', parentId: 'rice', depth: 2, position: 0, attribute: 'origin' }
+    ], new Map([['rice', { commodities: 1, prices: 10 }], ['local', { commodities: 2, prices: 5 }]]));
+
+    expect(tree).toHaveLength(1);
+    expect(tree[0].counts).toEqual({ commodities: 3, prices: 15, priceRanges: 0, fuelPrices: 0 });
+    expect(tree[0].children[0].children[0]).toMatchObject({ name: 'Local', attribute: 'origin', counts: { prices: 5 } });
+  });
+});
+
+describe('Commodity Resolver Utilities', () => {
+  const resolver = createCommodityResolver(COMMODITY_ALIASES);
+
+  it('should compare names without case, punctuation or word order', () => {
+    expect(commodityAliasKey('rice (regular milled)')).toBe(commodityAliasKey('Regular Milled Rice'));
+    expect(commodityAliasKey('Well-milled Rice')).toBe(commodityAliasKey('Well Milled Rice'));
+    expect(commodityAliasKey('Red Onion (Imported)')).not.toBe(commodityAliasKey('Red Onion'));
+    expect(commodityAliasKey(null)).toBe('');
+  });
+
+  it('should resolve English, abbreviated and Filipino names to one commodity', () => {
+    ['Bigas', 'Regular Milled Rice', 'RMR', 'rice (regular milled)', 'Regular milled Rice (Local)'].forEach(name => {
+      expect(resolver.resolve(name).name).toBe('Regular Milled Rice');
+    });
+    expect(resolver.resolve('Fresh Pork Kasim/Pigue').name).toBe('Pork Kasim');
+    expect(resolver.resolve('Sugar (Refined)').name).toBe('Refined Sugar');
+    expect(resolver.resolve('Unknown Produce')).toBeNull();
+  });
+
+  it('should give every alias a single commodity', () => {
+    const keys = COMMODITY_ALIASES.flatMap(({ name, aliases }) => [...new Set([name, ...aliases].map(commodityAliasKey))]);
+
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+});
+
+describe('Unit Normalizer Utilities', () => {
+  it('should parse the quantity and unit of a price', () => {
+    expect(parseUnit('155g')).toEqual({ quantity: 155, unit: 'g', container: null, packSize: 0.155, standardUnit: 'kg' });
+    expect(parseUnit('per kg')).toMatchObject({ quantity: 1, unit: 'kg', packSize: 1 });
+    expect(parseUnit('1L')).toMatchObject({ unit: 'L', packSize: 1, standardUnit: 'L' });
+    expect(parseUnit('350mL')).toMatchObject({ unit: 'ml', packSize: 0.35, standardUnit: 'L' });
+    expect(parseUnit('2 x 155g')).toMatchObject({ quantity: 310, packSize: 0.31 });
+    expect(parseUnit('1/4 kg')).toMatchObject({ quantity: 0.25, packSize: 0.25 });
+  });
+
+  it('should multiply the quantity by a pack count before or after it', () => {
+    expect(parseUnit('800ml x 2')).toMatchObject({ quantity: 1600, unit: 'ml', packSize: 1.6, standardUnit: 'L' });
+    expect(parseUnit('155g x 3')).toMatchObject({ quantity: 465, packSize: 0.465, standardUnit: 'kg' });
+    expect(parseUnit('3 x 155g')).toMatchObject({ quantity: 465, packSize: 0.465 });
+    expect(parseUnit('2 x 1L x 3')).toMatchObject({ quantity: 6, packSize: 6 });
+    expect(packSizeOf('Saba Phil. Sardines 155g x 3')).toEqual({ packSize: 0.465, standardUnit: 'kg' });
+  });
+
+  it('should count dozens and trays in pieces', () => {
+    expect(parseUnit('per piece')).toMatchObject({ unit: 'pc', packSize: 1, standardUnit: 'piece' });
+    expect(parseUnit('per dozen')).toMatchObject({ unit: 'dozen', packSize: 12, standardUnit: 'piece' });
+    expect(parseUnit('per tray')).toMatchObject({ unit: 'tray', packSize: 30, standardUnit: 'piece' });
+  });
+
+  it('should read the size of a sack only when it is printed', () => {
+    expect(parseUnit('sack of 50kg')).toMatchObject({ quantity: 50, unit: 'kg', container: 'sack', packSize: 50 });
+    expect(parseUnit('50 kg sack')).toMatchObject({ container: 'sack', packSize: 50 });
+    expect(packSizeOf('per sack')).toEqual({ packSize: null, standardUnit: null });
+    expect(parseUnit('#01')).toBeNull();
+    expect(parseUnit('per unit')).toBeNull();
+  });
+
+  it('should convert prices to a price per standard unit', () => {
+    expect(normalizeUnitPrice({ srp: 32.5 }, '155g')).toEqual({ unit: 'per kg', srp: 209.68 });
+    expect(normalizeUnitPrice({ price: 2400 }, 'sack of 50kg')).toEqual({ unit: 'per kg', price: 48 });
+    expect(normalizeUnitPrice({ price: 90, prevailingPrice: null }, { packSize: '12', standardUnit: 'piece' }))
+      .toEqual({ unit: 'per piece', price: 7.5, prevailingPrice: null });
+    expect(normalizeUnitPrice({ price: 50 }, 'per bundle')).toBeNull();
+  });
+
+  it('should add the normalized price to rows, parsing the unit of older rows', () => {
+    expect(withNormalizedPrice({ srp: '65.00', netContent: '500mL', packSize: null, standardUnit: null }, ['srp']).normalized)
+      .toEqual({ unit: 'per liter', srp: 130 });
+    expect(withNormalizedPrice({ price: '45.50', unit: 'per kg', packSize: '1', standardUnit: 'kg' }, ['price']).normalized)
+      .toEqual({ unit: 'per kg', price: 45.5 });
+  });
+});
+
+describe('DA Price Range Filters', () => {
+  const prisma = require('../src/config/database');
+  const { getDAPriceRanges } = require('../src/controllers/priceController');
+
+  const listRanges = async (query) => {
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+    await getDAPriceRanges({ query }, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    prisma.priceRange = {
+      groupBy: jest.fn(async () => [
+        { region: 'NCR', _max: { date: new Date('2025-06-26') } },
+        { region: 'RX', _max: { date: new Date('2025-06-20') } }
+      ]),
+      findMany: jest.fn(async () => []),
+      count: jest.fn(async () => 0)
+    };
+  });
+
+  afterAll(() => {
+    delete prisma.priceRange;
+  });
+
+  it('should filter DA ranges by a single date or a date range', async () => {
+    await listRanges({ date: '2025-06-26' });
+    await listRanges({ from: '2025-06-01', to: '2025-06-30', market: 'Kamuning' });
+
+    const [day, range] = prisma.priceRange.findMany.mock.calls.map(([args]) => args.where);
+    expect(day).toEqual({ source: 'DA', date: new Date('2025-06-26') });
+    expect(range).toEqual({
+      source: 'DA',
+      market: { contains: 'Kamuning', mode: 'insensitive' },
+      date: { gte: new Date('2025-06-01'), lte: new Date('2025-06-30') }
+    });
+  });
+
+  it('should narrow to the latest report date of each region', async () => {
+    await listRanges({ latest: 'true', from: '2025-06-01' });
+
+    const filter = { source: 'DA', date: { gte: new Date('2025-06-01') } };
+    expect(prisma.priceRange.groupBy).toHaveBeenCalledWith({ by: ['region'], where: filter, _max: { date: true } });
+    expect(prisma.priceRange.findMany.mock.calls[0][0].where).toEqual({
+      ...filter,
+      OR: [{ region: 'NCR', date: new Date('2025-06-26') }, { region: 'RX', date: new Date('2025-06-20') }]
+    });
+    expect(prisma.priceRange.count).toHaveBeenCalledWith({ where: prisma.priceRange.findMany.mock.calls[0][0].where });
+  });
+
+  it('should reject invalid dates', async () => {
+    const { next } = await listRanges({ to: 'yesterday' });
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid to parameter, expected YYYY-MM-DD' }));
+    expect(prisma.priceRange.findMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('Price Series Utilities', () => {
+  const rows = [
+    { bucket: new Date('2025-06-02'), group: 'NCR', unit: 'per kg', min: '40.00', max: '50.00', mean: '45.333333', median: 46, count: 3 },
+    { bucket: new Date('2025-06-16'), group: 'NCR', unit: 'per kg', min: '42.00', max: '42.00', mean: '42', median: 42, count: 1 }
+  ];
+
+  it('should truncate dates to their bucket like date_trunc', () => {
+    expect(truncateDate(new Date('2025-06-05'), 'week').toISOString()).toBe('2025-06-02T00:00:00.000Z');
+    expect(truncateDate(new Date('2025-06-01'), 'week').toISOString()).toBe('2025-05-26T00:00:00.000Z');
+    expect(truncateDate(new Date('2025-06-19'), 'month').toISOString()).toBe('2025-06-01T00:00:00.000Z');
+  });
+
+  it('should aggregate in the database with the filters as parameters', () => {
+    const query = buildSeriesQuery({
+      commodityId: 'rice',
+      interval: 'week',
+      splitBy: 'region',
+      sources: ['DA'],
+      from: new Date('2025-06-01'),
+      conditions: buildLocationSql({ region: 'NCR' })
+    });
+
+    expect(query.sql).toContain('percentile_cont(0.5)');
+    expect(query.sql).toContain('COALESCE(l."region", p."region") AS "group"');
+    expect(query.sql).toContain('AVG(CASE WHEN p."packSize" > 0 THEN p."price" / p."packSize" ELSE p."price" END)');
+    expect(query.values).toEqual(expect.arrayContaining(['week', 'rice', 'da', 'ncr', 'NCR']));
+    expect(buildSeriesQuery({ commodityId: 'rice', interval: 'day', splitBy: 'price; --' }).sql).toContain('NULL AS "group"');
+  });
+
+  it('should split series and leave out empty buckets by default', () => {
+    const [series] = buildSeries(rows, { interval: 'week', splitBy: 'region' });
+
+    expect(series.region).toBe('NCR');
+    expect(series.unit).toBe('per kg');
+    expect(series.points).toEqual([
+      { date: '2025-06-02', min: 40, max: 50, mean: 45.33, median: 46, count: 3 },
+      { date: '2025-06-16', min: 42, max: 42, mean: 42, median: 42, count: 1 }
+    ]);
+  });
+
+  it('should keep prices in different units in separate series', () => {
+    const series = buildSeries([...rows, { ...rows[0], unit: 'per pack', mean: '120' }], { interval: 'week', splitBy: 'region' });
+
+    expect(series.map(({ region, unit }) => [region, unit])).toEqual([['NCR', 'per kg'], ['NCR', 'per pack']]);
+    expect(series[1].points).toEqual([expect.objectContaining({ date: '2025-06-02', mean: 120 })]);
+  });
+
+  it('should fill empty buckets with nulls or the previous prices', () => {
+    const [empty] = buildSeries(rows, { interval: 'week', fill: 'null', from: new Date('2025-05-28') });
+    const [carried] = buildSeries(rows, { interval: 'week', fill: 'previous', to: new Date('2025-06-23') });
+
+    expect(empty.points.map(point => point.date)).toEqual(['2025-05-26', '2025-06-02', '2025-06-09', '2025-06-16']);
+    expect(empty.points[2]).toEqual({ date: '2025-06-09', min: null, max: null, mean: null, median: null, count: 0, filled: true });
+    expect(carried.points[1]).toMatchObject({ date: '2025-06-09', mean: 45.33, count: 0, filled: true });
+    expect(carried.points[3]).toMatchObject({ date: '2025-06-23', mean: 42, filled: true });
+  });
+});
+
+describe('Price Change Utilities', () => {
+  const change = (name, fromPrice, toPrice) => toPriceChange({
+    commodityId: name, name, slug: name, category: 'Vegetables', region: 'NCR', unit: 'per kg',
+    fromDate: new Date('2025-06-02'), fromPrice, toDate: new Date('2025-06-09'), toPrice
+  });
+
+  it('should resolve preset and explicit windows', () => {
+    const week = resolveChangeWindow({ period: 'week', to: '2025-06-09' });
+    const year = resolveChangeWindow({ period: 'year' }, new Date('2025-06-09T15:30:00Z'));
+
+    expect(week.from.toISOString()).toBe('2025-06-02T00:00:00.000Z');
+    expect(week.since.toISOString()).toBe('2025-05-25T00:00:00.000Z');
+    expect(year.from.toISOString()).toBe('2024-06-09T00:00:00.000Z');
+    expect(resolveChangeWindow({ from: '2025-05-01', to: '2025-06-01' }).from.toISOString()).toBe('2025-05-01T00:00:00.000Z');
+    expect(() => resolveChangeWindow({ period: 'day' })).toThrow('Invalid period parameter');
+    expect(() => resolveChangeWindow({ from: '2025-06-09', to: '2025-06-01' })).toThrow('The from date must be before the to date');
+  });
+
+  it('should compare prices in the database with the filters as parameters', () => {
+    const query = buildChangesQuery(resolveChangeWindow({ period: 'week', to: '2025-06-09' }), {
+      commodityIds: ['rice'],
+      sources: ['DA']
+    });
+
+    expect(query.sql).toContain('DISTINCT ON ("commodityId", "region", "unit")');
+    expect(query.sql).toContain('AVG(CASE WHEN p."packSize" > 0 THEN p."price" / p."packSize" ELSE p."price" END)');
+    expect(query.sql).toContain('opening."unit" = closing."unit"');
+    expect(query.values).toEqual(expect.arrayContaining(['rice', 'da']));
+    expect(buildChangesQuery(resolveChangeWindow({ period: 'week' }), { commodityIds: [] }).sql).toContain('FALSE');
+  });
+
+  it('should compute absolute and percent changes', () => {
+    expect(change('onion', '200.00', '230.00')).toMatchObject({
+      from: { price: 200 },
+      to: { price: 230 },
+      change: 30,
+      percentChange: 15
+    });
+    expect(change('free', '0', '10').percentChange).toBeNull();
+  });
+
+  it('should rank the top risers and fallers', () => {
+    const changes = [change('onion', 200, 230), change('rice', 50, 45), change('egg', 8, 8), change('pork', 300, 360), change('fish', 100, 95)];
+    const { risers, fallers } = findMovers(changes, 1);
+
+    expect(risers.map(mover => mover.commodity.name)).toEqual(['pork']);
+    expect(fallers.map(mover => mover.commodity.name)).toEqual(['rice']);
+    expect(findMovers(changes, 10).risers).toHaveLength(2);
+  });
+});
+
+describe('Latest Price Utilities', () => {
+  it('should rank and page the latest prices in the database with the filters as parameters', () => {
+    const filters = {
+      commodityIds: ['rice'],
+      sources: ['DA'],
+      markets: ['50%'],
+      from: new Date('2025-06-01'),
+      conditions: buildLocationSql({ region: 'NCR' })
+    };
+    const query = buildLatestPricesQuery(filters, { skip: 20, take: 10 });
+
+    expect(query.sql).toContain('RANK() OVER (PARTITION BY p."commodityId", p."region", p."source" ORDER BY p."date" DESC)');
+    expect(query.sql).toContain('ORDER BY "date" DESC, "region" ASC, "createdAt" DESC, "id" ASC');
+    expect(query.sql).toContain('LIMIT ? OFFSET ?');
+    expect(query.values).toEqual(expect.arrayContaining(['rice', 'da', '%50\\%%', 'ncr', 10, 20]));
+    expect(buildLatestPricesCountQuery(filters).sql).toContain('COUNT(*)::int AS "total"');
+  });
+
+  it('should match no prices when no commodity matches and every price without filters', () => {
+    expect(buildLatestPricesCountQuery({ commodityIds: [] }).sql).toContain('WHERE FALSE');
+    expect(buildLatestPricesCountQuery({}).sql).not.toContain('WHERE p.');
+  });
+});
+
+describe('Price Comparison Utilities', () => {
+  const regions = ['NCR', 'Region X', 'Visayas'];
+
+  it('should label each compared location in the database', () => {
+    const query = buildComparisonQuery({
+      commodityId: 'onion',
+      by: 'region',
+      values: regions,
+      date: new Date('2025-06-09'),
+      filters: { region: 'ignored', source: 'DA', market: '50%' }
+    });
+
+    expect(query.sql).toContain('CASE WHEN');
+    expect(query.sql).toContain('DISTINCT ON ("location", "unit")');
+    expect(query.sql).toContain('AVG(CASE WHEN p."packSize" > 0 THEN p."price" / p."packSize" ELSE p."price" END)');
+    expect(query.values).toEqual(expect.arrayContaining(['onion', 'NCR', 'Region X', 'Visayas', 'da', '%50\\%%']));
+    expect(query.values).not.toContain('ignored');
+  });
+
+  it('should compare in the unit asked for or the one most prices were observed in', () => {
+    const query = buildComparisonQuery({ commodityId: 'onion', by: 'region', values: regions, from: new Date('2025-06-01'), unit: 'per kg' });
+
+    expect(query.values).toContain('per kg');
+    expect(dominantUnit([
+      { location: 'NCR', unit: 'per pack', count: 2 },
+      { location: 'NCR', unit: 'per kg', count: 1 },
+      { location: 'Visayas', unit: 'per kg', count: 3 }
+    ])).toBe('per kg');
+    expect(dominantUnit([])).toBeNull();
+  });
+
+  it('should find the cheapest and most expensive location, spread and variation', () => {
+    expect(comparePrices([
+      { location: 'NCR', price: 120 },
+      { location: 'Region X', price: 80 },
+      { location: 'Visayas', price: 100 }
+    ])).toEqual({
+      cheapest: { location: 'Region X', price: 80 },
+      mostExpensive: { location: 'NCR', price: 120 },
+      spread: 40,
+      coefficientOfVariation: 16.33
+    });
+    expect(comparePrices([{ location: 'NCR', price: 120 }, { location: 'Visayas', price: null }]).spread).toBeNull();
+  });
+
+  it('should align the locations of each date in the order given', () => {
+    const table = buildComparisonTable([
+      { date: new Date('2025-06-09'), location: 'Visayas', price: '100.5', count: 2 },
+      { date: new Date('2025-06-02'), location: 'NCR', price: '120', count: 1 },
+      { date: new Date('2025-06-09'), location: 'NCR', price: '125', count: 3 }
+    ], regions);
+
+    expect(table.map(row => row.date)).toEqual(['2025-06-02', '2025-06-09']);
+    expect(table[1].prices).toEqual([
+      { location: 'NCR', price: 125, count: 3 },
+      { location: 'Region X', price: null, count: 0 },
+      { location: 'Visayas', price: 100.5, count: 2 }
+    ]);
+    expect(table[1].cheapest).toEqual({ location: 'Visayas', price: 100.5 });
+  });
+
+  it('should put a snapshot in one row with the day each price was observed', () => {
+    const date = new Date('2025-06-09');
+    const [row] = buildComparisonTable([
+      { date: new Date('2025-06-06'), location: 'NCR', price: '120', count: 1 },
+      { date: new Date('2025-06-09'), location: 'Region X', price: '90', count: 1 }
+    ], regions, { date });
+
+    expect(row.date).toBe('2025-06-09');
+    expect(row.prices.map(price => price.observedOn)).toEqual(['2025-06-06', '2025-06-09', null]);
+    expect(buildComparisonTable([], regions, { date })).toHaveLength(1);
+  });
+});
+
+describe('Basket Utilities', () => {
+  const items = [
+    { commodityId: 'rice', commodity: { name: 'Rice' }, quantity: '10', unit: 'kg', weight: null },
+    { commodityId: 'egg', commodity: { name: 'Egg' }, quantity: '30', unit: 'piece', weight: null }
+  ];
+  const row = (date, commodityId, price, region = 'NCR') => ({ date: new Date(date), region, commodityId, price });
+
+  it('should list canonical commodities in the reference baskets', () => {
+    const names = new Set(COMMODITY_ALIASES.map(({ name }) => name));
+
+    BASKETS.forEach(basket => basket.items.forEach((item) => {
+      expect(names).toContain(item.commodity);
+      expect(['kg', 'L', 'piece']).toContain(item.unit);
+    }));
+  });
+
+  it('should read prices from before the range to carry them forward', () => {
+    const query = buildBasketPriceQuery({
+      items,
+      interval: 'month',
+      from: new Date('2025-06-01'),
+      to: new Date('2025-08-31'),
+      filters: { source: 'DA' }
+    });
+
+    expect(query.sql).toContain('p."price" / p."packSize"');
+    expect(query.values).toEqual(expect.arrayContaining(['month', 'rice', 'egg', 'da']));
+    expect(query.values).toContainEqual(new Date('2025-03-03'));
+  });
+
+  it('should only read the prices of an item in its own unit', () => {
+    // Eggs are priced per piece and per kg; the basket counts pieces
+    const query = buildBasketPriceQuery({
+      items: [{ commodityId: 'egg', unit: 'piece' }],
+      interval: 'month',
+      from: new Date('2025-06-01'),
+      to: new Date('2025-08-31')
+    });
+
+    expect(query.sql).toContain('(p."commodityId" = ? AND p."standardUnit" = ?)');
+    expect(query.sql).toContain('p."packSize" > 0');
+    expect(query.sql).not.toContain('ELSE p."price"');
+    expect(query.values.slice(1, 3)).toEqual(['egg', 'piece']);
+    expect(query.values).not.toContain('kg');
+  });
+
+  it('should carry missing items forward and cost complete buckets', () => {
+    const [series] = computeBasketSeries([
+      row('2025-05-01', 'egg', 8),
+      row('2025-06-01', 'rice', 50),
+      row('2025-07-01', 'rice', 55),
+      row('2025-07-01', 'egg', 9)
+    ], items, { interval: 'month', from: new Date('2025-06-01') });
+
+    expect(series.region).toBe('NCR');
+    expect(series.base).toBe('2025-06-01');
+    expect(series.points.map(point => point.date)).toEqual(['2025-06-01', '2025-07-01']);
+    expect(series.points[0]).toMatchObject({ complete: true, cost: 740, index: 100 });
+    expect(series.points[0].items[1]).toMatchObject({ price: 8, cost: 240, carried: true });
+    expect(series.points[1]).toMatchObject({ cost: 820, index: 110.81 });
+  });
+
+  it('should leave buckets incomplete until every item has a price', () => {
+    const [series] = computeBasketSeries([
+      row('2025-06-01', 'rice', 50),
+      row('2025-07-01', 'egg', 8)
+    ], items, { interval: 'month', from: new Date('2025-06-01'), base: new Date('2025-07-15') });
+
+    expect(series.points[0]).toMatchObject({ complete: false, cost: null, index: null });
+    expect(series.points[1]).toMatchObject({ complete: true, cost: 740, index: 100 });
+    expect(series.base).toBe('2025-07-01');
+  });
+
+  it('should weigh price relatives when every item has a weight', () => {
+    const weighted = items.map((item, i) => ({ ...item, weight: i === 0 ? '0.75' : '0.25' }));
+
+    expect(laspeyresIndex(weighted, [55, 8], [50, 8])).toBe(107.5);
+    expect(laspeyresIndex(items, [55, 8], [50, 8])).toBe(106.76);
+    expect(laspeyresIndex(items, [55, 8], [0, 8])).toBeNull();
+  });
+});
+
+describe('Basket Cache', () => {
+  const prisma = require('../src/config/database');
+  const { cacheUtils } = require('../src/utils/cache');
+  const { saveBasket } = require('../src/controllers/basketController');
+
+  const saved = { id: 'basket-1', slug: 'family-food-basket', name: 'Family Food Basket', description: null, items: [] };
+
+  beforeEach(async () => {
+    await cacheUtils.flush();
+    prisma.commodity.findMany = jest.fn(async () => [{ id: 'rice', slug: 'regular-milled-rice' }]);
+    prisma.$transaction = jest.fn(async callback => callback({
+      basket: { upsert: jest.fn(async () => saved), findUnique: jest.fn(async () => saved) },
+      basketItem: { deleteMany: jest.fn(), createMany: jest.fn() }
+    }));
+  });
+
+  afterAll(() => {
+    delete prisma.$transaction;
+  });
+
+  it('should drop the cached cost and index of a basket once it is replaced', async () => {
+    await cacheUtils.set('basket_cost:family-food-basket:NCR:all:all:month:all:all:all', { cost: 1 });
+    await cacheUtils.set('basket_index:basket-1:all:all:all:month:all:all:all', { index: 100 });
+    await cacheUtils.set('route:/v1/baskets/family-food-basket/cost?region=NCR', { cost: 1 });
+    await cacheUtils.set('basket_cost:family-food-basket-2:all:all:all:month:all:all:all', { cost: 2 });
+
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+    await saveBasket({
+      params: { slug: 'family-food-basket' },
+      body: { name: 'Family Food Basket', items: [{ commodity: 'regular-milled-rice', quantity: 40 }] }
+    }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(await cacheUtils.get('basket_cost:family-food-basket:NCR:all:all:month:all:all:all')).toBeUndefined();
+    expect(await cacheUtils.get('basket_index:basket-1:all:all:all:month:all:all:all')).toBeUndefined();
+    expect(await cacheUtils.get('route:/v1/baskets/family-food-basket/cost?region=NCR')).toBeUndefined();
+    expect(await cacheUtils.get('basket_cost:family-food-basket-2:all:all:all:month:all:all:all')).toEqual({ cost: 2 });
+  });
 }); 
\ No newline at end of file
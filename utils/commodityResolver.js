@@ -0,0 +1,60 @@
+/**
+ * Utility functions for matching commodity names found in reports to their
+ * canonical commodity
+ */
+
+/**
+ * Get the lookup key of a commodity name or alias. Words are compared without
+ * case, accents, punctuation or order, so "Regular Milled Rice",
+ * "rice (regular milled)" and "Regular-milled Rice" share a key.
+ * @param {string} name - Commodity name or alias
+ * @returns {string} - Lowercase words in sorted order
+ */
+const commodityAliasKey = (name) => {
+  if (!name) return '';
+
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents (Niño -> Nino)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+};
+
+/**
+ * Create a resolver that maps names to commodities through their aliases
+ * @param {Array<Object>} commodities - Commodities with their name and aliases
+ * @returns {Object} - Resolver with a resolve(name) method
+ */
+const createCommodityResolver = (commodities = []) => {
+  const index = new Map();
+
+  for (const commodity of commodities) {
+    const aliases = (commodity.aliases || []).map(alias => (typeof alias === 'string' ? alias : alias.alias));
+
+    for (const label of [commodity.name, ...aliases]) {
+      const key = commodityAliasKey(label);
+      if (key && !index.has(key)) index.set(key, commodity);
+    }
+  }
+
+  return {
+    /**
+     * Find the commodity a name or alias refers to
+     * @param {string} name - Commodity name as printed
+     * @returns {Object|null} - Matching commodity or null
+     */
+    resolve(name) {
+      return index.get(commodityAliasKey(name)) || null;
+    }
+  };
+};
+
+module.exports = {
+  commodityAliasKey,
+  createCommodityResolver
+}; 
\ No newline at end of file
@@ -0,0 +1,324 @@
+/**
+ * Shared commodity taxonomy used to categorize commodities found by the scrapers.
+ * Commodities are placed in a category tree, e.g. Grains > Rice > Well Milled >
+ * Local. The top categories are the ones stored as a commodity's category; the
+ * nodes below them are kinds (Rice, Pork) and variants that set an attribute of
+ * the commodity: its grade, origin, cut, variety, size or type.
+ */
+
+// Variant nodes shared by commodities sold both local and imported
+const ORIGINS = [
+  { name: 'Local', attribute: 'origin' },
+  { name: 'Imported', attribute: 'origin', keywords: ['imported', 'import'] }
+];
+
+/**
+ * Category tree. Nodes are checked in order, so more specific ones come first
+ * ("Sweet Potato" before "Potato"). A node without keywords matches its name.
+ */
+const CATEGORY_TREE = [
+  {
+    name: 'Fuel',
+    keywords: ['fuel'],
+    children: [
+      {
+        name: 'Gasoline',
+        keywords: ['gasoline', 'petrol', 'unleaded', 'ron'],
+        children: ['RON 91', 'RON 95', 'RON 97', 'RON 100'].map(grade => ({
+          name: grade,
+          attribute: 'grade',
+          keywords: [grade.toLowerCase(), grade.split(' ')[1]]
+        }))
+      },
+      {
+        name: 'Diesel',
+        children: [{ name: 'Premium', attribute: 'grade', keywords: ['plus', 'premium'] }]
+      },
+      { name: 'Kerosene', keywords: ['kerosene', 'gaas'] },
+      { name: 'LPG', keywords: ['lpg'] }
+    ]
+  },
+  {
+    name: 'Eggs',
+    keywords: ['egg', 'itlog'],
+    children: [
+      { name: 'Small', attribute: 'size' },
+      { name: 'Medium', attribute: 'size' },
+      { name: 'Large', attribute: 'size' }
+    ]
+  },
+  {
+    name: 'Processed Food',
+    children: [
+      { name: 'Canned Fish', keywords: ['sardines', 'tuna'] },
+      { name: 'Canned Meat', keywords: ['corned', 'luncheon', 'meat loaf', 'beef loaf'] },
+      { name: 'Noodles', keywords: ['noodles', 'mami', 'pancit canton'] },
+      { name: 'Bread', keywords: ['bread', 'pandesal'] },
+      { name: 'Coffee', keywords: ['coffee'] }
+    ]
+  },
+  {
+    name: 'Dairy',
+    children: [
+      {
+        name: 'Milk',
+        keywords: ['milk', 'condensada'],
+        children: [
+          { name: 'Condensed', attribute: 'type', keywords: ['condensed', 'condensada'] },
+          { name: 'Evaporated', attribute: 'type' },
+          { name: 'Powdered', attribute: 'type' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'Condiments',
+    children: [
+      { name: 'Vinegar', keywords: ['vinegar', 'suka'] },
+      { name: 'Fish Sauce', keywords: ['patis', 'fish sauce'] },
+      { name: 'Soy Sauce', keywords: ['soy sauce', 'toyo'] },
+      { name: 'Salt', keywords: ['salt', 'asin'] }
+    ]
+  },
+  {
+    name: 'Grains',
+    children: [
+      {
+        name: 'Rice',
+        keywords: ['rice', 'bigas', 'palay'],
+        children: [
+          { name: 'Regular Milled', attribute: 'grade', keywords: ['regular milled', 'rmr'], children: ORIGINS },
+          { name: 'Well Milled', attribute: 'grade', keywords: ['well milled', 'wmr'], children: ORIGINS },
+          { name: 'Premium', attribute: 'grade', children: ORIGINS },
+          { name: 'Special', attribute: 'grade', keywords: ['special', 'fancy'], children: ORIGINS }
+        ]
+      },
+      {
+        name: 'Corn',
+        keywords: ['corn', 'mais'],
+        children: [
+          { name: 'White', attribute: 'variety', keywords: ['white', 'puti'] },
+          { name: 'Yellow', attribute: 'variety', keywords: ['yellow', 'dilaw'] }
+        ]
+      },
+      { name: 'Wheat', keywords: ['wheat', 'flour'] }
+    ]
+  },
+  {
+    name: 'Fish',
+    keywords: ['fish', 'isda'],
+    children: [
+      { name: 'Bangus', keywords: ['bangus', 'milkfish'] },
+      { name: 'Tilapia' },
+      { name: 'Galunggong', keywords: ['galunggong', 'round scad'], children: ORIGINS },
+      { name: 'Alumahan', keywords: ['alumahan', 'indian mackerel'] },
+      { name: 'Tamban' },
+      { name: 'Tulingan' },
+      { name: 'Squid', keywords: ['squid', 'pusit'] },
+      { name: 'Shrimp', keywords: ['shrimp', 'hipon'] }
+    ]
+  },
+  {
+    name: 'Meat',
+    keywords: ['meat', 'karne'],
+    children: [
+      {
+        name: 'Pork',
+        keywords: ['pork', 'baboy'],
+        children: [
+          { name: 'Kasim', attribute: 'cut', keywords: ['kasim', 'pigue', 'shoulder'] },
+          { name: 'Liempo', attribute: 'cut', keywords: ['liempo', 'belly'] }
+        ]
+      },
+      {
+        name: 'Beef',
+        keywords: ['beef', 'carabeef', 'baka'],
+        children: [
+          { name: 'Rump', attribute: 'cut' },
+          { name: 'Brisket', attribute: 'cut' }
+        ]
+      },
+      {
+        name: 'Chicken',
+        keywords: ['chicken', 'manok'],
+        children: [{ name: 'Whole', attribute: 'cut', keywords: ['whole', 'dressed'] }]
+      }
+    ]
+  },
+  {
+    name: 'Vegetables',
+    keywords: ['vegetable', 'gulay'],
+    children: [
+      {
+        name: 'Onion',
+        keywords: ['onion', 'sibuyas'],
+        children: [
+          { name: 'Red', attribute: 'variety', keywords: ['red', 'pula', 'pulang'], children: ORIGINS },
+          { name: 'White', attribute: 'variety', keywords: ['white', 'puti', 'puting'], children: ORIGINS }
+        ]
+      },
+      { name: 'Garlic', keywords: ['garlic', 'bawang'], children: ORIGINS },
+      { name: 'Ginger', keywords: ['ginger', 'luya'] },
+      { name: 'Tomato', keywords: ['tomato', 'kamatis'] },
+      { name: 'Eggplant', keywords: ['eggplant', 'talong'] },
+      { name: 'Ampalaya', keywords: ['ampalaya', 'bitter gourd', 'bitter melon'] },
+      {
+        name: 'Pechay',
+        keywords: ['pechay', 'petsay'],
+        children: [
+          { name: 'Native', attribute: 'variety', keywords: ['native', 'tagalog'] },
+          { name: 'Baguio', attribute: 'variety' }
+        ]
+      },
+      { name: 'Cabbage', keywords: ['cabbage', 'repolyo'] },
+      { name: 'Sweet Potato', keywords: ['sweet potato', 'kamote', 'camote'] },
+      { name: 'Potato', keywords: ['potato', 'patatas'] },
+      { name: 'Cassava', keywords: ['cassava', 'kamoteng kahoy', 'balinghoy'] },
+      { name: 'Taro', keywords: ['taro', 'gabi'] },
+      { name: 'Carrots', keywords: ['carrot', 'karot'] },
+      { name: 'Squash', keywords: ['squash', 'kalabasa'] },
+      { name: 'Sitao', keywords: ['sitao', 'sitaw', 'string beans'] },
+      { name: 'Habitchuelas', keywords: ['habitchuelas', 'baguio beans', 'green beans'] },
+      { name: 'Chayote', keywords: ['chayote', 'sayote'] },
+      { name: 'Chilli', keywords: ['chilli', 'chili', 'labuyo'] }
+    ]
+  },
+  {
+    name: 'Fruits',
+    keywords: ['fruit', 'prutas'],
+    children: [
+      {
+        name: 'Banana',
+        keywords: ['banana', 'saging'],
+        children: [
+          { name: 'Lakatan', attribute: 'variety' },
+          { name: 'Latundan', attribute: 'variety' },
+          { name: 'Saba', attribute: 'variety' }
+        ]
+      },
+      {
+        name: 'Mango',
+        keywords: ['mango', 'mangga'],
+        children: [{ name: 'Carabao', attribute: 'variety' }]
+      },
+      { name: 'Calamansi', keywords: ['calamansi', 'kalamansi'] },
+      { name: 'Papaya' },
+      { name: 'Pineapple' }
+    ]
+  },
+  {
+    name: 'Sugar',
+    keywords: ['sugar', 'asukal'],
+    children: [
+      { name: 'Refined', attribute: 'grade', keywords: ['refined', 'puti'] },
+      { name: 'Washed', attribute: 'grade' },
+      { name: 'Brown', attribute: 'grade', keywords: ['brown', 'muscovado', 'pula'] }
+    ]
+  },
+  {
+    name: 'Cooking Oil',
+    keywords: ['cooking oil', 'palm oil', 'coconut oil', 'mantika'],
+    children: [
+      { name: 'Palm', attribute: 'type' },
+      { name: 'Coconut', attribute: 'type', keywords: ['coconut', 'niyog'] }
+    ]
+  },
+  { name: 'Other' }
+];
+
+const DEFAULT_CATEGORY = 'Other';
+
+/**
+ * Generate a URL slug for a commodity name
+ * @param {string} name - Commodity name
+ * @returns {string} - Slug such as "well-milled-rice"
+ */
+const generateSlug = (name) => {
+  return name
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+};
+
+// Whole words (or their plural) of a keyword, e.g. "egg" matches "eggs" but not "eggplant"
+const keywordPattern = (keyword) => new RegExp(`(^| )${keyword.replace(/[^a-z0-9 ]/g, '')}(e?s)?( |$)`);
+
+/**
+ * Flatten the tree into nodes with their slug path, parent, depth and the
+ * keywords that place a commodity in them. Kinds also match on the keywords
+ * of the kinds below them, so "Kamatis" reaches Vegetables through Tomato.
+ */
+const flatten = (nodes, parent = null) => nodes.flatMap((node, position) => {
+  const slug = parent ? `${parent.slug}/${generateSlug(node.name)}` : generateSlug(node.name);
+  const entry = {
+    slug,
+    name: node.name,
+    parentSlug: parent ? parent.slug : null,
+    depth: parent ? parent.depth + 1 : 0,
+    position,
+    attribute: node.attribute || null,
+    keywords: node.keywords || [node.name.toLowerCase()]
+  };
+  const descendants = flatten(node.children || [], entry);
+  const kindKeywords = descendants
+    .filter(child => !child.attribute && child.parentSlug === slug)
+    .flatMap(child => child.patterns);
+
+  entry.patterns = [...entry.keywords.map(keywordPattern), ...(entry.attribute ? [] : kindKeywords)];
+
+  return [entry, ...descendants];
+});
+
+const nodes = flatten(CATEGORY_TREE);
+
+/**
+ * Categories of the tree, parents before their children
+ * @type {Array<Object>} Slug path, name, parent slug, depth, position and attribute
+ */
+const CATEGORIES = nodes.map(({ keywords, patterns, ...category }) => category);
+
+/**
+ * Place a commodity in the category tree from its name
+ * @param {string} name - Commodity name
+ * @returns {Object} - Top category, slug of the most specific node, its path of
+ *   names and the variant attributes set along it
+ */
+const classifyCommodity = (name) => {
+  const text = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const matches = node => node.patterns.some(pattern => pattern.test(text));
+
+  let node = nodes.find(candidate => candidate.depth === 0 && matches(candidate))
+    || nodes.find(candidate => candidate.slug === generateSlug(DEFAULT_CATEGORY));
+  const path = [node.name];
+  const attributes = {};
+
+  for (;;) {
+    const parentSlug = node.slug;
+    const child = nodes.find(candidate => candidate.parentSlug === parentSlug && matches(candidate));
+    if (!child) break;
+
+    node = child;
+    path.push(child.name);
+    if (child.attribute) attributes[child.attribute] = child.name;
+  }
+
+  return { category: path[0], slug: node.slug, path, attributes };
+};
+
+/**
+ * Infer the top category of a commodity from its name
+ * @param {string} name - Commodity name
+ * @returns {string} - Category such as "Grains", or "Other" when no keyword matches
+ */
+const inferCategory = (name) => classifyCommodity(name).category;
+
+module.exports = {
+  CATEGORY_TREE,
+  CATEGORIES,
+  DEFAULT_CATEGORY,
+  classifyCommodity,
+  inferCategory,
+  generateSlug
+}; 
\ No newline at end of file
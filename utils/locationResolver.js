@@ -0,0 +1,144 @@
+/**
+ * Utility functions for matching place names found in reports to PSGC locations
+ */
+
+// Abbreviations printed in reports ("Sto. Tomas", "Sta Fe", "Taguig Cty")
+const ABBREVIATIONS = {
+  sto: 'santo',
+  sta: 'santa',
+  gen: 'general',
+  cty: 'city'
+};
+
+// Levels a place name can refer to, from the most to the least specific
+const CITY_LEVELS = ['city', 'municipality'];
+const AREA_LEVELS = ['region', 'island_group'];
+
+/**
+ * Normalize a place name for comparison
+ * @param {string} name - Raw place name
+ * @returns {string} - Lowercase name without accents, punctuation or abbreviations
+ */
+const normalizeLocationName = (name) => {
+  if (!name) return '';
+
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents (Parañaque -> Paranaque)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => ABBREVIATIONS[word] || word)
+    .join(' ');
+};
+
+/**
+ * Get the comparison key of a place name, without "City of" or "City"
+ * so "City of Cebu" and "Cebu City" share a key
+ * @param {string} name - Place name
+ * @returns {Object} - Key and whether the name says it is a city
+ */
+const locationKey = (name) => {
+  const normalized = normalizeLocationName(name);
+  const key = normalized
+    .replace(/^(island garden )?city of /, '')
+    .replace(/ city$/, '');
+
+  return { key, isCity: key !== normalized };
+};
+
+/**
+ * Create a resolver that maps place names to locations.
+ * @param {Array<Object>} locations - Locations with name, aliases, level and the
+ *   islandGroup, region and province they are in
+ * @returns {Object} - Resolver with find(name, levels) and resolve(place) methods
+ */
+const createLocationResolver = (locations = []) => {
+  const index = new Map();
+
+  for (const location of locations) {
+    for (const label of [location.name, ...(location.aliases || [])]) {
+      const { key } = locationKey(label);
+      if (!key) continue;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(location);
+    }
+  }
+
+  const candidates = (name, levels) => {
+    const matches = index.get(locationKey(name).key) || [];
+    return [...new Set(matches)].filter(location => levels.includes(location.level));
+  };
+
+  // Whether a location lies inside an island group, region or province
+  const isWithin = (location, area) => {
+    if (area.level === 'island_group') return location.islandGroup === area.name;
+    if (area.level === 'region') return location.region === area.name;
+    return location.province === area.name;
+  };
+
+  const find = (name, levels, area = null) => {
+    const matches = candidates(name, levels);
+    const inArea = area ? matches.filter(location => isWithin(location, area)) : [];
+
+    if (inArea.length > 0) return inArea[0];
+    return matches.length === 1 ? matches[0] : null;
+  };
+
+  return {
+    locations,
+
+    /**
+     * Find the location a name or alias refers to
+     * @param {string} name - Place name
+     * @param {Array<string>} [levels] - Levels to consider
+     * @returns {Object|null} - Matching location, or null when unknown or ambiguous
+     */
+    find(name, levels = [...CITY_LEVELS, 'province', ...AREA_LEVELS]) {
+      if (!name) return null;
+      return find(name, levels);
+    },
+
+    /**
+     * Resolve the most specific location a report names. A city must lie in
+     * the province (or, without one, the region) it is printed with, so
+     * "Quezon" in Bukidnon is not mistaken for Quezon City.
+     * @param {Object} place - Place as printed
+     * @param {string} [place.region] - Region or island group
+     * @param {string} [place.province] - Province
+     * @param {string} [place.city] - City or municipality
+     * @returns {Object|null} - City, province, region or island group, or null
+     */
+    resolve({ region, province, city } = {}) {
+      const area = region ? find(region, AREA_LEVELS) : null;
+      const provinceLocation = province ? find(province, ['province'], area) : null;
+
+      if (city) {
+        const { isCity } = locationKey(city);
+        const matches = candidates(city, CITY_LEVELS);
+        const scope = provinceLocation || area;
+        let inScope = scope ? matches.filter(location => isWithin(location, scope)) : matches;
+
+        // A report that names an unknown province may still name a unique city
+        if (inScope.length === 0 && !provinceLocation && matches.length === 1) {
+          inScope = matches;
+        }
+
+        // "Naga City" is the city, "Naga" the municipality of the same name
+        const preferred = inScope.filter(location => (location.level === 'city') === isCity);
+        const pick = preferred.length > 0 ? preferred : inScope;
+
+        if (pick.length === 1) return pick[0];
+      }
+
+      return provinceLocation || area;
+    }
+  };
+};
+
+module.exports = {
+  normalizeLocationName,
+  locationKey,
+  createLocationResolver
+}; 
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Utility functions for matching market names found in reports to known markets
+ */
+
+/**
+ * Normalize a market name for comparison
+ * @param {string} name - Raw market name
+ * @returns {string} - Lowercase name without accents or punctuation
+ */
+const normalizeMarketName = (name) => {
+  if (!name) return '';
+
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents (Parañaque -> Paranaque)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Generate a URL slug for a market name
+ * @param {string} name - Market name
+ * @returns {string} - Slug such as "la-huerta-market"
+ */
+const generateMarketSlug = (name) => normalizeMarketName(name).replace(/\s+/g, '-');
+
+/**
+ * Infer the market type from its name
+ * @param {string} name - Market name
+ * @returns {string} - One of fish_port, supermarket or public_market
+ */
+const inferMarketType = (name) => {
+  const normalized = normalizeMarketName(name);
+
+  if (normalized.includes('fish port')) return 'fish_port';
+  if (/\b(supermarket|grocery|hypermarket)\b/.test(normalized)) return 'supermarket';
+
+  return 'public_market';
+};
+
+/**
+ * Check whether a line of report text looks like a market heading
+ * @param {string} line - Line of text
+ * @returns {boolean} - True if the line names a market
+ */
+const looksLikeMarket = (line) => {
+  if (!line || /\d/.test(line)) return false;
+
+  return /\b(market|palengke|pamilihan|pamilihang|fish port|q-mart)\b/i.test(line);
+};
+
+/**
+ * Create a resolver that maps report text to known markets.
+ * The longest matching name or alias wins, so "Navotas Agora Market" is not
+ * mistaken for "Agora Public Market".
+ * @param {Array<Object>} markets - Markets with name and aliases
+ * @returns {Object} - Resolver with a resolve(text) method
+ */
+const createMarketResolver = (markets = []) => {
+  const keys = [];
+
+  for (const market of markets) {
+    for (const label of [market.name, ...(market.aliases || [])]) {
+      const key = normalizeMarketName(label);
+      if (key) keys.push({ key, market });
+    }
+  }
+
+  keys.sort((a, b) => b.key.length - a.key.length);
+
+  return {
+    markets,
+
+    /**
+     * Resolve a line of text to a known market
+     * @param {string} text - Line that may contain a market name
+     * @returns {Object|null} - Matching market or null
+     */
+    resolve(text) {
+      const normalized = ` ${normalizeMarketName(text)} `;
+      if (!normalized.trim()) return null;
+
+      const match = keys.find(({ key }) => normalized.includes(` ${key} `));
+      return match ? match.market : null;
+    }
+  };
+};
+
+module.exports = {
+  normalizeMarketName,
+  generateMarketSlug,
+  inferMarketType,
+  looksLikeMarket,
+  createMarketResolver
+}; 
\ No newline at end of file
@@ -2,6 +2,12 @@
  * Utility functions for normalizing and cleaning price data
  */
 
+const LOCATIONS = require('../src/database/locations');
+const { createLocationResolver } = require('./locationResolver');
+
+// Regions and their aliases (Central Visayas, MIMAROPA, Region 4A, ...)
+const regionResolver = createLocationResolver(LOCATIONS.filter(location => location.level === 'region'));
+
 /**
  * Normalize commodity names to standard format
  * @param {string} name - Raw commodity name
@@ -79,56 +85,13 @@ const extractUnit = (text) => {
 /**
  * Normalize region names to standard format
  * @param {string} region - Raw region name
- * @returns {string} - Normalized region name
+ * @returns {string} - Normalized region name such as "Region VII", or the trimmed input when unknown
  */
 const normalizeRegion = (region) => {
   if (!region) return '';
-  
-  const regionMap = {
-    'ncr': 'NCR',
-    'national capital region': 'NCR',
-    'metro manila': 'NCR',
-    'region vii': 'Region VII',
-    'region 7': 'Region VII',
-    'central visayas': 'Region VII',
-    'region iv-a': 'Region IV-A',
-    'region 4a': 'Region IV-A',
-    'calabarzon': 'Region IV-A',
-    'region iii': 'Region III',
-    'region 3': 'Region III',
-    'central luzon': 'Region III',
-    'region vi': 'Region VI',
-    'region 6': 'Region VI',
-    'western visayas': 'Region VI',
-    'region v': 'Region V',
-    'region 5': 'Region V',
-    'bicol region': 'Region V',
-    'region viii': 'Region VIII',
-    'region 8': 'Region VIII',
-    'eastern visayas': 'Region VIII',
-    'region ix': 'Region IX',
-    'region 9': 'Region IX',
-    'zamboanga peninsula': 'Region IX',
-    'region x': 'Region X',
-    'region 10': 'Region X',
-    'northern mindanao': 'Region X',
-    'region xi': 'Region XI',
-    'region 11': 'Region XI',
-    'davao region': 'Region XI',
-    'region xii': 'Region XII',
-    'region 12': 'Region XII',
-    'soccsksargen': 'Region XII',
-    'region xiii': 'Region XIII',
-    'region 13': 'Region XIII',
-    'caraga': 'Region XIII',
-    'car': 'CAR',
-    'cordillera administrative region': 'CAR',
-    'barmm': 'BARMM',
-    'bangsamoro autonomous region': 'BARMM'
-  };
-  
-  const normalized = region.trim().toLowerCase();
-  return regionMap[normalized] || region.trim();
+
+  const match = regionResolver.find(region, ['region']);
+  return match ? match.name : region.trim();
 };
 
 /**
@@ -0,0 +1,153 @@
+/**
+ * Utility functions for matching observed prices to reference prices:
+ * the DTI suggested retail prices
+ */
+
+const { normalizeRegion } = require('./priceNormalizer');
+const { parseUnit } = require('./unitNormalizer');
+
+// Regions covered by the island group areas printed in the SRP bulletins
+const AREA_REGIONS = {
+  ncr: ['NCR'],
+  luzon: ['NCR', 'CAR', 'Region I', 'Region II', 'Region III', 'Region IV-A', 'Region IV-B', 'Region V', 'Luzon'],
+  'visayas & mindanao': [
+    'Region VI', 'NIR', 'Region VII', 'Region VIII', 'Region IX', 'Region X', 'Region XI',
+    'Region XII', 'Region XIII', 'BARMM', 'Visayas', 'Mindanao'
+  ]
+};
+
+// Measures of net contents, by the standard unit of their pack size
+const MEASURES = {
+  kg: 'g',
+  L: 'ml'
+};
+
+/**
+ * Parse a net content such as "155g", "1kg", "350ml" or the "per kg" unit of an observation
+ * @param {string} text - Net content or unit text
+ * @returns {Object|null} - Amount in grams or millilitres, or null for counts and sizes like "#01" or "AA"
+ */
+const parseNetContent = (text) => {
+  const parsed = parseUnit(text);
+  if (!parsed || !MEASURES[parsed.standardUnit]) return null;
+
+  return { amount: Math.round(parsed.packSize * 1000 * 1000) / 1000, measure: MEASURES[parsed.standardUnit] };
+};
+
+/**
+ * Check whether two net contents are the same size
+ * @param {Object} a - Parsed net content
+ * @param {Object} b - Parsed net content
+ * @returns {boolean} - True if both are known and equal
+ */
+const isSameSize = (a, b) => Boolean(a && b && a.measure === b.measure && Math.abs(a.amount - b.amount) < 0.01);
+
+/**
+ * Check whether a reference price applies to a region
+ * @param {string} area - Area of the reference price (Nationwide, NCR, Luzon, ...)
+ * @param {string} region - Region of the observation
+ * @returns {boolean} - True if the area covers the region
+ */
+const areaCoversRegion = (area, region) => {
+  if (!area || area.toLowerCase() === 'nationwide') return true;
+
+  const regions = AREA_REGIONS[area.toLowerCase()];
+  if (!regions) return normalizeRegion(area) === normalizeRegion(region);
+
+  return regions.includes(normalizeRegion(region));
+};
+
+/**
+ * Map a market type to the outlet an SRP is set for
+ * @param {string} type - Market type (public_market, fish_port, supermarket)
+ * @returns {string|null} - supermarket, wet_market, or null when unknown
+ */
+const outletForMarketType = (type) => {
+  if (type === 'supermarket') return 'supermarket';
+  if (type === 'public_market' || type === 'fish_port') return 'wet_market';
+  return null;
+};
+
+/**
+ * Keep the entries of the latest bulletin of each source in effect on a date
+ * @param {Array<Object>} references - Reference prices with source and effectiveDate
+ * @param {Date|string} date - Observation date
+ * @returns {Array<Object>} - References in effect on the date
+ */
+const referencesInEffect = (references, date) => {
+  const time = new Date(date).getTime();
+  const latest = {};
+
+  for (const reference of references) {
+    const effective = new Date(reference.effectiveDate).getTime();
+    if (effective <= time && effective > (latest[reference.source] || 0)) {
+      latest[reference.source] = effective;
+    }
+  }
+
+  return references.filter(reference => new Date(reference.effectiveDate).getTime() === latest[reference.source]);
+};
+
+/**
+ * Find the reference prices that apply to an observed price.
+ * References are narrowed down by area, outlet, size and, when the observation
+ * names one, brand. Observations without a size only match when every
+ * remaining reference is for the same size.
+ * @param {Object} observation - Observed price with name, unit, region, marketType and date
+ * @param {Array<Object>} references - Reference prices of the observed commodity
+ * @returns {Array<Object>} - Matching reference prices
+ */
+const matchReferences = (observation, references) => {
+  const outlet = outletForMarketType(observation.marketType);
+
+  let matches = referencesInEffect(references, observation.date).filter(reference =>
+    areaCoversRegion(reference.area, observation.region) &&
+    (!outlet || !reference.outlet || reference.outlet === 'all' || reference.outlet === outlet)
+  );
+
+  const size = parseNetContent(observation.unit);
+  if (size) {
+    matches = matches.filter(reference => isSameSize(size, parseNetContent(reference.netContent)));
+  } else if (new Set(matches.map(reference => reference.netContent)).size > 1) {
+    return [];
+  }
+
+  const name = (observation.name || '').toLowerCase();
+  const branded = matches.filter(reference => reference.brand && name.includes(reference.brand.toLowerCase()));
+
+  return branded.length > 0 ? branded : matches;
+};
+
+/**
+ * Compare an observed price against the reference prices that apply to it.
+ * Without a brand several SRPs can apply, so the highest is used and only
+ * prices above every applicable SRP are flagged.
+ * @param {Object} observation - Observed price with price, name, unit, region, marketType and date
+ * @param {Array<Object>} references - Reference prices of the observed commodity
+ * @returns {Object|null} - Violation with the reference and overage, or null if compliant or unmatched
+ */
+const checkCompliance = (observation, references) => {
+  const matches = matchReferences(observation, references);
+  if (matches.length === 0) return null;
+
+  const reference = matches.reduce((highest, match) => (Number(match.srp) > Number(highest.srp) ? match : highest));
+  const price = Number(observation.price);
+  const limit = Number(reference.srp);
+
+  if (price <= limit) return null;
+
+  return {
+    reference,
+    overage: Math.round((price - limit) * 100) / 100,
+    overagePercent: Math.round(((price - limit) / limit) * 10000) / 100
+  };
+};
+
+module.exports = {
+  parseNetContent,
+  areaCoversRegion,
+  outletForMarketType,
+  referencesInEffect,
+  matchReferences,
+  checkCompliance
+}; 
\ No newline at end of file
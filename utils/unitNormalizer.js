@@ -0,0 +1,124 @@
+/**
+ * Utility functions for reading the quantity and unit a price is quoted for
+ * ("per kg", "155g", "1L", "per dozen", "sack of 50kg") and converting prices
+ * to a price per kg, liter or piece so pack sizes can be compared
+ */
+
+// Units a quantity can be printed in, with the standard unit they convert to.
+// Sacks and bundles have no standard size, so they only convert when the
+// size is printed ("sack of 50kg").
+const UNITS = [
+  { unit: 'kg', names: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'], standardUnit: 'kg', factor: 1 },
+  { unit: 'g', names: ['g', 'gm', 'gms', 'gram', 'grams'], standardUnit: 'kg', factor: 0.001 },
+  { unit: 'L', names: ['l', 'ltr', 'liter', 'liters', 'litre', 'litres', 'litro'], standardUnit: 'L', factor: 1 },
+  { unit: 'ml', names: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'], standardUnit: 'L', factor: 0.001 },
+  { unit: 'pc', names: ['pc', 'pcs', 'piece', 'pieces'], standardUnit: 'piece', factor: 1 },
+  { unit: 'dozen', names: ['dozen', 'dozens', 'doz', 'dz'], standardUnit: 'piece', factor: 12 },
+  { unit: 'tray', names: ['tray', 'trays'], standardUnit: 'piece', factor: 30 },
+  { unit: 'sack', names: ['sack', 'sacks', 'bag', 'bags'], standardUnit: null, factor: null },
+  { unit: 'bundle', names: ['bundle', 'bundles', 'tali'], standardUnit: null, factor: null }
+];
+
+// Labels of the standard units, as used in the unit column of prices
+const STANDARD_LABELS = {
+  kg: 'per kg',
+  L: 'per liter',
+  piece: 'per piece'
+};
+
+const unitByName = new Map(UNITS.flatMap(entry => entry.names.map(name => [name, entry])));
+
+// A quantity followed by its unit, with a pack count before or after it:
+// "155g", "1.5 L", "1/4 kg", "2 x 155g", "800ml x 2"
+const QUANTITY_PATTERN = /(?:(\d+)\s*x\s*)?(\d+\/\d+|\d+(?:\.\d+)?)\s*([a-z]+)\b(?:\s*x\s*(\d+)(?![\d./]))?/g;
+
+/**
+ * Round a pack size, dropping the floating point noise of unit factors
+ * @param {number} value - Pack size
+ * @returns {number} - Value rounded to 6 decimals
+ */
+const roundSize = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Parse the quantity and unit a price is quoted for
+ * @param {string} text - Unit or net content, e.g. "per kg", "155g", "6 x 1L", "800ml x 2", "per tray", "sack of 50kg"
+ * @returns {Object|null} - Quantity and unit as printed, the container they come in,
+ *   and the pack size in its standard unit (kg, L or piece), or null when no unit is found
+ */
+const parseUnit = (text) => {
+  if (!text) return null;
+
+  const lower = text.toLowerCase().replace(/,/g, '').trim();
+  const words = lower.split(/[^a-z]+/).filter(Boolean);
+
+  for (const [, count, amount, name, trailingCount] of lower.matchAll(QUANTITY_PATTERN)) {
+    const entry = unitByName.get(name);
+    if (!entry || !entry.standardUnit) continue;
+
+    const [numerator, denominator] = amount.split('/').map(Number);
+    const packs = (count ? parseInt(count) : 1) * (trailingCount ? parseInt(trailingCount) : 1);
+    const quantity = (denominator ? numerator / denominator : numerator) * packs;
+    const container = words.map(word => unitByName.get(word)).find(other => other && other !== entry && !other.standardUnit);
+
+    return {
+      quantity,
+      unit: entry.unit,
+      container: container ? container.unit : null,
+      packSize: roundSize(quantity * entry.factor),
+      standardUnit: entry.standardUnit
+    };
+  }
+
+  const entry = words.map(word => unitByName.get(word)).find(Boolean);
+  if (!entry) return null;
+
+  return {
+    quantity: 1,
+    unit: entry.unit,
+    container: null,
+    packSize: entry.factor,
+    standardUnit: entry.standardUnit
+  };
+};
+
+/**
+ * Get the pack size columns stored with a price
+ * @param {string} text - Unit or net content
+ * @returns {Object} - packSize and standardUnit, both null when the unit has no standard size
+ */
+const packSizeOf = (text) => {
+  const parsed = parseUnit(text);
+  if (!parsed || !parsed.standardUnit) return { packSize: null, standardUnit: null };
+
+  return { packSize: parsed.packSize, standardUnit: parsed.standardUnit };
+};
+
+/**
+ * Convert prices quoted for a pack to the price per standard unit
+ * @param {Object} values - Prices by field, e.g. { price: 32.5 } or { minPrice, maxPrice }
+ * @param {Object|string} pack - Stored packSize and standardUnit, or the unit text to parse
+ * @returns {Object|null} - Standard unit label ("per kg") and the converted prices,
+ *   or null when the pack size is unknown
+ */
+const normalizeUnitPrice = (values, pack) => {
+  const { packSize, standardUnit } = typeof pack === 'string' || !pack ? packSizeOf(pack) : pack;
+  const size = Number(packSize);
+  if (!standardUnit || !(size > 0)) return null;
+
+  const normalized = { unit: STANDARD_LABELS[standardUnit] };
+  for (const [field, value] of Object.entries(values)) {
+    normalized[field] = value === null || value === undefined
+      ? null
+      : Math.round((Number(value) / size) * 100) / 100;
+  }
+
+  return normalized;
+};
+
+module.exports = {
+  UNITS,
+  STANDARD_LABELS,
+  parseUnit,
+  packSizeOf,
+  normalizeUnitPrice
+}; 
\ No newline at end of file